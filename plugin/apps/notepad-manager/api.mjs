@@ -12,19 +12,77 @@ export function createNotesApi({ host, bridgeEnabled }) {
     return await host.backend.invoke(method, params);
   };
 
+  // note methods run against the notebook picked in the header; '' is the default notebook
+  let notebook = '';
+  const invokeNotes = async (method, params) => await invoke(method, notebook ? { ...(params || {}), notebook } : params);
+
   return {
-    init: async () => await invoke('notes.init'),
-    listFolders: async () => await invoke('notes.listFolders'),
-    createFolder: async (params) => await invoke('notes.createFolder', params),
-    renameFolder: async (params) => await invoke('notes.renameFolder', params),
-    deleteFolder: async (params) => await invoke('notes.deleteFolder', params),
-    listNotes: async (params) => await invoke('notes.listNotes', params),
-    createNote: async (params) => await invoke('notes.createNote', params),
-    getNote: async (params) => await invoke('notes.getNote', params),
-    updateNote: async (params) => await invoke('notes.updateNote', params),
-    deleteNote: async (params) => await invoke('notes.deleteNote', params),
-    listTags: async () => await invoke('notes.listTags'),
-    searchNotes: async (params) => await invoke('notes.searchNotes', params),
+    getNotebook: () => notebook,
+    setNotebook: (id) => {
+      notebook = typeof id === 'string' ? id.trim() : '';
+    },
+    listNotebooks: async () => await invoke('notes.listNotebooks'),
+    createNotebook: async (params) => await invoke('notes.createNotebook', params),
+    renameNotebook: async (params) => await invoke('notes.renameNotebook', params),
+    deleteNotebook: async (params) => await invoke('notes.deleteNotebook', params),
+    init: async () => await invokeNotes('notes.init'),
+    listFolders: async () => await invokeNotes('notes.listFolders'),
+    createFolder: async (params) => await invokeNotes('notes.createFolder', params),
+    renameFolder: async (params) => await invokeNotes('notes.renameFolder', params),
+    deleteFolder: async (params) => await invokeNotes('notes.deleteFolder', params),
+    listNotes: async (params) => await invokeNotes('notes.listNotes', params),
+    listTemplates: async () => await invokeNotes('notes.listTemplates'),
+    createNote: async (params) => await invokeNotes('notes.createNote', params),
+    getOrCreateDailyNote: async (params) => await invokeNotes('notes.getOrCreateDailyNote', params),
+    getJournalSettings: async () => await invokeNotes('notes.getJournalSettings'),
+    updateJournalSettings: async (params) => await invokeNotes('notes.updateJournalSettings', params),
+    getNote: async (params) => await invokeNotes('notes.getNote', params),
+    updateNote: async (params) => await invokeNotes('notes.updateNote', params),
+    deleteNote: async (params) => await invokeNotes('notes.deleteNote', params),
+    batch: async (params) => await invokeNotes('notes.batch', params),
+    getNoteProperties: async (params) => await invokeNotes('notes.getNoteProperties', params),
+    setNoteProperties: async (params) => await invokeNotes('notes.setNoteProperties', params),
+    pinNote: async (params) => await invokeNotes('notes.pinNote', params),
+    reorderNotes: async (params) => await invokeNotes('notes.reorderNotes', params),
+    listTags: async () => await invokeNotes('notes.listTags'),
+    renameTag: async (params) => await invokeNotes('notes.renameTag', params),
+    mergeTags: async (params) => await invokeNotes('notes.mergeTags', params),
+    deleteTag: async (params) => await invokeNotes('notes.deleteTag', params),
+    searchNotes: async (params) => await invokeNotes('notes.searchNotes', params),
+    listRevisions: async (params) => await invokeNotes('notes.listRevisions', params),
+    getRevision: async (params) => await invokeNotes('notes.getRevision', params),
+    restoreRevision: async (params) => await invokeNotes('notes.restoreRevision', params),
+    listTrash: async () => await invokeNotes('notes.listTrash'),
+    restoreFromTrash: async (params) => await invokeNotes('notes.restoreFromTrash', params),
+    purgeTrash: async (params) => await invokeNotes('notes.purgeTrash', params),
+    getOutgoingLinks: async (params) => await invokeNotes('notes.getOutgoingLinks', params),
+    getBacklinks: async (params) => await invokeNotes('notes.getBacklinks', params),
+    resolveLinks: async (params) => await invokeNotes('notes.resolveLinks', params),
+    listTasks: async (params) => await invokeNotes('notes.listTasks', params),
+    toggleTask: async (params) => await invokeNotes('notes.toggleTask', params),
+    addAttachment: async (params) => await invokeNotes('notes.addAttachment', params),
+    listAttachments: async (params) => await invokeNotes('notes.listAttachments', params),
+    readAttachment: async (params) => await invokeNotes('notes.readAttachment', params),
+    deleteAttachment: async (params) => await invokeNotes('notes.deleteAttachment', params),
+    importMarkdown: async (params) => await invokeNotes('notes.importMarkdown', params),
+    exportNotebook: async (params) => await invokeNotes('notes.exportNotebook', params),
+    importArchive: async (params) => await invokeNotes('notes.importArchive', params),
+    getBackupSettings: async () => await invokeNotes('notes.getBackupSettings'),
+    updateBackupSettings: async (params) => await invokeNotes('notes.updateBackupSettings', params),
+    listBackups: async () => await invokeNotes('notes.listBackups'),
+    createBackup: async () => await invokeNotes('notes.createBackup'),
+    verifyBackup: async (params) => await invokeNotes('notes.verifyBackup', params),
+    restoreBackup: async (params) => await invokeNotes('notes.restoreBackup', params),
+    deleteBackup: async (params) => await invokeNotes('notes.deleteBackup', params),
+    getEncryptionStatus: async () => await invokeNotes('notes.getEncryptionStatus'),
+    setupEncryption: async (params) => await invokeNotes('notes.setupEncryption', params),
+    unlockNotebook: async (params) => await invokeNotes('notes.unlockNotebook', params),
+    lockNotebook: async () => await invokeNotes('notes.lockNotebook'),
+    encryptNote: async (params) => await invokeNotes('notes.encryptNote', params),
+    decryptNote: async (params) => await invokeNotes('notes.decryptNote', params),
+    setFolderEncryption: async (params) => await invokeNotes('notes.setFolderEncryption', params),
+    checkIntegrity: async (params) => await invokeNotes('notes.checkIntegrity', params),
+    waitForChanges: async (params) => await invokeNotes('notes.waitForChanges', params),
   };
 }
 
@@ -0,0 +1,102 @@
+import { normalizeString } from './dom.mjs';
+
+const ATTACHMENT_LINK_PREFIX = 'attachments/';
+const IMAGE_EXT_RE = /\.(png|jpe?g|gif|webp|svg|bmp|ico)$/i;
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+export function isImageAttachment(name) {
+  return IMAGE_EXT_RE.test(String(name || ''));
+}
+
+export function attachmentMarkdown(attachment) {
+  const name = normalizeString(attachment?.name);
+  const link = normalizeString(attachment?.link) || `${ATTACHMENT_LINK_PREFIX}${encodeURIComponent(name)}`;
+  const label = name.replace(/[[\]]/g, '');
+  return isImageAttachment(name) ? `![${label}](${link})` : `[${label}](${link})`;
+}
+
+export function formatBytes(size) {
+  const n = Number(size) || 0;
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// resolves with [] when the picker is dismissed, so callers never hang on a cancelled dialog
+export function pickFiles({ multiple = true, accept = '' } = {}) {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = multiple;
+    if (accept) input.accept = accept;
+    input.addEventListener('change', () => resolve(Array.from(input.files || [])));
+    input.addEventListener('cancel', () => resolve([]));
+    input.click();
+  });
+}
+
+export function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ''));
+    reader.onerror = () => reject(reader.error || new Error('read file failed'));
+    reader.readAsDataURL(file);
+  });
+}
+
+// preview links like attachments/pic.png cannot be loaded by the webview directly,
+// so they are fetched through the backend and swapped for data: URLs
+export function createAttachmentResolver({ api }) {
+  const cache = new Map();
+
+  const load = (noteId, link) => {
+    const key = `${noteId}/${link}`;
+    if (!cache.has(key)) {
+      const pending = api
+        .readAttachment({ id: noteId, name: link })
+        .then((res) => {
+          if (!res?.ok) throw new Error(res?.message || 'read attachment failed');
+          return `data:${res.attachment?.mimeType || 'application/octet-stream'};base64,${res.dataBase64 || ''}`;
+        })
+        .catch((err) => {
+          cache.delete(key);
+          throw err;
+        });
+      cache.set(key, pending);
+    }
+    return cache.get(key);
+  };
+
+  const resolveIn = (rootEl, noteId, isCurrent = () => true) => {
+    const id = normalizeString(noteId);
+    if (!rootEl || !id) return;
+    const nodes = Array.from(rootEl.querySelectorAll(`img[src^="${ATTACHMENT_LINK_PREFIX}"], a[href^="${ATTACHMENT_LINK_PREFIX}"]`));
+    nodes.forEach((node) => {
+      const attr = node.tagName === 'IMG' ? 'src' : 'href';
+      const link = node.getAttribute(attr);
+      load(id, link)
+        .then((url) => {
+          if (!node.isConnected || !isCurrent()) return;
+          node.setAttribute(attr, url);
+          if (attr === 'href') node.setAttribute('download', safeDecode(link.slice(ATTACHMENT_LINK_PREFIX.length)));
+        })
+        .catch(() => {});
+    });
+  };
+
+  const invalidate = (noteId) => {
+    const prefix = `${normalizeString(noteId)}/`;
+    Array.from(cache.keys()).forEach((key) => {
+      if (key.startsWith(prefix)) cache.delete(key);
+    });
+  };
+
+  return { resolveIn, invalidate };
+}
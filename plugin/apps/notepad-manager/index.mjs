@@ -1,6 +1,8 @@
 import { createNotesApi } from './api.mjs';
+import { attachmentMarkdown, createAttachmentResolver, formatBytes, pickFiles, readFileAsDataUrl } from './attachments.mjs';
 import { createNotepadLayerManager } from './layers.mjs';
 import { normalizeString, setButtonEnabled } from './dom.mjs';
+import { createWikiLinkResolver } from './links.mjs';
 import { renderMarkdown } from './markdown.mjs';
 import { parseTags, tagsToText } from './tags.mjs';
 import { createNotepadManagerUi } from './ui.mjs';
@@ -15,17 +17,28 @@ export function mount({ container, host, slots }) {
   const bridgeEnabled = Boolean(ctx?.bridge?.enabled);
 
   const api = createNotesApi({ host, bridgeEnabled });
+  const attachmentResolver = createAttachmentResolver({ api });
+  const wikiLinkResolver = createWikiLinkResolver({ api });
 
   const {
     root,
     btnNewFolder,
     btnNewNote,
+    notebookSelect,
+    btnNotebooks,
     btnSave,
     btnDelete,
     btnCopy,
     btnCopyMd,
     btnCopyDocx,
     btnToggleEdit,
+    btnAttachments,
+    btnToday,
+    btnPrevDay,
+    btnNextDay,
+    btnTasks,
+    btnTrash,
+    btnMaintenance,
     createHint,
     searchInput,
     btnClearSearch,
@@ -34,6 +47,7 @@ export function mount({ container, host, slots }) {
     titleInput,
     folderSelect,
     tagsInput,
+    btnProperties,
     infoBox,
     textarea,
     preview,
@@ -76,13 +90,16 @@ export function mount({ container, host, slots }) {
   }
 
   let disposed = false;
-  const { closeActiveLayer, showMenu, showDialog, confirmDialog } = createNotepadLayerManager({
+  const { closeActiveLayer, showMenu, showDialog, showListDialog, confirmDialog } = createNotepadLayerManager({
     getDisposed: () => disposed,
     setStatus,
   });
 
+  let notebooks = [];
   let folders = [];
   let tags = [];
+  let tagTree = [];
+  let encryptedFolders = [];
   let notes = [];
   let selectedFolder = '';
   let selectedTags = [];
@@ -107,13 +124,12 @@ export function mount({ container, host, slots }) {
   let searchDebounceTimer = null;
   let searchWasActive = false;
   let expandedKeysBeforeSearch = null;
-  const AUTO_REFRESH_INTERVAL_MS = 5000;
-  const AUTO_REFRESH_MIN_GAP_MS = 1500;
-  let autoRefreshTimer = null;
-  let autoRefreshInFlight = false;
-  let lastAutoRefreshAt = 0;
-  let visibilityHandler = null;
-  let focusHandler = null;
+  const CHANGE_WAIT_MS = 25000;
+  const CHANGE_RETRY_MS = 5000;
+  const DAILY_TITLE_RE = /^\d{4}-\d{2}-\d{2}$/;
+  let changeCursor = '';
+  let changeLoopRunning = false;
+  let changeRetryTimer = null;
 
   const makeNoteKey = (folder, id) => {
     const noteId = normalizeString(id);
@@ -210,6 +226,15 @@ export function mount({ container, host, slots }) {
     setButtonEnabled(btnCopyMd, controlsEnabled && hasNote && !exporting);
     setButtonEnabled(btnCopyDocx, controlsEnabled && hasNote && !exportingDocx);
     setButtonEnabled(btnToggleEdit, controlsEnabled && hasNote);
+    setButtonEnabled(btnAttachments, controlsEnabled && hasNote);
+    setButtonEnabled(btnProperties, controlsEnabled && hasNote);
+    const propertyCount = hasNote ? Object.keys(currentNote.properties || {}).length : 0;
+    btnProperties.textContent = propertyCount > 0 ? `属性 (${propertyCount})` : '属性';
+    const isDaily = hasNote && DAILY_TITLE_RE.test(normalizeString(currentNote.title));
+    [btnPrevDay, btnNextDay].forEach((btn) => {
+      btn.style.display = isDaily ? '' : 'none';
+      setButtonEnabled(btn, controlsEnabled && isDaily);
+    });
 
     titleInput.disabled = !editable;
     folderSelect.disabled = !editable;
@@ -745,10 +770,159 @@ export function mount({ container, host, slots }) {
     downloadBlob(blob, fileName || 'note.docx');
   };
 
+  const decodeBase64 = (value) => {
+    const binary = atob(String(value || ''));
+    const out = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i += 1) out[i] = binary.charCodeAt(i);
+    return out;
+  };
+
+  // the backend returns the archive entries; zipping happens here like for .docx
+  const exportFolderArchive = async (folder) => {
+    setStatus('Notes: exporting...', 'bad');
+    const res = await api.exportNotebook({ folder });
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'export failed'}`, 'bad');
+      return;
+    }
+    const files = (Array.isArray(res.files) ? res.files : []).map((f) => ({ name: f.name, data: decodeBase64(f.dataBase64) }));
+    const base = sanitizeFileName(folder ? folder.split('/').pop() : 'notepad');
+    downloadBlob(createZipBlob(files), `${base}-${new Date().toISOString().slice(0, 10)}.zip`);
+    setStatus(`Notes: exported ${res.counts?.notes ?? 0} note(s), ${res.counts?.attachments ?? 0} attachment(s)`, 'ok');
+  };
+
+  const importFolderArchive = async (folder) => {
+    const [file] = await pickFiles({ multiple: false, accept: '.zip,application/zip' });
+    if (!file) return;
+    setStatus('Notes: importing...', 'bad');
+    const dataUrl = await readFileAsDataUrl(file);
+    const res = await api.importArchive({ folder, dataBase64: dataUrl });
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'import failed'}`, 'bad');
+      return;
+    }
+    await refreshFoldersAndTags();
+    await refreshNotes();
+    const { imported = 0, skipped = 0, warnings = 0 } = res.counts || {};
+    setStatus(`Notes: imported ${imported} note(s), skipped ${skipped}, ${warnings} warning(s)`, skipped || warnings ? 'bad' : 'ok');
+  };
+
+  // asks for the passphrase (a new one the first time) until the backend is unlocked or the user cancels
+  const ensureUnlocked = async () => {
+    const status = await api.getEncryptionStatus();
+    if (!status?.ok) {
+      setStatus(`Notes: ${status?.message || 'encryption status failed'}`, 'bad');
+      return false;
+    }
+    if (status.unlocked) return true;
+    if (!status.configured) {
+      const values = await showDialog({
+        title: '设置加密口令',
+        description: '口令用于加密笔记正文，至少 8 个字符。口令无法找回，忘记后加密的笔记将无法读取。',
+        fields: [
+          { name: 'passphrase', label: '口令', kind: 'password', required: true },
+          { name: 'confirm', label: '再次输入口令', kind: 'password', required: true },
+        ],
+        confirmText: '设置',
+      });
+      if (!values) return false;
+      if (values.passphrase !== values.confirm) {
+        setStatus('Notes: passphrases do not match', 'bad');
+        return false;
+      }
+      const res = await api.setupEncryption({ passphrase: values.passphrase });
+      if (!res?.ok) {
+        setStatus(`Notes: ${res?.message || 'setup failed'}`, 'bad');
+        return false;
+      }
+      setStatus('Notes: encryption set up', 'ok');
+      return true;
+    }
+    for (;;) {
+      const values = await showDialog({
+        title: '解锁加密笔记',
+        description: `解锁后 ${status.idleMinutes || 30} 分钟无操作会自动锁定。`,
+        fields: [{ name: 'passphrase', label: '口令', kind: 'password', required: true }],
+        confirmText: '解锁',
+      });
+      if (!values) return false;
+      setStatus('Notes: unlocking...', 'bad');
+      const res = await api.unlockNotebook({ passphrase: values.passphrase });
+      if (res?.ok) {
+        setStatus('Notes: unlocked', 'ok');
+        return true;
+      }
+      setStatus(`Notes: ${res?.message || 'unlock failed'}`, 'bad');
+    }
+  };
+
+  const toggleNoteEncryption = async (n) => {
+    const noteId = normalizeString(n?.id);
+    if (!noteId || !(await ensureUnlocked())) return;
+    const encrypt = !n?.encrypted;
+    setStatus(encrypt ? 'Notes: encrypting note...' : 'Notes: decrypting note...', 'bad');
+    const res = encrypt ? await api.encryptNote({ id: noteId }) : await api.decryptNote({ id: noteId });
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'update failed'}`, 'bad');
+      return;
+    }
+    if (currentNote?.id === noteId && res.note) {
+      currentNote = res.note;
+      noteIndex.set(noteId, currentNote);
+    }
+    await refreshNotes();
+    setStatus(encrypt ? 'Notes: note encrypted' : 'Notes: note decrypted', 'ok');
+  };
+
+  const toggleFolderEncryption = async (folder) => {
+    const encrypt = !encryptedFolders.includes(folder);
+    if (encrypt) {
+      const ok = await confirmDialog(`加密「${folder}」及其子文件夹中的全部笔记？移入该文件夹的笔记也会被加密，已加密笔记的历史版本会被清除。`, {
+        title: '加密文件夹',
+        confirmText: '加密',
+      });
+      if (!ok) return;
+    }
+    if (!(await ensureUnlocked())) return;
+    setStatus(encrypt ? 'Notes: encrypting folder...' : 'Notes: decrypting folder...', 'bad');
+    const res = await api.setFolderEncryption({ folder, encrypted: encrypt });
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'update failed'}`, 'bad');
+      return;
+    }
+    if (currentNote && !dirty) await openNote(currentNote.id);
+    await refreshFoldersAndTags();
+    await refreshNotes();
+    setStatus(`Notes: ${res.changedNotes} note(s) ${encrypt ? 'encrypted' : 'decrypted'}`, 'ok');
+  };
+
+  const lockEncryptedNotes = async () => {
+    if (dirty && currentNote?.encrypted) await doSave();
+    const res = await api.lockNotebook();
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'lock failed'}`, 'bad');
+      return;
+    }
+    if (currentNote?.encrypted && !dirty) {
+      selectedNoteId = '';
+      currentNote = null;
+      currentContent = '';
+      renderFolderList();
+      renderEditor(true);
+    }
+    setStatus('Notes: encrypted notes locked', 'ok');
+  };
+
   const setControlsEnabled = (enabled) => {
     controlsEnabled = enabled;
     setButtonEnabled(btnNewFolder, enabled);
     setButtonEnabled(btnNewNote, enabled);
+    setButtonEnabled(btnToday, enabled);
+    setButtonEnabled(btnTasks, enabled);
+    setButtonEnabled(btnTrash, enabled);
+    setButtonEnabled(btnMaintenance, enabled);
+    setButtonEnabled(btnNotebooks, enabled);
+    notebookSelect.disabled = !enabled;
     searchInput.disabled = !enabled;
     setButtonEnabled(btnClearSearch, enabled);
     syncEditorControls();
@@ -774,27 +948,7 @@ export function mount({ container, host, slots }) {
         label: '在此新建笔记…',
         onClick: async () => {
           if (!(await ensureSafeToSwitch())) return;
-          const values = await showDialog({
-            title: '新建笔记',
-            description: `目标文件夹：${f ? f : '根目录'}`,
-            fields: [{ name: 'title', label: '标题', kind: 'text', value: '', placeholder: '可空' }],
-            confirmText: '创建',
-          });
-          if (!values) return;
-          const noteTitle = normalizeString(values.title);
-          setStatus('Notes: creating note...', 'bad');
-          const res = await api.createNote({ folder: f, title: noteTitle });
-          if (!res?.ok) {
-            setStatus(`Notes: ${res?.message || 'create note failed'}`, 'bad');
-            return;
-          }
-          selectedFolder = f;
-          updateCreateHint();
-          await refreshFoldersAndTags();
-          await refreshNotes();
-          const id = res?.note?.id || '';
-          if (id) await openNote(id);
-          setStatus('Notes: note created', 'ok');
+          await promptNewNote(f);
         },
       },
       {
@@ -831,6 +985,28 @@ export function mount({ container, host, slots }) {
           setStatus('Notes: folder created', 'ok');
         },
       },
+      {
+        label: '导出为压缩包',
+        onClick: async () => {
+          if (!(await ensureSafeToSwitch())) return;
+          await exportFolderArchive(f);
+        },
+      },
+      {
+        label: '从压缩包导入…',
+        onClick: async () => {
+          if (!(await ensureSafeToSwitch())) return;
+          await importFolderArchive(f);
+        },
+      },
+      {
+        label: encryptedFolders.includes(f) ? '取消文件夹加密' : '加密文件夹…',
+        disabled: !f,
+        onClick: async () => {
+          if (!(await ensureSafeToSwitch())) return;
+          await toggleFolderEncryption(f);
+        },
+      },
       {
         label: '重命名文件夹…',
         disabled: !f,
@@ -874,7 +1050,7 @@ export function mount({ container, host, slots }) {
         danger: true,
         onClick: async () => {
           if (!(await ensureSafeToSwitch())) return;
-          const ok = await confirmDialog(`确定删除文件夹「${f}」及其所有子目录与笔记吗？`, {
+          const ok = await confirmDialog(`确定删除文件夹「${f}」及其所有子目录与笔记吗？（可在回收站恢复）`, {
             title: '删除文件夹',
             danger: true,
             confirmText: '删除',
@@ -899,6 +1075,111 @@ export function mount({ container, host, slots }) {
     ]);
   };
 
+  // shared by the header button and the folder menu; templates are offered when any exist
+  const promptNewNote = async (folder) => {
+    let templates = [];
+    try {
+      const res = await api.listTemplates();
+      if (res?.ok && Array.isArray(res?.templates)) templates = res.templates;
+    } catch {
+      templates = [];
+    }
+    const fields = [{ name: 'title', label: '标题', kind: 'text', value: '', placeholder: templates.length > 0 ? '可空（默认使用模板标题）' : '可空' }];
+    if (templates.length > 0) {
+      fields.push({
+        name: 'templateId',
+        label: '模板',
+        kind: 'select',
+        options: [{ value: '', label: '（空白笔记）' }].concat(
+          templates.map((t) => ({ value: t.id, label: t.title || 'Untitled' }))
+        ),
+        value: '',
+      });
+    }
+    const values = await showDialog({
+      title: '新建笔记',
+      description: `目标文件夹：${folder ? folder : '根目录'}`,
+      fields,
+      confirmText: '创建',
+    });
+    if (!values) return;
+    const title = normalizeString(values.title);
+    const templateId = normalizeString(values.templateId);
+    setStatus('Notes: creating note...', 'bad');
+    let res = null;
+    try {
+      res = await api.createNote({ folder, title, templateId });
+    } catch (err) {
+      setStatus(`Notes: ${err?.message || String(err)}`, 'bad');
+      return;
+    }
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'create note failed'}`, 'bad');
+      return;
+    }
+    selectedFolder = folder;
+    updateCreateHint();
+    await refreshFoldersAndTags();
+    await refreshNotes();
+    const id = res?.note?.id || '';
+    if (id) await openNote(id);
+    setStatus('Notes: note created', 'ok');
+  };
+
+  // the open note overrides list entries in noteIndex, so keep its index-only fields in sync
+  const syncCurrentNoteOrder = (list) => {
+    if (!currentNote) return;
+    const match = (Array.isArray(list) ? list : []).find((item) => item?.id === currentNote.id);
+    if (!match) return;
+    currentNote.pinned = match.pinned === true;
+    currentNote.sortOrder = match.sortOrder ?? null;
+  };
+
+  const togglePinned = async (n) => {
+    const noteId = normalizeString(n?.id);
+    if (!noteId) return;
+    const pinned = !n?.pinned;
+    setStatus(pinned ? 'Notes: pinning note...' : 'Notes: unpinning note...', 'bad');
+    const res = await api.pinNote({ id: noteId, pinned });
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'pin failed'}`, 'bad');
+      return;
+    }
+    syncCurrentNoteOrder([res.note]);
+    await refreshNotes();
+    setStatus(pinned ? 'Notes: note pinned' : 'Notes: note unpinned', 'ok');
+  };
+
+  // moves a note one step among the siblings shown next to it (same folder, same pinned state)
+  const moveNote = async (n, delta) => {
+    const noteId = normalizeString(n?.id);
+    if (!noteId) return;
+    const folder = normalizeString(n?.folder);
+    const listRes = await api.listNotes({ folder, recursive: false, limit: 500 });
+    if (!listRes?.ok) {
+      setStatus(`Notes: ${listRes?.message || 'list notes failed'}`, 'bad');
+      return;
+    }
+    const ordered = (Array.isArray(listRes?.notes) ? listRes.notes : []).filter((item) => item?.folder === folder);
+    const from = ordered.findIndex((item) => item.id === noteId);
+    const to = from + delta;
+    if (from < 0 || to < 0 || to >= ordered.length || Boolean(ordered[to].pinned) !== Boolean(ordered[from].pinned)) {
+      setStatus('Notes: already at the edge', 'ok');
+      return;
+    }
+    const [moved] = ordered.splice(from, 1);
+    ordered.splice(to, 0, moved);
+    setStatus('Notes: reordering...', 'bad');
+    const res = await api.reorderNotes({ folder, ids: ordered.map((item) => item.id) });
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'reorder failed'}`, 'bad');
+      return;
+    }
+    syncCurrentNoteOrder(res.notes);
+    await refreshNotes();
+    setStatus('Notes: order updated', 'ok');
+  };
+
   const showNoteMenu = (x, y, n) => {
     const noteId = normalizeString(n?.id);
     if (!noteId) return;
@@ -918,12 +1199,25 @@ export function mount({ container, host, slots }) {
           const values = await showDialog({
             title: '重命名笔记',
             description: `ID: ${noteId}`,
-            fields: [{ name: 'title', label: '标题', kind: 'text', value: n?.title || '', placeholder: '例如：周报', required: true }],
+            fields: [
+              { name: 'title', label: '标题', kind: 'text', value: n?.title || '', placeholder: '例如：周报', required: true },
+              {
+                name: 'renameFile',
+                label: '文件名',
+                kind: 'select',
+                options: [
+                  { value: 'follow', label: '跟随新标题' },
+                  { value: 'keep', label: '保持不变' },
+                ],
+                value: 'follow',
+              },
+            ],
             confirmText: '重命名',
           });
           if (!values) return;
           const nextTitle = normalizeString(values.title);
           if (!nextTitle) return;
+          const renameFile = values.renameFile !== 'keep';
           if (noteId === selectedNoteId && currentNote) {
             currentNote.title = nextTitle;
             try {
@@ -933,11 +1227,11 @@ export function mount({ container, host, slots }) {
             }
             dirty = true;
             renderEditor(false);
-            await doSave();
+            await doSave({ renameFile });
             return;
           }
           setStatus('Notes: updating note...', 'bad');
-          const res = await api.updateNote({ id: noteId, title: nextTitle });
+          const res = await api.updateNote({ id: noteId, title: nextTitle, renameFile });
           if (!res?.ok) {
             setStatus(`Notes: ${res?.message || 'update failed'}`, 'bad');
             return;
@@ -1016,6 +1310,81 @@ export function mount({ container, host, slots }) {
           setStatus('Notes: tags updated', 'ok');
         },
       },
+      {
+        label: n?.pinned ? '取消置顶' : '置顶',
+        onClick: async () => await togglePinned(n),
+      },
+      {
+        label: n?.encrypted ? '取消加密' : '加密',
+        onClick: async () => {
+          if (noteId === selectedNoteId && !(await ensureSafeToSwitch())) return;
+          await toggleNoteEncryption(n);
+        },
+      },
+      {
+        label: '上移',
+        onClick: async () => await moveNote(n, -1),
+      },
+      {
+        label: '下移',
+        onClick: async () => await moveNote(n, 1),
+      },
+      {
+        label: '反向链接…',
+        onClick: async () => {
+          await showListDialog({
+            title: '反向链接',
+            description: `通过 [[${n?.title || 'Untitled'}]] 或 [[id|文字]] 链接到「${n?.title || 'Untitled'}」的笔记`,
+            emptyText: '没有笔记链接到这里',
+            loadItems: async () => {
+              const res = await api.getBacklinks({ id: noteId });
+              if (!res?.ok) throw new Error(res?.message || 'load backlinks failed');
+              return (Array.isArray(res?.backlinks) ? res.backlinks : []).map((b) => ({
+                title: b?.title || 'Untitled',
+                meta: `${b?.folder ? b.folder : '根目录'} · ${(Array.isArray(b?.labels) ? b.labels : []).join('、')}`,
+                actions: [{ label: '打开', close: true, onClick: async () => await openLinkedNote(b.id) }],
+              }));
+            },
+          });
+        },
+      },
+      {
+        label: '历史版本…',
+        onClick: async () => {
+          if (noteId === selectedNoteId && !(await ensureSafeToSwitch())) return;
+          const listRes = await api.listRevisions({ id: noteId });
+          if (!listRes?.ok) {
+            setStatus(`Notes: ${listRes?.message || 'list revisions failed'}`, 'bad');
+            return;
+          }
+          const revisions = Array.isArray(listRes?.revisions) ? listRes.revisions : [];
+          if (revisions.length === 0) {
+            setStatus('Notes: no revisions yet', 'ok');
+            return;
+          }
+          const options = revisions.map((r) => ({
+            value: r.id,
+            label: `${r.createdAt || r.id} · ${r.title || 'Untitled'} · ${r.size ?? 0} 字符`,
+          }));
+          const values = await showDialog({
+            title: '历史版本',
+            description: `「${n?.title || 'Untitled'}」的历史版本（恢复前会先保存当前内容为新版本）`,
+            fields: [{ name: 'revisionId', label: '版本', kind: 'select', options, value: options[0].value }],
+            confirmText: '恢复',
+          });
+          if (!values?.revisionId) return;
+          setStatus('Notes: restoring revision...', 'bad');
+          const res = await api.restoreRevision({ id: noteId, revisionId: values.revisionId });
+          if (!res?.ok) {
+            setStatus(`Notes: ${res?.message || 'restore failed'}`, 'bad');
+            return;
+          }
+          await refreshFoldersAndTags();
+          await refreshNotes();
+          if (noteId === selectedNoteId) await openNote(noteId);
+          setStatus('Notes: revision restored', 'ok');
+        },
+      },
       {
         label: '删除',
         danger: true,
@@ -1024,7 +1393,7 @@ export function mount({ container, host, slots }) {
             await doDelete();
             return;
           }
-          const ok = await confirmDialog(`确定删除「${n?.title || 'Untitled'}」吗？`, {
+          const ok = await confirmDialog(`确定删除「${n?.title || 'Untitled'}」吗？（可在回收站恢复）`, {
             title: '删除笔记',
             danger: true,
             confirmText: '删除',
@@ -1070,13 +1439,19 @@ export function mount({ container, host, slots }) {
         const note = noteIndex.get(parsed.noteId);
         const folderText = parsed.folder ? parsed.folder : '根目录';
         const updatedAt = note?.updatedAt ? ` · ${note.updatedAt}` : '';
-        return `${note?.title || 'Untitled'} · ${folderText}${updatedAt}`;
+        const pinned = note?.pinned ? ' · 已置顶' : '';
+        const encrypted = note?.encrypted ? ' · 已加密' : '';
+        return `${note?.title || 'Untitled'} · ${folderText}${updatedAt}${pinned}${encrypted}`;
       }
       return parsed.folder ? parsed.folder : '全部笔记的根目录';
     },
     getIconClass: (key) => {
       const parsed = parseTreeKey(key);
-      if (parsed.kind === 'note') return 'ds-tree-icon-note';
+      if (parsed.kind === 'note') {
+        const note = noteIndex.get(parsed.noteId);
+        if (note?.encrypted) return 'ds-tree-icon-note np-tree-icon-encrypted';
+        return note?.pinned ? 'ds-tree-icon-note np-tree-icon-pinned' : 'ds-tree-icon-note';
+      }
       return parsed.folder ? 'ds-tree-icon-folder' : 'ds-tree-icon-home';
     },
     getSortMeta: (key) => {
@@ -1084,7 +1459,10 @@ export function mount({ container, host, slots }) {
       const parsed = parseTreeKey(key);
       if (parsed.kind === 'note') {
         const note = noteIndex.get(parsed.noteId);
-        return { group: 1, label: note?.title || 'Untitled' };
+        // pinned notes first; inside each group manually ordered notes precede the rest
+        const ordered = Number.isFinite(note?.sortOrder);
+        const group = (note?.pinned ? 1 : 3) + (ordered ? 0 : 1);
+        return { group, label: ordered ? String(note.sortOrder) : note?.title || 'Untitled' };
       }
       return { group: 0, label: parsed.folder.split('/').slice(-1)[0] };
     },
@@ -1202,32 +1580,140 @@ export function mount({ container, host, slots }) {
     folderTree.render({ paths, selectedKey });
   };
 
+  const afterTagChange = async (res, { from = [], to = '' } = {}) => {
+    // keep the tag filter pointing at the tag that replaced a selected one
+    const keys = from.map((t) => String(t || '').toLowerCase());
+    const wasSelected = selectedTags.some((t) => keys.includes(t.toLowerCase()));
+    selectedTags = selectedTags.filter((t) => !keys.includes(t.toLowerCase()));
+    if (wasSelected && to && !selectedTags.some((t) => t.toLowerCase() === to.toLowerCase())) selectedTags.push(to);
+    await refreshFoldersAndTags();
+    await refreshNotes();
+    const touched = Array.isArray(res?.notes) ? res.notes : [];
+    if (currentNote && touched.includes(currentNote.id) && !dirty) await reloadCurrentNote();
+  };
+
+  const showTagMenu = (x, y, tag) => {
+    const name = String(tag || '');
+    if (!name) return;
+    showMenu(x, y, [
+      {
+        label: '重命名…',
+        onClick: async () => {
+          const values = await showDialog({
+            title: '重命名标签',
+            description: `将所有笔记中的「${name}」改为新名称（与已有标签同名时会合并）`,
+            fields: [{ name: 'to', label: '新名称', kind: 'text', value: name, required: true }],
+            confirmText: '重命名',
+          });
+          const to = normalizeString(values?.to);
+          if (!to || to === name) return;
+          setStatus('Notes: renaming tag...', 'bad');
+          const res = await api.renameTag({ from: name, to });
+          if (!res?.ok) {
+            setStatus(`Notes: ${res?.message || 'rename tag failed'}`, 'bad');
+            return;
+          }
+          await afterTagChange(res, { from: [name], to });
+          setStatus(`Notes: tag renamed on ${res.updatedNotes} notes`, 'ok');
+        },
+      },
+      {
+        label: '合并到…',
+        disabled: tags.length < 2,
+        onClick: async () => {
+          const options = tags
+            .filter((t) => String(t.tag || '').toLowerCase() !== name.toLowerCase())
+            .map((t) => ({ value: t.tag, label: `${t.tag} (${t.count})` }));
+          if (options.length === 0) return;
+          const values = await showDialog({
+            title: '合并标签',
+            description: `把「${name}」合并到另一个标签，所有笔记中的「${name}」都会被替换（子标签随之移动）`,
+            fields: [{ name: 'into', label: '合并到', kind: 'select', options, value: options[0].value }],
+            confirmText: '合并',
+          });
+          const into = normalizeString(values?.into);
+          if (!into) return;
+          setStatus('Notes: merging tags...', 'bad');
+          const res = await api.mergeTags({ tags: [name], into });
+          if (!res?.ok) {
+            setStatus(`Notes: ${res?.message || 'merge tags failed'}`, 'bad');
+            return;
+          }
+          await afterTagChange(res, { from: [name], to: into });
+          setStatus(`Notes: tags merged on ${res.updatedNotes} notes`, 'ok');
+        },
+      },
+      {
+        label: '删除',
+        danger: true,
+        onClick: async () => {
+          const ok = await confirmDialog(`确定从所有笔记中移除标签「${name}」及其子标签吗？（笔记本身不会被删除）`, {
+            title: '删除标签',
+            danger: true,
+            confirmText: '删除',
+          });
+          if (!ok) return;
+          setStatus('Notes: deleting tag...', 'bad');
+          const res = await api.deleteTag({ tag: name });
+          if (!res?.ok) {
+            setStatus(`Notes: ${res?.message || 'delete tag failed'}`, 'bad');
+            return;
+          }
+          await afterTagChange(res, { from: [name] });
+          setStatus(`Notes: tag removed from ${res.updatedNotes} notes`, 'ok');
+        },
+      },
+    ]);
+  };
+
   const renderTags = () => {
     if (!tagRow || !tagRow.isConnected) return;
     tagRow.innerHTML = '';
-    if (!Array.isArray(tags) || tags.length === 0) {
+    if (!Array.isArray(tagTree) || tagTree.length === 0) {
       const empty = document.createElement('div');
       empty.className = 'np-meta';
       empty.textContent = '暂无标签';
       tagRow.appendChild(empty);
       return;
     }
-    for (const t of tags) {
+    // nested tags (a/b/c) render as an indented tree; selecting a parent also matches its descendants
+    const renderNode = (node) => {
+      const wrap = document.createElement('div');
+      wrap.className = 'np-tag-node';
       const chip = document.createElement('div');
       chip.className = 'np-chip';
-      chip.dataset.active = selectedTags.some((x) => x.toLowerCase() === String(t.tag || '').toLowerCase()) ? '1' : '0';
-      chip.textContent = `${t.tag} (${t.count})`;
+      chip.dataset.active = selectedTags.some((x) => x.toLowerCase() === String(node.tag || '').toLowerCase()) ? '1' : '0';
+      chip.textContent = `${node.name} (${node.total})`;
+      chip.title = node.total !== node.count ? `${node.tag} · 本身 ${node.count} · 含子标签 ${node.total}` : node.tag;
       chip.addEventListener('click', async () => {
         if (disposed) return;
-        const key = String(t.tag || '').toLowerCase();
+        const key = String(node.tag || '').toLowerCase();
         const idx = selectedTags.findIndex((x) => x.toLowerCase() === key);
         if (idx >= 0) selectedTags.splice(idx, 1);
-        else selectedTags.push(t.tag);
+        else selectedTags.push(node.tag);
         await refreshNotes();
         renderTags();
       });
-      tagRow.appendChild(chip);
-    }
+      chip.addEventListener('contextmenu', (ev) => {
+        try {
+          ev.preventDefault();
+        } catch {
+          // ignore
+        }
+        if (disposed || !controlsEnabled) return;
+        showTagMenu(ev.clientX, ev.clientY, node.tag);
+      });
+      wrap.appendChild(chip);
+      const children = Array.isArray(node.children) ? node.children : [];
+      if (children.length > 0) {
+        const childRow = document.createElement('div');
+        childRow.className = 'np-chip-row np-tag-children';
+        children.forEach((child) => childRow.appendChild(renderNode(child)));
+        wrap.appendChild(childRow);
+      }
+      return wrap;
+    };
+    tagTree.forEach((node) => tagRow.appendChild(renderNode(node)));
   };
 
   const renderEditor = (force = false) => {
@@ -1246,6 +1732,9 @@ export function mount({ container, host, slots }) {
     if (force || document.activeElement !== tagsInput) tagsInput.value = tagsToText(currentNote.tags);
     if (force || document.activeElement !== textarea) textarea.value = currentContent;
     preview.innerHTML = renderMarkdown(currentContent);
+    const previewNoteId = currentNote.id;
+    attachmentResolver.resolveIn(preview, previewNoteId, () => currentNote?.id === previewNoteId);
+    wikiLinkResolver.resolveIn(preview);
     syncEditorControls();
   };
 
@@ -1253,11 +1742,13 @@ export function mount({ container, host, slots }) {
     const seq = (refreshFoldersSeq += 1);
     let folderRes = null;
     let tagRes = null;
+    let encryptionRes = null;
     const shouldLoadTags = Boolean(tagRow && tagRow.isConnected);
     try {
-      [folderRes, tagRes] = await Promise.all([
+      [folderRes, tagRes, encryptionRes] = await Promise.all([
         api.listFolders(),
         shouldLoadTags ? api.listTags() : Promise.resolve({ ok: true, tags: [] }),
+        api.getEncryptionStatus(),
       ]);
     } catch (err) {
       if (disposed || seq !== refreshFoldersSeq) return;
@@ -1269,6 +1760,8 @@ export function mount({ container, host, slots }) {
     folders = Array.isArray(folderRes?.folders) ? folderRes.folders : [''];
     if (!folders.includes('')) folders.unshift('');
     tags = Array.isArray(tagRes?.tags) ? tagRes.tags : [];
+    tagTree = Array.isArray(tagRes?.tree) ? tagRes.tree : [];
+    encryptedFolders = Array.isArray(encryptionRes?.folders) ? encryptionRes.folders : [];
     renderFolderOptions();
     renderFolderList();
     if (shouldLoadTags) renderTags();
@@ -1306,6 +1799,11 @@ export function mount({ container, host, slots }) {
       return;
     }
     if (disposed || seq !== refreshNotesSeq) return;
+    // a half-typed query keeps the previous results until it parses again
+    if (res?.syntaxError) {
+      setStatus(`Notes: ${res.message}`, 'bad');
+      return;
+    }
 
     if (!res?.ok) {
       notes = [];
@@ -1324,70 +1822,104 @@ export function mount({ container, host, slots }) {
     renderFolderList();
   };
 
-  const isPageVisible = () => {
-    if (typeof document === 'undefined') return true;
-    if (typeof document.visibilityState === 'string') return document.visibilityState !== 'hidden';
-    return true;
-  };
-
-  const runAutoRefresh = async (_reason, { force = false } = {}) => {
-    if (disposed || !bridgeEnabled) return;
-    if (!force && !isPageVisible()) return;
-    if (autoRefreshInFlight) return;
-    const now = Date.now();
-    if (!force && now - lastAutoRefreshAt < AUTO_REFRESH_MIN_GAP_MS) return;
-    lastAutoRefreshAt = now;
-    autoRefreshInFlight = true;
+  const reloadCurrentNote = async () => {
+    if (!currentNote) return;
+    const noteId = currentNote.id;
+    let res = null;
     try {
-      await refreshFoldersAndTags();
-      await refreshNotes();
-    } finally {
-      autoRefreshInFlight = false;
+      res = await api.getNote({ id: noteId });
+    } catch {
+      return;
     }
+    if (disposed || !res?.ok || dirty || normalizeString(currentNote?.id) !== noteId) return;
+    currentNote = res.note || currentNote;
+    currentContent = String(res.content ?? '');
+    noteIndex.set(noteId, currentNote);
+    renderEditor(true);
   };
 
-  const startAutoRefresh = () => {
-    if (autoRefreshTimer) return;
-    autoRefreshTimer = setInterval(() => {
-      runAutoRefresh('interval');
-    }, AUTO_REFRESH_INTERVAL_MS);
-    if (typeof document !== 'undefined' && document.addEventListener) {
-      visibilityHandler = () => {
-        if (document.visibilityState === 'visible') runAutoRefresh('visibility', { force: true });
-      };
-      document.addEventListener('visibilitychange', visibilityHandler);
+  const applyChanges = async (events) => {
+    const list = Array.isArray(events) ? events : [];
+    if (list.length === 0) return;
+    wikiLinkResolver.invalidate();
+    const needsFolders = list.some((e) => e?.type === 'folders.changed') || Boolean(tagRow && tagRow.isConnected);
+    if (needsFolders) await refreshFoldersAndTags();
+    await refreshNotes();
+
+    const currentId = normalizeString(currentNote?.id);
+    if (!currentId) return;
+    const mine = list.filter((e) => e?.id === currentId);
+    if (mine.some((e) => e.type === 'note.deleted')) {
+      setStatus('Notes: current note was deleted elsewhere', 'bad');
+      return;
     }
-    if (typeof window !== 'undefined' && window.addEventListener) {
-      focusHandler = () => runAutoRefresh('focus', { force: true });
-      window.addEventListener('focus', focusHandler);
+    // our own saves come back as events too; only reload when the server is ahead of us
+    const changed = mine.some(
+      (e) => (e.type === 'note.updated' || e.type === 'note.moved') && (e.external || Number(e.revision) > Number(currentNote?.revision || 0))
+    );
+    if (!changed) return;
+    if (dirty) {
+      setStatus('Notes: current note was changed elsewhere (unsaved edits kept)', 'bad');
+      return;
     }
+    await reloadCurrentNote();
+    setStatus('Notes: current note updated', 'ok');
   };
 
-  const stopAutoRefresh = () => {
-    if (autoRefreshTimer) {
-      try {
-        clearInterval(autoRefreshTimer);
-      } catch {
-        // ignore
+  const sleep = (ms) =>
+    new Promise((resolve) => {
+      changeRetryTimer = setTimeout(() => {
+        changeRetryTimer = null;
+        resolve();
+      }, ms);
+    });
+
+  // long-poll the backend change feed; a reset means our cursor is unknown and everything must be reloaded
+  const runChangeLoop = async () => {
+    if (changeLoopRunning || disposed || !bridgeEnabled) return;
+    changeLoopRunning = true;
+    try {
+      while (!disposed) {
+        let res = null;
+        const notebook = api.getNotebook();
+        try {
+          res = await api.waitForChanges({ sinceCursor: changeCursor, timeoutMs: CHANGE_WAIT_MS });
+        } catch {
+          res = null;
+        }
+        if (disposed) break;
+        // the notebook was switched while waiting; its cursor means nothing for the new one
+        if (notebook !== api.getNotebook()) continue;
+        if (!res?.ok) {
+          await sleep(CHANGE_RETRY_MS);
+          continue;
+        }
+        const hadCursor = Boolean(changeCursor);
+        changeCursor = normalizeString(res.cursor);
+        if (res.reset) {
+          if (hadCursor) {
+            await refreshFoldersAndTags();
+            await refreshNotes();
+            if (!dirty) await reloadCurrentNote();
+          }
+          continue;
+        }
+        await applyChanges(res.events);
       }
-      autoRefreshTimer = null;
+    } finally {
+      changeLoopRunning = false;
     }
-    if (visibilityHandler && typeof document !== 'undefined' && document.removeEventListener) {
+  };
+
+  const stopChangeLoop = () => {
+    if (changeRetryTimer) {
       try {
-        document.removeEventListener('visibilitychange', visibilityHandler);
+        clearTimeout(changeRetryTimer);
       } catch {
         // ignore
       }
+      changeRetryTimer = null;
     }
-    visibilityHandler = null;
-    if (focusHandler && typeof window !== 'undefined' && window.removeEventListener) {
-      try {
-        window.removeEventListener('focus', focusHandler);
-      } catch {
-        // ignore
-      }
-    }
-    focusHandler = null;
   };
 
   const openNote = async (id) => {
@@ -1401,6 +1933,11 @@ export function mount({ container, host, slots }) {
       return false;
     }
     if (disposed || seq !== openNoteSeq) return false;
+    if (res?.locked) {
+      setStatus('Notes: note is encrypted', 'bad');
+      if (await ensureUnlocked()) return await openNote(id);
+      return false;
+    }
     if (!res?.ok) {
       setStatus(`Notes: ${res?.message || 'load failed'}`, 'bad');
       return false;
@@ -1417,24 +1954,153 @@ export function mount({ container, host, slots }) {
     return true;
   };
 
-  const doSave = async () => {
+  const resolveSaveConflict = async (res) => {
+    const serverNote = res?.note || {};
+    const values = await showDialog({
+      title: '保存冲突',
+      description: `「${serverNote.title || currentNote?.title || 'Untitled'}」已在其他地方被修改（${serverNote.updatedAt || ''}）。`,
+      fields: [
+        {
+          name: 'action',
+          label: '处理方式',
+          kind: 'select',
+          options: [
+            { value: 'keep', label: '保留本地修改，暂不保存' },
+            { value: 'overwrite', label: '用本地内容覆盖' },
+            { value: 'reload', label: '放弃本地修改，载入最新版本' },
+          ],
+          value: 'keep',
+        },
+      ],
+      confirmText: '确定',
+    });
+    return normalizeString(values?.action) || 'keep';
+  };
+
+  const openLinkedNote = async (id) => {
+    const noteId = normalizeString(id);
+    if (!noteId || noteId === selectedNoteId) return;
+    if (!(await ensureSafeToSwitch())) return;
+    await openNote(noteId);
+  };
+
+  // date = '' opens today; other days are only created after asking, so browsing never litters the journal
+  const openDailyNote = async (date = '') => {
+    if (!(await ensureSafeToSwitch())) return;
+    let res = null;
+    try {
+      res = await api.getOrCreateDailyNote({ date, create: !date });
+      if (res?.ok && !res.note) {
+        const ok = await confirmDialog(`${res.date} 还没有日记，要创建吗？`, { title: '日记', confirmText: '创建' });
+        if (!ok) return;
+        res = await api.getOrCreateDailyNote({ date });
+      }
+    } catch (err) {
+      setStatus(`Notes: ${err?.message || String(err)}`, 'bad');
+      return;
+    }
+    if (!res?.ok || !res.note) {
+      setStatus(`Notes: ${res?.message || 'open daily note failed'}`, 'bad');
+      return;
+    }
+    if (res.created) {
+      await refreshFoldersAndTags();
+      await refreshNotes();
+    }
+    if (res.note.id !== selectedNoteId) await openNote(res.note.id);
+    setStatus(res.created ? `Notes: created daily note ${res.date}` : `Notes: daily note ${res.date}`, 'ok');
+  };
+
+  const shiftDailyNote = async (days) => {
+    const title = normalizeString(currentNote?.title);
+    if (!DAILY_TITLE_RE.test(title)) return;
+    const [year, month, day] = title.split('-').map(Number);
+    const d = new Date(year, month - 1, day + days);
+    const pad = (n) => String(n).padStart(2, '0');
+    await openDailyNote(`${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`);
+  };
+
+  const showJournalSettings = async () => {
+    let settings = null;
+    let templates = [];
+    try {
+      const [settingsRes, templatesRes] = await Promise.all([api.getJournalSettings(), api.listTemplates()]);
+      if (!settingsRes?.ok) throw new Error(settingsRes?.message || 'load journal settings failed');
+      settings = settingsRes.settings || {};
+      templates = Array.isArray(templatesRes?.templates) ? templatesRes.templates : [];
+    } catch (err) {
+      setStatus(`Notes: ${err?.message || String(err)}`, 'bad');
+      return;
+    }
+    const values = await showDialog({
+      title: '日记设置',
+      description: '文件夹支持 {{year}}、{{month}}、{{day}} 占位符，例如 journal/{{year}}/{{month}}',
+      fields: [
+        { name: 'folder', label: '日记文件夹', kind: 'text', value: settings.folder || '', required: true },
+        {
+          name: 'templateId',
+          label: '模板',
+          kind: 'select',
+          options: [{ value: '', label: '（不使用模板）' }].concat(templates.map((t) => ({ value: t.id, label: t.title || 'Untitled' }))),
+          value: settings.templateId || '',
+        },
+      ],
+      confirmText: '保存',
+    });
+    if (!values) return;
+    const res = await api.updateJournalSettings({ folder: normalizeString(values.folder), templateId: normalizeString(values.templateId) });
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'save journal settings failed'}`, 'bad');
+      return;
+    }
+    setStatus('Notes: journal settings saved', 'ok');
+  };
+
+  const doSave = async ({ force = false, renameFile = true } = {}) => {
     if (!currentNote) return;
     const nextTitle = normalizeString(titleInput.value);
     const nextFolder = normalizeString(folderSelect.value);
     const nextTags = parseTags(tagsInput.value);
     let res = null;
     try {
-      res = await api.updateNote({ id: currentNote.id, title: nextTitle, folder: nextFolder, tags: nextTags, content: currentContent });
+      res = await api.updateNote({
+        id: currentNote.id,
+        title: nextTitle,
+        folder: nextFolder,
+        tags: nextTags,
+        content: currentContent,
+        expectedRevision: force ? undefined : currentNote.revision,
+        renameFile,
+      });
     } catch (err) {
       setStatus(`Notes: ${err?.message || String(err)}`, 'bad');
       return;
     }
+    // the session locked itself while editing; the edits stay in the editor until unlocked
+    if (res?.locked) {
+      setStatus('Notes: notebook is locked', 'bad');
+      if (await ensureUnlocked()) await doSave({ force, renameFile });
+      return;
+    }
+    if (res?.conflict) {
+      setStatus('Notes: note was changed elsewhere', 'bad');
+      const action = await resolveSaveConflict(res);
+      if (action === 'overwrite') {
+        await doSave({ force: true, renameFile });
+      } else if (action === 'reload') {
+        dirty = false;
+        await openNote(currentNote.id);
+        setStatus('Notes: reloaded latest version', 'ok');
+      }
+      return;
+    }
     if (!res?.ok) {
       setStatus(`Notes: ${res?.message || 'save failed'}`, 'bad');
       return;
     }
     currentNote = res.note || currentNote;
     dirty = false;
+    wikiLinkResolver.invalidate();
     setStatus('Notes: saved', 'ok');
     await refreshFoldersAndTags();
     await refreshNotes();
@@ -1443,7 +2109,7 @@ export function mount({ container, host, slots }) {
 
   const doDelete = async () => {
     if (!currentNote) return;
-    const ok = await confirmDialog(`确定删除「${currentNote.title || 'Untitled'}」吗？`, {
+    const ok = await confirmDialog(`确定删除「${currentNote.title || 'Untitled'}」吗？（可在回收站恢复）`, {
       title: '删除笔记',
       danger: true,
       confirmText: '删除',
@@ -1470,6 +2136,609 @@ export function mount({ container, host, slots }) {
     renderEditor(true);
   };
 
+  const showTrash = async () => {
+    if (disposed) return;
+    const refreshAfterChange = async () => {
+      await refreshFoldersAndTags();
+      await refreshNotes();
+    };
+    await showListDialog({
+      title: '回收站',
+      description: '删除的笔记与文件夹会先移入回收站，超过保留期后自动清除。',
+      emptyText: '回收站是空的',
+      loadItems: async () => {
+        const res = await api.listTrash();
+        if (!res?.ok) throw new Error(res?.message || 'list trash failed');
+        const items = Array.isArray(res?.items) ? res.items : [];
+        return items.map((item) => {
+          const isFolder = item?.kind === 'folder';
+          const count = Array.isArray(item?.notes) ? item.notes.length : 0;
+          const where = isFolder ? `${count} 篇笔记` : `原位置：${item?.folder ? item.folder : '根目录'}`;
+          return {
+            title: isFolder ? `文件夹：${item?.folder || ''}` : item?.title || 'Untitled',
+            meta: `${where} · 删除于 ${item?.deletedAt || ''}`,
+            actions: [
+              {
+                label: '恢复',
+                onClick: async () => {
+                  const restoreRes = await api.restoreFromTrash({ id: item.id });
+                  if (!restoreRes?.ok) throw new Error(restoreRes?.message || 'restore failed');
+                  await refreshAfterChange();
+                  setStatus('Notes: restored from trash', 'ok');
+                },
+              },
+              {
+                label: '彻底删除',
+                danger: true,
+                confirm: true,
+                onClick: async () => {
+                  const purgeRes = await api.purgeTrash({ ids: [item.id] });
+                  if (!purgeRes?.ok) throw new Error(purgeRes?.message || 'purge failed');
+                  setStatus('Notes: trash item purged', 'ok');
+                },
+              },
+            ],
+          };
+        });
+      },
+      actions: [
+        {
+          label: '清空回收站',
+          danger: true,
+          confirm: true,
+          onClick: async () => {
+            const res = await api.purgeTrash({ all: true });
+            if (!res?.ok) throw new Error(res?.message || 'purge failed');
+            setStatus('Notes: trash emptied', 'ok');
+          },
+        },
+      ],
+    });
+  };
+
+  const showTasks = async () => {
+    if (disposed) return;
+    let state = 'open';
+    await showListDialog({
+      title: '任务',
+      description: '汇总所有笔记中的 - [ ] 待办（可在任务后写 @due(2026-10-20) 设置截止日期）。',
+      emptyText: '没有任务',
+      loadItems: async () => {
+        const res = await api.listTasks({ state, limit: 500 });
+        if (!res?.ok) throw new Error(res?.message || 'list tasks failed');
+        const tasks = Array.isArray(res?.tasks) ? res.tasks : [];
+        return tasks.map((task) => ({
+          title: `${task.done ? '☑' : '☐'} ${task.text || ''}`,
+          meta: [task.title || 'Untitled', task.folder ? task.folder : '根目录', `第 ${task.line} 行`, task.due ? `截止 ${task.due}` : '']
+            .filter(Boolean)
+            .join(' · '),
+          actions: [
+            {
+              label: task.done ? '重新打开' : '完成',
+              onClick: async () => {
+                const toggleRes = await api.toggleTask({ id: task.noteId, line: task.line, done: !task.done, text: task.text });
+                if (!toggleRes?.ok) throw new Error(toggleRes?.message || 'toggle task failed');
+                if (task.noteId === selectedNoteId && !dirty) await reloadCurrentNote();
+                setStatus(task.done ? 'Notes: task reopened' : 'Notes: task completed', 'ok');
+              },
+            },
+            { label: '打开', close: true, onClick: async () => await openLinkedNote(task.noteId) },
+          ],
+        }));
+      },
+      actions: [
+        {
+          label: '只看未完成',
+          onClick: async () => {
+            state = 'open';
+          },
+        },
+        {
+          label: '显示全部',
+          onClick: async () => {
+            state = 'all';
+          },
+        },
+      ],
+    });
+  };
+
+  const insertIntoEditor = (snippet) => {
+    if (!currentNote) return;
+    if (editorMode !== 'edit') setEditorMode('edit');
+    const value = String(textarea.value ?? '');
+    const start = Number.isInteger(textarea.selectionStart) ? textarea.selectionStart : value.length;
+    const end = Number.isInteger(textarea.selectionEnd) ? textarea.selectionEnd : start;
+    textarea.value = `${value.slice(0, start)}${snippet}${value.slice(end)}`;
+    try {
+      textarea.focus();
+      textarea.setSelectionRange(start + snippet.length, start + snippet.length);
+    } catch {
+      // ignore
+    }
+    currentContent = String(textarea.value ?? '');
+    dirty = true;
+    renderEditor(false);
+  };
+
+  const showAttachments = async () => {
+    if (disposed || !currentNote) return;
+    const noteId = currentNote.id;
+    const afterChange = () => {
+      attachmentResolver.invalidate(noteId);
+      if (currentNote?.id === noteId) renderEditor(false);
+    };
+    await showListDialog({
+      title: '附件',
+      description: `「${currentNote.title || 'Untitled'}」的附件。插入后在 Markdown 中以 attachments/文件名 引用。`,
+      emptyText: '还没有附件',
+      loadItems: async () => {
+        const res = await api.listAttachments({ id: noteId });
+        if (!res?.ok) throw new Error(res?.message || 'list attachments failed');
+        const items = Array.isArray(res?.attachments) ? res.attachments : [];
+        return items.map((attachment) => ({
+          title: attachment?.name || '',
+          meta: `${formatBytes(attachment?.size)} · ${attachment?.mimeType || ''} · ${attachment?.link || ''}`,
+          actions: [
+            {
+              label: '插入',
+              close: true,
+              disabled: currentNote?.id !== noteId,
+              onClick: async () => insertIntoEditor(attachmentMarkdown(attachment)),
+            },
+            {
+              label: '删除',
+              danger: true,
+              confirm: true,
+              onClick: async () => {
+                const delRes = await api.deleteAttachment({ id: noteId, name: attachment.name });
+                if (!delRes?.ok) throw new Error(delRes?.message || 'delete attachment failed');
+                afterChange();
+                setStatus('Notes: attachment deleted', 'ok');
+              },
+            },
+          ],
+        }));
+      },
+      actions: [
+        {
+          label: '上传文件…',
+          onClick: async () => {
+            const files = await pickFiles();
+            for (const file of files) {
+              const dataBase64 = await readFileAsDataUrl(file);
+              const res = await api.addAttachment({ id: noteId, name: file.name, dataBase64 });
+              if (!res?.ok) throw new Error(res?.message || 'add attachment failed');
+            }
+            if (files.length > 0) {
+              afterChange();
+              setStatus(`Notes: ${files.length} attachment(s) added`, 'ok');
+            }
+          },
+        },
+      ],
+    });
+  };
+
+  const PROPERTY_TYPE_LABELS = { string: '文本', number: '数字', date: '日期', boolean: '是/否', list: '列表' };
+
+  const propertyValueText = (value) => (Array.isArray(value) ? value.join(', ') : String(value ?? ''));
+
+  // properties are saved right away; the editor keeps its unsaved text and only takes over the new revision
+  const saveProperties = async (noteId, properties, types) => {
+    const isCurrent = currentNote?.id === noteId;
+    const res = await api.setNoteProperties({
+      id: noteId,
+      properties,
+      types,
+      expectedRevision: isCurrent ? currentNote.revision : undefined,
+    });
+    if (res?.conflict) throw new Error('笔记已在别处修改，请先保存或重新打开后再编辑属性');
+    if (!res?.ok) throw new Error(res?.message || 'set properties failed');
+    if (currentNote?.id === noteId && res.note) {
+      currentNote.revision = res.note.revision;
+      currentNote.updatedAt = res.note.updatedAt;
+      currentNote.properties = res.note.properties;
+      renderEditor(false);
+    }
+    return res;
+  };
+
+  const editProperty = async (noteId, property = null) => {
+    const values = await showDialog({
+      title: property ? '编辑属性' : '添加属性',
+      description: '日期写成 YYYY-MM-DD，列表用逗号分隔。',
+      fields: [
+        { name: 'key', label: '名称', kind: 'text', value: property?.key || '', placeholder: '例如：status', required: true },
+        {
+          name: 'type',
+          label: '类型',
+          kind: 'select',
+          options: Object.entries(PROPERTY_TYPE_LABELS).map(([value, label]) => ({ value, label })),
+          value: property?.type || 'string',
+        },
+        {
+          name: 'value',
+          label: '值',
+          kind: 'text',
+          value: property ? propertyValueText(property.value) : '',
+          placeholder: '例如：open / 3 / 2026-10-19 / true / alice, bob',
+        },
+      ],
+      confirmText: '保存',
+    });
+    if (!values) return;
+    const key = normalizeString(values.key);
+    if (!key) return;
+    const properties = { [key]: values.value };
+    if (property && property.key !== key) properties[property.key] = null;
+    try {
+      await saveProperties(noteId, properties, { [key]: values.type });
+    } catch (err) {
+      setStatus(`Notes: ${err?.message || String(err)}`, 'bad');
+      return;
+    }
+    setStatus('Notes: properties saved', 'ok');
+  };
+
+  const showProperties = async () => {
+    if (disposed || !currentNote) return;
+    const noteId = currentNote.id;
+    // the editor dialog replaces the list, so the list comes back once it closes
+    const editAndReturn = async (property) => {
+      await editProperty(noteId, property);
+      await showProperties();
+    };
+    await showListDialog({
+      title: '属性',
+      description: `「${currentNote.title || 'Untitled'}」的属性，保存在笔记的 front matter 中，可用于按条件筛选笔记。`,
+      emptyText: '还没有属性',
+      loadItems: async () => {
+        const res = await api.getNoteProperties({ id: noteId });
+        if (!res?.ok) throw new Error(res?.message || 'load properties failed');
+        const items = Array.isArray(res?.properties) ? res.properties : [];
+        return items.map((property) => ({
+          title: property.key,
+          meta: `${PROPERTY_TYPE_LABELS[property.type] || property.type} · ${propertyValueText(property.value)}`,
+          actions: [
+            { label: '编辑…', close: true, onClick: async () => await editAndReturn(property) },
+            {
+              label: '删除',
+              danger: true,
+              confirm: true,
+              onClick: async () => {
+                await saveProperties(noteId, { [property.key]: null });
+                setStatus('Notes: property removed', 'ok');
+              },
+            },
+          ],
+        }));
+      },
+      actions: [{ label: '添加属性…', close: true, onClick: async () => await editAndReturn(null) }],
+    });
+  };
+
+  const BACKUP_REASON_LABELS = { scheduled: '定时', manual: '手动', 'pre-restore': '恢复前' };
+  const BACKUP_SCHEDULE_OPTIONS = [
+    { value: 'off', label: '关闭' },
+    { value: 'hourly', label: '每小时' },
+    { value: 'daily', label: '每天' },
+    { value: 'weekly', label: '每周' },
+  ];
+
+  const showBackupSettings = async () => {
+    const res = await api.getBackupSettings();
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'load backup settings failed'}`, 'bad');
+      return;
+    }
+    const values = await showDialog({
+      title: '自动备份',
+      description: `备份保存在：${res.dir || ''}`,
+      fields: [
+        { name: 'schedule', label: '频率', kind: 'select', options: BACKUP_SCHEDULE_OPTIONS, value: res.settings?.schedule || 'off' },
+        { name: 'keep', label: '保留定时备份份数', kind: 'text', value: String(res.settings?.keep ?? ''), required: true },
+      ],
+      confirmText: '保存',
+    });
+    if (!values) return;
+    const saveRes = await api.updateBackupSettings({ schedule: values.schedule, keep: Number(normalizeString(values.keep)) });
+    if (!saveRes?.ok) {
+      setStatus(`Notes: ${saveRes?.message || 'save backup settings failed'}`, 'bad');
+      return;
+    }
+    setStatus('Notes: backup settings saved', 'ok');
+  };
+
+  // restoring replaces all notes; the dry run diff is shown first and the current state is backed up by the backend
+  const restoreFromBackup = async (backup) => {
+    const preview = await api.restoreBackup({ id: backup.id, dryRun: true });
+    if (!preview?.ok) {
+      setStatus(`Notes: ${preview?.message || 'restore failed'}`, 'bad');
+      return;
+    }
+    const { added = [], removed = [], changed = [], unchanged = 0 } = preview.diff || {};
+    const ok = await confirmDialog(
+      `恢复到 ${backup.createdAt || backup.id} 的备份：恢复 ${added.length} 篇已删除的笔记，移除 ${removed.length} 篇之后新建的笔记，回退 ${changed.length} 篇修改过的笔记，${unchanged} 篇不变。当前数据会先自动备份。`,
+      { title: '从备份恢复', danger: true, confirmText: '恢复' }
+    );
+    if (!ok) return;
+    if (!(await ensureSafeToSwitch())) return;
+    setStatus('Notes: restoring backup...', 'bad');
+    const res = await api.restoreBackup({ id: backup.id });
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'restore failed'}`, 'bad');
+      return;
+    }
+    selectedNoteId = '';
+    currentNote = null;
+    currentContent = '';
+    dirty = false;
+    await refreshFoldersAndTags();
+    await refreshNotes();
+    renderEditor(true);
+    setStatus(`Notes: restored backup ${res.id}`, 'ok');
+  };
+
+  const showBackups = async () => {
+    if (disposed) return;
+    await showListDialog({
+      title: '备份',
+      description: '定期备份笔记、附件与索引（不含回收站和历史版本）。恢复前会校验备份，并先备份当前数据。',
+      emptyText: '还没有备份',
+      loadItems: async () => {
+        const res = await api.listBackups();
+        if (!res?.ok) throw new Error(res?.message || 'list backups failed');
+        const backups = Array.isArray(res?.backups) ? res.backups : [];
+        return backups.map((backup) => ({
+          title: `${backup.createdAt ? new Date(backup.createdAt).toLocaleString() : backup.id} · ${BACKUP_REASON_LABELS[backup.reason] || backup.reason || '损坏'}`,
+          meta: backup.broken ? backup.message || '' : `${backup.notes ?? 0} 篇笔记 · ${backup.files ?? 0} 个文件 · ${formatBytes(backup.size || 0)}`,
+          actions: [
+            {
+              label: '校验',
+              disabled: backup.broken === true,
+              onClick: async () => {
+                const res2 = await api.verifyBackup({ id: backup.id });
+                if (!res2?.ok) throw new Error(res2?.message || 'verify failed');
+                if (!res2.valid) throw new Error(res2.problems.map((p) => `${p.path}: ${p.problem}`).join('; '));
+                setStatus(`Notes: backup ${backup.id} is valid (${res2.checked} files)`, 'ok');
+              },
+            },
+            {
+              label: '恢复…',
+              disabled: backup.broken === true,
+              close: true,
+              onClick: async () => await restoreFromBackup(backup),
+            },
+            {
+              label: '删除',
+              danger: true,
+              confirm: true,
+              onClick: async () => {
+                const res2 = await api.deleteBackup({ id: backup.id });
+                if (!res2?.ok) throw new Error(res2?.message || 'delete failed');
+                setStatus('Notes: backup deleted', 'ok');
+              },
+            },
+          ],
+        }));
+      },
+      actions: [
+        {
+          label: '立即备份',
+          onClick: async () => {
+            const res = await api.createBackup();
+            if (!res?.ok) throw new Error(res?.message || 'backup failed');
+            setStatus(`Notes: backup ${res.backup?.id || ''} created`, 'ok');
+          },
+        },
+        { label: '自动备份设置…', close: true, onClick: async () => await showBackupSettings() },
+      ],
+    });
+  };
+
+  const renderNotebookOptions = () => {
+    notebookSelect.innerHTML = '';
+    notebooks.forEach((nb) => {
+      const opt = document.createElement('option');
+      opt.value = nb.id;
+      opt.textContent = nb.name || nb.id;
+      notebookSelect.appendChild(opt);
+    });
+    notebookSelect.value = api.getNotebook() || 'default';
+  };
+
+  const refreshNotebooks = async () => {
+    const res = await api.listNotebooks();
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'load notebooks failed'}`, 'bad');
+      return;
+    }
+    notebooks = Array.isArray(res.notebooks) ? res.notebooks : [];
+    renderNotebookOptions();
+  };
+
+  // everything shown belongs to one notebook, so switching starts from a clean slate
+  const switchNotebook = async (id) => {
+    const next = id === 'default' ? '' : normalizeString(id);
+    if (next === api.getNotebook()) return;
+    if (!(await ensureSafeToSwitch())) {
+      renderNotebookOptions();
+      return;
+    }
+    api.setNotebook(next);
+    renderNotebookOptions();
+    selectedNoteId = '';
+    currentNote = null;
+    currentContent = '';
+    dirty = false;
+    selectedFolder = '';
+    selectedTags = [];
+    activeTreeKey = '';
+    changeCursor = '';
+    noteIndex.clear();
+    wikiLinkResolver.invalidate();
+    setStatus('Notes: switching notebook...', 'bad');
+    const res = await api.init();
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'init failed'}`, 'bad');
+      return;
+    }
+    await refreshFoldersAndTags();
+    await refreshNotes();
+    updateCreateHint();
+    renderEditor(true);
+    const nb = notebooks.find((n) => n.id === (next || 'default'));
+    setStatus(`Notes: notebook ${nb?.name || next || 'default'}`, 'ok');
+  };
+
+  const createNotebook = async () => {
+    const values = await showDialog({
+      title: '新建笔记本',
+      description: '每个笔记本有独立的笔记、索引、回收站与备份。',
+      fields: [
+        { name: 'name', label: '名称', kind: 'text', placeholder: '例如：工作', required: true },
+        { name: 'root', label: '存储目录（可选，绝对路径）', kind: 'text', placeholder: '留空则存放在插件数据目录中' },
+      ],
+      confirmText: '创建',
+    });
+    if (!values) return;
+    const res = await api.createNotebook({ name: values.name, root: values.root || undefined });
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'create notebook failed'}`, 'bad');
+      return;
+    }
+    await refreshNotebooks();
+    await switchNotebook(res.notebook?.id);
+  };
+
+  const renameNotebook = async (nb) => {
+    const values = await showDialog({
+      title: '重命名笔记本',
+      fields: [{ name: 'name', label: '名称', kind: 'text', value: nb.name || '', required: true }],
+      confirmText: '重命名',
+    });
+    if (!values) return;
+    const res = await api.renameNotebook({ notebook: nb.id, name: values.name });
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'rename notebook failed'}`, 'bad');
+      return;
+    }
+    await refreshNotebooks();
+    setStatus('Notes: notebook renamed', 'ok');
+  };
+
+  const deleteNotebook = async (nb) => {
+    // notebooks with their own directory are only removed from the list
+    const values = await showDialog({
+      title: '删除笔记本',
+      description: nb.ownRoot ? `「${nb.name}」将从列表中移除，${nb.root} 中的文件会保留。` : `删除笔记本「${nb.name}」？`,
+      fields: nb.ownRoot
+        ? []
+        : [
+            {
+              name: 'mode',
+              label: '删除方式',
+              kind: 'select',
+              value: 'forget',
+              options: [
+                { value: 'forget', label: '仅从列表移除（保留文件）' },
+                { value: 'files', label: '同时删除全部笔记文件（不可恢复）' },
+              ],
+            },
+          ],
+      confirmText: '删除',
+      danger: true,
+    });
+    if (!values) return;
+    const res = await api.deleteNotebook({ notebook: nb.id, deleteFiles: values.mode === 'files' });
+    if (!res?.ok) {
+      setStatus(`Notes: ${res?.message || 'delete notebook failed'}`, 'bad');
+      return;
+    }
+    if (nb.id === (api.getNotebook() || 'default')) {
+      dirty = false;
+      await switchNotebook('default');
+    }
+    await refreshNotebooks();
+    setStatus(res.filesDeleted ? 'Notes: notebook and its files deleted' : 'Notes: notebook removed (files kept)', 'ok');
+  };
+
+  const showNotebooks = async () => {
+    if (disposed) return;
+    await showListDialog({
+      title: '笔记本',
+      description: '每个笔记本有独立的存储目录；切换后所有操作都只作用于当前笔记本。',
+      emptyText: '没有笔记本',
+      loadItems: async () => {
+        await refreshNotebooks();
+        const current = api.getNotebook() || 'default';
+        return notebooks.map((nb) => ({
+          title: `${nb.name}${nb.id === current ? ' · 当前' : ''}`,
+          meta: `${nb.id} · ${nb.root || ''}`,
+          actions: [
+            { label: '切换', disabled: nb.id === current, close: true, onClick: async () => await switchNotebook(nb.id) },
+            { label: '重命名…', close: true, onClick: async () => await renameNotebook(nb) },
+            { label: '删除…', danger: true, disabled: nb.default === true, close: true, onClick: async () => await deleteNotebook(nb) },
+          ],
+        }));
+      },
+      actions: [{ label: '新建笔记本…', close: true, onClick: async () => await createNotebook() }],
+    });
+  };
+
+  const INTEGRITY_KIND_LABELS = {
+    staleLock: ['残留锁文件', '删除锁文件'],
+    duplicateIndexEntry: ['索引中的重复条目', '去重'],
+    misplacedFile: ['文件位置与索引不一致', '按文件实际位置更新索引'],
+    missingFile: ['索引条目缺少文件', '从索引中移除'],
+    duplicateFile: ['重复的笔记文件', '多余副本移入回收站'],
+    orphanFile: ['未被索引的笔记文件', '加入索引'],
+    tempFile: ['残留的临时文件', '删除'],
+  };
+
+  const showMaintenance = async () => {
+    if (disposed) return;
+    await showListDialog({
+      title: '数据维护',
+      description: '检查索引与 notes 目录是否一致。修复会按每类问题的处理方式执行，多余的副本会移入回收站。',
+      emptyText: '未发现问题，索引与笔记文件一致',
+      loadItems: async () => {
+        const res = await api.checkIntegrity();
+        if (!res?.ok) throw new Error(res?.message || 'check failed');
+        const issues = Array.isArray(res?.issues) ? res.issues : [];
+        return issues.map((issue) => {
+          const [label, fix] = INTEGRITY_KIND_LABELS[issue?.kind] || [issue?.kind || '问题', '修复'];
+          return {
+            title: `${label}：${issue?.file || issue?.id || ''}`,
+            meta: `${issue?.message || ''} · 修复方式：${fix}`,
+            actions: [],
+          };
+        });
+      },
+      actions: [
+        { label: '备份…', close: true, onClick: async () => await showBackups() },
+        { label: '锁定加密笔记', close: true, onClick: async () => await lockEncryptedNotes() },
+        { label: '重新检查', onClick: async () => {} },
+        {
+          label: '全部修复',
+          danger: true,
+          confirm: true,
+          onClick: async () => {
+            const res = await api.checkIntegrity({ repair: true });
+            if (!res?.ok) throw new Error(res?.message || 'repair failed');
+            const issues = Array.isArray(res?.issues) ? res.issues : [];
+            const failed = issues.filter((issue) => issue?.fixed === false);
+            await refreshFoldersAndTags();
+            await refreshNotes();
+            if (failed.length > 0) throw new Error(failed.map((issue) => issue?.error || issue?.message).join('; '));
+            setStatus(`Notes: repaired ${issues.length} issue(s)`, 'ok');
+          },
+        },
+      ],
+    });
+  };
+
   btnNewFolder.addEventListener('click', async () => {
     if (disposed) return;
     const values = await showDialog({
@@ -1516,34 +2785,42 @@ export function mount({ container, host, slots }) {
   btnNewNote.addEventListener('click', async () => {
     if (disposed) return;
     if (!(await ensureSafeToSwitch())) return;
-    const values = await showDialog({
-      title: '新建笔记',
-      description: `目标文件夹：${selectedFolder ? selectedFolder : '根目录'}`,
-      fields: [{ name: 'title', label: '标题', kind: 'text', value: '', placeholder: '可空' }],
-      confirmText: '创建',
-    });
-    if (!values) return;
-    const title = normalizeString(values.title);
-    setStatus('Notes: creating note...', 'bad');
-    let res = null;
+    await promptNewNote(selectedFolder);
+  });
+
+  btnSave.addEventListener('click', () => doSave());
+  btnTrash.addEventListener('click', () => showTrash());
+  btnTasks.addEventListener('click', () => showTasks());
+  btnToday.addEventListener('click', () => openDailyNote());
+  btnToday.addEventListener('contextmenu', (ev) => {
     try {
-      res = await api.createNote({ folder: selectedFolder, title });
-    } catch (err) {
-      setStatus(`Notes: ${err?.message || String(err)}`, 'bad');
-      return;
+      ev.preventDefault();
+    } catch {
+      // ignore
     }
-    if (!res?.ok) {
-      setStatus(`Notes: ${res?.message || 'create note failed'}`, 'bad');
+    showJournalSettings();
+  });
+  btnPrevDay.addEventListener('click', () => shiftDailyNote(-1));
+  btnNextDay.addEventListener('click', () => shiftDailyNote(1));
+  preview.addEventListener('click', (ev) => {
+    const link = ev?.target?.closest?.('a.np-wikilink');
+    if (!link) return;
+    try {
+      ev.preventDefault();
+    } catch {
+      // ignore
+    }
+    if (link.dataset.noteId) {
+      openLinkedNote(link.dataset.noteId);
       return;
     }
-    await refreshFoldersAndTags();
-    await refreshNotes();
-    const id = res?.note?.id || '';
-    if (id) await openNote(id);
-    setStatus('Notes: note created', 'ok');
+    setStatus(`Notes: linked note not found: ${link.dataset.target || ''}`, 'bad');
   });
-
-  btnSave.addEventListener('click', () => doSave());
+  btnAttachments.addEventListener('click', () => showAttachments());
+  btnProperties.addEventListener('click', () => showProperties());
+  btnMaintenance.addEventListener('click', () => showMaintenance());
+  btnNotebooks.addEventListener('click', () => showNotebooks());
+  notebookSelect.addEventListener('change', () => switchNotebook(notebookSelect.value));
   btnDelete.addEventListener('click', () => doDelete());
   btnToggleEdit.addEventListener('click', () => {
     if (disposed || !currentNote) return;
@@ -1703,6 +2980,7 @@ export function mount({ container, host, slots }) {
     }
     setControlsEnabled(false);
     try {
+      await refreshNotebooks();
       const res = await api.init();
       if (!res?.ok) {
         setStatus(`Notes: ${res?.message || 'init failed'}`, 'bad');
@@ -1713,7 +2991,7 @@ export function mount({ container, host, slots }) {
       updateCreateHint();
       setStatus('Notes: ready', 'ok');
       setControlsEnabled(true);
-      startAutoRefresh();
+      runChangeLoop();
       renderEditor(true);
     } catch (err) {
       setStatus(`Notes: ${err?.message || String(err)}`, 'bad');
@@ -1751,7 +3029,7 @@ export function mount({ container, host, slots }) {
       }
       layoutResizeHandler = null;
     }
-    stopAutoRefresh();
+    stopChangeLoop();
     closeActiveLayer();
   };
 }
@@ -164,7 +164,7 @@ export function createNotepadLayerManager({ getDisposed, setStatus } = {}) {
         row.appendChild(label);
 
         let control = null;
-        const kind = field.kind === 'select' ? 'select' : 'text';
+        const kind = field.kind === 'select' || field.kind === 'password' ? field.kind : 'text';
         if (kind === 'select') {
           const select = document.createElement('select');
           select.className = 'np-select';
@@ -182,7 +182,8 @@ export function createNotepadLayerManager({ getDisposed, setStatus } = {}) {
         } else {
           const input = document.createElement('input');
           input.className = 'np-input';
-          input.type = 'text';
+          input.type = kind === 'password' ? 'password' : 'text';
+          if (kind === 'password') input.autocomplete = 'off';
           input.placeholder = typeof field.placeholder === 'string' ? field.placeholder : '';
           input.value = typeof field.value === 'string' ? field.value : '';
           control = input;
@@ -193,6 +194,7 @@ export function createNotepadLayerManager({ getDisposed, setStatus } = {}) {
         inputs.push({
           name,
           required: field.required === true,
+          kind,
           control,
           label: typeof field.label === 'string' ? field.label : name,
         });
@@ -239,7 +241,8 @@ export function createNotepadLayerManager({ getDisposed, setStatus } = {}) {
         const values = {};
         for (const it of inputs) {
           const raw = it?.control?.value;
-          const value = typeof raw === 'string' ? raw.trim() : String(raw ?? '').trim();
+          // passphrases are taken verbatim, leading and trailing spaces included
+          const value = it.kind === 'password' ? String(raw ?? '') : typeof raw === 'string' ? raw.trim() : String(raw ?? '').trim();
           if (it.required && !value) {
             errorEl.textContent = `请填写：${it.label}`;
             try {
@@ -316,6 +319,207 @@ export function createNotepadLayerManager({ getDisposed, setStatus } = {}) {
       }
     });
 
+  const showListDialog = ({
+    title,
+    description = '',
+    emptyText = '暂无内容',
+    loadItems,
+    actions = [],
+    closeText = '关闭',
+  } = {}) =>
+    new Promise((resolve) => {
+      if (isDisposed()) return resolve(null);
+      closeActiveLayer();
+
+      const overlay = document.createElement('div');
+      overlay.className = 'np-modal-overlay';
+      const modal = document.createElement('div');
+      modal.className = 'np-modal np-modal-wide';
+
+      const header = document.createElement('div');
+      header.className = 'np-modal-header';
+      header.textContent = typeof title === 'string' && title.trim() ? title.trim() : '列表';
+
+      const body = document.createElement('div');
+      body.className = 'np-modal-body';
+
+      const desc = document.createElement('div');
+      desc.className = 'np-modal-desc';
+      desc.textContent = typeof description === 'string' ? description : '';
+      if (desc.textContent.trim()) {
+        body.appendChild(desc);
+      }
+
+      const list = document.createElement('div');
+      list.className = 'np-list np-modal-list';
+      body.appendChild(list);
+
+      const errorEl = document.createElement('div');
+      errorEl.className = 'np-modal-error';
+      errorEl.textContent = '';
+      body.appendChild(errorEl);
+
+      const footer = document.createElement('div');
+      footer.className = 'np-modal-actions';
+
+      let busy = false;
+
+      const cleanup = () => {
+        try {
+          document.removeEventListener('keydown', onKeyDown, true);
+        } catch {
+          // ignore
+        }
+        try {
+          overlay.remove();
+        } catch {
+          // ignore
+        }
+        if (activeLayer?.overlay === overlay) activeLayer = null;
+      };
+
+      const close = (result) => {
+        cleanup();
+        resolve(result);
+      };
+
+      const onKeyDown = (ev) => {
+        if (ev?.key !== 'Escape') return;
+        try {
+          ev.preventDefault();
+        } catch {
+          // ignore
+        }
+        close(null);
+      };
+
+      // actions with confirm=true need a second click, since a nested dialog would replace this layer
+      const createActionButton = (action, run) => {
+        const label = typeof action?.label === 'string' ? action.label : '';
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'np-btn';
+        btn.textContent = label;
+        btn.disabled = action?.disabled === true;
+        btn.dataset.variant = action?.danger === true ? 'danger' : '';
+        let armed = false;
+        btn.addEventListener('click', async () => {
+          if (btn.disabled || busy) return;
+          if (action?.confirm === true && !armed) {
+            armed = true;
+            btn.textContent = `确认${label}？`;
+            return;
+          }
+          armed = false;
+          btn.textContent = label;
+          if (action?.close === true) {
+            close(null);
+            try {
+              await action?.onClick?.();
+            } catch (err) {
+              safeSetStatus(setStatus, `Notes: ${err?.message || String(err)}`);
+            }
+            return;
+          }
+          await run(action);
+        });
+        return btn;
+      };
+
+      const runAction = async (action) => {
+        busy = true;
+        errorEl.textContent = '';
+        try {
+          await action?.onClick?.();
+        } catch (err) {
+          errorEl.textContent = err?.message || String(err);
+        } finally {
+          busy = false;
+        }
+        await reload();
+      };
+
+      const renderItems = (items) => {
+        list.textContent = '';
+        const rows = Array.isArray(items) ? items : [];
+        if (rows.length === 0) {
+          const empty = document.createElement('div');
+          empty.className = 'np-meta';
+          empty.textContent = emptyText;
+          list.appendChild(empty);
+          return;
+        }
+        rows.forEach((item) => {
+          if (!item || typeof item !== 'object') return;
+          const row = document.createElement('div');
+          row.className = 'np-item np-item-static';
+
+          const titleEl = document.createElement('div');
+          titleEl.className = 'np-item-title';
+          titleEl.textContent = typeof item.title === 'string' ? item.title : '';
+          row.appendChild(titleEl);
+
+          if (typeof item.meta === 'string' && item.meta) {
+            const metaEl = document.createElement('div');
+            metaEl.className = 'np-item-meta';
+            metaEl.textContent = item.meta;
+            row.appendChild(metaEl);
+          }
+
+          const itemActions = Array.isArray(item.actions) ? item.actions : [];
+          if (itemActions.length > 0) {
+            const actionRow = document.createElement('div');
+            actionRow.className = 'np-row np-item-actions';
+            itemActions.forEach((action) => actionRow.appendChild(createActionButton(action, runAction)));
+            row.appendChild(actionRow);
+          }
+          list.appendChild(row);
+        });
+      };
+
+      const reload = async () => {
+        if (typeof loadItems !== 'function') return renderItems([]);
+        try {
+          renderItems(await loadItems());
+        } catch (err) {
+          renderItems([]);
+          errorEl.textContent = err?.message || String(err);
+        }
+      };
+
+      (Array.isArray(actions) ? actions : []).forEach((action) => {
+        if (typeof action?.label !== 'string' || !action.label) return;
+        footer.appendChild(createActionButton(action, runAction));
+      });
+
+      const btnClose = document.createElement('button');
+      btnClose.type = 'button';
+      btnClose.className = 'np-btn';
+      btnClose.textContent = closeText || '关闭';
+      btnClose.addEventListener('click', () => close(null));
+      footer.appendChild(btnClose);
+
+      overlay.addEventListener('mousedown', (ev) => {
+        if (ev?.target !== overlay) return;
+        close(null);
+      });
+
+      modal.appendChild(header);
+      modal.appendChild(body);
+      modal.appendChild(footer);
+      overlay.appendChild(modal);
+      document.body.appendChild(overlay);
+      document.addEventListener('keydown', onKeyDown, true);
+
+      activeLayer = { overlay, dispose: () => close(null) };
+
+      const loading = document.createElement('div');
+      loading.className = 'np-meta';
+      loading.textContent = '加载中…';
+      list.appendChild(loading);
+      reload();
+    });
+
   const confirmDialog = async (message, options = {}) => {
     const res = await showDialog({
       title: options?.title || '确认',
@@ -332,6 +536,7 @@ export function createNotepadLayerManager({ getDisposed, setStatus } = {}) {
     closeActiveLayer,
     showMenu,
     showDialog,
+    showListDialog,
     confirmDialog,
   };
 }
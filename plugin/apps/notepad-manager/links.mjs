@@ -0,0 +1,44 @@
+// [[links]] are rendered unresolved by markdown.mjs; targets are looked up in batches so
+// unsaved edits show broken links immediately
+export function createWikiLinkResolver({ api }) {
+  let cache = new Map();
+
+  const apply = (node, note) => {
+    if (note?.id) {
+      node.dataset.noteId = note.id;
+      node.classList.remove('np-wikilink-broken');
+      node.title = note.folder ? `${note.folder}/${note.title}` : note.title || '';
+    } else {
+      delete node.dataset.noteId;
+      node.classList.add('np-wikilink-broken');
+      node.title = '笔记不存在';
+    }
+  };
+
+  const resolveIn = async (rootEl) => {
+    if (!rootEl) return;
+    const nodes = Array.from(rootEl.querySelectorAll('a.np-wikilink[data-target]'));
+    if (nodes.length === 0) return;
+    const missing = Array.from(new Set(nodes.map((n) => n.dataset.target).filter((t) => t && !cache.has(t))));
+    if (missing.length > 0) {
+      const generation = cache;
+      let res = null;
+      try {
+        res = await api.resolveLinks({ targets: missing });
+      } catch {
+        res = null;
+      }
+      if (!res?.ok || generation !== cache) return;
+      missing.forEach((t) => cache.set(t, res.links?.[t] || null));
+    }
+    nodes.forEach((node) => {
+      if (node.isConnected && cache.has(node.dataset.target)) apply(node, cache.get(node.dataset.target));
+    });
+  };
+
+  const invalidate = () => {
+    cache = new Map();
+  };
+
+  return { resolveIn, invalidate };
+}
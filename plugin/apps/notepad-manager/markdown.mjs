@@ -12,6 +12,10 @@ function renderInlineMd(text) {
   out = out.replace(/`([^`]+?)`/g, '<code>$1</code>');
   out = out.replace(/\*\*([^*]+?)\*\*/g, '<strong>$1</strong>');
   out = out.replace(/\*([^*]+?)\*/g, '<em>$1</em>');
+  out = out.replace(
+    /\[\[([^[\]|]+?)(?:\|([^[\]]+?))?\]\]/g,
+    (_m, target, label) => `<a href="#" class="np-wikilink" data-target="${target.trim()}">${(label || target).trim()}</a>`
+  );
   out = out.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '<img alt="$1" src="$2" />');
   out = out.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noreferrer">$1</a>');
   return out;
@@ -3221,8 +3221,8 @@ var require_utils = __commonJS({
       }
       return ind;
     }
-    function removeDotSegments(path3) {
-      let input = path3;
+    function removeDotSegments(path4) {
+      let input = path4;
       const output = [];
       let nextSlash = -1;
       let len = 0;
@@ -3421,8 +3421,8 @@ var require_schemes = __commonJS({
         wsComponent.secure = void 0;
       }
       if (wsComponent.resourceName) {
-        const [path3, query] = wsComponent.resourceName.split("?");
-        wsComponent.path = path3 && path3 !== "/" ? path3 : void 0;
+        const [path4, query] = wsComponent.resourceName.split("?");
+        wsComponent.path = path4 && path4 !== "/" ? path4 : void 0;
         wsComponent.query = query;
         wsComponent.resourceName = void 0;
       }
@@ -6775,12 +6775,12 @@ var require_dist = __commonJS({
         throw new Error(`Unknown format "${name}"`);
       return f;
     };
-    function addFormats(ajv, list, fs3, exportName) {
+    function addFormats(ajv, list, fs4, exportName) {
       var _a2;
       var _b;
       (_a2 = (_b = ajv.opts.code).formats) !== null && _a2 !== void 0 ? _a2 : _b.formats = (0, codegen_1._)`require("ajv-formats/dist/formats").${exportName}`;
       for (const f of list)
-        ajv.addFormat(f, fs3[f]);
+        ajv.addFormat(f, fs4[f]);
     }
     module.exports = exports = formatsPlugin;
     Object.defineProperty(exports, "__esModule", { value: true });
@@ -7147,8 +7147,8 @@ function getErrorMap() {
 
 // node_modules/zod/v3/helpers/parseUtil.js
 var makeIssue = (params) => {
-  const { data, path: path3, errorMaps, issueData } = params;
-  const fullPath = [...path3, ...issueData.path || []];
+  const { data, path: path4, errorMaps, issueData } = params;
+  const fullPath = [...path4, ...issueData.path || []];
   const fullIssue = {
     ...issueData,
     path: fullPath
@@ -7263,11 +7263,11 @@ var errorUtil;
 
 // node_modules/zod/v3/types.js
 var ParseInputLazyPath = class {
-  constructor(parent, value, path3, key) {
+  constructor(parent, value, path4, key) {
     this._cachedPath = [];
     this.parent = parent;
     this.data = value;
-    this._path = path3;
+    this._path = path4;
     this._key = key;
   }
   get path() {
@@ -11191,10 +11191,10 @@ function mergeDefs(...defs) {
 function cloneDef(schema) {
   return mergeDefs(schema._zod.def);
 }
-function getElementAtPath(obj, path3) {
-  if (!path3)
+function getElementAtPath(obj, path4) {
+  if (!path4)
     return obj;
-  return path3.reduce((acc, key) => acc?.[key], obj);
+  return path4.reduce((acc, key) => acc?.[key], obj);
 }
 function promiseAllObject(promisesObj) {
   const keys = Object.keys(promisesObj);
@@ -11577,11 +11577,11 @@ function aborted(x, startIndex = 0) {
   }
   return false;
 }
-function prefixIssues(path3, issues) {
+function prefixIssues(path4, issues) {
   return issues.map((iss) => {
     var _a2;
     (_a2 = iss).path ?? (_a2.path = []);
-    iss.path.unshift(path3);
+    iss.path.unshift(path4);
     return iss;
   });
 }
@@ -11764,7 +11764,7 @@ function formatError(error48, mapper = (issue2) => issue2.message) {
 }
 function treeifyError(error48, mapper = (issue2) => issue2.message) {
   const result = { errors: [] };
-  const processError = (error49, path3 = []) => {
+  const processError = (error49, path4 = []) => {
     var _a2, _b;
     for (const issue2 of error49.issues) {
       if (issue2.code === "invalid_union" && issue2.errors.length) {
@@ -11774,7 +11774,7 @@ function treeifyError(error48, mapper = (issue2) => issue2.message) {
       } else if (issue2.code === "invalid_element") {
         processError({ issues: issue2.issues }, issue2.path);
       } else {
-        const fullpath = [...path3, ...issue2.path];
+        const fullpath = [...path4, ...issue2.path];
         if (fullpath.length === 0) {
           result.errors.push(mapper(issue2));
           continue;
@@ -11806,8 +11806,8 @@ function treeifyError(error48, mapper = (issue2) => issue2.message) {
 }
 function toDotPath(_path) {
   const segs = [];
-  const path3 = _path.map((seg) => typeof seg === "object" ? seg.key : seg);
-  for (const seg of path3) {
+  const path4 = _path.map((seg) => typeof seg === "object" ? seg.key : seg);
+  for (const seg of path4) {
     if (typeof seg === "number")
       segs.push(`[${seg}]`);
     else if (typeof seg === "symbol")
@@ -24213,13 +24213,13 @@ function resolveRef(ref, ctx) {
   if (!ref.startsWith("#")) {
     throw new Error("External $ref is not supported, only local refs (#/...) are allowed");
   }
-  const path3 = ref.slice(1).split("/").filter(Boolean);
-  if (path3.length === 0) {
+  const path4 = ref.slice(1).split("/").filter(Boolean);
+  if (path4.length === 0) {
     return ctx.rootSchema;
   }
   const defsKey = ctx.version === "draft-2020-12" ? "$defs" : "definitions";
-  if (path3[0] === defsKey) {
-    const key = path3[1];
+  if (path4[0] === defsKey) {
+    const key = path4[1];
     if (!key || !ctx.defs[key]) {
       throw new Error(`Reference not found: ${ref}`);
     }
@@ -29927,654 +29927,4965 @@ var StdioServerTransport = class {
 };
 
 // plugin/shared/notepad-store.mjs
-import crypto from "crypto";
-import fs from "fs";
-import path from "path";
-var INDEX_VERSION = 1;
-var DEFAULT_LOCK_TIMEOUT_MS = 1e4;
-var DEFAULT_LOCK_STALE_MS = 3e4;
-var DEFAULT_LOCK_POLL_MS = 25;
-function normalizeString(value) {
-  return typeof value === "string" ? value.trim() : "";
-}
-function normalizeOptionalString(value) {
-  const out = normalizeString(value);
-  return out ? out : "";
-}
-function normalizeTag(value) {
-  const tag = normalizeString(value);
-  if (!tag) return "";
-  return tag;
-}
-function uniqTags(tags) {
-  const out = [];
-  const seen = /* @__PURE__ */ new Set();
-  (Array.isArray(tags) ? tags : []).forEach((t) => {
-    const tag = normalizeTag(t);
-    if (!tag) return;
-    const key = tag.toLowerCase();
-    if (seen.has(key)) return;
-    seen.add(key);
-    out.push(tag);
-  });
-  return out;
-}
-function isValidPathSegment(seg) {
-  const s = String(seg || "").trim();
-  if (!s) return false;
-  if (s === "." || s === "..") return false;
-  if (/[<>:"/\\|?*\0]/.test(s)) return false;
-  if (/[\u0000-\u001f]/.test(s)) return false;
-  return true;
-}
-function normalizeFolderPath(value) {
-  const raw = normalizeOptionalString(value).replace(/\\/g, "/");
-  if (!raw) return "";
-  const cleaned = raw.replace(/^\/+|\/+$/g, "");
-  if (!cleaned) return "";
-  const parts = cleaned.split("/").filter(Boolean);
-  for (const part of parts) {
-    if (!isValidPathSegment(part)) {
-      throw new Error(`Invalid folder segment: ${part}`);
+import crypto3 from "crypto";
+import fs2 from "fs";
+import path2 from "path";
+
+// plugin/shared/notepad-frontmatter.mjs
+var FENCE = "---";
+function isPlainObject3(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+function countIndent(line) {
+  const match = String(line || "").match(/^ */);
+  return match ? match[0].length : 0;
+}
+function isBlankOrComment(line) {
+  const trimmed = String(line || "").trim();
+  return !trimmed || trimmed.startsWith("#");
+}
+function stripInlineComment(value) {
+  const text = String(value || "");
+  const idx = text.search(/\s#/);
+  return idx >= 0 ? text.slice(0, idx).trimEnd() : text;
+}
+function parseQuoted(text) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text.slice(1, -1);
+    }
+  }
+  return text.slice(1, -1).replace(/''/g, "'");
+}
+function splitFlowItems(inner) {
+  const items = [];
+  let current = "";
+  let quote = "";
+  let depth = 0;
+  for (let i = 0; i < inner.length; i += 1) {
+    const ch = inner[i];
+    if (quote) {
+      current += ch;
+      if (ch === "\\" && quote === '"' && i + 1 < inner.length) {
+        current += inner[i + 1];
+        i += 1;
+      } else if (ch === quote) {
+        quote = "";
+      }
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+      continue;
     }
+    if (ch === "[" || ch === "{") depth += 1;
+    if (ch === "]" || ch === "}") depth -= 1;
+    if (ch === "," && depth === 0) {
+      items.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += ch;
   }
-  return parts.join("/");
-}
-function splitFolder(folder) {
-  const f = normalizeOptionalString(folder).replace(/\\/g, "/");
-  if (!f) return [];
-  return f.split("/").filter(Boolean);
+  if (current.trim()) items.push(current.trim());
+  return items;
 }
-function joinPosix(...parts) {
-  const filtered = parts.filter((p) => typeof p === "string" && p.trim());
-  return path.posix.join(...filtered);
-}
-function nowIso() {
-  return (/* @__PURE__ */ new Date()).toISOString();
-}
-async function ensureDir(dirPath) {
-  const p = normalizeOptionalString(dirPath);
-  if (!p) return;
-  await fs.promises.mkdir(p, { recursive: true });
-}
-async function isDirectory(dirPath) {
-  try {
-    const stat = await fs.promises.stat(dirPath);
-    return stat.isDirectory();
-  } catch {
-    return false;
+function parseScalar(raw) {
+  const text = String(raw ?? "").trim();
+  if (!text) return "";
+  if (text.startsWith('"') && text.endsWith('"') && text.length >= 2 || text.startsWith("'") && text.endsWith("'") && text.length >= 2) {
+    return parseQuoted(text);
   }
-}
-async function isFile(filePath) {
-  try {
-    const stat = await fs.promises.stat(filePath);
-    return stat.isFile();
-  } catch {
-    return false;
+  if (text.startsWith("[") && text.endsWith("]")) {
+    return splitFlowItems(text.slice(1, -1)).map((item) => parseScalar(item));
   }
-}
-async function atomicWriteText(filePath, text) {
-  const target = normalizeOptionalString(filePath);
-  if (!target) throw new Error("filePath is required");
-  const dir = path.dirname(target);
-  await ensureDir(dir);
-  const base = path.basename(target);
-  const tmp = path.join(dir, `.${base}.${process.pid}.${Date.now().toString(36)}.tmp`);
-  await fs.promises.writeFile(tmp, String(text ?? ""), "utf8");
-  try {
-    await fs.promises.rename(tmp, target);
-  } catch (err) {
-    try {
-      await fs.promises.unlink(target);
-      await fs.promises.rename(tmp, target);
-    } catch (err2) {
-      try {
-        await fs.promises.unlink(tmp);
-      } catch {
+  if (text.startsWith("{") && text.endsWith("}")) {
+    const out = {};
+    splitFlowItems(text.slice(1, -1)).forEach((pair) => {
+      const idx = pair.indexOf(":");
+      if (idx <= 0) return;
+      const key = String(parseScalar(pair.slice(0, idx)));
+      out[key] = parseScalar(pair.slice(idx + 1));
+    });
+    return out;
+  }
+  const plain = stripInlineComment(text);
+  if (plain === "~" || plain === "null" || plain === "Null" || plain === "NULL") return null;
+  if (/^(true|True|TRUE)$/.test(plain)) return true;
+  if (/^(false|False|FALSE)$/.test(plain)) return false;
+  if (/^[-+]?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(plain)) {
+    const num = Number(plain);
+    if (Number.isFinite(num) && Math.abs(num) <= Number.MAX_SAFE_INTEGER) return num;
+  }
+  return plain;
+}
+function readBlockScalar(lines, start, parentIndent, style) {
+  const collected = [];
+  let i = start;
+  let blockIndent = -1;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      collected.push("");
+      i += 1;
+      continue;
+    }
+    const indent = countIndent(line);
+    if (indent <= parentIndent) break;
+    if (blockIndent < 0) blockIndent = indent;
+    collected.push(line.slice(Math.min(indent, blockIndent)));
+    i += 1;
+  }
+  while (collected.length && !collected[collected.length - 1]) collected.pop();
+  const text = style.startsWith(">") ? collected.join(" ").replace(/ {2,}/g, " ") : collected.join("\n");
+  return { value: style.endsWith("-") ? text : `${text}
+`, next: i };
+}
+function parseBlock(lines, start, indent) {
+  let i = start;
+  while (i < lines.length && isBlankOrComment(lines[i])) i += 1;
+  if (i >= lines.length) return { value: null, next: i };
+  const first = lines[i].slice(indent);
+  if (first.startsWith("- ") || first === "-") {
+    const list = [];
+    while (i < lines.length) {
+      if (isBlankOrComment(lines[i])) {
+        i += 1;
+        continue;
       }
-      throw err2;
+      const lineIndent = countIndent(lines[i]);
+      const text = lines[i].slice(lineIndent);
+      if (lineIndent !== indent || !(text.startsWith("- ") || text === "-")) break;
+      const itemText = text === "-" ? "" : text.slice(2).trim();
+      i += 1;
+      if (!itemText) {
+        let j = i;
+        while (j < lines.length && isBlankOrComment(lines[j])) j += 1;
+        const nestedIndent = j < lines.length ? countIndent(lines[j]) : -1;
+        if (nestedIndent <= indent) {
+          list.push(null);
+          continue;
+        }
+        const nested = parseBlock(lines, j, nestedIndent);
+        list.push(nested.value);
+        i = nested.next;
+        continue;
+      }
+      list.push(parseScalar(itemText));
     }
+    return { value: list, next: i };
   }
-}
-async function tryAcquireLock(lockPath) {
-  const p = normalizeOptionalString(lockPath);
-  if (!p) throw new Error("lockPath is required");
-  await ensureDir(path.dirname(p));
-  try {
-    const handle = await fs.promises.open(p, "wx");
-    try {
-      await handle.writeFile(JSON.stringify({ pid: process.pid, startedAt: nowIso() }), { encoding: "utf8" });
-    } catch {
+  const map2 = {};
+  while (i < lines.length) {
+    if (isBlankOrComment(lines[i])) {
+      i += 1;
+      continue;
     }
-    return handle;
-  } catch (err) {
-    if (err?.code === "EEXIST") return null;
-    throw err;
-  }
-}
-async function withFileLock(lockPath, fn, options = {}) {
-  const timeoutMs = Number.isFinite(options.timeoutMs) ? options.timeoutMs : DEFAULT_LOCK_TIMEOUT_MS;
-  const pollMs = Number.isFinite(options.pollMs) ? options.pollMs : DEFAULT_LOCK_POLL_MS;
-  const staleMs = Number.isFinite(options.staleMs) ? options.staleMs : DEFAULT_LOCK_STALE_MS;
-  const start = Date.now();
-  while (true) {
-    const handle = await tryAcquireLock(lockPath);
-    if (handle) {
-      try {
-        return await fn();
-      } finally {
-        try {
-          await handle.close();
-        } catch {
-        }
-        try {
-          await fs.promises.unlink(lockPath);
-        } catch {
-        }
-      }
+    const lineIndent = countIndent(lines[i]);
+    if (lineIndent < indent) break;
+    if (lineIndent > indent) {
+      i += 1;
+      continue;
     }
-    try {
-      const stat = await fs.promises.stat(lockPath);
-      const mtimeMs = typeof stat?.mtimeMs === "number" ? stat.mtimeMs : 0;
-      if (mtimeMs && Date.now() - mtimeMs > staleMs) {
-        await fs.promises.unlink(lockPath);
-        continue;
-      }
-    } catch {
+    const text = lines[i].slice(lineIndent);
+    const match = text.match(/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+    if (!match) {
+      i += 1;
+      continue;
     }
-    if (Date.now() - start > timeoutMs) {
-      throw new Error(`Timed out waiting for lock (${path.basename(lockPath)}).`);
+    const key = String(parseScalar(match[1]));
+    const rest = String(match[2] ?? "").trim();
+    i += 1;
+    if (rest === "|" || rest === ">" || rest === "|-" || rest === ">-") {
+      const block = readBlockScalar(lines, i, indent, rest);
+      map2[key] = block.value;
+      i = block.next;
+      continue;
     }
-    await new Promise((r) => setTimeout(r, pollMs));
+    if (rest && !rest.startsWith("#")) {
+      map2[key] = parseScalar(rest);
+      continue;
+    }
+    let j = i;
+    while (j < lines.length && isBlankOrComment(lines[j])) j += 1;
+    const nextIndent = j < lines.length ? countIndent(lines[j]) : -1;
+    const nextText = j < lines.length ? lines[j].slice(nextIndent) : "";
+    const nestedList = nextIndent === indent && (nextText.startsWith("- ") || nextText === "-");
+    if (j < lines.length && (nextIndent > indent || nestedList)) {
+      const nested = parseBlock(lines, j, nextIndent);
+      map2[key] = nested.value;
+      i = nested.next;
+      continue;
+    }
+    map2[key] = null;
   }
+  return { value: map2, next: i };
 }
-function extractTitleFromMarkdown(markdown) {
-  const text = String(markdown || "").replace(/\r\n/g, "\n");
-  const lines = text.split("\n");
+function isMappingBlock(lines) {
+  let entry = false;
   for (const line of lines) {
-    const trimmed = String(line || "").trim();
-    if (!trimmed) continue;
-    const heading = trimmed.match(/^#{1,6}\s+(.+)$/);
-    if (heading) {
-      return String(heading[1] || "").trim().slice(0, 120) || "";
+    if (!line.trim()) continue;
+    const indent = countIndent(line);
+    const text = line.slice(indent);
+    if (indent > 0 || text.startsWith("- ") || text === "-") {
+      if (!entry) return false;
+      continue;
+    }
+    if (text.startsWith("#")) continue;
+    if (!/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s|$)/.test(text)) return false;
+    entry = true;
+  }
+  return entry;
+}
+function parseFrontMatter(text) {
+  const source = String(text ?? "").replace(/^\uFEFF/, "");
+  const normalized = source.replace(/\r\n/g, "\n");
+  if (!normalized.startsWith(`${FENCE}
+`)) {
+    return { data: {}, body: source, hasFrontMatter: false };
+  }
+  const lines = normalized.split("\n");
+  let end = -1;
+  for (let i = 1; i < lines.length; i += 1) {
+    const line = lines[i].trimEnd();
+    if (line === FENCE || line === "...") {
+      end = i;
+      break;
     }
-    return trimmed.slice(0, 120);
   }
-  return "";
-}
-function normalizeTitle(value) {
-  const title = normalizeOptionalString(value);
-  return title ? title.slice(0, 120) : "";
+  if (end < 0) {
+    return { data: {}, body: source, hasFrontMatter: false };
+  }
+  const block = lines.slice(1, end);
+  let data = null;
+  try {
+    const parsed = isMappingBlock(block) ? parseBlock(block, 0, 0).value : null;
+    data = isPlainObject3(parsed) && Object.keys(parsed).length ? parsed : null;
+  } catch {
+    data = null;
+  }
+  if (!data) {
+    return { data: {}, body: source, hasFrontMatter: false };
+  }
+  let body = lines.slice(end + 1).join("\n");
+  if (body.startsWith("\n")) body = body.slice(1);
+  return { data, body, hasFrontMatter: true };
+}
+function needsQuotes(value) {
+  if (!value) return true;
+  if (value !== value.trim()) return true;
+  if (/^[-?:,[\]{}#&*!|>'"%@`~]/.test(value)) return true;
+  if (/:\s|\s#|[\n\t]/.test(value) || value.endsWith(":")) return true;
+  if (/^(true|false|null|yes|no|on|off)$/i.test(value)) return true;
+  if (/^[-+]?[\d.]+([eE][-+]?\d+)?$/.test(value)) return true;
+  return false;
 }
-function noteFileAbs(notesRoot, folder, id) {
-  const segments = splitFolder(folder);
-  return path.join(notesRoot, ...segments, `${id}.md`);
+function formatScalar(value, { flow = false } = {}) {
+  if (value === null || value === void 0) return "null";
+  if (typeof value === "boolean") return value ? "true" : "false";
+  if (typeof value === "number") return Number.isFinite(value) ? String(value) : "null";
+  const text = String(value);
+  if (flow && /[,[\]{}]/.test(text)) return JSON.stringify(text);
+  return needsQuotes(text) ? JSON.stringify(text) : text;
 }
-function noteFileRel(folder, id) {
-  const folderNorm = normalizeOptionalString(folder).replace(/\\/g, "/");
-  return joinPosix("notes", folderNorm, `${id}.md`);
+function formatEntries(data, indent) {
+  const pad = " ".repeat(indent);
+  const out = [];
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === void 0) return;
+    const name = needsQuotes(key) ? JSON.stringify(key) : key;
+    if (Array.isArray(value)) {
+      const flat = value.every((v) => v === null || typeof v !== "object");
+      if (flat) {
+        out.push(`${pad}${name}: [${value.map((v) => formatScalar(v, { flow: true })).join(", ")}]`);
+        return;
+      }
+      out.push(`${pad}${name}:`);
+      value.forEach((v) => {
+        if (isPlainObject3(v)) {
+          out.push(`${pad}  -`);
+          out.push(...formatEntries(v, indent + 4));
+        } else {
+          out.push(`${pad}  - ${formatScalar(v)}`);
+        }
+      });
+      return;
+    }
+    if (isPlainObject3(value)) {
+      if (Object.keys(value).length === 0) {
+        out.push(`${pad}${name}: {}`);
+        return;
+      }
+      out.push(`${pad}${name}:`);
+      out.push(...formatEntries(value, indent + 2));
+      return;
+    }
+    out.push(`${pad}${name}: ${formatScalar(value)}`);
+  });
+  return out;
 }
-function clone2(value) {
-  return JSON.parse(JSON.stringify(value));
+function stringifyFrontMatter(data, body = "") {
+  const fields = isPlainObject3(data) ? data : {};
+  const lines = formatEntries(fields, 0);
+  const text = String(body ?? "");
+  if (lines.length === 0) return text;
+  return `${FENCE}
+${lines.join("\n")}
+${FENCE}
+
+${text}`;
 }
-function normalizeIndex(index) {
-  const obj = index && typeof index === "object" ? index : {};
-  const version2 = Number(obj.version) || INDEX_VERSION;
-  const rawNotes = Array.isArray(obj.notes) ? obj.notes : [];
-  const notes = [];
-  const seen = /* @__PURE__ */ new Set();
-  rawNotes.forEach((n) => {
-    if (!n || typeof n !== "object") return;
-    const id = normalizeOptionalString(n.id);
-    if (!id) return;
-    if (seen.has(id)) return;
-    seen.add(id);
-    notes.push({
-      id,
-      title: normalizeTitle(n.title),
-      folder: normalizeOptionalString(n.folder).replace(/\\/g, "/"),
-      tags: uniqTags(n.tags),
-      createdAt: normalizeOptionalString(n.createdAt),
-      updatedAt: normalizeOptionalString(n.updatedAt)
-    });
+
+// plugin/shared/notepad-search-index.mjs
+var SEARCH_INDEX_VERSION = 1;
+var TITLE_WEIGHT = 3;
+var PREFIX_WEIGHT = 0.6;
+var BM25_K1 = 1.2;
+var BM25_B = 0.75;
+var MAX_TERM_LENGTH = 64;
+var WORD_RE = /[\p{L}\p{N}_]+/gu;
+var CJK_RANGE = "\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uac00-\\ud7af\\uf900-\\ufaff";
+var CJK_RUN_RE = new RegExp(`([${CJK_RANGE}]+)`);
+var CJK_CHAR_RE = new RegExp(`^[${CJK_RANGE}]`);
+function forEachSegment(text, fn) {
+  const source = String(text ?? "").toLowerCase();
+  const words = source.match(WORD_RE) || [];
+  words.forEach((word) => {
+    word.split(CJK_RUN_RE).filter(Boolean).forEach((segment) => fn(segment, CJK_CHAR_RE.test(segment)));
   });
-  return { version: version2, notes };
 }
-async function listMarkdownFiles(notesRoot, rel = "") {
-  const absDir = rel ? path.join(notesRoot, ...splitFolder(rel)) : notesRoot;
-  let entries = [];
-  try {
-    entries = await fs.promises.readdir(absDir, { withFileTypes: true });
-  } catch {
-    return [];
-  }
-  const results = [];
-  for (const entry of entries) {
-    const name = String(entry?.name || "");
-    if (!name) continue;
-    if (entry.isDirectory()) {
-      const nextRel = rel ? `${rel}/${name}` : name;
-      results.push(...await listMarkdownFiles(notesRoot, nextRel));
-      continue;
+function tokenizeText(text) {
+  const tokens = [];
+  forEachSegment(text, (segment, cjk) => {
+    if (!cjk) {
+      if (segment.length <= MAX_TERM_LENGTH) tokens.push(segment);
+      return;
     }
-    if (!entry.isFile()) continue;
-    if (!name.toLowerCase().endsWith(".md")) continue;
-    const id = name.slice(0, -3);
-    if (!id) continue;
-    const fileAbs = rel ? path.join(notesRoot, ...splitFolder(rel), name) : path.join(notesRoot, name);
-    results.push({ id, folder: rel, fileAbs });
-  }
-  return results;
+    const chars = Array.from(segment);
+    chars.forEach((ch, i) => {
+      tokens.push(ch);
+      if (i + 1 < chars.length) tokens.push(`${ch}${chars[i + 1]}`);
+    });
+  });
+  return tokens;
 }
-async function rebuildIndexFromFilesystem(notesRoot) {
-  const files = await listMarkdownFiles(notesRoot);
-  const now = nowIso();
-  const notes = [];
-  for (const f of files) {
-    let content = "";
-    try {
-      content = await fs.promises.readFile(f.fileAbs, "utf8");
-    } catch {
-      content = "";
+function tokenizeQuery(query) {
+  const out = [];
+  const seen = /* @__PURE__ */ new Set();
+  const push = (term, prefix) => {
+    const key = `${prefix ? "*" : ""}${term}`;
+    if (!term || seen.has(key)) return;
+    seen.add(key);
+    out.push({ term, prefix });
+  };
+  forEachSegment(query, (segment, cjk) => {
+    if (!cjk) {
+      push(segment.slice(0, MAX_TERM_LENGTH), segment.length >= 2);
+      return;
     }
-    let stat = null;
-    try {
-      stat = await fs.promises.stat(f.fileAbs);
-    } catch {
-      stat = null;
+    const chars = Array.from(segment);
+    if (chars.length === 1) {
+      push(chars[0], false);
+      return;
     }
-    const createdAt = stat?.birthtime ? new Date(stat.birthtime).toISOString() : stat?.mtime ? new Date(stat.mtime).toISOString() : now;
-    const updatedAt = stat?.mtime ? new Date(stat.mtime).toISOString() : now;
-    notes.push({
-      id: f.id,
-      title: normalizeTitle(extractTitleFromMarkdown(content)) || "Untitled",
-      folder: normalizeOptionalString(f.folder),
-      tags: [],
-      createdAt,
-      updatedAt
-    });
-  }
-  return { version: INDEX_VERSION, notes };
+    for (let i = 0; i + 1 < chars.length; i += 1) push(`${chars[i]}${chars[i + 1]}`, false);
+  });
+  return out;
 }
-function createNotepadStore({ dataDir } = {}) {
-  const baseDirRaw = normalizeOptionalString(dataDir);
-  if (!baseDirRaw) {
-    throw new Error("dataDir is required");
+function countTerms({ title, body }) {
+  const terms = /* @__PURE__ */ Object.create(null);
+  let length = 0;
+  tokenizeText(title).forEach((t) => {
+    terms[t] = (terms[t] || 0) + TITLE_WEIGHT;
+    length += TITLE_WEIGHT;
+  });
+  tokenizeText(body).forEach((t) => {
+    terms[t] = (terms[t] || 0) + 1;
+    length += 1;
+  });
+  return { terms, length };
+}
+function sameTerms(a, b) {
+  if (!a || a.length !== b.length) return false;
+  const keys = Object.keys(b.terms);
+  return keys.length === Object.keys(a.terms).length && keys.every((term) => a.terms[term] === b.terms[term]);
+}
+function createSearchIndex(json2) {
+  const docs = /* @__PURE__ */ new Map();
+  const postings = /* @__PURE__ */ new Map();
+  let totalLength = 0;
+  const addPostings = (id, doc) => {
+    Object.entries(doc.terms).forEach(([term, tf]) => {
+      let list = postings.get(term);
+      if (!list) {
+        list = /* @__PURE__ */ new Map();
+        postings.set(term, list);
+      }
+      list.set(id, tf);
+    });
+    totalLength += doc.length;
+  };
+  const removeDocument = (id) => {
+    const doc = docs.get(id);
+    if (!doc) return false;
+    Object.keys(doc.terms).forEach((term) => {
+      const list = postings.get(term);
+      if (!list) return;
+      list.delete(id);
+      if (list.size === 0) postings.delete(term);
+    });
+    totalLength -= doc.length;
+    docs.delete(id);
+    return true;
+  };
+  const setDocument = (id, { title = "", body = "" } = {}) => {
+    const key = String(id || "");
+    if (!key) return false;
+    const doc = countTerms({ title, body });
+    if (sameTerms(docs.get(key), doc)) return false;
+    removeDocument(key);
+    docs.set(key, doc);
+    addPostings(key, doc);
+    return true;
+  };
+  const expandTerm = ({ term, prefix }) => {
+    const matches = [];
+    if (postings.has(term)) matches.push({ term, weight: 1 });
+    if (prefix) {
+      postings.forEach((_list, candidate) => {
+        if (candidate !== term && candidate.startsWith(term)) matches.push({ term: candidate, weight: PREFIX_WEIGHT });
+      });
+    }
+    return matches;
+  };
+  const search = (query, { ids } = {}) => {
+    const queryTerms = tokenizeQuery(query);
+    if (queryTerms.length === 0 || docs.size === 0) return [];
+    const allowed = ids instanceof Set ? ids : null;
+    const n = docs.size;
+    const avgLength = totalLength > 0 ? totalLength / n : 1;
+    const scores = /* @__PURE__ */ new Map();
+    const hits = /* @__PURE__ */ new Map();
+    queryTerms.forEach((qt, qi) => {
+      expandTerm(qt).forEach(({ term, weight }) => {
+        const list = postings.get(term);
+        if (!list) return;
+        const df = list.size;
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        list.forEach((tf, id) => {
+          if (allowed && !allowed.has(id)) return;
+          const doc = docs.get(id);
+          const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (doc?.length || 0) / avgLength);
+          const score = weight * idf * (tf * (BM25_K1 + 1) / norm);
+          scores.set(id, (scores.get(id) || 0) + score);
+          let matched = hits.get(id);
+          if (!matched) {
+            matched = /* @__PURE__ */ new Set();
+            hits.set(id, matched);
+          }
+          matched.add(qi);
+        });
+      });
+    });
+    const results = [];
+    scores.forEach((score, id) => {
+      if ((hits.get(id)?.size || 0) < queryTerms.length) return;
+      results.push({ id, score });
+    });
+    results.sort((a, b) => b.score - a.score);
+    return results;
+  };
+  const toJSON = () => {
+    const out = {};
+    docs.forEach((doc, id) => {
+      out[id] = doc;
+    });
+    return { version: SEARCH_INDEX_VERSION, docs: out };
+  };
+  if (json2 && typeof json2 === "object" && json2.version === SEARCH_INDEX_VERSION && json2.docs && typeof json2.docs === "object") {
+    Object.entries(json2.docs).forEach(([id, doc]) => {
+      if (!doc || typeof doc !== "object" || !doc.terms || typeof doc.terms !== "object") return;
+      const normalized = { terms: doc.terms, length: Number(doc.length) || 0 };
+      docs.set(id, normalized);
+      addPostings(id, normalized);
+    });
   }
-  const baseDir = path.resolve(baseDirRaw);
-  const notesRoot = path.join(baseDir, "notes");
-  const indexPath = path.join(baseDir, "notes-index.json");
-  const lockPath = path.join(baseDir, "notes.lock");
-  const loadIndexLocked = async () => {
-    await ensureDir(notesRoot);
-    const exists = await isFile(indexPath);
-    if (!exists) {
-      const rebuilt = await rebuildIndexFromFilesystem(notesRoot);
-      await atomicWriteText(indexPath, JSON.stringify(rebuilt, null, 2));
-      return rebuilt;
+  return {
+    setDocument,
+    removeDocument,
+    search,
+    has: (id) => docs.has(String(id || "")),
+    ids: () => Array.from(docs.keys()),
+    get size() {
+      return docs.size;
+    },
+    toJSON
+  };
+}
+
+// plugin/shared/notepad-change-feed.mjs
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+var MAX_EVENTS = 1e3;
+var DEBOUNCE_MS = 120;
+var FALLBACK_POLL_MS = 3e3;
+var DEFAULT_WAIT_MS = 25e3;
+var MAX_WAIT_MS = 6e4;
+function snapshotNotes(notes) {
+  const map2 = /* @__PURE__ */ new Map();
+  (Array.isArray(notes) ? notes : []).forEach((n) => {
+    if (!n?.id) return;
+    map2.set(n.id, {
+      folder: String(n.folder || ""),
+      title: String(n.title || ""),
+      tags: (Array.isArray(n.tags) ? n.tags : []).join("\n"),
+      updatedAt: String(n.updatedAt || ""),
+      revision: Number(n.revision) || 0,
+      order: `${n.pinned === true ? 1 : 0}:${n.sortOrder ?? ""}`,
+      // watcher events only carry the file name, which follows the title rather than the id
+      file: String(n.fileName || `${n.id}.md`).toLowerCase()
+    });
+  });
+  return map2;
+}
+function diffNoteStates(prev, next, touched = /* @__PURE__ */ new Set()) {
+  const events = [];
+  next.notes.forEach((cur, id) => {
+    const old = prev.notes.get(id);
+    if (!old) {
+      events.push({ type: "note.created", id, folder: cur.folder, revision: cur.revision });
+      return;
+    }
+    if (old.folder !== cur.folder) {
+      events.push({ type: "note.moved", id, folder: cur.folder, previousFolder: old.folder, revision: cur.revision });
+    }
+    const changed = old.title !== cur.title || old.tags !== cur.tags || old.updatedAt !== cur.updatedAt || old.revision !== cur.revision || old.order !== cur.order;
+    if (changed) {
+      events.push({ type: "note.updated", id, folder: cur.folder, revision: cur.revision });
+    } else if (touched.has(cur.file) && old.folder === cur.folder) {
+      events.push({ type: "note.updated", id, folder: cur.folder, revision: cur.revision, external: true });
+    }
+  });
+  prev.notes.forEach((old, id) => {
+    if (!next.notes.has(id)) events.push({ type: "note.deleted", id, folder: old.folder });
+  });
+  const added = next.folders.filter((f) => !prev.folders.includes(f));
+  const removed = prev.folders.filter((f) => !next.folders.includes(f));
+  if (added.length > 0 || removed.length > 0) events.push({ type: "folders.changed", added, removed });
+  return events;
+}
+function createChangeFeed({ baseDir, notesRoot, indexFileName, loadState } = {}) {
+  if (typeof loadState !== "function") throw new Error("loadState is required");
+  const session = crypto.randomBytes(4).toString("hex");
+  const events = [];
+  const waiters = /* @__PURE__ */ new Set();
+  const touched = /* @__PURE__ */ new Set();
+  const watchers = [];
+  const folderWatchers = /* @__PURE__ */ new Map();
+  let seq = 0;
+  let state = null;
+  let started = false;
+  let closed = false;
+  let debounceTimer = null;
+  let pollTimer = null;
+  let folderWatchFailed = false;
+  let refreshChain = Promise.resolve();
+  const cursorOf = (n) => `${session}.${n}`;
+  const wakeWaiters = () => {
+    Array.from(waiters).forEach((wake) => wake());
+  };
+  const refreshOnce = async () => {
+    const loaded = await loadState();
+    const next = {
+      notes: snapshotNotes(loaded?.notes),
+      folders: (Array.isArray(loaded?.folders) ? loaded.folders : []).map((f) => String(f || ""))
+    };
+    const touchedFiles = new Set(touched);
+    touched.clear();
+    syncFolderWatchers(next.folders);
+    if (!state) {
+      state = next;
+      return;
+    }
+    const diff = diffNoteStates(state, next, touchedFiles);
+    state = next;
+    if (diff.length === 0) return;
+    const at = (/* @__PURE__ */ new Date()).toISOString();
+    diff.forEach((event) => {
+      seq += 1;
+      events.push({ ...event, seq, at });
+    });
+    if (events.length > MAX_EVENTS) events.splice(0, events.length - MAX_EVENTS);
+    wakeWaiters();
+  };
+  const refresh = () => {
+    refreshChain = refreshChain.then(refreshOnce).catch(() => {
+    });
+    return refreshChain;
+  };
+  const poke = () => {
+    if (!started || closed) return;
+    if (debounceTimer) clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      debounceTimer = null;
+      refresh();
+    }, DEBOUNCE_MS);
+    debounceTimer.unref?.();
+  };
+  const onNotesEvent = (_eventType, filename) => {
+    const base = path.basename(String(filename || ""));
+    if (!base || base.startsWith(".")) return;
+    if (base.toLowerCase().endsWith(".md")) touched.add(base.toLowerCase());
+    poke();
+  };
+  const openWatcher = (dir, listener) => {
+    try {
+      const watcher = fs.watch(dir, { persistent: false }, listener);
+      watcher.on("error", () => {
+      });
+      return watcher;
+    } catch {
+      return null;
+    }
+  };
+  const closeWatcher = (watcher) => {
+    try {
+      watcher.close();
+    } catch {
+    }
+  };
+  const syncFolderWatchers = (folders) => {
+    if (!started || closed) return;
+    const wanted = new Set(folders);
+    folderWatchers.forEach((watcher, folder) => {
+      if (wanted.has(folder)) return;
+      closeWatcher(watcher);
+      folderWatchers.delete(folder);
+    });
+    wanted.forEach((folder) => {
+      if (folderWatchers.has(folder)) return;
+      const watcher = openWatcher(folder ? path.join(notesRoot, ...folder.split("/")) : notesRoot, onNotesEvent);
+      if (watcher) folderWatchers.set(folder, watcher);
+      else folderWatchFailed = true;
+    });
+  };
+  const start = async () => {
+    if (started || closed) return;
+    started = true;
+    const indexWatcher = openWatcher(baseDir, (_eventType, filename) => {
+      if (String(filename || "") === indexFileName) poke();
+    });
+    if (indexWatcher) watchers.push(indexWatcher);
+    await refresh();
+    if (!indexWatcher || folderWatchFailed) {
+      pollTimer = setInterval(() => {
+        if (waiters.size > 0) refresh();
+      }, FALLBACK_POLL_MS);
+      pollTimer.unref?.();
+    }
+  };
+  const collectSince = (since) => events.filter((e) => e.seq > since);
+  const waitForChanges = async ({ sinceCursor, timeoutMs } = {}) => {
+    if (closed) return { ok: false, message: "change feed is closed" };
+    await start();
+    await refresh();
+    const raw = String(sinceCursor || "");
+    const dot = raw.lastIndexOf(".");
+    const since = dot > 0 ? Number(raw.slice(dot + 1)) : NaN;
+    const oldest = events.length > 0 ? events[0].seq - 1 : seq;
+    if (!raw || raw.slice(0, dot) !== session || !Number.isInteger(since) || since > seq || since < oldest) {
+      return { ok: true, cursor: cursorOf(seq), events: [], reset: true };
+    }
+    let pending = collectSince(since);
+    if (pending.length === 0) {
+      const waitMs = Number.isFinite(timeoutMs) ? Math.max(0, Math.min(MAX_WAIT_MS, Math.floor(timeoutMs))) : DEFAULT_WAIT_MS;
+      await new Promise((resolve) => {
+        let timer = null;
+        const wake = () => {
+          waiters.delete(wake);
+          if (timer) clearTimeout(timer);
+          resolve();
+        };
+        waiters.add(wake);
+        timer = setTimeout(wake, waitMs);
+      });
+      pending = collectSince(since);
+    }
+    return { ok: true, cursor: cursorOf(seq), events: pending, reset: false };
+  };
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    if (debounceTimer) clearTimeout(debounceTimer);
+    if (pollTimer) clearInterval(pollTimer);
+    watchers.splice(0).forEach(closeWatcher);
+    folderWatchers.forEach(closeWatcher);
+    folderWatchers.clear();
+    wakeWaiters();
+  };
+  return { start, poke, waitForChanges, close };
+}
+
+// plugin/shared/notepad-links.mjs
+var LINK_INDEX_VERSION = 1;
+var WIKI_LINK_RE = /\[\[([^[\]|\n]+?)(?:\|([^[\]\n]+?))?\]\]/g;
+var FENCE_RE = /^\s*(```|~~~)/;
+function stripCode(line) {
+  return String(line || "").replace(/`[^`]*`/g, (m) => " ".repeat(m.length));
+}
+function extractWikiLinks(markdown) {
+  const out = [];
+  let inFence = false;
+  String(markdown ?? "").replace(/\r\n/g, "\n").split("\n").forEach((line) => {
+    if (FENCE_RE.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+    const text = stripCode(line);
+    WIKI_LINK_RE.lastIndex = 0;
+    let match = WIKI_LINK_RE.exec(text);
+    while (match) {
+      const target = String(match[1] || "").trim();
+      if (target) out.push({ target, label: String(match[2] || "").trim() || target });
+      match = WIKI_LINK_RE.exec(text);
+    }
+  });
+  return out;
+}
+function createLinkResolver(notes) {
+  const byId = /* @__PURE__ */ new Map();
+  const byTitle = /* @__PURE__ */ new Map();
+  (Array.isArray(notes) ? notes : []).forEach((note) => {
+    if (!note?.id) return;
+    byId.set(note.id, note);
+    const key = String(note.title || "").trim().toLowerCase();
+    if (!key) return;
+    const prev = byTitle.get(key);
+    if (!prev || String(note.updatedAt || "") > String(prev.updatedAt || "")) byTitle.set(key, note);
+  });
+  return (target) => {
+    const key = String(target || "").trim();
+    if (!key) return null;
+    return byId.get(key) || byTitle.get(key.toLowerCase()) || null;
+  };
+}
+function createLinkIndex(json2) {
+  const docs = /* @__PURE__ */ new Map();
+  const setDocument = (id, { body = "" } = {}) => {
+    const key = String(id || "");
+    if (!key) return false;
+    const seen = /* @__PURE__ */ new Set();
+    const links = [];
+    extractWikiLinks(body).forEach((link) => {
+      const dedupe = `${link.target.toLowerCase()}|${link.label}`;
+      if (seen.has(dedupe)) return;
+      seen.add(dedupe);
+      links.push(link);
+    });
+    if (docs.has(key) && JSON.stringify(docs.get(key)) === JSON.stringify(links)) return false;
+    docs.set(key, links);
+    return true;
+  };
+  const removeDocument = (id) => docs.delete(String(id || ""));
+  const toJSON = () => {
+    const out = {};
+    docs.forEach((links, id) => {
+      out[id] = links;
+    });
+    return { version: LINK_INDEX_VERSION, docs: out };
+  };
+  if (json2 && typeof json2 === "object" && json2.version === LINK_INDEX_VERSION && json2.docs && typeof json2.docs === "object") {
+    Object.entries(json2.docs).forEach(([id, links]) => {
+      if (!Array.isArray(links)) return;
+      docs.set(
+        id,
+        links.filter((l) => l && typeof l.target === "string" && l.target.trim()).map((l) => ({ target: l.target.trim(), label: String(l.label || l.target).trim() }))
+      );
+    });
+  }
+  return {
+    setDocument,
+    removeDocument,
+    has: (id) => docs.has(String(id || "")),
+    ids: () => Array.from(docs.keys()),
+    outgoing: (id) => (docs.get(String(id || "")) || []).slice(),
+    entries: () => Array.from(docs.entries()),
+    toJSON
+  };
+}
+
+// plugin/shared/notepad-index-migrations.mjs
+var INDEX_MIGRATIONS = [
+  {
+    version: 2,
+    description: "mirror title/tags/createdAt into each note file front matter",
+    migrate: async (index, context) => {
+      if (typeof context?.ensureFrontMatter === "function") await context.ensureFrontMatter(index.notes);
+      return index;
+    }
+  },
+  {
+    version: 3,
+    description: "add a per-note revision counter for optimistic concurrency",
+    migrate: async (index) => ({
+      ...index,
+      notes: (Array.isArray(index.notes) ? index.notes : []).map((n) => {
+        if (!n || typeof n !== "object") return n;
+        const revision = Number(n.revision);
+        return { ...n, revision: Number.isInteger(revision) && revision > 0 ? revision : 1 };
+      })
+    })
+  },
+  {
+    version: 4,
+    description: "add pinned/sortOrder so notes can be pinned and ordered by hand within a folder",
+    migrate: async (index) => ({
+      ...index,
+      notes: (Array.isArray(index.notes) ? index.notes : []).map((n) => {
+        if (!n || typeof n !== "object") return n;
+        const sortOrder = Number(n.sortOrder);
+        return { ...n, pinned: n.pinned === true, sortOrder: n.sortOrder !== null && Number.isFinite(sortOrder) ? sortOrder : null };
+      })
+    })
+  },
+  {
+    version: 5,
+    description: "add an encrypted flag for notes whose body is encrypted at rest",
+    migrate: async (index) => ({
+      ...index,
+      notes: (Array.isArray(index.notes) ? index.notes : []).map(
+        (n) => n && typeof n === "object" ? { ...n, encrypted: n.encrypted === true } : n
+      )
+    })
+  },
+  {
+    version: 6,
+    description: "name note files after their titles instead of their ids",
+    migrate: async (index, context) => {
+      if (typeof context?.renameNoteFiles !== "function") return index;
+      return { ...index, notes: await context.renameNoteFiles(index.notes) };
+    }
+  },
+  {
+    version: 7,
+    description: "mirror typed front matter properties into the index for where queries",
+    migrate: async (index, context) => {
+      if (typeof context?.readProperties !== "function") return index;
+      return { ...index, notes: await context.readProperties(index.notes) };
+    }
+  }
+];
+var LATEST_INDEX_VERSION = INDEX_MIGRATIONS.reduce((max, step) => Math.max(max, step.version), 1);
+function readIndexVersion(index) {
+  const version2 = Number(index?.version);
+  return Number.isInteger(version2) && version2 > 0 ? version2 : 1;
+}
+function validateMigrations(migrations) {
+  let previous = 1;
+  (Array.isArray(migrations) ? migrations : []).forEach((step) => {
+    if (!Number.isInteger(step?.version) || step.version <= previous) {
+      throw new Error(`Invalid index migration order at version ${step?.version}`);
+    }
+    if (typeof step.migrate !== "function") throw new Error(`Index migration ${step.version} has no migrate()`);
+    previous = step.version;
+  });
+}
+async function migrateIndex(index, { migrations = INDEX_MIGRATIONS, context = {} } = {}) {
+  validateMigrations(migrations);
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 1;
+  const fromVersion = readIndexVersion(index);
+  if (fromVersion > latest) {
+    const err = new Error(
+      `notes-index.json is version ${fromVersion}, newer than the supported version ${latest}; please upgrade the notepad plugin`
+    );
+    err.code = "INDEX_VERSION_TOO_NEW";
+    throw err;
+  }
+  let current = index && typeof index === "object" ? { ...index } : {};
+  const applied = [];
+  for (const step of migrations) {
+    if (step.version <= fromVersion) continue;
+    const next = await step.migrate(current, context);
+    current = { ...next && typeof next === "object" ? next : current, version: step.version };
+    applied.push(step.version);
+  }
+  return { index: current, fromVersion, toVersion: Math.max(fromVersion, latest), applied };
+}
+
+// plugin/shared/notepad-templates.mjs
+var TEMPLATES_FOLDER = "_templates";
+var PLACEHOLDER_RE = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+function pad2(value) {
+  return String(value).padStart(2, "0");
+}
+function isTemplateFolder(folder) {
+  const f = String(folder || "");
+  return f === TEMPLATES_FOLDER || f.startsWith(`${TEMPLATES_FOLDER}/`);
+}
+function builtinTemplateVariables({ title = "", folder = "", now = /* @__PURE__ */ new Date() } = {}) {
+  const d = now instanceof Date && Number.isFinite(now.getTime()) ? now : /* @__PURE__ */ new Date();
+  const date5 = `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+  const time3 = `${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+  return {
+    title: String(title || ""),
+    folder: String(folder || ""),
+    date: date5,
+    time: time3,
+    datetime: `${date5} ${time3}`,
+    year: String(d.getFullYear()),
+    month: pad2(d.getMonth() + 1),
+    day: pad2(d.getDate())
+  };
+}
+function expandTemplate(text, variables = {}) {
+  const vars = variables && typeof variables === "object" ? variables : {};
+  return String(text ?? "").replace(
+    PLACEHOLDER_RE,
+    (match, name) => Object.prototype.hasOwnProperty.call(vars, name) && vars[name] !== void 0 && vars[name] !== null ? String(vars[name]) : match
+  );
+}
+function expandTemplateFields(fields, variables = {}) {
+  const out = {};
+  Object.entries(fields && typeof fields === "object" ? fields : {}).forEach(([key, value]) => {
+    if (typeof value === "string") out[key] = expandTemplate(value, variables);
+    else if (Array.isArray(value)) out[key] = value.map((item) => typeof item === "string" ? expandTemplate(item, variables) : item);
+    else out[key] = value;
+  });
+  return out;
+}
+
+// plugin/shared/notepad-journal.mjs
+var JOURNAL_SETTINGS_VERSION = 1;
+var DEFAULT_JOURNAL_FOLDER = "journal/{{year}}/{{month}}";
+var DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+function parseJournalDate(value) {
+  const text = String(value ?? "").trim();
+  if (!text) {
+    const now = /* @__PURE__ */ new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }
+  const match = DATE_RE.exec(text);
+  if (!match) return null;
+  const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  const date5 = new Date(year, month - 1, day);
+  if (date5.getFullYear() !== year || date5.getMonth() !== month - 1 || date5.getDate() !== day) return null;
+  return date5;
+}
+function normalizeJournalSettings(raw) {
+  const obj = raw && typeof raw === "object" ? raw : {};
+  const folder = typeof obj.folder === "string" && obj.folder.trim() ? obj.folder.trim() : DEFAULT_JOURNAL_FOLDER;
+  const templateId = typeof obj.templateId === "string" ? obj.templateId.trim() : "";
+  return { version: JOURNAL_SETTINGS_VERSION, folder, templateId };
+}
+function journalTarget(settings, date5) {
+  const vars = builtinTemplateVariables({ now: date5 });
+  return {
+    date: vars.date,
+    title: vars.date,
+    folder: expandTemplate(normalizeJournalSettings(settings).folder, vars),
+    variables: { date: vars.date, year: vars.year, month: vars.month, day: vars.day }
+  };
+}
+
+// plugin/shared/notepad-tasks.mjs
+var TASK_INDEX_VERSION = 1;
+var TASK_RE = /^(\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\]\s+)(.*)$/;
+var DUE_RE = /@due\((\d{4}-\d{2}-\d{2})\)/;
+var FENCE_RE2 = /^\s*(```|~~~)/;
+function parseTaskLine(line) {
+  const match = TASK_RE.exec(String(line ?? ""));
+  if (!match) return null;
+  const raw = match[4].trim();
+  if (!raw) return null;
+  const due = DUE_RE.exec(raw);
+  return {
+    done: match[2] !== " ",
+    text: raw.replace(DUE_RE, "").replace(/\s{2,}/g, " ").trim() || raw,
+    raw,
+    due: due ? due[1] : null
+  };
+}
+function extractTasks(markdown) {
+  const out = [];
+  let inFence = false;
+  String(markdown ?? "").replace(/\r\n/g, "\n").split("\n").forEach((line, i) => {
+    if (FENCE_RE2.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+    const task = parseTaskLine(line);
+    if (task) out.push({ line: i + 1, ...task });
+  });
+  return out;
+}
+function setTaskState(markdown, line, done, { expectedText } = {}) {
+  const text = String(markdown ?? "");
+  const eol = text.includes("\r\n") ? "\r\n" : "\n";
+  const lines = text.split(/\r?\n/);
+  const idx = Number(line) - 1;
+  if (!Number.isInteger(idx) || idx < 0 || idx >= lines.length) return null;
+  const task = parseTaskLine(lines[idx]);
+  if (!task) return null;
+  if (typeof expectedText === "string" && expectedText.trim() && expectedText.trim() !== task.text && expectedText.trim() !== task.raw) {
+    return null;
+  }
+  const nextDone = done === void 0 ? !task.done : done === true;
+  lines[idx] = lines[idx].replace(TASK_RE, (_m, head, _state, tail, rest) => `${head}${nextDone ? "x" : " "}${tail}${rest}`);
+  return { content: lines.join(eol), task: { line: idx + 1, ...task, done: nextDone } };
+}
+function createTaskIndex(json2) {
+  const docs = /* @__PURE__ */ new Map();
+  const setDocument = (id, { body = "" } = {}) => {
+    const key = String(id || "");
+    if (!key) return false;
+    const tasks = extractTasks(body).map(({ line, text, done, due }) => ({ line, text, done, due }));
+    if (docs.has(key) && JSON.stringify(docs.get(key)) === JSON.stringify(tasks)) return false;
+    docs.set(key, tasks);
+    return true;
+  };
+  const removeDocument = (id) => docs.delete(String(id || ""));
+  const toJSON = () => {
+    const out = {};
+    docs.forEach((tasks, id) => {
+      out[id] = tasks;
+    });
+    return { version: TASK_INDEX_VERSION, docs: out };
+  };
+  if (json2 && typeof json2 === "object" && json2.version === TASK_INDEX_VERSION && json2.docs && typeof json2.docs === "object") {
+    Object.entries(json2.docs).forEach(([id, tasks]) => {
+      if (!Array.isArray(tasks)) return;
+      docs.set(
+        id,
+        tasks.filter((t) => t && Number.isInteger(t.line) && typeof t.text === "string").map((t) => ({ line: t.line, text: t.text, done: t.done === true, due: typeof t.due === "string" ? t.due : null }))
+      );
+    });
+  }
+  return {
+    setDocument,
+    removeDocument,
+    has: (id) => docs.has(String(id || "")),
+    ids: () => Array.from(docs.keys()),
+    tasks: (id) => (docs.get(String(id || "")) || []).slice(),
+    entries: () => Array.from(docs.entries()),
+    toJSON
+  };
+}
+
+// plugin/shared/notepad-import.mjs
+var FENCE_RE3 = /^\s*(```|~~~)/;
+var HASHTAG_RE = /(^|[\s(,;])#([\p{L}\p{N}_][\p{L}\p{N}_/-]*)/gu;
+var EMBED_RE = /!\[\[([^[\]\n]+?)\]\]/g;
+var WIKI_RE = /\[\[([^[\]\n]+?)\]\]/g;
+var MD_LINK_RE = /(!?)\[([^\]\n]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+var EXTERNAL_RE = /^(?:[a-z][a-z0-9+.-]*:|#|\/\/)/i;
+function safeDecode3(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+function mapOutsideCode(markdown, fn) {
+  let inFence = false;
+  return String(markdown ?? "").split("\n").map((line) => {
+    if (FENCE_RE3.test(line)) {
+      inFence = !inFence;
+      return line;
+    }
+    if (inFence) return line;
+    return line.split(/(`[^`]*`)/).map((part) => part.startsWith("`") && part.endsWith("`") && part.length > 1 ? part : fn(part)).join("");
+  }).join("\n");
+}
+function extractHashtags(markdown) {
+  const out = [];
+  mapOutsideCode(markdown, (text) => {
+    HASHTAG_RE.lastIndex = 0;
+    let match = HASHTAG_RE.exec(text);
+    while (match) {
+      const tag = match[2].replace(/[/-]+$/, "");
+      if (tag && !/^\d+$/.test(tag)) out.push(tag);
+      match = HASHTAG_RE.exec(text);
+    }
+    return text;
+  });
+  return out;
+}
+function splitWikiTarget(raw) {
+  const [targetPart, ...labelParts] = String(raw || "").split("|");
+  const label = labelParts.join("|").trim();
+  const hash2 = targetPart.indexOf("#");
+  const target = (hash2 >= 0 ? targetPart.slice(0, hash2) : targetPart).trim();
+  return { target, label: label || targetPart.trim() };
+}
+function rewriteImportedLinks(markdown, { resolveNote, resolveAsset }) {
+  const unresolved = [];
+  const embedded = /* @__PURE__ */ new Set();
+  const body = mapOutsideCode(
+    markdown,
+    (text) => text.replace(EMBED_RE, (match, raw) => {
+      const { target, label } = splitWikiTarget(raw);
+      if (!target) return match;
+      const noteId = resolveNote(target);
+      if (noteId) {
+        embedded.add(noteId);
+        return `[[${noteId}|${label}]]`;
+      }
+      const asset = resolveAsset(target);
+      if (asset) return /\.(png|jpe?g|gif|webp|svg|bmp)$/i.test(asset.name) ? `![${asset.name}](${asset.link})` : `[${asset.name}](${asset.link})`;
+      unresolved.push(target);
+      return match;
+    }).replace(WIKI_RE, (match, raw) => {
+      const { target, label } = splitWikiTarget(raw);
+      if (!target || embedded.has(target)) return match;
+      const noteId = resolveNote(target);
+      if (noteId) return `[[${noteId}|${label}]]`;
+      unresolved.push(target);
+      return match;
+    }).replace(MD_LINK_RE, (match, bang, label, href) => {
+      if (EXTERNAL_RE.test(href) || href.startsWith("attachments/")) return match;
+      const ref = safeDecode3(href.split("#")[0]);
+      if (!ref) return match;
+      if (!bang && /\.md$/i.test(ref)) {
+        const noteId = resolveNote(ref.slice(0, -3), { relative: true });
+        if (noteId) return `[[${noteId}|${label || ref.slice(0, -3)}]]`;
+        unresolved.push(ref);
+        return match;
+      }
+      const asset = resolveAsset(ref);
+      if (asset) return `${bang}[${label}](${asset.link})`;
+      unresolved.push(ref);
+      return match;
+    })
+  );
+  return { body, unresolved };
+}
+
+// plugin/shared/notepad-search-query.mjs
+var SEARCH_FIELDS = ["tag", "folder", "title", "updated", "created", "has", "is"];
+var HAS_VALUES = ["task", "open-task", "link", "attachment", "tag", "property"];
+var IS_VALUES = ["pinned", "encrypted"];
+var DATE_RE2 = /^\d{4}-\d{2}-\d{2}$/;
+var DATE_OPS = [">=", "<=", ">", "<", "="];
+var FIELD_RE = /^([a-z]+):/i;
+function syntaxError(message, position) {
+  const err = new Error(`Search query error at column ${position + 1}: ${message}`);
+  err.code = "SEARCH_QUERY_SYNTAX";
+  err.position = position;
+  return err;
+}
+function readQuoted(text, start) {
+  let value = "";
+  for (let i = start + 1; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === "\\" && (text[i + 1] === '"' || text[i + 1] === "\\")) {
+      value += text[i + 1];
+      i += 1;
+      continue;
+    }
+    if (ch === '"') return { value, end: i + 1 };
+    value += ch;
+  }
+  throw syntaxError('missing closing quote (")', start);
+}
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch, pos: i });
+      i += 1;
+      continue;
+    }
+    const start = i;
+    let negate = false;
+    if (ch === "-" && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+      negate = true;
+      i += 1;
+    } else if (ch === "-") {
+      throw syntaxError('"-" must be followed by the term to exclude', i);
+    }
+    if (text[i] === "(") {
+      tokens.push({ type: "not", pos: start });
+      continue;
+    }
+    if (text[i] === '"') {
+      const quoted = readQuoted(text, i);
+      tokens.push({ type: "term", negate, field: "", value: quoted.value, phrase: true, pos: start });
+      i = quoted.end;
+      continue;
+    }
+    let word = "";
+    while (i < text.length && !/[\s()"]/.test(text[i])) {
+      word += text[i];
+      i += 1;
+    }
+    const field = word.match(FIELD_RE)?.[1]?.toLowerCase() || "";
+    if (field && SEARCH_FIELDS.includes(field)) {
+      let value = word.slice(field.length + 1);
+      let phrase = false;
+      if (!value && text[i] === '"') {
+        const quoted = readQuoted(text, i);
+        value = quoted.value;
+        phrase = true;
+        i = quoted.end;
+      }
+      tokens.push({ type: "term", negate, field, value, phrase, pos: start });
+      continue;
+    }
+    if (!negate && (word === "OR" || word === "AND")) {
+      tokens.push({ type: word, pos: start });
+      continue;
+    }
+    tokens.push({ type: "term", negate, field: "", value: word, phrase: false, pos: start });
+  }
+  return tokens;
+}
+function parseDateCondition(value, field, pos) {
+  const op = DATE_OPS.find((candidate) => value.startsWith(candidate)) || "=";
+  const day = value.slice(value.startsWith(op) ? op.length : 0);
+  if (!DATE_RE2.test(day) || !Number.isFinite(Date.parse(day))) {
+    throw syntaxError(`${field}: expects a date like ${field}:>2026-09-01`, pos);
+  }
+  return { op, day };
+}
+function buildTerm(token) {
+  const { field, pos } = token;
+  const value = token.value.trim();
+  if (!value) throw syntaxError(field ? `${field}: needs a value` : "empty phrase", pos);
+  let node = null;
+  if (!field) node = { type: "text", value, phrase: token.phrase };
+  else if (field === "updated" || field === "created") node = { type: "date", field, ...parseDateCondition(value, field, pos) };
+  else if (field === "has" || field === "is") {
+    const allowed = field === "has" ? HAS_VALUES : IS_VALUES;
+    const key = value.toLowerCase();
+    if (!allowed.includes(key)) throw syntaxError(`${field}: must be one of ${allowed.join(", ")}`, pos);
+    node = { type: field, value: key };
+  } else {
+    node = { type: field, value: field === "folder" ? value.replace(/^\/+|\/+$/g, "") : value, phrase: token.phrase };
+  }
+  return token.negate ? { type: "not", item: node } : node;
+}
+function parseSearchQuery(query) {
+  const text = String(query ?? "");
+  const tokens = tokenize(text);
+  let i = 0;
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (tokens[i]?.type === "OR") {
+      const orToken = tokens[i];
+      i += 1;
+      if (!tokens[i] || tokens[i].type === ")" || tokens[i].type === "OR") throw syntaxError("OR needs a term on both sides", orToken.pos);
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: "or", items };
+  };
+  const parseAnd = () => {
+    const items = [];
+    while (i < tokens.length && tokens[i].type !== "OR" && tokens[i].type !== ")") {
+      if (tokens[i].type === "AND") {
+        i += 1;
+        continue;
+      }
+      items.push(parseUnary());
+    }
+    if (items.length === 0) {
+      const token = tokens[i];
+      if (token?.type === "OR") throw syntaxError("OR needs a term on both sides", token.pos);
+      if (token?.type === ")") throw syntaxError('unexpected ")"', token.pos);
+      throw syntaxError("query is empty", text.length);
+    }
+    return items.length === 1 ? items[0] : { type: "and", items };
+  };
+  const parseUnary = () => {
+    const token = tokens[i];
+    if (token.type === "not" || token.type === "(") {
+      i += token.type === "not" ? 1 : 0;
+      const open = tokens[i];
+      i += 1;
+      if (tokens[i]?.type === ")") throw syntaxError('empty group "()"', open.pos);
+      const inner = parseOr();
+      if (tokens[i]?.type !== ")") throw syntaxError('missing closing ")"', open.pos);
+      i += 1;
+      return token.type === "not" ? { type: "not", item: inner } : inner;
+    }
+    i += 1;
+    return buildTerm(token);
+  };
+  if (tokens.length === 0) throw syntaxError("query is empty", 0);
+  const ast = parseOr();
+  if (i < tokens.length) throw syntaxError('unexpected ")"', tokens[i].pos);
+  return ast;
+}
+function collectNodes(ast, type) {
+  const out = [];
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === type) out.push(node);
+    if (node.type === "and" || node.type === "or") node.items.forEach(walk);
+    if (node.type === "not") walk(node.item);
+  };
+  walk(ast);
+  return out;
+}
+function searchTextTerms(ast) {
+  return collectNodes(ast, "text");
+}
+function searchHasValues(ast) {
+  return new Set(collectNodes(ast, "has").map((node) => node.value));
+}
+function dayOf(value) {
+  const ms = Date.parse(String(value || ""));
+  return Number.isFinite(ms) ? new Date(ms).toISOString().slice(0, 10) : "";
+}
+function compareDay(actual, { op, day }) {
+  if (!actual) return false;
+  if (op === ">") return actual > day;
+  if (op === ">=") return actual >= day;
+  if (op === "<") return actual < day;
+  if (op === "<=") return actual <= day;
+  return actual === day;
+}
+function matchSearchQuery(ast, note, context = {}) {
+  const lower = (value) => String(value ?? "").toLowerCase();
+  const evaluate = (node) => {
+    switch (node.type) {
+      case "and": {
+        let score = 0;
+        for (const item of node.items) {
+          const res = evaluate(item);
+          if (!res.matched) return { matched: false, score: 0 };
+          score += res.score;
+        }
+        return { matched: true, score };
+      }
+      case "or": {
+        let matched = false;
+        let score = 0;
+        node.items.forEach((item) => {
+          const res = evaluate(item);
+          if (!res.matched) return;
+          matched = true;
+          score += res.score;
+        });
+        return { matched, score };
+      }
+      case "not":
+        return { matched: !evaluate(node.item).matched, score: 0 };
+      case "text": {
+        const score = typeof context.matchText === "function" ? context.matchText(node, note) : null;
+        return { matched: score !== null && score !== void 0, score: Number(score) || 0 };
+      }
+      case "tag": {
+        const key = lower(node.value);
+        const matched = (Array.isArray(note?.tags) ? note.tags : []).some((t) => lower(t) === key || lower(t).startsWith(`${key}/`));
+        return { matched, score: 0 };
+      }
+      case "folder": {
+        const folder = lower(note?.folder);
+        const key = lower(node.value);
+        return { matched: folder === key || folder.startsWith(`${key}/`), score: 0 };
+      }
+      case "title":
+        return { matched: lower(note?.title).includes(lower(node.value)), score: 0 };
+      case "date":
+        return { matched: compareDay(dayOf(node.field === "created" ? note?.createdAt : note?.updatedAt), node), score: 0 };
+      case "is":
+        return { matched: note?.[node.value] === true, score: 0 };
+      case "has": {
+        if (node.value === "tag") return { matched: Array.isArray(note?.tags) && note.tags.length > 0, score: 0 };
+        if (node.value === "property") return { matched: Object.keys(note?.properties || {}).length > 0, score: 0 };
+        return { matched: typeof context.has === "function" && context.has(node.value, note) === true, score: 0 };
+      }
+      default:
+        return { matched: false, score: 0 };
+    }
+  };
+  return evaluate(ast);
+}
+
+// plugin/shared/notepad-properties.mjs
+var PROPERTY_TYPES = ["string", "number", "date", "boolean", "list"];
+var WHERE_OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "in", "contains", "exists"];
+var MAX_KEY_LENGTH = 64;
+var DATE_RE3 = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+function isScalar(value) {
+  return typeof value === "string" || typeof value === "boolean" || typeof value === "number" && Number.isFinite(value);
+}
+function isPropertyKey(key) {
+  const k = String(key ?? "");
+  return k.length > 0 && k.length <= MAX_KEY_LENGTH && k === k.trim() && !/[\n:#]/.test(k);
+}
+function isDateValue(value) {
+  return typeof value === "string" && DATE_RE3.test(value) && Number.isFinite(Date.parse(value));
+}
+function propertyType(value) {
+  if (Array.isArray(value)) return value.every(isScalar) ? "list" : "";
+  if (typeof value === "number") return Number.isFinite(value) ? "number" : "";
+  if (typeof value === "boolean") return "boolean";
+  if (typeof value === "string") return isDateValue(value) ? "date" : "string";
+  return "";
+}
+function coercePropertyValue(value, type) {
+  const kind = type || propertyType(value) || "string";
+  if (!PROPERTY_TYPES.includes(kind)) throw new Error(`Unknown property type: ${type}`);
+  if (kind === "list") {
+    const items = Array.isArray(value) ? value : String(value ?? "").split(",");
+    return items.map((v) => typeof v === "string" ? v.trim() : v).filter((v) => isScalar(v) && v !== "");
+  }
+  if (kind === "number") {
+    const num = typeof value === "string" && !value.trim() ? NaN : Number(value);
+    if (!Number.isFinite(num)) throw new Error(`Not a number: ${value}`);
+    return num;
+  }
+  if (kind === "boolean") {
+    if (typeof value === "boolean") return value;
+    const text = String(value ?? "").trim().toLowerCase();
+    if (["true", "yes", "1"].includes(text)) return true;
+    if (["false", "no", "0"].includes(text)) return false;
+    throw new Error(`Not a boolean: ${value}`);
+  }
+  if (kind === "date") {
+    const text = String(value ?? "").trim();
+    if (!isDateValue(text)) throw new Error(`Not a date (expected YYYY-MM-DD): ${value}`);
+    return text;
+  }
+  return Array.isArray(value) ? value.join(", ") : String(value ?? "");
+}
+function propertiesFromFields(fields) {
+  const out = {};
+  Object.entries(fields && typeof fields === "object" && !Array.isArray(fields) ? fields : {}).forEach(([key, value]) => {
+    if (isPropertyKey(key) && propertyType(value)) out[key] = value;
+  });
+  return out;
+}
+function describeProperties(properties) {
+  return Object.entries(propertiesFromFields(properties)).map(([key, value]) => ({ key, type: propertyType(value), value })).sort((a, b) => a.key.localeCompare(b.key));
+}
+function sameValue(actual, expected) {
+  const type = propertyType(actual);
+  if (type === "list") return actual.some((item) => sameValue(item, expected));
+  try {
+    const wanted = coercePropertyValue(expected, type);
+    if (type === "string") return actual.toLowerCase() === wanted.toLowerCase();
+    if (type === "date") return Date.parse(actual) === Date.parse(wanted);
+    return actual === wanted;
+  } catch {
+    return false;
+  }
+}
+function compareValues(actual, operand) {
+  const type = propertyType(actual);
+  if (type === "list" || type === "boolean") return null;
+  let wanted = null;
+  try {
+    wanted = coercePropertyValue(operand, type);
+  } catch {
+    return null;
+  }
+  if (type === "number") return actual - wanted;
+  if (type === "date") return Date.parse(actual) - Date.parse(wanted);
+  return actual.toLowerCase().localeCompare(wanted.toLowerCase());
+}
+function testOperator(op, actual, operand) {
+  const present = actual !== void 0;
+  if (op === "exists") return present === (operand !== false);
+  if (op === "ne") return !present || !sameValue(actual, operand);
+  if (!present) return false;
+  if (op === "eq") return sameValue(actual, operand);
+  if (op === "in") return (Array.isArray(operand) ? operand : [operand]).some((v) => sameValue(actual, v));
+  if (op === "contains") {
+    if (Array.isArray(actual)) return sameValue(actual, operand);
+    return String(actual).toLowerCase().includes(String(operand ?? "").toLowerCase());
+  }
+  const diff = compareValues(actual, operand);
+  if (diff === null || Number.isNaN(diff)) return false;
+  if (op === "gt") return diff > 0;
+  if (op === "gte") return diff >= 0;
+  if (op === "lt") return diff < 0;
+  return diff <= 0;
+}
+function compileWhere(where) {
+  if (where === void 0 || where === null) return null;
+  if (typeof where !== "object" || Array.isArray(where)) throw new Error("where must be an object of property conditions");
+  const checks = [];
+  Object.entries(where).forEach(([key, condition]) => {
+    if (!isPropertyKey(key)) throw new Error(`Invalid property name in where: ${key}`);
+    const ops = condition && typeof condition === "object" && !Array.isArray(condition) ? Object.entries(condition) : [["eq", condition]];
+    if (ops.length === 0) throw new Error(`Empty condition for property: ${key}`);
+    ops.forEach(([op, operand]) => {
+      if (!WHERE_OPERATORS.includes(op)) throw new Error(`Unknown operator "${op}" (use ${WHERE_OPERATORS.join(", ")})`);
+      checks.push((props) => testOperator(op, Object.hasOwn(props, key) ? props[key] : void 0, operand));
+    });
+  });
+  return (note) => {
+    const props = note?.properties && typeof note.properties === "object" ? note.properties : {};
+    return checks.every((check2) => check2(props));
+  };
+}
+
+// plugin/shared/notepad-archive.mjs
+import zlib from "zlib";
+var ARCHIVE_FORMAT = "chatos-notepad-export";
+var ARCHIVE_VERSION = 1;
+var ARCHIVE_MANIFEST = "manifest.json";
+var ARCHIVE_ASSETS_SUFFIX = ".assets";
+var MAX_FILE_STEM = 80;
+function readableFileStem(title) {
+  const stem = String(title ?? "").replace(/[<>:"/\\|?*\u0000-\u001f]+/g, "-").replace(/\s+/g, " ").trim().slice(0, MAX_FILE_STEM).replace(/[. ]+$/, "").replace(/^\.+/, "");
+  return stem || "Untitled";
+}
+var CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i += 1) {
+    let c = i;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 3988292384 ^ c >>> 1 : c >>> 1;
+    }
+    table[i] = c >>> 0;
+  }
+  return table;
+})();
+function crc32(data) {
+  let crc = 4294967295;
+  for (let i = 0; i < data.length; i += 1) {
+    crc = CRC32_TABLE[(crc ^ data[i]) & 255] ^ crc >>> 8;
+  }
+  return (crc ^ 4294967295) >>> 0;
+}
+function dosDateTime(date5) {
+  const time3 = date5.getHours() << 11 | date5.getMinutes() << 5 | Math.floor(date5.getSeconds() / 2);
+  const day = Math.max(1980, date5.getFullYear()) - 1980 << 9 | date5.getMonth() + 1 << 5 | date5.getDate();
+  return { time: time3, day };
+}
+function createZipBuffer(files, { now } = {}) {
+  const { time: time3, day } = dosDateTime(now instanceof Date ? now : /* @__PURE__ */ new Date());
+  const local = [];
+  const central = [];
+  let offset = 0;
+  (Array.isArray(files) ? files : []).forEach((file2) => {
+    const name = Buffer.from(String(file2.name), "utf8");
+    const data = Buffer.isBuffer(file2.data) ? file2.data : Buffer.from(file2.data || "");
+    const crc = crc32(data);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(67324752, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(2048, 6);
+    header.writeUInt16LE(0, 8);
+    header.writeUInt16LE(time3, 10);
+    header.writeUInt16LE(day, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+    local.push(header, name, data);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(33639248, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(2048, 8);
+    entry.writeUInt16LE(0, 10);
+    entry.writeUInt16LE(time3, 12);
+    entry.writeUInt16LE(day, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, name);
+    offset += header.length + name.length + data.length;
+  });
+  const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(101010256, 0);
+  end.writeUInt16LE(central.length / 2, 8);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...local, ...central, end]);
+}
+function readZipEntries(buffer) {
+  const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer || []);
+  let endAt = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 65535); i -= 1) {
+    if (buf.readUInt32LE(i) === 101010256) {
+      endAt = i;
+      break;
+    }
+  }
+  if (endAt < 0) throw new Error("Not a zip archive");
+  const count = buf.readUInt16LE(endAt + 10);
+  let pos = buf.readUInt32LE(endAt + 16);
+  const entries = [];
+  for (let i = 0; i < count; i += 1) {
+    if (buf.readUInt32LE(pos) !== 33639248) throw new Error("Corrupt zip central directory");
+    const method = buf.readUInt16LE(pos + 10);
+    const compressedSize = buf.readUInt32LE(pos + 20);
+    const nameLength = buf.readUInt16LE(pos + 28);
+    const extraLength = buf.readUInt16LE(pos + 30);
+    const commentLength = buf.readUInt16LE(pos + 32);
+    const localAt = buf.readUInt32LE(pos + 42);
+    const name = buf.toString("utf8", pos + 46, pos + 46 + nameLength).replace(/\\/g, "/");
+    pos += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith("/")) continue;
+    if (buf.readUInt32LE(localAt) !== 67324752) throw new Error(`Corrupt zip entry: ${name}`);
+    const dataAt = localAt + 30 + buf.readUInt16LE(localAt + 26) + buf.readUInt16LE(localAt + 28);
+    const raw = buf.subarray(dataAt, dataAt + compressedSize);
+    if (method === 0) entries.push({ name, data: raw });
+    else if (method === 8) entries.push({ name, data: zlib.inflateRawSync(raw) });
+    else throw new Error(`Unsupported zip compression (method ${method}): ${name}`);
+  }
+  return entries;
+}
+
+// plugin/shared/notepad-backups.mjs
+var BACKUP_SETTINGS_VERSION = 1;
+var BACKUP_MANIFEST = "backup.json";
+var BACKUP_SCHEDULES = ["off", "hourly", "daily", "weekly"];
+var DEFAULT_BACKUP_KEEP = 14;
+var MAX_BACKUP_KEEP = 365;
+var HOUR_MS = 60 * 60 * 1e3;
+var SCHEDULE_INTERVAL_MS = { hourly: HOUR_MS, daily: 24 * HOUR_MS, weekly: 7 * 24 * HOUR_MS };
+var BACKUP_ID_RE = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z(?:-\d+)?$/;
+function normalizeBackupSettings(raw) {
+  const obj = raw && typeof raw === "object" ? raw : {};
+  const schedule = BACKUP_SCHEDULES.includes(obj.schedule) ? obj.schedule : "off";
+  const keepNum = Number(obj.keep);
+  const keep = Number.isInteger(keepNum) && keepNum > 0 ? Math.min(keepNum, MAX_BACKUP_KEEP) : DEFAULT_BACKUP_KEEP;
+  return { version: BACKUP_SETTINGS_VERSION, schedule, keep };
+}
+function backupIdFor(date5 = /* @__PURE__ */ new Date()) {
+  return date5.toISOString().replace(/[:.]/g, "-");
+}
+function isBackupId(value) {
+  return BACKUP_ID_RE.test(String(value || ""));
+}
+function isBackupDue(settings, lastScheduledAt, now = /* @__PURE__ */ new Date()) {
+  const interval = SCHEDULE_INTERVAL_MS[normalizeBackupSettings(settings).schedule];
+  if (!interval) return false;
+  const last = Date.parse(String(lastScheduledAt || ""));
+  return !Number.isFinite(last) || now.getTime() - last >= interval;
+}
+function backupsToPrune(backups, keep) {
+  return (Array.isArray(backups) ? backups : []).filter((b) => b.reason === "scheduled").sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt))).slice(Math.max(0, keep));
+}
+
+// plugin/shared/notepad-crypto.mjs
+import crypto2 from "crypto";
+var ENCRYPTION_SETTINGS_VERSION = 1;
+var ENCRYPTED_BODY_PREFIX = "notepad-encrypted:v1:";
+var MIN_PASSPHRASE_LENGTH = 8;
+var KEY_BYTES = 32;
+var IV_BYTES = 12;
+var TAG_BYTES = 16;
+var SCRYPT_DEFAULTS = { N: 1 << 15, r: 8, p: 1 };
+var VERIFIER_TEXT = "notepad-key-check";
+var LINE_WIDTH = 76;
+function createKdfParams() {
+  return { name: "scrypt", salt: crypto2.randomBytes(16).toString("base64"), ...SCRYPT_DEFAULTS };
+}
+function deriveKey(passphrase, params) {
+  const { N, r, p, salt } = params || {};
+  return new Promise((resolve, reject) => {
+    crypto2.scrypt(
+      String(passphrase ?? ""),
+      Buffer.from(String(salt || ""), "base64"),
+      KEY_BYTES,
+      // 128 * N * r bytes are needed; the default maxmem (32 MB) is exactly too small for N=2^15, r=8
+      { N, r, p, maxmem: 256 * N * r },
+      (err, key) => err ? reject(err) : resolve(key)
+    );
+  });
+}
+function isEncryptedBody(body) {
+  return String(body ?? "").trimStart().startsWith(ENCRYPTED_BODY_PREFIX);
+}
+function encryptText(key, text) {
+  const iv = crypto2.randomBytes(IV_BYTES);
+  const cipher = crypto2.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(String(text ?? ""), "utf8"), cipher.final()]);
+  const payload = Buffer.concat([iv, cipher.getAuthTag(), data]).toString("base64");
+  const lines = [];
+  for (let i = 0; i < payload.length; i += LINE_WIDTH) lines.push(payload.slice(i, i + LINE_WIDTH));
+  return `${ENCRYPTED_BODY_PREFIX}
+${lines.join("\n")}
+`;
+}
+function decryptText(key, body) {
+  const text = String(body ?? "").trim();
+  if (!text.startsWith(ENCRYPTED_BODY_PREFIX)) throw new Error("Not an encrypted note body");
+  const raw = Buffer.from(text.slice(ENCRYPTED_BODY_PREFIX.length).replace(/\s+/g, ""), "base64");
+  if (raw.length < IV_BYTES + TAG_BYTES) throw new Error("Encrypted note body is truncated");
+  const decipher = crypto2.createDecipheriv("aes-256-gcm", key, raw.subarray(0, IV_BYTES));
+  decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(raw.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString("utf8");
+}
+function createKeyVerifier(key) {
+  return encryptText(key, VERIFIER_TEXT);
+}
+function checkKeyVerifier(key, verifier) {
+  try {
+    return decryptText(key, verifier) === VERIFIER_TEXT;
+  } catch {
+    return false;
+  }
+}
+function normalizeEncryptionSettings(raw) {
+  const obj = raw && typeof raw === "object" ? raw : {};
+  const kdf = obj.kdf && typeof obj.kdf === "object" && obj.kdf.name === "scrypt" && obj.kdf.salt ? obj.kdf : null;
+  const verifier = typeof obj.verifier === "string" && isEncryptedBody(obj.verifier) ? obj.verifier : "";
+  const folders = Array.from(new Set((Array.isArray(obj.folders) ? obj.folders : []).filter((f) => typeof f === "string" && f)));
+  return { version: ENCRYPTION_SETTINGS_VERSION, kdf: kdf && verifier ? kdf : null, verifier: kdf ? verifier : "", folders };
+}
+function isEncryptedFolder(settings, folder) {
+  const f = String(folder || "");
+  return (settings?.folders || []).some((marked) => f === marked || f.startsWith(`${marked}/`));
+}
+
+// plugin/shared/notepad-notebooks.mjs
+var NOTEBOOKS_VERSION = 1;
+var NOTEBOOKS_FILE = "notebooks.json";
+var NOTEBOOKS_DIR = "notebooks";
+var DEFAULT_NOTEBOOK_ID = "default";
+var NOTEBOOK_ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+var MAX_NAME_LENGTH = 60;
+function isNotebookId(value) {
+  return NOTEBOOK_ID_RE.test(String(value || ""));
+}
+function normalizeNotebookName(value) {
+  return typeof value === "string" ? value.replace(/\s+/g, " ").trim().slice(0, MAX_NAME_LENGTH) : "";
+}
+function notebookIdFromName(name, taken = []) {
+  const used = new Set(taken);
+  const base = String(name || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 32) || "notebook";
+  let id = base;
+  for (let i = 2; used.has(id); i += 1) id = `${base}-${i}`;
+  return id;
+}
+function normalizeNotebookRegistry(raw) {
+  const list = Array.isArray(raw?.notebooks) ? raw.notebooks : [];
+  const seen = /* @__PURE__ */ new Set();
+  const notebooks2 = [];
+  list.forEach((nb) => {
+    if (!nb || typeof nb !== "object" || !isNotebookId(nb.id) || seen.has(nb.id)) return;
+    seen.add(nb.id);
+    notebooks2.push({
+      id: nb.id,
+      name: normalizeNotebookName(nb.name) || nb.id,
+      // only other notebooks may point elsewhere; the default one is always the data directory
+      root: nb.id !== DEFAULT_NOTEBOOK_ID && typeof nb.root === "string" ? nb.root : "",
+      createdAt: typeof nb.createdAt === "string" ? nb.createdAt : ""
+    });
+  });
+  if (!seen.has(DEFAULT_NOTEBOOK_ID)) notebooks2.unshift({ id: DEFAULT_NOTEBOOK_ID, name: "Default", root: "", createdAt: "" });
+  return { version: NOTEBOOKS_VERSION, notebooks: notebooks2 };
+}
+
+// plugin/shared/notepad-filenames.mjs
+var MAX_SLUG_LENGTH = 80;
+var RESERVED_RE = /^(con|prn|aux|nul|com\d|lpt\d)$/;
+function slugifyTitle(title) {
+  const full = String(title ?? "").normalize("NFKC").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-+|-+$/g, "");
+  const slug = Array.from(full).slice(0, MAX_SLUG_LENGTH).join("").replace(/-+$/, "");
+  if (!slug) return "untitled";
+  return RESERVED_RE.test(slug) ? `${slug}-note` : slug;
+}
+function isNoteFileName(value) {
+  const name = String(value || "");
+  return name.length <= 200 && /\.md$/i.test(name) && !name.startsWith(".") && !/[/\\]/.test(name);
+}
+function uniqueNoteFileName(title, taken = /* @__PURE__ */ new Set()) {
+  const base = slugifyTitle(title);
+  let name = `${base}.md`;
+  for (let i = 2; taken.has(name.toLowerCase()); i += 1) name = `${base}-${i}.md`;
+  return name;
+}
+
+// plugin/shared/notepad-store.mjs
+var INDEX_VERSION = LATEST_INDEX_VERSION;
+var DEFAULT_LOCK_TIMEOUT_MS = 1e4;
+var DEFAULT_LOCK_STALE_MS = 3e4;
+var DEFAULT_LOCK_POLL_MS = 25;
+var DEFAULT_MAX_REVISIONS = 50;
+var DEFAULT_TRASH_RETENTION_DAYS = 30;
+var DAY_MS = 24 * 60 * 60 * 1e3;
+var SORTABLE_ID_RE = /^[0-9a-z]+-[0-9a-f]+$/;
+var IMPORT_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+var SEARCH_TITLE_MATCH_BOOST = 10;
+var SEARCH_FOLDER_MATCH_BOOST = 2;
+var MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+var ATTACHMENT_LINK_PREFIX = "attachments/";
+var ATTACHMENT_MIME_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+  bmp: "image/bmp",
+  ico: "image/x-icon",
+  pdf: "application/pdf",
+  txt: "text/plain",
+  md: "text/markdown",
+  csv: "text/csv",
+  json: "application/json",
+  zip: "application/zip",
+  mp3: "audio/mpeg",
+  wav: "audio/wav",
+  mp4: "video/mp4",
+  webm: "video/webm"
+};
+var TAG_SEPARATOR = "/";
+var MAX_BATCH_OPERATIONS = 500;
+var BATCH_OPS = /* @__PURE__ */ new Set(["move", "addTags", "removeTags", "delete", "setProperties"]);
+var INDEX_FILE_NAME = "notes-index.json";
+var ENCRYPTION_FILE_NAME = "encryption.json";
+var ENCRYPTION_IDLE_MS = 30 * 60 * 1e3;
+var BACKUP_ENTRIES = ["notes", "attachments", INDEX_FILE_NAME, "journal.json", ENCRYPTION_FILE_NAME];
+var RESERVED_FRONT_MATTER_KEYS = /* @__PURE__ */ new Set(["id", "title", "tags", "createdAt"]);
+function normalizeString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+function normalizeOptionalString(value) {
+  const out = normalizeString(value);
+  return out ? out : "";
+}
+function normalizeTag(value) {
+  const tag = normalizeString(value);
+  if (!tag) return "";
+  if (!tag.includes(TAG_SEPARATOR)) return tag;
+  return tag.split(TAG_SEPARATOR).map((seg) => seg.trim()).filter(Boolean).join(TAG_SEPARATOR);
+}
+function tagMatches(tagKey, filterKey) {
+  return tagKey === filterKey || tagKey.startsWith(`${filterKey}${TAG_SEPARATOR}`);
+}
+function buildTagTree(notes) {
+  const root = { children: /* @__PURE__ */ new Map() };
+  (Array.isArray(notes) ? notes : []).forEach((n) => {
+    uniqTags(n.tags).forEach((tag) => {
+      let node = root;
+      const parts = tag.split(TAG_SEPARATOR);
+      parts.forEach((part, i) => {
+        const key = part.toLowerCase();
+        if (!node.children.has(key)) {
+          node.children.set(key, { name: part, tag: parts.slice(0, i + 1).join(TAG_SEPARATOR), count: 0, notes: /* @__PURE__ */ new Set(), children: /* @__PURE__ */ new Map() });
+        }
+        node = node.children.get(key);
+        node.notes.add(n.id);
+      });
+      node.count += 1;
+    });
+  });
+  const toList = (node) => Array.from(node.children.values()).map((child) => ({ name: child.name, tag: child.tag, count: child.count, total: child.notes.size, children: toList(child) })).sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+  return toList(root);
+}
+function uniqTags(tags) {
+  const out = [];
+  const seen = /* @__PURE__ */ new Set();
+  (Array.isArray(tags) ? tags : []).forEach((t) => {
+    const tag = normalizeTag(t);
+    if (!tag) return;
+    const key = tag.toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    out.push(tag);
+  });
+  return out;
+}
+function isValidPathSegment(seg) {
+  const s = String(seg || "").trim();
+  if (!s) return false;
+  if (s === "." || s === "..") return false;
+  if (/[<>:"/\\|?*\0]/.test(s)) return false;
+  if (/[\u0000-\u001f]/.test(s)) return false;
+  return true;
+}
+function normalizeFolderPath(value) {
+  const raw = normalizeOptionalString(value).replace(/\\/g, "/");
+  if (!raw) return "";
+  const cleaned = raw.replace(/^\/+|\/+$/g, "");
+  if (!cleaned) return "";
+  const parts = cleaned.split("/").filter(Boolean);
+  for (const part of parts) {
+    if (!isValidPathSegment(part)) {
+      throw new Error(`Invalid folder segment: ${part}`);
+    }
+  }
+  return parts.join("/");
+}
+function splitFolder(folder) {
+  const f = normalizeOptionalString(folder).replace(/\\/g, "/");
+  if (!f) return [];
+  return f.split("/").filter(Boolean);
+}
+function joinPosix(...parts) {
+  const filtered = parts.filter((p) => typeof p === "string" && p.trim());
+  return path2.posix.join(...filtered);
+}
+function nowIso() {
+  return (/* @__PURE__ */ new Date()).toISOString();
+}
+async function ensureDir(dirPath) {
+  const p = normalizeOptionalString(dirPath);
+  if (!p) return;
+  await fs2.promises.mkdir(p, { recursive: true });
+}
+async function isDirectory(dirPath) {
+  try {
+    const stat = await fs2.promises.stat(dirPath);
+    return stat.isDirectory();
+  } catch {
+    return false;
+  }
+}
+async function isFile(filePath) {
+  try {
+    const stat = await fs2.promises.stat(filePath);
+    return stat.isFile();
+  } catch {
+    return false;
+  }
+}
+function pathInside(parent, child) {
+  const rel = path2.relative(parent, child);
+  return !rel || !rel.startsWith("..") && !path2.isAbsolute(rel);
+}
+async function atomicWriteText(filePath, text) {
+  await atomicWriteFile(filePath, String(text ?? ""));
+}
+async function atomicWriteFile(filePath, data) {
+  const target = normalizeOptionalString(filePath);
+  if (!target) throw new Error("filePath is required");
+  const dir = path2.dirname(target);
+  await ensureDir(dir);
+  const base = path2.basename(target);
+  const tmp = path2.join(dir, `.${base}.${process.pid}.${Date.now().toString(36)}.tmp`);
+  await fs2.promises.writeFile(tmp, data, typeof data === "string" ? "utf8" : void 0);
+  try {
+    await fs2.promises.rename(tmp, target);
+  } catch (err) {
+    try {
+      await fs2.promises.unlink(target);
+      await fs2.promises.rename(tmp, target);
+    } catch (err2) {
+      try {
+        await fs2.promises.unlink(tmp);
+      } catch {
+      }
+      throw err2;
+    }
+  }
+}
+async function moveTree(src, dst) {
+  const srcStat = await fs2.promises.stat(src);
+  let dstExists = false;
+  try {
+    await fs2.promises.stat(dst);
+    dstExists = true;
+  } catch {
+    dstExists = false;
+  }
+  if (!dstExists) {
+    await ensureDir(path2.dirname(dst));
+    await fs2.promises.rename(src, dst);
+    return;
+  }
+  if (!srcStat.isDirectory()) {
+    throw new Error(`Target already exists: ${dst}`);
+  }
+  const entries = await fs2.promises.readdir(src);
+  for (const name of entries) {
+    await moveTree(path2.join(src, name), path2.join(dst, name));
+  }
+  await fs2.promises.rmdir(src);
+}
+async function tryAcquireLock(lockPath) {
+  const p = normalizeOptionalString(lockPath);
+  if (!p) throw new Error("lockPath is required");
+  await ensureDir(path2.dirname(p));
+  try {
+    const handle = await fs2.promises.open(p, "wx");
+    try {
+      await handle.writeFile(JSON.stringify({ pid: process.pid, startedAt: nowIso() }), { encoding: "utf8" });
+    } catch {
+    }
+    return handle;
+  } catch (err) {
+    if (err?.code === "EEXIST") return null;
+    throw err;
+  }
+}
+async function inspectLock(lockPath, staleMs = DEFAULT_LOCK_STALE_MS) {
+  let stat = null;
+  try {
+    stat = await fs2.promises.stat(lockPath);
+  } catch {
+    return null;
+  }
+  let owner = null;
+  try {
+    owner = JSON.parse(await fs2.promises.readFile(lockPath, "utf8"));
+  } catch {
+    owner = null;
+  }
+  const ageMs = Math.max(0, Date.now() - (typeof stat?.mtimeMs === "number" ? stat.mtimeMs : 0));
+  const pid = Number(owner?.pid);
+  const hasPid = Number.isInteger(pid) && pid > 0;
+  let ownerAlive = true;
+  if (hasPid && pid !== process.pid) {
+    try {
+      process.kill(pid, 0);
+    } catch (err) {
+      ownerAlive = err?.code === "EPERM";
+    }
+  }
+  return { ageMs, pid: hasPid ? pid : null, ownerAlive, stale: ageMs > staleMs || !ownerAlive };
+}
+async function withFileLock(lockPath, fn, options = {}) {
+  const timeoutMs = Number.isFinite(options.timeoutMs) ? options.timeoutMs : DEFAULT_LOCK_TIMEOUT_MS;
+  const pollMs = Number.isFinite(options.pollMs) ? options.pollMs : DEFAULT_LOCK_POLL_MS;
+  const staleMs = Number.isFinite(options.staleMs) ? options.staleMs : DEFAULT_LOCK_STALE_MS;
+  const start = Date.now();
+  while (true) {
+    const handle = await tryAcquireLock(lockPath);
+    if (handle) {
+      try {
+        return await fn();
+      } finally {
+        try {
+          await handle.close();
+        } catch {
+        }
+        try {
+          await fs2.promises.unlink(lockPath);
+        } catch {
+        }
+      }
+    }
+    try {
+      const lock = await inspectLock(lockPath, staleMs);
+      if (lock?.stale) {
+        await fs2.promises.unlink(lockPath);
+        continue;
+      }
+    } catch {
+    }
+    if (Date.now() - start > timeoutMs) {
+      throw new Error(`Timed out waiting for lock (${path2.basename(lockPath)}).`);
+    }
+    await new Promise((r) => setTimeout(r, pollMs));
+  }
+}
+function extractTitleFromMarkdown(markdown) {
+  const text = String(markdown || "").replace(/\r\n/g, "\n");
+  const lines = text.split("\n");
+  for (const line of lines) {
+    const trimmed = String(line || "").trim();
+    if (!trimmed) continue;
+    const heading = trimmed.match(/^#{1,6}\s+(.+)$/);
+    if (heading) {
+      return String(heading[1] || "").trim().slice(0, 120) || "";
+    }
+    return trimmed.slice(0, 120);
+  }
+  return "";
+}
+function normalizeTitle(value) {
+  const title = normalizeOptionalString(value);
+  return title ? title.slice(0, 120) : "";
+}
+function noteFileName(note) {
+  return isNoteFileName(note?.fileName) ? note.fileName : `${note?.id}.md`;
+}
+function noteFileAbs(notesRoot, folder, note) {
+  const segments = splitFolder(folder);
+  return path2.join(notesRoot, ...segments, noteFileName(note));
+}
+function noteFileRel(folder, note) {
+  const folderNorm = normalizeOptionalString(folder).replace(/\\/g, "/");
+  return joinPosix("notes", folderNorm, noteFileName(note));
+}
+var lastSortableMs = 0;
+function tagsFromFrontMatter(value) {
+  if (Array.isArray(value)) return uniqTags(value.map((t) => t === null || t === void 0 ? "" : String(t)));
+  if (typeof value === "string") return uniqTags(value.split(","));
+  return [];
+}
+function customFrontMatterFields(data) {
+  const out = {};
+  Object.entries(data && typeof data === "object" ? data : {}).forEach(([key, value]) => {
+    if (RESERVED_FRONT_MATTER_KEYS.has(key)) return;
+    out[key] = value;
+  });
+  return out;
+}
+function normalizePropertyChanges(properties, types) {
+  const given = properties && typeof properties === "object" && !Array.isArray(properties) ? properties : null;
+  if (!given || Object.keys(given).length === 0) return { error: "properties is required" };
+  const typeOf = types && typeof types === "object" ? types : {};
+  const changes = {};
+  for (const [key, value] of Object.entries(given)) {
+    if (!isPropertyKey(key)) return { error: `Invalid property name: ${key}` };
+    if (RESERVED_FRONT_MATTER_KEYS.has(key)) return { error: `Reserved property: ${key}` };
+    const type = normalizeOptionalString(typeOf[key]);
+    if (type && !PROPERTY_TYPES.includes(type)) return { error: `Unknown property type: ${type} (use ${PROPERTY_TYPES.join(", ")})` };
+    if (value === null || value === void 0) {
+      changes[key] = null;
+      continue;
+    }
+    if (!type && !propertyType(value)) return { error: `Unsupported value for property ${key}` };
+    try {
+      changes[key] = coercePropertyValue(value, type);
+    } catch (err) {
+      return { error: `${key}: ${err?.message || String(err)}` };
+    }
+  }
+  return { changes };
+}
+function applyPropertyChanges(fields, changes) {
+  const next = { ...fields };
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === null) delete next[key];
+    else next[key] = value;
+  });
+  return next;
+}
+function buildNoteFileText(note, body, fields = {}) {
+  const data = {
+    id: note.id,
+    title: normalizeTitle(note.title),
+    tags: uniqTags(note.tags),
+    createdAt: normalizeOptionalString(note.createdAt),
+    ...customFrontMatterFields(fields)
+  };
+  return stringifyFrontMatter(data, String(body ?? ""));
+}
+async function readNoteFile(filePath) {
+  const raw = await fs2.promises.readFile(filePath, "utf8");
+  const { data, body, hasFrontMatter } = parseFrontMatter(raw);
+  return { raw, data, body, hasFrontMatter, fields: customFrontMatterFields(data) };
+}
+async function writeNoteFile(filePath, note, body, fields) {
+  await atomicWriteText(filePath, buildNoteFileText(note, body, fields));
+}
+function normalizeAttachmentName(value) {
+  const name = path2.basename(normalizeOptionalString(value).replace(/\\/g, "/"));
+  if (!isValidPathSegment(name) || name.startsWith(".")) return "";
+  return name.length > 120 ? "" : name;
+}
+function attachmentMimeType(name) {
+  const ext = path2.extname(String(name || "")).slice(1).toLowerCase();
+  return ATTACHMENT_MIME_TYPES[ext] || "application/octet-stream";
+}
+function attachmentLink(name) {
+  return `${ATTACHMENT_LINK_PREFIX}${encodeURIComponent(name)}`;
+}
+function decodeBase64Input(value) {
+  const text = String(value ?? "").trim();
+  const payload = text.startsWith("data:") ? text.slice(text.indexOf(",") + 1) : text;
+  if (!payload || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(payload.replace(/\s+/g, ""))) return null;
+  return Buffer.from(payload.replace(/\s+/g, ""), "base64");
+}
+function createSortableId() {
+  lastSortableMs = Math.max(Date.now(), lastSortableMs + 1);
+  const stamp = lastSortableMs.toString(36).padStart(10, "0");
+  return `${stamp}-${crypto3.randomBytes(3).toString("hex")}`;
+}
+function normalizeSortableId(value) {
+  const id = normalizeOptionalString(value);
+  return SORTABLE_ID_RE.test(id) ? id : "";
+}
+function clone2(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+function normalizeRevisionNumber(value) {
+  const num = Number(value);
+  return Number.isInteger(num) && num > 0 ? num : 1;
+}
+function expectedRevisionError(value) {
+  if (value === void 0 || value === null) return "";
+  return Number.isInteger(value) && value > 0 ? "" : "expectedRevision must be a positive integer";
+}
+function normalizeSortOrder(value) {
+  if (value === null || value === void 0 || value === "") return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+function compareNotesForList(a, b) {
+  if (Boolean(a.pinned) !== Boolean(b.pinned)) return a.pinned ? -1 : 1;
+  const ao = normalizeSortOrder(a.sortOrder);
+  const bo = normalizeSortOrder(b.sortOrder);
+  if (ao !== bo) {
+    if (ao === null) return 1;
+    if (bo === null) return -1;
+    return ao - bo;
+  }
+  return String(b.updatedAt || "").localeCompare(String(a.updatedAt || ""));
+}
+function normalizeIndex(index) {
+  const obj = index && typeof index === "object" ? index : {};
+  const version2 = Number(obj.version) || INDEX_VERSION;
+  const rawNotes = Array.isArray(obj.notes) ? obj.notes : [];
+  const notes = [];
+  const seen = /* @__PURE__ */ new Set();
+  rawNotes.forEach((n) => {
+    if (!n || typeof n !== "object") return;
+    const id = normalizeOptionalString(n.id);
+    if (!id) return;
+    if (seen.has(id)) return;
+    seen.add(id);
+    notes.push({
+      id,
+      title: normalizeTitle(n.title),
+      folder: normalizeOptionalString(n.folder).replace(/\\/g, "/"),
+      tags: uniqTags(n.tags),
+      createdAt: normalizeOptionalString(n.createdAt),
+      updatedAt: normalizeOptionalString(n.updatedAt),
+      revision: normalizeRevisionNumber(n.revision),
+      pinned: n.pinned === true,
+      sortOrder: normalizeSortOrder(n.sortOrder),
+      encrypted: n.encrypted === true,
+      fileName: noteFileName({ id, fileName: n.fileName }),
+      properties: propertiesFromFields(n.properties)
+    });
+  });
+  return { version: version2, notes };
+}
+function filterNotes(notes, { folderRel = "", recursive = true, desiredTags = [], matchMode = "all", q = "" } = {}) {
+  let out = Array.isArray(notes) ? notes.slice() : [];
+  if (folderRel) {
+    const prefix = `${folderRel}/`;
+    out = out.filter((n) => {
+      const f = normalizeOptionalString(n.folder).replace(/\\/g, "/");
+      if (f === folderRel) return true;
+      if (recursive === false) return false;
+      return f.startsWith(prefix);
+    });
+  }
+  if (desiredTags.length > 0) {
+    const desiredKeys = desiredTags.map((t) => t.toLowerCase());
+    out = out.filter((n) => {
+      const tagKeys = (Array.isArray(n.tags) ? n.tags : []).map((t) => String(t || "").toLowerCase());
+      const has = (key) => tagKeys.some((t) => tagMatches(t, key));
+      if (matchMode === "any") return desiredKeys.some(has);
+      return desiredKeys.every(has);
+    });
+  }
+  if (q) {
+    out = out.filter((n) => {
+      const title = normalizeOptionalString(n.title).toLowerCase();
+      const folderName = normalizeOptionalString(n.folder).toLowerCase();
+      return title.includes(q) || folderName.includes(q);
+    });
+  }
+  return out;
+}
+async function listMarkdownFiles(notesRoot, rel = "") {
+  const absDir = rel ? path2.join(notesRoot, ...splitFolder(rel)) : notesRoot;
+  let entries = [];
+  try {
+    entries = await fs2.promises.readdir(absDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const results = [];
+  for (const entry of entries) {
+    const name = String(entry?.name || "");
+    if (!name) continue;
+    if (entry.isDirectory()) {
+      const nextRel = rel ? `${rel}/${name}` : name;
+      results.push(...await listMarkdownFiles(notesRoot, nextRel));
+      continue;
+    }
+    if (!entry.isFile()) continue;
+    if (!name.toLowerCase().endsWith(".md")) continue;
+    const id = name.slice(0, -3);
+    if (!id) continue;
+    const fileAbs = rel ? path2.join(notesRoot, ...splitFolder(rel), name) : path2.join(notesRoot, name);
+    results.push({ id, folder: rel, fileAbs });
+  }
+  return results;
+}
+async function listNoteFiles(notesRoot) {
+  const out = [];
+  for (const file2 of await listMarkdownFiles(notesRoot)) {
+    let id = "";
+    try {
+      id = normalizeOptionalString((await readNoteFile(file2.fileAbs)).data?.id);
+    } catch {
+      id = "";
+    }
+    out.push({ ...file2, id: isValidPathSegment(id) ? id : file2.id, fileName: path2.basename(file2.fileAbs) });
+  }
+  return out;
+}
+function isHiddenRel(rel) {
+  return String(rel || "").split("/").some((seg) => seg.startsWith("."));
+}
+async function createDirectoryImportSource(rootAbs) {
+  const toAbs = (rel) => path2.join(rootAbs, ...rel.split("/"));
+  const markdown = (await listMarkdownFiles(rootAbs)).map((f) => ({
+    rel: f.folder ? `${f.folder}/${f.id}.md` : `${f.id}.md`,
+    folder: f.folder,
+    stem: f.id
+  }));
+  markdown.sort((a, b) => a.rel.localeCompare(b.rel));
+  let byName = null;
+  const findByName = async (name) => {
+    if (!byName) {
+      byName = /* @__PURE__ */ new Map();
+      const walk = async (relDir) => {
+        let entries = [];
+        try {
+          entries = await fs2.promises.readdir(relDir ? toAbs(relDir) : rootAbs, { withFileTypes: true });
+        } catch {
+          return;
+        }
+        for (const entry of entries) {
+          const entryName = String(entry?.name || "");
+          if (!entryName || entryName.startsWith(".")) continue;
+          const rel = relDir ? `${relDir}/${entryName}` : entryName;
+          if (entry.isDirectory()) await walk(rel);
+          else if (entry.isFile() && !byName.has(entryName.toLowerCase())) byName.set(entryName.toLowerCase(), rel);
+        }
+      };
+      await walk("");
+    }
+    return byName.get(String(name || "").toLowerCase()) || null;
+  };
+  const stat = async (rel) => {
+    try {
+      const st = await fs2.promises.stat(toAbs(rel));
+      return st.isFile() ? { size: st.size, createdAt: st.birthtime || st.mtime, updatedAt: st.mtime } : null;
+    } catch {
+      return null;
+    }
+  };
+  return {
+    markdown,
+    stat,
+    findByName,
+    readText: async (rel) => await fs2.promises.readFile(toAbs(rel), "utf8"),
+    readBuffer: async (rel) => await fs2.promises.readFile(toAbs(rel))
+  };
+}
+function safePosixRel(value) {
+  const rel = path2.posix.normalize(String(value || "").replace(/\\/g, "/").replace(/^\.\//, ""));
+  if (!rel || rel === "." || rel.startsWith("../") || rel === ".." || path2.posix.isAbsolute(rel)) return null;
+  return rel;
+}
+function createArchiveImportSource(entries) {
+  const files = /* @__PURE__ */ new Map();
+  (Array.isArray(entries) ? entries : []).forEach((entry) => {
+    const rel = safePosixRel(entry.name);
+    if (rel) files.set(rel, entry.data);
+  });
+  let manifest = null;
+  try {
+    const parsed = files.has(ARCHIVE_MANIFEST) ? JSON.parse(files.get(ARCHIVE_MANIFEST).toString("utf8")) : null;
+    manifest = parsed?.format === ARCHIVE_FORMAT ? parsed : null;
+  } catch {
+    manifest = null;
+  }
+  const metaByPath = new Map((Array.isArray(manifest?.notes) ? manifest.notes : []).map((n) => [String(n?.path || ""), n]));
+  const markdown = Array.from(files.keys()).filter((rel) => rel.toLowerCase().endsWith(".md")).sort((a, b) => a.localeCompare(b)).map((rel) => ({
+    rel,
+    folder: path2.posix.dirname(rel) === "." ? "" : path2.posix.dirname(rel),
+    stem: path2.posix.basename(rel).slice(0, -3)
+  }));
+  let byName = null;
+  return {
+    markdown,
+    folders: Array.isArray(manifest?.folders) ? manifest.folders.filter((f) => typeof f === "string" && safePosixRel(f)) : [],
+    noteMeta: (rel) => metaByPath.get(rel) || null,
+    stat: async (rel) => files.has(rel) ? { size: files.get(rel).length } : null,
+    findByName: async (name) => {
+      if (!byName) {
+        byName = /* @__PURE__ */ new Map();
+        Array.from(files.keys()).filter((rel) => !isHiddenRel(rel)).forEach((rel) => {
+          const key = path2.posix.basename(rel).toLowerCase();
+          if (!byName.has(key)) byName.set(key, rel);
+        });
+      }
+      return byName.get(String(name || "").toLowerCase()) || null;
+    },
+    readText: async (rel) => files.get(rel).toString("utf8"),
+    readBuffer: async (rel) => files.get(rel)
+  };
+}
+function importDate(value) {
+  if (value instanceof Date && Number.isFinite(value.getTime())) return value.toISOString();
+  if (typeof value === "string" && Number.isFinite(Date.parse(value))) return new Date(value).toISOString();
+  return "";
+}
+function sha256Hex(data) {
+  return crypto3.createHash("sha256").update(data).digest("hex");
+}
+async function listBackupSourceFiles(rootAbs, entries) {
+  const out = [];
+  const walk = async (rel) => {
+    let stat = null;
+    try {
+      stat = await fs2.promises.stat(path2.join(rootAbs, ...rel.split("/")));
+    } catch {
+      return;
+    }
+    if (stat.isFile()) {
+      if (!(path2.posix.basename(rel).startsWith(".") && rel.endsWith(".tmp"))) out.push(rel);
+      return;
+    }
+    if (!stat.isDirectory()) return;
+    const names = await fs2.promises.readdir(path2.join(rootAbs, ...rel.split("/")));
+    for (const name of names.sort()) await walk(`${rel}/${name}`);
+  };
+  for (const entry of entries) await walk(entry);
+  return out;
+}
+async function listTempFiles(rootAbs, { recursive = true } = {}) {
+  const out = [];
+  const walk = async (absDir) => {
+    let entries = [];
+    try {
+      entries = await fs2.promises.readdir(absDir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const name = String(entry?.name || "");
+      const abs = path2.join(absDir, name);
+      if (entry.isDirectory()) {
+        if (recursive) await walk(abs);
+        continue;
+      }
+      if (entry.isFile() && name.startsWith(".") && name.endsWith(".tmp")) out.push(abs);
+    }
+  };
+  await walk(rootAbs);
+  return out;
+}
+async function noteFromFile(file2) {
+  let parsed = { data: {}, body: "" };
+  try {
+    parsed = await readNoteFile(file2.fileAbs);
+  } catch {
+    parsed = { data: {}, body: "" };
+  }
+  const meta3 = parsed.data || {};
+  let stat = null;
+  try {
+    stat = await fs2.promises.stat(file2.fileAbs);
+  } catch {
+    stat = null;
+  }
+  const now = nowIso();
+  const statCreatedAt = stat?.birthtime ? new Date(stat.birthtime).toISOString() : stat?.mtime ? new Date(stat.mtime).toISOString() : now;
+  const updatedAt = stat?.mtime ? new Date(stat.mtime).toISOString() : now;
+  const metaCreatedAt = typeof meta3.createdAt === "string" && Number.isFinite(Date.parse(meta3.createdAt)) ? meta3.createdAt : "";
+  return {
+    id: file2.id,
+    title: normalizeTitle(typeof meta3.title === "string" ? meta3.title : "") || (isEncryptedBody(parsed.body) ? "" : normalizeTitle(extractTitleFromMarkdown(parsed.body))) || "Untitled",
+    folder: normalizeOptionalString(file2.folder),
+    tags: tagsFromFrontMatter(meta3.tags),
+    createdAt: metaCreatedAt || statCreatedAt,
+    updatedAt,
+    encrypted: isEncryptedBody(parsed.body),
+    fileName: path2.basename(file2.fileAbs),
+    properties: propertiesFromFields(customFrontMatterFields(meta3))
+  };
+}
+async function rebuildIndexFromFilesystem(notesRoot) {
+  const files = await listNoteFiles(notesRoot);
+  const notes = [];
+  for (const f of files) {
+    notes.push(await noteFromFile(f));
+  }
+  return { version: INDEX_VERSION, notes };
+}
+async function ensureFrontMatterForNotes(notesRoot, notes, { fromFiles = false } = {}) {
+  let migrated = 0;
+  for (const note of Array.isArray(notes) ? notes : []) {
+    const abs = noteFileAbs(notesRoot, note.folder, note);
+    let parsed = null;
+    try {
+      parsed = await readNoteFile(abs);
+    } catch {
+      continue;
+    }
+    if (parsed.hasFrontMatter && parsed.data?.id === note.id) continue;
+    if (fromFiles) await writeNoteFile(abs, note, parsed.body, parsed.fields);
+    else await writeNoteFile(abs, note, parsed.raw, {});
+    migrated += 1;
+  }
+  return migrated;
+}
+async function renameNoteFilesToTitles(notesRoot, notes) {
+  const takenByFolder = /* @__PURE__ */ new Map();
+  const takenIn = (folder) => {
+    if (!takenByFolder.has(folder)) takenByFolder.set(folder, /* @__PURE__ */ new Set());
+    return takenByFolder.get(folder);
+  };
+  const list = Array.isArray(notes) ? notes : [];
+  const named = (n) => noteFileName(n) !== `${n.id}.md`;
+  list.forEach((n) => {
+    if (named(n)) takenIn(n.folder).add(noteFileName(n).toLowerCase());
+  });
+  const out = [];
+  for (const note of list) {
+    const fromAbs = noteFileAbs(notesRoot, note.folder, note);
+    if (named(note) || !await isFile(fromAbs)) {
+      out.push(note);
+      continue;
+    }
+    const taken = takenIn(note.folder);
+    let fileName = uniqueNoteFileName(note.title, taken);
+    while (await isFile(noteFileAbs(notesRoot, note.folder, { fileName }))) {
+      taken.add(fileName.toLowerCase());
+      fileName = uniqueNoteFileName(note.title, taken);
+    }
+    taken.add(fileName.toLowerCase());
+    await fs2.promises.rename(fromAbs, noteFileAbs(notesRoot, note.folder, { fileName }));
+    out.push({ ...note, fileName });
+  }
+  return out;
+}
+async function readPropertiesForNotes(notesRoot, notes) {
+  const out = [];
+  for (const note of Array.isArray(notes) ? notes : []) {
+    let fields = {};
+    try {
+      fields = (await readNoteFile(noteFileAbs(notesRoot, note.folder, note))).fields;
+    } catch {
+      fields = {};
+    }
+    out.push({ ...note, properties: propertiesFromFields(fields) });
+  }
+  return out;
+}
+function createNotepadStore({ dataDir, maxRevisions, trashRetentionDays } = {}) {
+  const baseDirRaw = normalizeOptionalString(dataDir);
+  if (!baseDirRaw) {
+    throw new Error("dataDir is required");
+  }
+  const baseDir = path2.resolve(baseDirRaw);
+  const notesRoot = path2.join(baseDir, "notes");
+  const revisionsRoot = path2.join(baseDir, "revisions");
+  const trashRoot = path2.join(baseDir, "trash");
+  const attachmentsRoot = path2.join(baseDir, "attachments");
+  const indexPath = path2.join(baseDir, INDEX_FILE_NAME);
+  const lockPath = path2.join(baseDir, "notes.lock");
+  const journalSettingsPath = path2.join(baseDir, "journal.json");
+  const encryptionSettingsPath = path2.join(baseDir, ENCRYPTION_FILE_NAME);
+  const backupsRoot = path2.join(baseDir, "backups");
+  const backupSettingsPath = path2.join(baseDir, "backups.json");
+  const derivedIndexes = {
+    search: { file: path2.join(baseDir, "search-index.json"), version: SEARCH_INDEX_VERSION, create: createSearchIndex, cache: null },
+    links: { file: path2.join(baseDir, "links-index.json"), version: LINK_INDEX_VERSION, create: createLinkIndex, cache: null },
+    tasks: { file: path2.join(baseDir, "tasks-index.json"), version: TASK_INDEX_VERSION, create: createTaskIndex, cache: null }
+  };
+  const revisionLimit = Number.isFinite(maxRevisions) ? Math.max(1, Math.floor(maxRevisions)) : DEFAULT_MAX_REVISIONS;
+  const trashRetentionMs = (Number.isFinite(trashRetentionDays) ? Math.max(0, trashRetentionDays) : DEFAULT_TRASH_RETENTION_DAYS) * DAY_MS;
+  const rebuildIndexLocked = async () => {
+    Object.values(derivedIndexes).forEach((spec) => {
+      spec.cache = null;
+    });
+    const rebuilt = await rebuildIndexFromFilesystem(notesRoot);
+    await ensureFrontMatterForNotes(notesRoot, rebuilt.notes, { fromFiles: true });
+    await atomicWriteText(indexPath, JSON.stringify(rebuilt, null, 2));
+    return rebuilt;
+  };
+  const loadIndexLocked = async () => {
+    await ensureDir(notesRoot);
+    const exists = await isFile(indexPath);
+    if (!exists) {
+      return await rebuildIndexLocked();
+    }
+    let raw = "";
+    try {
+      raw = await fs2.promises.readFile(indexPath, "utf8");
+    } catch (err) {
+      if (err?.code === "ENOENT") {
+        return await rebuildIndexLocked();
+      }
+      throw err;
+    }
+    let parsed = null;
+    try {
+      parsed = JSON.parse(String(raw || ""));
+    } catch {
+      const backup = path2.join(baseDir, `notes-index.corrupted.${Date.now().toString(36)}.json`);
+      try {
+        await fs2.promises.copyFile(indexPath, backup);
+      } catch {
+      }
+      return await rebuildIndexLocked();
+    }
+    if (readIndexVersion(parsed) === INDEX_VERSION) return normalizeIndex(parsed);
+    return await migrateIndexLocked(parsed, raw);
+  };
+  const migrateIndexLocked = async (parsed, raw) => {
+    const fromVersion = readIndexVersion(parsed);
+    if (fromVersion < INDEX_VERSION) {
+      const backup = path2.join(baseDir, `notes-index.v${fromVersion}.${Date.now().toString(36)}.json`);
+      await atomicWriteText(backup, raw);
+    }
+    const migrated = await migrateIndex(parsed, {
+      context: {
+        ensureFrontMatter: async (notes) => await ensureFrontMatterForNotes(notesRoot, normalizeIndex({ notes }).notes),
+        renameNoteFiles: async (notes) => {
+          const normalized2 = normalizeIndex({ notes }).notes;
+          await ensureFrontMatterForNotes(notesRoot, normalized2);
+          return await renameNoteFilesToTitles(notesRoot, normalized2);
+        },
+        readProperties: async (notes) => await readPropertiesForNotes(notesRoot, normalizeIndex({ notes }).notes)
+      }
+    });
+    const normalized = normalizeIndex(migrated.index);
+    normalized.version = INDEX_VERSION;
+    await atomicWriteText(indexPath, JSON.stringify(normalized, null, 2));
+    return normalized;
+  };
+  const saveIndexLocked = async (index) => {
+    const normalized = normalizeIndex(index);
+    normalized.version = INDEX_VERSION;
+    await atomicWriteText(indexPath, JSON.stringify(normalized, null, 2));
+    changeFeed.poke();
+    return normalized;
+  };
+  const getIndexSnapshot = async () => await withFileLock(lockPath, async () => clone2(await loadIndexLocked()));
+  const readNoteBodySafe = async (note) => {
+    try {
+      const { body } = await readNoteFile(noteFileAbs(notesRoot, note.folder, note));
+      return isEncryptedBody(body) ? "" : body;
+    } catch {
+      return "";
+    }
+  };
+  let unlockedKey = null;
+  let unlockedUntil = 0;
+  const sessionKey = () => {
+    if (!unlockedKey) return null;
+    if (Date.now() > unlockedUntil) {
+      unlockedKey = null;
+      return null;
+    }
+    unlockedUntil = Date.now() + ENCRYPTION_IDLE_MS;
+    return unlockedKey;
+  };
+  const readEncryptionSettingsLocked = async () => {
+    try {
+      return normalizeEncryptionSettings(JSON.parse(await fs2.promises.readFile(encryptionSettingsPath, "utf8")));
+    } catch {
+      return normalizeEncryptionSettings(null);
+    }
+  };
+  const lockedResult = (note) => ({
+    ok: false,
+    locked: true,
+    message: "Note is encrypted; unlock the notebook first",
+    ...note ? { note: { ...note, file: noteFileRel(note.folder, note) } } : {}
+  });
+  const openBody = (body) => {
+    if (!isEncryptedBody(body)) return body;
+    const key = sessionKey();
+    return key ? decryptText(key, body) : null;
+  };
+  const encryptNotesLocked = async (index, notes, key) => {
+    const upsert = [];
+    for (const note of notes) {
+      const idx = index.notes.findIndex((n) => n.id === note.id);
+      if (idx < 0 || index.notes[idx].encrypted) continue;
+      const abs = noteFileAbs(notesRoot, note.folder, note);
+      const parsed = await readNoteFile(abs);
+      const updated = { ...index.notes[idx], encrypted: true, revision: index.notes[idx].revision + 1 };
+      if (!isEncryptedBody(parsed.body)) await writeNoteFile(abs, updated, encryptText(key, parsed.body), parsed.fields);
+      await removeRevisionsLocked(note.id);
+      index.notes[idx] = updated;
+      upsert.push({ note: updated, body: "" });
+    }
+    return upsert;
+  };
+  const decryptNotesLocked = async (index, notes, key) => {
+    const upsert = [];
+    for (const note of notes) {
+      const idx = index.notes.findIndex((n) => n.id === note.id);
+      if (idx < 0 || !index.notes[idx].encrypted) continue;
+      const abs = noteFileAbs(notesRoot, note.folder, note);
+      const parsed = await readNoteFile(abs);
+      const body = isEncryptedBody(parsed.body) ? decryptText(key, parsed.body) : parsed.body;
+      const updated = { ...index.notes[idx], encrypted: false, revision: index.notes[idx].revision + 1 };
+      await writeNoteFile(abs, updated, body, parsed.fields);
+      await removeRevisionsLocked(note.id);
+      index.notes[idx] = updated;
+      upsert.push({ note: updated, body });
+    }
+    return upsert;
+  };
+  const saveDerivedIndexLocked = async (spec, derived) => {
+    await atomicWriteText(spec.file, JSON.stringify(derived.toJSON()));
+    const stat = await fs2.promises.stat(spec.file);
+    spec.cache = { index: derived, mtimeMs: stat.mtimeMs, size: stat.size };
+  };
+  const loadDerivedIndexLocked = async (spec, index) => {
+    let stat = null;
+    try {
+      stat = await fs2.promises.stat(spec.file);
+    } catch {
+      stat = null;
+    }
+    if (stat && spec.cache && spec.cache.mtimeMs === stat.mtimeMs && spec.cache.size === stat.size) {
+      return spec.cache.index;
+    }
+    let json2 = null;
+    if (stat) {
+      try {
+        json2 = JSON.parse(await fs2.promises.readFile(spec.file, "utf8"));
+      } catch {
+        json2 = null;
+      }
+    }
+    const derived = spec.create(json2);
+    let changed = json2?.version !== spec.version;
+    const notes = Array.isArray(index?.notes) ? index.notes : [];
+    const known = new Set(notes.map((n) => n.id));
+    derived.ids().forEach((id) => {
+      if (known.has(id)) return;
+      derived.removeDocument(id);
+      changed = true;
+    });
+    for (const note of notes) {
+      if (derived.has(note.id)) continue;
+      derived.setDocument(note.id, { title: note.title, body: await readNoteBodySafe(note) });
+      changed = true;
+    }
+    if (changed) {
+      await saveDerivedIndexLocked(spec, derived);
+    } else {
+      spec.cache = { index: derived, mtimeMs: stat.mtimeMs, size: stat.size };
+    }
+    return derived;
+  };
+  const reindexNotesLocked = async (index, { upsert = [], remove = [] } = {}) => {
+    const docs = [];
+    for (const item of upsert) {
+      const note = item?.note || item;
+      if (!note?.id) continue;
+      const body = typeof item?.body === "string" ? item.body : await readNoteBodySafe(note);
+      docs.push({ id: note.id, title: note.title, body: isEncryptedBody(body) ? "" : body });
+    }
+    for (const spec of Object.values(derivedIndexes)) {
+      const derived = await loadDerivedIndexLocked(spec, index);
+      let changed = false;
+      remove.forEach((id) => {
+        if (derived.removeDocument(id)) changed = true;
+      });
+      docs.forEach((doc) => {
+        if (derived.setDocument(doc.id, { title: doc.title, body: doc.body })) changed = true;
+      });
+      if (changed) await saveDerivedIndexLocked(spec, derived);
+    }
+  };
+  const revisionDirAbs = (noteId) => path2.join(revisionsRoot, noteId);
+  const readRevisionFile = async (noteId, revisionId) => {
+    const abs = path2.join(revisionDirAbs(noteId), `${revisionId}.json`);
+    const raw = await fs2.promises.readFile(abs, "utf8");
+    const parsed = JSON.parse(String(raw || ""));
+    return parsed && typeof parsed === "object" ? parsed : null;
+  };
+  const listRevisionIds = async (noteId) => {
+    let entries = [];
+    try {
+      entries = await fs2.promises.readdir(revisionDirAbs(noteId));
+    } catch {
+      return [];
+    }
+    return entries.filter((name) => name.endsWith(".json")).map((name) => name.slice(0, -5)).filter((name) => SORTABLE_ID_RE.test(name)).sort((a, b) => b.localeCompare(a));
+  };
+  const pruneRevisionsLocked = async (noteId) => {
+    const ids = await listRevisionIds(noteId);
+    for (const revisionId of ids.slice(revisionLimit)) {
+      try {
+        await fs2.promises.unlink(path2.join(revisionDirAbs(noteId), `${revisionId}.json`));
+      } catch {
+      }
+    }
+  };
+  const snapshotRevisionLocked = async (note, content, reason = "update") => {
+    const revisionId = createSortableId();
+    const revision = {
+      id: revisionId,
+      noteId: note.id,
+      reason,
+      createdAt: nowIso(),
+      title: normalizeTitle(note.title),
+      folder: normalizeOptionalString(note.folder),
+      tags: uniqTags(note.tags),
+      noteUpdatedAt: normalizeOptionalString(note.updatedAt),
+      content: String(content ?? "")
+    };
+    const abs = path2.join(revisionDirAbs(note.id), `${revisionId}.json`);
+    await atomicWriteText(abs, JSON.stringify(revision, null, 2));
+    await pruneRevisionsLocked(note.id);
+    return revision;
+  };
+  const removeRevisionsLocked = async (noteId) => {
+    try {
+      await fs2.promises.rm(revisionDirAbs(noteId), { recursive: true, force: true });
+    } catch {
+    }
+  };
+  const trashItemDirAbs = (trashId) => path2.join(trashRoot, trashId);
+  const trashFilesAbs = (trashId) => path2.join(trashItemDirAbs(trashId), "files");
+  const readTrashItem = async (trashId) => {
+    const raw = await fs2.promises.readFile(path2.join(trashItemDirAbs(trashId), "item.json"), "utf8");
+    const parsed = JSON.parse(String(raw || ""));
+    return parsed && typeof parsed === "object" ? parsed : null;
+  };
+  const listTrashItems = async () => {
+    let entries = [];
+    try {
+      entries = await fs2.promises.readdir(trashRoot, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+    const items = [];
+    for (const entry of entries) {
+      if (!entry?.isDirectory?.()) continue;
+      const trashId = String(entry.name || "");
+      if (!SORTABLE_ID_RE.test(trashId)) continue;
+      try {
+        const item = await readTrashItem(trashId);
+        if (item) items.push({ ...item, id: trashId });
+      } catch {
+      }
+    }
+    items.sort((a, b) => String(b.deletedAt || "").localeCompare(String(a.deletedAt || "")));
+    return items;
+  };
+  const attachmentDirAbs = (noteId) => path2.join(attachmentsRoot, noteId);
+  const trashAttachmentsAbs = (trashId) => path2.join(trashItemDirAbs(trashId), "attachments");
+  const moveToTrashLocked = async ({ kind, folder, title, notes, sourceAbs, withAttachments = true }) => {
+    const trashId = createSortableId();
+    const item = {
+      id: trashId,
+      kind,
+      folder: normalizeOptionalString(folder),
+      title: normalizeOptionalString(title),
+      deletedAt: nowIso(),
+      notes: (Array.isArray(notes) ? notes : []).map((n) => clone2(n))
+    };
+    const filesAbs = trashFilesAbs(trashId);
+    if (kind === "folder") {
+      await ensureDir(path2.dirname(filesAbs));
+      await fs2.promises.rename(sourceAbs, filesAbs);
+    } else {
+      const note = item.notes[0];
+      await ensureDir(filesAbs);
+      try {
+        await fs2.promises.rename(sourceAbs, path2.join(filesAbs, `${note.id}.md`));
+      } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+      }
+    }
+    if (withAttachments) {
+      for (const note of item.notes) {
+        const dirAbs = attachmentDirAbs(note.id);
+        if (await isDirectory(dirAbs)) await moveTree(dirAbs, path2.join(trashAttachmentsAbs(trashId), note.id));
+      }
+    }
+    await atomicWriteText(path2.join(trashItemDirAbs(trashId), "item.json"), JSON.stringify(item, null, 2));
+    return item;
+  };
+  const purgeTrashItemLocked = async (item) => {
+    for (const note of Array.isArray(item?.notes) ? item.notes : []) {
+      const noteId = normalizeOptionalString(note?.id);
+      if (noteId) await removeRevisionsLocked(noteId);
+    }
+    await fs2.promises.rm(trashItemDirAbs(item.id), { recursive: true, force: true });
+  };
+  const autoPurgeTrashLocked = async () => {
+    if (!(trashRetentionMs > 0)) return 0;
+    const cutoff = Date.now() - trashRetentionMs;
+    let purged = 0;
+    for (const item of await listTrashItems()) {
+      const deletedMs = Date.parse(item.deletedAt || "");
+      if (!Number.isFinite(deletedMs) || deletedMs > cutoff) continue;
+      await purgeTrashItemLocked(item);
+      purged += 1;
+    }
+    return purged;
+  };
+  const init = async () => {
+    const index = await withFileLock(lockPath, async () => {
+      await autoPurgeTrashLocked();
+      return clone2(await loadIndexLocked());
+    });
+    return {
+      ok: true,
+      dataDir: baseDir,
+      notesRoot,
+      indexPath,
+      version: INDEX_VERSION,
+      notes: index?.notes?.length || 0
+    };
+  };
+  const listFolders = async () => {
+    await ensureDir(notesRoot);
+    const folders = [""];
+    const walk = async (absDir, relDir) => {
+      let entries = [];
+      try {
+        entries = await fs2.promises.readdir(absDir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        if (!entry?.isDirectory?.()) continue;
+        const name = String(entry.name || "");
+        if (!name) continue;
+        const nextRel = relDir ? `${relDir}/${name}` : name;
+        folders.push(nextRel);
+        await walk(path2.join(absDir, name), nextRel);
+      }
+    };
+    await walk(notesRoot, "");
+    folders.sort((a, b) => a.localeCompare(b));
+    return { ok: true, folders };
+  };
+  const createFolder = async ({ folder } = {}) => {
+    let rel = "";
+    try {
+      rel = normalizeFolderPath(folder);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+    if (!rel) return { ok: false, message: "folder is required" };
+    const abs = path2.join(notesRoot, ...splitFolder(rel));
+    try {
+      await ensureDir(abs);
+      return { ok: true, folder: rel };
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+  };
+  const renameFolder = async ({ from, to } = {}) => await withFileLock(lockPath, async () => {
+    let fromRel = "";
+    let toRel = "";
+    try {
+      fromRel = normalizeFolderPath(from);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+    try {
+      toRel = normalizeFolderPath(to);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+    if (!fromRel) return { ok: false, message: "from is required" };
+    if (!toRel) return { ok: false, message: "to is required" };
+    if (fromRel === toRel) return { ok: true, from: fromRel, to: toRel, movedNotes: 0 };
+    const fromAbs = path2.join(notesRoot, ...splitFolder(fromRel));
+    const toAbs = path2.join(notesRoot, ...splitFolder(toRel));
+    if (!await isDirectory(fromAbs)) return { ok: false, message: `Folder not found: ${fromRel}` };
+    if (await isDirectory(toAbs)) return { ok: false, message: `Target folder already exists: ${toRel}` };
+    const encryption = await readEncryptionSettingsLocked();
+    const remap = (f) => f === fromRel ? toRel : f.startsWith(`${fromRel}/`) ? `${toRel}/${f.slice(fromRel.length + 1)}` : f;
+    const nextEncryption = { ...encryption, folders: encryption.folders.map(remap) };
+    const index = await loadIndexLocked();
+    const inFrom = (f) => f === fromRel || f.startsWith(`${fromRel}/`);
+    const toSeal = index.notes.filter((n) => !n.encrypted && inFrom(n.folder) && isEncryptedFolder(nextEncryption, remap(n.folder)));
+    const key = toSeal.length > 0 ? sessionKey() : null;
+    if (toSeal.length > 0 && !key) return lockedResult(null);
+    await ensureDir(path2.dirname(toAbs));
+    await fs2.promises.rename(fromAbs, toAbs);
+    if (nextEncryption.folders.join("\n") !== encryption.folders.join("\n")) {
+      await atomicWriteText(encryptionSettingsPath, JSON.stringify(nextEncryption, null, 2));
+    }
+    let movedNotes = 0;
+    index.notes = index.notes.map((n) => {
+      const folder = normalizeOptionalString(n.folder).replace(/\\/g, "/");
+      if (folder === fromRel) {
+        movedNotes += 1;
+        return { ...n, folder: toRel, updatedAt: nowIso() };
+      }
+      if (folder.startsWith(`${fromRel}/`)) {
+        movedNotes += 1;
+        return { ...n, folder: `${toRel}/${folder.slice(fromRel.length + 1)}`, updatedAt: nowIso() };
+      }
+      return n;
+    });
+    const sealed = await encryptNotesLocked(index, index.notes.filter((n) => toSeal.some((t) => t.id === n.id)), key);
+    await saveIndexLocked(index);
+    if (sealed.length > 0) await reindexNotesLocked(index, { upsert: sealed });
+    return { ok: true, from: fromRel, to: toRel, movedNotes };
+  });
+  const deleteFolder = async ({ folder, recursive = false } = {}) => await withFileLock(lockPath, async () => {
+    let rel = "";
+    try {
+      rel = normalizeFolderPath(folder);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+    if (!rel) return { ok: false, message: "folder is required" };
+    const abs = path2.join(notesRoot, ...splitFolder(rel));
+    if (!await isDirectory(abs)) return { ok: false, message: `Folder not found: ${rel}` };
+    const index = await loadIndexLocked();
+    const affected = index.notes.filter((n) => {
+      const f = normalizeOptionalString(n.folder).replace(/\\/g, "/");
+      return f === rel || f.startsWith(`${rel}/`);
+    });
+    if (!recursive) {
+      try {
+        await fs2.promises.rmdir(abs);
+      } catch (err) {
+        return { ok: false, message: err?.message || String(err) };
+      }
+      return { ok: true, folder: rel, deletedNotes: 0 };
+    }
+    let item = null;
+    try {
+      item = await moveToTrashLocked({ kind: "folder", folder: rel, title: rel, notes: affected, sourceAbs: abs });
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+    const toRemove = new Set(affected.map((n) => n.id));
+    index.notes = index.notes.filter((n) => !toRemove.has(n.id));
+    await saveIndexLocked(index);
+    const encryption = await readEncryptionSettingsLocked();
+    const marks = encryption.folders.filter((f) => f !== rel && !f.startsWith(`${rel}/`));
+    if (marks.length !== encryption.folders.length) {
+      await atomicWriteText(encryptionSettingsPath, JSON.stringify({ ...encryption, folders: marks }, null, 2));
+    }
+    await reindexNotesLocked(index, { remove: Array.from(toRemove) });
+    return { ok: true, folder: rel, deletedNotes: affected.length, trashId: item.id };
+  });
+  const listNotes = async ({ folder = "", recursive = true, tags = [], match = "all", query = "", where, limit = 200 } = {}) => {
+    let folderRel = "";
+    let matchesWhere = null;
+    try {
+      folderRel = normalizeFolderPath(folder);
+      matchesWhere = compileWhere(where);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+    const desiredTags = uniqTags(tags);
+    const matchMode = match === "any" ? "any" : "all";
+    const q = normalizeOptionalString(query).toLowerCase();
+    const max = Number.isFinite(limit) ? Math.max(1, Math.min(500, Math.floor(limit))) : 200;
+    const index = await getIndexSnapshot();
+    let notes = filterNotes(index?.notes, { folderRel, recursive, desiredTags, matchMode, q });
+    if (matchesWhere) notes = notes.filter(matchesWhere);
+    notes.sort(compareNotesForList);
+    return { ok: true, notes: notes.slice(0, max) };
+  };
+  const listTemplates = async () => {
+    const index = await getIndexSnapshot();
+    const templates = (Array.isArray(index?.notes) ? index.notes : []).filter((n) => isTemplateFolder(n.folder));
+    templates.sort((a, b) => normalizeOptionalString(a.title).localeCompare(normalizeOptionalString(b.title)));
+    return { ok: true, folder: TEMPLATES_FOLDER, templates };
+  };
+  const pickFileNameLocked = async (index, folder, { title, keep = "", note = null } = {}) => {
+    const taken = new Set(
+      index.notes.filter((n) => n.folder === folder && n.id !== note?.id).map((n) => noteFileName(n).toLowerCase())
+    );
+    const ownAbs = note ? noteFileAbs(notesRoot, note.folder, note) : "";
+    let name = keep && !taken.has(keep.toLowerCase()) ? keep : uniqueNoteFileName(title, taken);
+    while (noteFileAbs(notesRoot, folder, { fileName: name }) !== ownAbs && await isFile(noteFileAbs(notesRoot, folder, { fileName: name }))) {
+      taken.add(name.toLowerCase());
+      name = uniqueNoteFileName(title, taken);
+    }
+    return name;
+  };
+  const createNoteLocked = async ({
+    folder = "",
+    title = "",
+    content = "",
+    tags = [],
+    pinned = false,
+    templateId = "",
+    variables = {}
+  } = {}) => {
+    let folderRel = "";
+    try {
+      folderRel = normalizeFolderPath(folder);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+    const index = await loadIndexLocked();
+    const templateRef = normalizeOptionalString(templateId);
+    let template = null;
+    if (templateRef) {
+      if (normalizeOptionalString(content)) return { ok: false, message: "content and templateId cannot be combined" };
+      const templateNote = index.notes.find((n) => n.id === templateRef);
+      if (!templateNote || !isTemplateFolder(templateNote.folder)) {
+        return { ok: false, message: `Template not found: ${templateRef}` };
+      }
+      template = { note: templateNote, ...await readNoteFile(noteFileAbs(notesRoot, templateNote.folder, templateNote)) };
+      template.body = openBody(template.body);
+      if (template.body === null) return lockedResult(templateNote);
+    }
+    const parsed = parseFrontMatter(String(content ?? ""));
+    const meta3 = parsed.data || {};
+    const explicitTags = uniqTags(tags);
+    let desiredTags = explicitTags.length > 0 ? explicitTags : tagsFromFrontMatter(meta3.tags);
+    let rawTitle = normalizeTitle(title) || normalizeTitle(typeof meta3.title === "string" ? meta3.title : "") || normalizeTitle(extractTitleFromMarkdown(parsed.body));
+    let md = normalizeOptionalString(parsed.body);
+    let fields = parsed.fields || customFrontMatterFields(meta3);
+    if (template) {
+      const extra = {};
+      Object.entries(variables && typeof variables === "object" ? variables : {}).forEach(([key2, value]) => {
+        if (value !== void 0 && value !== null && typeof value !== "object") extra[key2] = String(value);
+      });
+      const vars = { ...builtinTemplateVariables({ folder: folderRel }), ...extra, folder: folderRel };
+      rawTitle = rawTitle || normalizeTitle(expandTemplate(template.note.title, { ...vars, title: "" }));
+      vars.title = rawTitle || "Untitled";
+      md = expandTemplate(template.body, vars);
+      fields = expandTemplateFields(template.fields, vars);
+      if (explicitTags.length === 0) desiredTags = uniqTags(template.note.tags);
+    }
+    rawTitle = rawTitle || "Untitled";
+    md = md || `# ${rawTitle}
+
+`;
+    const encrypted = isEncryptedFolder(await readEncryptionSettingsLocked(), folderRel);
+    const key = encrypted ? sessionKey() : null;
+    if (encrypted && !key) return lockedResult(null);
+    const id = crypto3.randomUUID();
+    const now = nowIso();
+    const note = {
+      id,
+      title: rawTitle,
+      folder: folderRel,
+      tags: desiredTags,
+      createdAt: now,
+      updatedAt: now,
+      revision: 1,
+      pinned: pinned === true,
+      sortOrder: null,
+      encrypted,
+      properties: propertiesFromFields(fields)
+    };
+    note.fileName = await pickFileNameLocked(index, folderRel, { title: rawTitle });
+    const abs = noteFileAbs(notesRoot, folderRel, note);
+    await ensureDir(path2.dirname(abs));
+    await writeNoteFile(abs, note, encrypted ? encryptText(key, md) : md, fields);
+    index.notes.unshift(note);
+    await saveIndexLocked(index);
+    await reindexNotesLocked(index, { upsert: [{ note, body: encrypted ? "" : md }] });
+    return { ok: true, note: { ...note, file: noteFileRel(folderRel, note) } };
+  };
+  const createNote = async (params = {}) => await withFileLock(lockPath, async () => await createNoteLocked(params));
+  const readJournalSettingsLocked = async () => {
+    try {
+      return normalizeJournalSettings(JSON.parse(await fs2.promises.readFile(journalSettingsPath, "utf8")));
+    } catch {
+      return normalizeJournalSettings(null);
+    }
+  };
+  const getJournalSettings = async () => await withFileLock(lockPath, async () => ({ ok: true, settings: await readJournalSettingsLocked() }));
+  const updateJournalSettings = async ({ folder, templateId } = {}) => await withFileLock(lockPath, async () => {
+    const current = await readJournalSettingsLocked();
+    const next = normalizeJournalSettings({
+      folder: folder === void 0 ? current.folder : folder,
+      templateId: templateId === void 0 ? current.templateId : templateId
+    });
+    let expanded = "";
+    try {
+      expanded = journalTarget(next, parseJournalDate("")).folder;
+      normalizeFolderPath(expanded);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+    const leftover = expanded.match(/\{\{[^}]*\}\}/);
+    if (leftover) {
+      return {
+        ok: false,
+        message: `Unknown placeholder in journal folder: ${leftover[0]} (use {{year}}, {{month}}, {{day}} or {{date}})`
+      };
+    }
+    if (next.templateId) {
+      const index = await loadIndexLocked();
+      const template = index.notes.find((n) => n.id === next.templateId);
+      if (!template || !isTemplateFolder(template.folder)) return { ok: false, message: `Template not found: ${next.templateId}` };
+    }
+    await atomicWriteText(journalSettingsPath, JSON.stringify(next, null, 2));
+    return { ok: true, settings: next };
+  });
+  const getOrCreateDailyNote = async ({ date: date5, create = true } = {}) => await withFileLock(lockPath, async () => {
+    const day = parseJournalDate(date5);
+    if (!day) return { ok: false, message: `Invalid date: ${date5} (expected YYYY-MM-DD)` };
+    const settings = await readJournalSettingsLocked();
+    const target = journalTarget(settings, day);
+    let folderRel = "";
+    try {
+      folderRel = normalizeFolderPath(target.folder);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+    const index = await loadIndexLocked();
+    const existing = index.notes.filter((n) => n.folder === folderRel && n.title === target.title).sort((a, b) => String(a.createdAt || "").localeCompare(String(b.createdAt || "")))[0];
+    if (existing) {
+      return { ok: true, created: false, date: target.date, note: { ...existing, file: noteFileRel(existing.folder, existing) } };
+    }
+    if (create === false) return { ok: true, created: false, date: target.date, folder: folderRel, note: null };
+    const template = settings.templateId ? index.notes.find((n) => n.id === settings.templateId) : null;
+    const templateId = template && isTemplateFolder(template.folder) ? template.id : "";
+    const res = await createNoteLocked({ folder: folderRel, title: target.title, templateId, variables: target.variables });
+    if (!res?.ok) return res;
+    return { ok: true, created: true, date: target.date, note: res.note };
+  });
+  const getNote = async ({ id } = {}) => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: "id is required" };
+    const index = await getIndexSnapshot();
+    const note = (Array.isArray(index?.notes) ? index.notes : []).find((n) => n.id === noteId);
+    if (!note) return { ok: false, message: `Note not found: ${noteId}` };
+    const abs = noteFileAbs(notesRoot, note.folder, note);
+    let parsed = null;
+    try {
+      parsed = await readNoteFile(abs);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+    const content = openBody(parsed.body);
+    if (content === null) return lockedResult(note);
+    return { ok: true, note: { ...note, file: noteFileRel(note.folder, note) }, content, fields: parsed.fields };
+  };
+  const updateNote = async ({ id, title, content, folder, tags, pinned, expectedRevision, renameFile = true } = {}) => await withFileLock(lockPath, async () => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: "id is required" };
+    const revisionError = expectedRevisionError(expectedRevision);
+    if (revisionError) return { ok: false, message: revisionError };
+    const index = await loadIndexLocked();
+    const idx = index.notes.findIndex((n) => n.id === noteId);
+    if (idx < 0) return { ok: false, message: `Note not found: ${noteId}` };
+    const current = index.notes[idx];
+    if (expectedRevision !== void 0 && expectedRevision !== null && expectedRevision !== current.revision) {
+      let latest = null;
+      try {
+        latest = await readNoteFile(noteFileAbs(notesRoot, current.folder, current));
+      } catch {
+        latest = null;
+      }
+      return {
+        ok: false,
+        conflict: true,
+        message: `Revision conflict: note ${noteId} is at revision ${current.revision}, expected ${expectedRevision}`,
+        note: { ...current, file: noteFileRel(current.folder, current) },
+        content: latest ? openBody(latest.body) ?? "" : "",
+        fields: latest ? latest.fields : {}
+      };
+    }
+    let nextFolder = normalizeOptionalString(current.folder).replace(/\\/g, "/");
+    if (folder !== void 0) {
+      try {
+        nextFolder = normalizeFolderPath(folder);
+      } catch (err) {
+        return { ok: false, message: err?.message || String(err) };
+      }
+    }
+    const oldAbs = noteFileAbs(notesRoot, current.folder, current);
+    let previous = null;
+    try {
+      previous = await readNoteFile(oldAbs);
+    } catch {
+      previous = null;
+    }
+    const encrypted = current.encrypted === true || isEncryptedFolder(await readEncryptionSettingsLocked(), nextFolder);
+    const key = encrypted ? sessionKey() : null;
+    if (encrypted && !key && (content !== void 0 || current.encrypted !== true)) return lockedResult(current);
+    const previousPlain = previous && isEncryptedBody(previous.body) ? key ? decryptText(key, previous.body) : null : previous?.body;
+    const incoming = content !== void 0 ? parseFrontMatter(String(content ?? "")) : null;
+    const incomingMeta = incoming?.hasFrontMatter ? incoming.data || {} : {};
+    const nextBody = incoming ? incoming.body : previousPlain ?? "";
+    const nextFields = incoming?.hasFrontMatter ? customFrontMatterFields(incomingMeta) : previous?.fields || {};
+    let nextTitle = normalizeOptionalString(current.title);
+    if (title !== void 0) nextTitle = normalizeTitle(title);
+    else if (typeof incomingMeta.title === "string") nextTitle = normalizeTitle(incomingMeta.title);
+    let nextTags = uniqTags(current.tags);
+    if (tags !== void 0) nextTags = uniqTags(tags);
+    else if (incomingMeta.tags !== void 0) nextTags = tagsFromFrontMatter(incomingMeta.tags);
+    const contentChanged = previous !== null && incoming !== null && nextBody !== previousPlain;
+    const titleChanged = nextTitle !== normalizeOptionalString(current.title);
+    if (previous !== null && (contentChanged || titleChanged)) {
+      await snapshotRevisionLocked(current, previous.body, "update");
+    }
+    const followTitle = titleChanged && renameFile !== false;
+    const fileName = followTitle || nextFolder !== current.folder ? await pickFileNameLocked(index, nextFolder, { title: nextTitle, keep: followTitle ? "" : noteFileName(current), note: current }) : noteFileName(current);
+    const newAbs = noteFileAbs(notesRoot, nextFolder, { fileName });
+    if (newAbs !== oldAbs) {
+      await ensureDir(path2.dirname(newAbs));
+      try {
+        await fs2.promises.rename(oldAbs, newAbs);
+      } catch (err) {
+        return { ok: false, message: err?.message || String(err) };
+      }
+    }
+    const now = nowIso();
+    const updated = {
+      ...current,
+      title: nextTitle,
+      folder: nextFolder,
+      tags: nextTags,
+      updatedAt: now,
+      revision: current.revision + 1,
+      pinned: pinned === void 0 ? current.pinned === true : pinned === true,
+      // a manual position only means something inside the folder it was set in
+      sortOrder: nextFolder === current.folder ? normalizeSortOrder(current.sortOrder) : null,
+      encrypted,
+      fileName,
+      properties: propertiesFromFields(nextFields)
+    };
+    let storedBody = nextBody;
+    if (encrypted) {
+      storedBody = !incoming && previous && isEncryptedBody(previous.body) ? previous.body : encryptText(key, nextBody);
+    }
+    try {
+      await writeNoteFile(newAbs, updated, storedBody, nextFields);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+    if (encrypted && current.encrypted !== true) await removeRevisionsLocked(noteId);
+    index.notes[idx] = updated;
+    await saveIndexLocked(index);
+    await reindexNotesLocked(index, { upsert: [{ note: updated, body: encrypted ? "" : nextBody }] });
+    return { ok: true, note: { ...updated, file: noteFileRel(updated.folder, updated) } };
+  });
+  const deleteNote = async ({ id } = {}) => await withFileLock(lockPath, async () => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: "id is required" };
+    const index = await loadIndexLocked();
+    const idx = index.notes.findIndex((n) => n.id === noteId);
+    if (idx < 0) return { ok: false, message: `Note not found: ${noteId}` };
+    const note = index.notes[idx];
+    const abs = noteFileAbs(notesRoot, note.folder, note);
+    const item = await moveToTrashLocked({
+      kind: "note",
+      folder: note.folder,
+      title: note.title,
+      notes: [note],
+      sourceAbs: abs
+    });
+    index.notes.splice(idx, 1);
+    await saveIndexLocked(index);
+    await reindexNotesLocked(index, { remove: [noteId] });
+    return { ok: true, id: noteId, trashId: item.id };
+  });
+  const batch = async ({ operations } = {}) => await withFileLock(lockPath, async () => {
+    const items = [];
+    (Array.isArray(operations) ? operations : []).forEach((op, opIndex) => {
+      const ids = Array.isArray(op?.ids) ? op.ids : [op?.id];
+      ids.forEach((id) => items.push({ opIndex, op: op || {}, id: normalizeOptionalString(id) }));
+    });
+    if (items.length === 0) return { ok: false, message: "operations is required" };
+    if (items.length > MAX_BATCH_OPERATIONS) {
+      return { ok: false, message: `Too many operations: ${items.length} (max ${MAX_BATCH_OPERATIONS})` };
+    }
+    const index = await loadIndexLocked();
+    const encryption = await readEncryptionSettingsLocked();
+    const removed = [];
+    const sealed = [];
+    const results = [];
+    const rewriteFile = async (note, mapFields = (fields) => fields) => {
+      const abs = noteFileAbs(notesRoot, note.folder, note);
+      const parsed = await readNoteFile(abs);
+      await writeNoteFile(abs, note, parsed.body, mapFields(parsed.fields));
+    };
+    const applyOne = async ({ op, id }) => {
+      const kind = normalizeOptionalString(op.op);
+      if (!BATCH_OPS.has(kind)) return { ok: false, message: `Unknown op: ${kind || "(empty)"}` };
+      if (!id) return { ok: false, message: "id is required" };
+      const revisionError = expectedRevisionError(op.expectedRevision);
+      if (revisionError) return { ok: false, message: revisionError };
+      const idx = index.notes.findIndex((n) => n.id === id);
+      if (idx < 0) return { ok: false, message: `Note not found: ${id}` };
+      const current = index.notes[idx];
+      if (op.expectedRevision !== void 0 && op.expectedRevision !== null && op.expectedRevision !== current.revision) {
+        return { ok: false, conflict: true, message: `Revision conflict: note ${id} is at revision ${current.revision}` };
+      }
+      if (kind === "delete") {
+        const item = await moveToTrashLocked({
+          kind: "note",
+          folder: current.folder,
+          title: current.title,
+          notes: [current],
+          sourceAbs: noteFileAbs(notesRoot, current.folder, current)
+        });
+        index.notes.splice(idx, 1);
+        removed.push(id);
+        return { ok: true, trashId: item.id };
+      }
+      const bump = (patch) => ({ ...current, ...patch, updatedAt: nowIso(), revision: current.revision + 1 });
+      let updated = null;
+      if (kind === "move") {
+        if (op.folder === void 0 || op.folder === null) return { ok: false, message: "folder is required for move" };
+        const nextFolder = normalizeFolderPath(op.folder);
+        if (nextFolder === current.folder) return { ok: true, changed: false };
+        const seal = !current.encrypted && isEncryptedFolder(encryption, nextFolder);
+        const key = seal ? sessionKey() : null;
+        if (seal && !key) return lockedResult(null);
+        const fileName = await pickFileNameLocked(index, nextFolder, { title: current.title, keep: noteFileName(current), note: current });
+        const newAbs = noteFileAbs(notesRoot, nextFolder, { fileName });
+        await ensureDir(path2.dirname(newAbs));
+        await fs2.promises.rename(noteFileAbs(notesRoot, current.folder, current), newAbs);
+        updated = bump({ folder: nextFolder, sortOrder: null, fileName });
+        if (seal) {
+          index.notes[idx] = updated;
+          sealed.push(...await encryptNotesLocked(index, [updated], key));
+          updated = index.notes[idx];
+        }
+      } else if (kind === "addTags" || kind === "removeTags") {
+        const given = uniqTags(op.tags);
+        if (given.length === 0) return { ok: false, message: "tags is required" };
+        const keys = new Set(given.map((t) => t.toLowerCase()));
+        const nextTags = kind === "addTags" ? uniqTags(current.tags.concat(given)) : current.tags.filter((t) => !keys.has(t.toLowerCase()));
+        if (nextTags.join("\n") === current.tags.join("\n")) return { ok: true, changed: false };
+        updated = bump({ tags: nextTags });
+        await rewriteFile(updated);
+      } else {
+        const { changes, error: error48 } = normalizePropertyChanges(op.properties, op.types);
+        if (error48) return { ok: false, message: error48 };
+        updated = bump({});
+        await rewriteFile(updated, (fields) => {
+          const next = applyPropertyChanges(fields, changes);
+          updated.properties = propertiesFromFields(next);
+          return next;
+        });
+      }
+      index.notes[idx] = updated;
+      return { ok: true, changed: true, revision: updated.revision, folder: updated.folder, tags: updated.tags };
+    };
+    for (const item of items) {
+      let result = null;
+      try {
+        result = await applyOne(item);
+      } catch (err) {
+        result = { ok: false, message: err?.message || String(err) };
+      }
+      results.push({ index: item.opIndex, op: normalizeOptionalString(item.op.op), id: item.id, ...result });
+    }
+    if (results.some((r) => r.ok && (r.changed || r.trashId))) {
+      await saveIndexLocked(index);
+      if (removed.length > 0 || sealed.length > 0) await reindexNotesLocked(index, { upsert: sealed, remove: removed });
+    }
+    const failed = results.filter((r) => !r.ok).length;
+    return { ok: true, succeeded: results.length - failed, failed, results };
+  });
+  const getNoteProperties = async ({ id } = {}) => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: "id is required" };
+    const index = await getIndexSnapshot();
+    const note = (Array.isArray(index?.notes) ? index.notes : []).find((n) => n.id === noteId);
+    if (!note) return { ok: false, message: `Note not found: ${noteId}` };
+    return { ok: true, id: note.id, revision: note.revision, properties: describeProperties(note.properties) };
+  };
+  const setNoteProperties = async ({ id, properties, types, expectedRevision } = {}) => await withFileLock(lockPath, async () => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: "id is required" };
+    const { changes, error: error48 } = normalizePropertyChanges(properties, types);
+    if (error48) return { ok: false, message: error48 };
+    const revisionError = expectedRevisionError(expectedRevision);
+    if (revisionError) return { ok: false, message: revisionError };
+    const index = await loadIndexLocked();
+    const idx = index.notes.findIndex((n) => n.id === noteId);
+    if (idx < 0) return { ok: false, message: `Note not found: ${noteId}` };
+    const current = index.notes[idx];
+    if (expectedRevision !== void 0 && expectedRevision !== null && expectedRevision !== current.revision) {
+      return {
+        ok: false,
+        conflict: true,
+        message: `Revision conflict: note ${noteId} is at revision ${current.revision}`,
+        note: { ...current, file: noteFileRel(current.folder, current) }
+      };
+    }
+    const abs = noteFileAbs(notesRoot, current.folder, current);
+    const parsed = await readNoteFile(abs);
+    const fields = applyPropertyChanges(parsed.fields, changes);
+    const updated = {
+      ...current,
+      updatedAt: nowIso(),
+      revision: current.revision + 1,
+      properties: propertiesFromFields(fields)
+    };
+    await writeNoteFile(abs, updated, parsed.body, fields);
+    index.notes[idx] = updated;
+    await saveIndexLocked(index);
+    return {
+      ok: true,
+      note: { ...updated, file: noteFileRel(updated.folder, updated) },
+      properties: describeProperties(updated.properties)
+    };
+  });
+  const pinNote = async ({ id, pinned = true } = {}) => await withFileLock(lockPath, async () => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: "id is required" };
+    const index = await loadIndexLocked();
+    const note = index.notes.find((n) => n.id === noteId);
+    if (!note) return { ok: false, message: `Note not found: ${noteId}` };
+    if (note.pinned !== (pinned === true)) {
+      note.pinned = pinned === true;
+      await saveIndexLocked(index);
     }
-    let raw = "";
+    return { ok: true, note: { ...note, file: noteFileRel(note.folder, note) } };
+  });
+  const reorderNotes = async ({ folder = "", ids = [] } = {}) => await withFileLock(lockPath, async () => {
+    let folderRel = "";
     try {
-      raw = await fs.promises.readFile(indexPath, "utf8");
+      folderRel = normalizeFolderPath(folder);
     } catch (err) {
-      if (err?.code === "ENOENT") {
-        const rebuilt = await rebuildIndexFromFilesystem(notesRoot);
-        await atomicWriteText(indexPath, JSON.stringify(rebuilt, null, 2));
-        return rebuilt;
-      }
-      throw err;
+      return { ok: false, message: err?.message || String(err) };
     }
-    let parsed = null;
+    const order = [];
+    (Array.isArray(ids) ? ids : []).forEach((id) => {
+      const noteId = normalizeOptionalString(id);
+      if (noteId && !order.includes(noteId)) order.push(noteId);
+    });
+    if (order.length === 0) return { ok: false, message: "ids is required" };
+    const index = await loadIndexLocked();
+    const inFolder = index.notes.filter((n) => n.folder === folderRel);
+    const byId = new Map(inFolder.map((n) => [n.id, n]));
+    const missing = order.filter((id) => !byId.has(id));
+    if (missing.length > 0) {
+      return { ok: false, message: `Notes not in folder "${folderRel || "/"}": ${missing.join(", ")}` };
+    }
+    order.forEach((id, position) => {
+      byId.get(id).sortOrder = position;
+    });
+    let next = order.length;
+    inFolder.filter((n) => !order.includes(n.id) && n.sortOrder !== null).sort((a, b) => a.sortOrder - b.sortOrder).forEach((n) => {
+      n.sortOrder = next;
+      next += 1;
+    });
+    await saveIndexLocked(index);
+    return { ok: true, folder: folderRel, notes: inFolder.slice().sort(compareNotesForList) };
+  });
+  const listTrash = async () => await withFileLock(lockPath, async () => {
+    const purged = await autoPurgeTrashLocked();
+    const items = (await listTrashItems()).map((item) => ({
+      id: item.id,
+      kind: item.kind === "folder" ? "folder" : "note",
+      title: normalizeOptionalString(item.title),
+      folder: normalizeOptionalString(item.folder),
+      deletedAt: normalizeOptionalString(item.deletedAt),
+      notes: (Array.isArray(item.notes) ? item.notes : []).map((n) => ({
+        id: n.id,
+        title: n.title,
+        folder: n.folder,
+        tags: uniqTags(n.tags)
+      }))
+    }));
+    return { ok: true, items, autoPurged: purged, retentionDays: trashRetentionMs / DAY_MS };
+  });
+  const restoreFromTrash = async ({ id, folder } = {}) => await withFileLock(lockPath, async () => {
+    const trashId = normalizeSortableId(id);
+    if (!trashId) return { ok: false, message: "id is required" };
+    let item = null;
     try {
-      parsed = JSON.parse(String(raw || ""));
+      item = await readTrashItem(trashId);
     } catch {
-      const backup = path.join(baseDir, `notes-index.corrupted.${Date.now().toString(36)}.json`);
+      item = null;
+    }
+    if (!item) return { ok: false, message: `Trash item not found: ${trashId}` };
+    let targetFolder = normalizeOptionalString(item.folder);
+    if (folder !== void 0) {
       try {
-        await fs.promises.copyFile(indexPath, backup);
-      } catch {
+        targetFolder = normalizeFolderPath(folder);
+      } catch (err) {
+        return { ok: false, message: err?.message || String(err) };
       }
-      const rebuilt = await rebuildIndexFromFilesystem(notesRoot);
-      await atomicWriteText(indexPath, JSON.stringify(rebuilt, null, 2));
-      return rebuilt;
     }
-    const normalized = normalizeIndex(parsed);
-    if (normalized.version !== INDEX_VERSION) {
-      normalized.version = INDEX_VERSION;
-      await atomicWriteText(indexPath, JSON.stringify(normalized, null, 2));
+    if (item.kind === "folder" && !targetFolder) return { ok: false, message: "folder is required" };
+    const index = await loadIndexLocked();
+    const existing = new Set(index.notes.map((n) => n.id));
+    const notes = Array.isArray(item.notes) ? item.notes : [];
+    const clash = notes.find((n) => existing.has(n.id));
+    if (clash) return { ok: false, message: `Note already exists: ${clash.id}` };
+    const filesAbs = trashFilesAbs(trashId);
+    const restored = [];
+    if (item.kind === "folder") {
+      const fromRel = normalizeOptionalString(item.folder);
+      const targetAbs = path2.join(notesRoot, ...splitFolder(targetFolder));
+      if (await isDirectory(filesAbs)) {
+        await moveTree(filesAbs, targetAbs);
+      } else {
+        await ensureDir(targetAbs);
+      }
+      notes.forEach((n) => {
+        const f = normalizeOptionalString(n.folder).replace(/\\/g, "/");
+        const suffix = f === fromRel ? "" : f.slice(fromRel.length + 1);
+        restored.push({ ...n, folder: suffix ? `${targetFolder}/${suffix}` : targetFolder });
+      });
+    } else {
+      const note = notes[0];
+      if (!note) return { ok: false, message: `Trash item is empty: ${trashId}` };
+      const fileName = await pickFileNameLocked(index, targetFolder, { title: note.title, keep: noteFileName(note) });
+      const targetAbs = noteFileAbs(notesRoot, targetFolder, { fileName });
+      await ensureDir(path2.dirname(targetAbs));
+      try {
+        await fs2.promises.rename(path2.join(filesAbs, `${note.id}.md`), targetAbs);
+      } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+        await atomicWriteText(targetAbs, "");
+      }
+      restored.push({ ...note, folder: targetFolder, fileName });
     }
-    return normalized;
-  };
-  const saveIndexLocked = async (index) => {
-    const normalized = normalizeIndex(index);
-    normalized.version = INDEX_VERSION;
-    await atomicWriteText(indexPath, JSON.stringify(normalized, null, 2));
-    return normalized;
-  };
-  const getIndexSnapshot = async () => await withFileLock(lockPath, async () => clone2(await loadIndexLocked()));
-  const init = async () => {
-    const index = await getIndexSnapshot();
+    for (const note of restored) {
+      const fromAbs = path2.join(trashAttachmentsAbs(trashId), note.id);
+      if (await isDirectory(fromAbs)) await moveTree(fromAbs, attachmentDirAbs(note.id));
+    }
+    index.notes.unshift(...restored);
+    await saveIndexLocked(index);
+    await reindexNotesLocked(index, { upsert: restored });
+    await fs2.promises.rm(trashItemDirAbs(trashId), { recursive: true, force: true });
     return {
       ok: true,
-      dataDir: baseDir,
-      notesRoot,
-      indexPath,
-      version: INDEX_VERSION,
-      notes: index?.notes?.length || 0
+      id: trashId,
+      kind: item.kind,
+      folder: targetFolder,
+      notes: restored.map((n) => ({ ...n, file: noteFileRel(n.folder, n) }))
     };
-  };
-  const listFolders = async () => {
-    await ensureDir(notesRoot);
-    const folders = [""];
-    const walk = async (absDir, relDir) => {
-      let entries = [];
+  });
+  const purgeTrash = async ({ ids, olderThanDays, all = false } = {}) => await withFileLock(lockPath, async () => {
+    const wanted = new Set((Array.isArray(ids) ? ids : []).map((x) => normalizeSortableId(x)).filter(Boolean));
+    const cutoff = Number.isFinite(olderThanDays) ? Date.now() - Math.max(0, olderThanDays) * DAY_MS : null;
+    if (!all && wanted.size === 0 && cutoff === null) {
+      return { ok: false, message: "ids, olderThanDays or all=true is required" };
+    }
+    const purgedIds = [];
+    for (const item of await listTrashItems()) {
+      let match = all === true || wanted.has(item.id);
+      if (!match && cutoff !== null) {
+        const deletedMs = Date.parse(item.deletedAt || "");
+        match = Number.isFinite(deletedMs) && deletedMs <= cutoff;
+      }
+      if (!match) continue;
+      await purgeTrashItemLocked(item);
+      purgedIds.push(item.id);
+    }
+    return { ok: true, purged: purgedIds.length, ids: purgedIds };
+  });
+  const listRevisions = async ({ id, limit = 50 } = {}) => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: "id is required" };
+    const index = await getIndexSnapshot();
+    const note = (Array.isArray(index?.notes) ? index.notes : []).find((n) => n.id === noteId);
+    if (!note) return { ok: false, message: `Note not found: ${noteId}` };
+    const max = Number.isFinite(limit) ? Math.max(1, Math.min(revisionLimit, Math.floor(limit))) : revisionLimit;
+    const revisions = [];
+    for (const revisionId of (await listRevisionIds(noteId)).slice(0, max)) {
+      let revision = null;
       try {
-        entries = await fs.promises.readdir(absDir, { withFileTypes: true });
+        revision = await readRevisionFile(noteId, revisionId);
       } catch {
-        return;
-      }
-      for (const entry of entries) {
-        if (!entry?.isDirectory?.()) continue;
-        const name = String(entry.name || "");
-        if (!name) continue;
-        const nextRel = relDir ? `${relDir}/${name}` : name;
-        folders.push(nextRel);
-        await walk(path.join(absDir, name), nextRel);
+        revision = null;
       }
-    };
-    await walk(notesRoot, "");
-    folders.sort((a, b) => a.localeCompare(b));
-    return { ok: true, folders };
-  };
-  const createFolder = async ({ folder } = {}) => {
-    let rel = "";
-    try {
-      rel = normalizeFolderPath(folder);
-    } catch (err) {
-      return { ok: false, message: err?.message || String(err) };
-    }
-    if (!rel) return { ok: false, message: "folder is required" };
-    const abs = path.join(notesRoot, ...splitFolder(rel));
-    try {
-      await ensureDir(abs);
-      return { ok: true, folder: rel };
-    } catch (err) {
-      return { ok: false, message: err?.message || String(err) };
+      if (!revision) continue;
+      const { content, ...meta3 } = revision;
+      revisions.push({ ...meta3, id: revisionId, noteId, size: String(content ?? "").length });
     }
+    return { ok: true, id: noteId, revisions };
   };
-  const renameFolder = async ({ from, to } = {}) => await withFileLock(lockPath, async () => {
-    let fromRel = "";
-    let toRel = "";
+  const getRevision = async ({ id, revisionId } = {}) => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: "id is required" };
+    const revId = normalizeSortableId(revisionId);
+    if (!revId) return { ok: false, message: "revisionId is required" };
+    let revision = null;
     try {
-      fromRel = normalizeFolderPath(from);
+      revision = await readRevisionFile(noteId, revId);
     } catch (err) {
+      if (err?.code === "ENOENT") return { ok: false, message: `Revision not found: ${revId}` };
       return { ok: false, message: err?.message || String(err) };
     }
+    if (!revision) return { ok: false, message: `Revision not found: ${revId}` };
+    const { content, ...meta3 } = revision;
+    const plain = openBody(String(content ?? ""));
+    if (plain === null) return lockedResult(null);
+    return { ok: true, revision: { ...meta3, id: revId, noteId }, content: plain };
+  };
+  const restoreRevision = async ({ id, revisionId } = {}) => await withFileLock(lockPath, async () => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: "id is required" };
+    const revId = normalizeSortableId(revisionId);
+    if (!revId) return { ok: false, message: "revisionId is required" };
+    const index = await loadIndexLocked();
+    const idx = index.notes.findIndex((n) => n.id === noteId);
+    if (idx < 0) return { ok: false, message: `Note not found: ${noteId}` };
+    let revision = null;
     try {
-      toRel = normalizeFolderPath(to);
+      revision = await readRevisionFile(noteId, revId);
     } catch (err) {
+      if (err?.code === "ENOENT") return { ok: false, message: `Revision not found: ${revId}` };
       return { ok: false, message: err?.message || String(err) };
     }
-    if (!fromRel) return { ok: false, message: "from is required" };
-    if (!toRel) return { ok: false, message: "to is required" };
-    if (fromRel === toRel) return { ok: true, from: fromRel, to: toRel, movedNotes: 0 };
-    const fromAbs = path.join(notesRoot, ...splitFolder(fromRel));
-    const toAbs = path.join(notesRoot, ...splitFolder(toRel));
-    if (!await isDirectory(fromAbs)) return { ok: false, message: `Folder not found: ${fromRel}` };
-    if (await isDirectory(toAbs)) return { ok: false, message: `Target folder already exists: ${toRel}` };
-    await ensureDir(path.dirname(toAbs));
-    await fs.promises.rename(fromAbs, toAbs);
-    const index = await loadIndexLocked();
-    let movedNotes = 0;
-    index.notes = index.notes.map((n) => {
-      const folder = normalizeOptionalString(n.folder).replace(/\\/g, "/");
-      if (folder === fromRel) {
-        movedNotes += 1;
-        return { ...n, folder: toRel, updatedAt: nowIso() };
-      }
-      if (folder.startsWith(`${fromRel}/`)) {
-        movedNotes += 1;
-        return { ...n, folder: `${toRel}/${folder.slice(fromRel.length + 1)}`, updatedAt: nowIso() };
-      }
-      return n;
-    });
-    await saveIndexLocked(index);
-    return { ok: true, from: fromRel, to: toRel, movedNotes };
-  });
-  const deleteFolder = async ({ folder, recursive = false } = {}) => await withFileLock(lockPath, async () => {
-    let rel = "";
+    if (!revision) return { ok: false, message: `Revision not found: ${revId}` };
+    const current = index.notes[idx];
+    const abs = noteFileAbs(notesRoot, current.folder, current);
+    let existing = null;
     try {
-      rel = normalizeFolderPath(folder);
-    } catch (err) {
-      return { ok: false, message: err?.message || String(err) };
+      existing = await readNoteFile(abs);
+    } catch {
+      existing = null;
     }
-    if (!rel) return { ok: false, message: "folder is required" };
-    const abs = path.join(notesRoot, ...splitFolder(rel));
-    if (!await isDirectory(abs)) return { ok: false, message: `Folder not found: ${rel}` };
-    const index = await loadIndexLocked();
-    const affected = index.notes.filter((n) => {
-      const f = normalizeOptionalString(n.folder).replace(/\\/g, "/");
-      return f === rel || f.startsWith(`${rel}/`);
-    });
-    if (!recursive) {
+    await snapshotRevisionLocked(current, existing?.body ?? "", "restore");
+    const title = normalizeTitle(revision.title) || normalizeOptionalString(current.title);
+    const fileName = title !== normalizeOptionalString(current.title) ? await pickFileNameLocked(index, current.folder, { title, note: current }) : noteFileName(current);
+    const newAbs = noteFileAbs(notesRoot, current.folder, { fileName });
+    if (newAbs !== abs && existing) {
       try {
-        await fs.promises.rmdir(abs);
+        await fs2.promises.rename(abs, newAbs);
       } catch (err) {
         return { ok: false, message: err?.message || String(err) };
       }
-      return { ok: true, folder: rel, deletedNotes: 0 };
     }
+    const updated = {
+      ...current,
+      title,
+      tags: Array.isArray(revision.tags) ? uniqTags(revision.tags) : current.tags,
+      updatedAt: nowIso(),
+      revision: current.revision + 1,
+      encrypted: isEncryptedBody(revision.content),
+      fileName
+    };
+    await writeNoteFile(newAbs, updated, String(revision.content ?? ""), existing?.fields || {});
+    index.notes[idx] = updated;
+    await saveIndexLocked(index);
+    await reindexNotesLocked(index, { upsert: [{ note: updated, body: String(revision.content ?? "") }] });
+    return { ok: true, revisionId: revId, note: { ...updated, file: noteFileRel(updated.folder, updated) } };
+  });
+  const listTags = async () => {
+    const index = await getIndexSnapshot();
+    const counts = /* @__PURE__ */ new Map();
+    (Array.isArray(index?.notes) ? index.notes : []).forEach((n) => {
+      (Array.isArray(n.tags) ? n.tags : []).forEach((t) => {
+        const tag = normalizeTag(t);
+        if (!tag) return;
+        const key = tag.toLowerCase();
+        counts.set(key, { tag, count: (counts.get(key)?.count || 0) + 1 });
+      });
+    });
+    const tags = Array.from(counts.values()).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    return { ok: true, tags, tree: buildTagTree(index?.notes) };
+  };
+  const rewriteTagsLocked = async (mapTags) => {
+    const index = await loadIndexLocked();
+    const changed = [];
     try {
-      await fs.promises.rm(abs, { recursive: true, force: true });
-    } catch (err) {
-      return { ok: false, message: err?.message || String(err) };
+      for (let i = 0; i < index.notes.length; i += 1) {
+        const current = index.notes[i];
+        const nextTags = uniqTags(mapTags(uniqTags(current.tags)));
+        if (nextTags.join("\n") === uniqTags(current.tags).join("\n")) continue;
+        const updated = { ...current, tags: nextTags, updatedAt: nowIso(), revision: current.revision + 1 };
+        const abs = noteFileAbs(notesRoot, current.folder, current);
+        let parsed = null;
+        try {
+          parsed = await readNoteFile(abs);
+        } catch {
+          parsed = null;
+        }
+        if (parsed) await writeNoteFile(abs, updated, parsed.body, parsed.fields);
+        index.notes[i] = updated;
+        changed.push(current.id);
+      }
+    } finally {
+      if (changed.length > 0) await saveIndexLocked(index);
     }
-    const toRemove = new Set(affected.map((n) => n.id));
-    index.notes = index.notes.filter((n) => !toRemove.has(n.id));
-    await saveIndexLocked(index);
-    return { ok: true, folder: rel, deletedNotes: affected.length };
+    return changed;
+  };
+  const findTagKey = (index, tag, { descendants = false } = {}) => {
+    const key = normalizeTag(tag).toLowerCase();
+    if (!key) return "";
+    const found = index.notes.some(
+      (n) => (Array.isArray(n.tags) ? n.tags : []).some((t) => descendants ? tagMatches(t.toLowerCase(), key) : t.toLowerCase() === key)
+    );
+    return found ? key : "";
+  };
+  const renameTag = async ({ from, to } = {}) => await withFileLock(lockPath, async () => {
+    const target = normalizeTag(to);
+    if (!normalizeTag(from) || !target) return { ok: false, message: "from and to are required" };
+    const fromKey = findTagKey(await loadIndexLocked(), from, { descendants: true });
+    if (!fromKey) return { ok: false, message: `Tag not found: ${normalizeTag(from)}` };
+    const notes = await rewriteTagsLocked(
+      (tags) => tags.map((t) => tagMatches(t.toLowerCase(), fromKey) ? `${target}${t.slice(fromKey.length)}` : t)
+    );
+    return { ok: true, from: normalizeTag(from), to: target, updatedNotes: notes.length, notes };
+  });
+  const mergeTags = async ({ tags, into } = {}) => await withFileLock(lockPath, async () => {
+    const target = normalizeTag(into);
+    const sources = uniqTags(tags);
+    if (!target || sources.length === 0) return { ok: false, message: "tags and into are required" };
+    const index = await loadIndexLocked();
+    const sourceKeys = Array.from(new Set(sources.map((t) => findTagKey(index, t, { descendants: true })).filter(Boolean))).sort(
+      (a, b) => b.length - a.length
+    );
+    if (sourceKeys.length === 0) return { ok: false, message: `Tags not found: ${sources.join(", ")}` };
+    const notes = await rewriteTagsLocked(
+      (list) => list.map((t) => {
+        const key = sourceKeys.find((k) => tagMatches(t.toLowerCase(), k));
+        return key ? `${target}${t.slice(key.length)}` : t;
+      })
+    );
+    return { ok: true, tags: sources, into: target, updatedNotes: notes.length, notes };
+  });
+  const deleteTag = async ({ tag } = {}) => await withFileLock(lockPath, async () => {
+    const key = findTagKey(await loadIndexLocked(), tag, { descendants: true });
+    if (!key) return { ok: false, message: `Tag not found: ${normalizeTag(tag)}` };
+    const notes = await rewriteTagsLocked((tags) => tags.filter((t) => !tagMatches(t.toLowerCase(), key)));
+    return { ok: true, tag: normalizeTag(tag), updatedNotes: notes.length, notes };
   });
-  const listNotes = async ({ folder = "", recursive = true, tags = [], match = "all", query = "", limit = 200 } = {}) => {
+  const searchNotes = async ({ query, folder = "", recursive = true, tags = [], match = "all", includeContent = true, limit = 50 } = {}) => {
+    const q = normalizeOptionalString(query);
+    if (!q) return { ok: false, message: "query is required" };
     let folderRel = "";
+    let parsed = null;
     try {
       folderRel = normalizeFolderPath(folder);
+      parsed = parseSearchQuery(q);
     } catch (err) {
-      return { ok: false, message: err?.message || String(err) };
+      return { ok: false, message: err?.message || String(err), ...err?.code === "SEARCH_QUERY_SYNTAX" ? { syntaxError: true, position: err.position } : {} };
     }
     const desiredTags = uniqTags(tags);
     const matchMode = match === "any" ? "any" : "all";
-    const q = normalizeOptionalString(query).toLowerCase();
-    const max = Number.isFinite(limit) ? Math.max(1, Math.min(500, Math.floor(limit))) : 200;
-    const index = await getIndexSnapshot();
-    let notes = Array.isArray(index?.notes) ? index.notes.slice() : [];
-    if (folderRel) {
-      const prefix = `${folderRel}/`;
-      notes = notes.filter((n) => {
-        const f = normalizeOptionalString(n.folder).replace(/\\/g, "/");
-        if (f === folderRel) return true;
-        if (recursive === false) return false;
-        return f.startsWith(prefix);
+    const max = Number.isFinite(limit) ? Math.max(1, Math.min(200, Math.floor(limit))) : 50;
+    return await withFileLock(lockPath, async () => {
+      const index = await loadIndexLocked();
+      const candidates = filterNotes(index.notes, { folderRel, recursive, desiredTags, matchMode });
+      const byId = new Map(candidates.map((n) => [n.id, n]));
+      const ids = new Set(byId.keys());
+      const wanted = searchHasValues(parsed);
+      const contentHits = /* @__PURE__ */ new Map();
+      if (includeContent) {
+        const searchIndex = await loadDerivedIndexLocked(derivedIndexes.search, index);
+        for (const term of searchTextTerms(parsed)) {
+          const hits = new Map(searchIndex.search(term.value, { ids }).map(({ id, score }) => [id, score]));
+          if (term.phrase) {
+            const phrase = term.value.toLowerCase().replace(/\s+/g, " ");
+            for (const id of Array.from(hits.keys())) {
+              const note = byId.get(id);
+              let body = "";
+              try {
+                body = (await readNoteFile(noteFileAbs(notesRoot, note.folder, note))).body;
+              } catch {
+                body = "";
+              }
+              if (!body.toLowerCase().replace(/\s+/g, " ").includes(phrase)) hits.delete(id);
+            }
+          }
+          contentHits.set(term, hits);
+        }
+      }
+      const taskIndex = wanted.has("task") || wanted.has("open-task") ? await loadDerivedIndexLocked(derivedIndexes.tasks, index) : null;
+      const linkIndex = wanted.has("link") ? await loadDerivedIndexLocked(derivedIndexes.links, index) : null;
+      let withAttachments = null;
+      if (wanted.has("attachment")) {
+        withAttachments = /* @__PURE__ */ new Set();
+        for (const id of ids) {
+          try {
+            if ((await fs2.promises.readdir(attachmentDirAbs(id))).length > 0) withAttachments.add(id);
+          } catch {
+          }
+        }
+      }
+      const context = {
+        matchText: (term, note) => {
+          const needle = term.value.toLowerCase();
+          let score = contentHits.get(term)?.get(note.id) || 0;
+          if (normalizeOptionalString(note.title).toLowerCase().includes(needle)) score += SEARCH_TITLE_MATCH_BOOST;
+          if (normalizeOptionalString(note.folder).toLowerCase().includes(needle)) score += SEARCH_FOLDER_MATCH_BOOST;
+          return score > 0 ? score : null;
+        },
+        has: (what, note) => {
+          if (what === "task") return taskIndex.tasks(note.id).length > 0;
+          if (what === "open-task") return taskIndex.tasks(note.id).some((t) => !t.done);
+          if (what === "link") return linkIndex.outgoing(note.id).length > 0;
+          if (what === "attachment") return withAttachments.has(note.id);
+          return false;
+        }
+      };
+      const results = [];
+      candidates.forEach((note) => {
+        const res = matchSearchQuery(parsed, note, context);
+        if (res.matched) results.push({ ...clone2(note), score: Math.round(res.score * 1e3) / 1e3 });
       });
+      results.sort((a, b) => b.score - a.score || String(b.updatedAt || "").localeCompare(String(a.updatedAt || "")));
+      return { ok: true, notes: results.slice(0, max), total: results.length };
+    });
+  };
+  const linkSummary = (note) => ({ id: note.id, title: note.title, folder: note.folder });
+  const getOutgoingLinks = async ({ id } = {}) => await withFileLock(lockPath, async () => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: "id is required" };
+    const index = await loadIndexLocked();
+    if (!index.notes.some((n) => n.id === noteId)) return { ok: false, message: `Note not found: ${noteId}` };
+    const linkIndex = await loadDerivedIndexLocked(derivedIndexes.links, index);
+    const resolve = createLinkResolver(index.notes);
+    const links = linkIndex.outgoing(noteId).map((link) => {
+      const target = resolve(link.target);
+      return { target: link.target, label: link.label, broken: !target, note: target ? linkSummary(target) : null };
+    });
+    return { ok: true, id: noteId, links };
+  });
+  const getBacklinks = async ({ id } = {}) => await withFileLock(lockPath, async () => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: "id is required" };
+    const index = await loadIndexLocked();
+    if (!index.notes.some((n) => n.id === noteId)) return { ok: false, message: `Note not found: ${noteId}` };
+    const linkIndex = await loadDerivedIndexLocked(derivedIndexes.links, index);
+    const resolve = createLinkResolver(index.notes);
+    const byId = new Map(index.notes.map((n) => [n.id, n]));
+    const backlinks = [];
+    linkIndex.entries().forEach(([sourceId, links]) => {
+      const source = byId.get(sourceId);
+      if (!source || sourceId === noteId) return;
+      const labels = links.filter((link) => resolve(link.target)?.id === noteId).map((link) => link.label);
+      if (labels.length > 0) backlinks.push({ ...linkSummary(source), updatedAt: source.updatedAt, labels });
+    });
+    backlinks.sort((a, b) => String(b.updatedAt || "").localeCompare(String(a.updatedAt || "")));
+    return { ok: true, id: noteId, backlinks };
+  });
+  const resolveLinks = async ({ targets } = {}) => {
+    const index = await getIndexSnapshot();
+    const resolve = createLinkResolver(index?.notes);
+    const links = {};
+    (Array.isArray(targets) ? targets : []).forEach((t) => {
+      const target = normalizeOptionalString(t);
+      if (!target || target in links) return;
+      const note = resolve(target);
+      links[target] = note ? linkSummary(note) : null;
+    });
+    return { ok: true, links };
+  };
+  const listTasks = async ({
+    folder = "",
+    recursive = true,
+    tags = [],
+    match = "all",
+    state = "open",
+    dueBefore = "",
+    dueAfter = "",
+    hasDue,
+    limit = 200
+  } = {}) => await withFileLock(lockPath, async () => {
+    let folderRel = "";
+    try {
+      folderRel = normalizeFolderPath(folder);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
     }
-    if (desiredTags.length > 0) {
-      const desiredKeys = desiredTags.map((t) => t.toLowerCase());
-      notes = notes.filter((n) => {
-        const tagKeys = new Set((Array.isArray(n.tags) ? n.tags : []).map((t) => String(t || "").toLowerCase()));
-        if (matchMode === "any") return desiredKeys.some((t) => tagKeys.has(t));
-        return desiredKeys.every((t) => tagKeys.has(t));
+    const dateRe = /^\d{4}-\d{2}-\d{2}$/;
+    const before = normalizeOptionalString(dueBefore);
+    const after = normalizeOptionalString(dueAfter);
+    if (before && !dateRe.test(before) || after && !dateRe.test(after)) {
+      return { ok: false, message: "dueBefore/dueAfter must be YYYY-MM-DD" };
+    }
+    const wantState = state === "done" || state === "all" ? state : "open";
+    const max = Number.isFinite(limit) ? Math.max(1, Math.min(1e3, Math.floor(limit))) : 200;
+    const index = await loadIndexLocked();
+    const notes = filterNotes(index.notes, {
+      folderRel,
+      recursive,
+      desiredTags: uniqTags(tags),
+      matchMode: match === "any" ? "any" : "all"
+    }).filter((n) => isTemplateFolder(folderRel) || !isTemplateFolder(n.folder));
+    const taskIndex = await loadDerivedIndexLocked(derivedIndexes.tasks, index);
+    const tasks = [];
+    notes.forEach((note) => {
+      taskIndex.tasks(note.id).forEach((task) => {
+        if (wantState === "open" && task.done) return;
+        if (wantState === "done" && !task.done) return;
+        if (hasDue === true && !task.due) return;
+        if (hasDue === false && task.due) return;
+        if (before && !(task.due && task.due <= before)) return;
+        if (after && !(task.due && task.due >= after)) return;
+        tasks.push({ ...task, noteId: note.id, title: note.title, folder: note.folder, updatedAt: note.updatedAt });
       });
+    });
+    tasks.sort((a, b) => {
+      if (a.due !== b.due) {
+        if (!a.due) return 1;
+        if (!b.due) return -1;
+        return a.due.localeCompare(b.due);
+      }
+      if (a.noteId !== b.noteId) return String(b.updatedAt || "").localeCompare(String(a.updatedAt || ""));
+      return a.line - b.line;
+    });
+    return { ok: true, total: tasks.length, tasks: tasks.slice(0, max) };
+  });
+  const toggleTask = async ({ id, line, done, text } = {}) => await withFileLock(lockPath, async () => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: "id is required" };
+    const index = await loadIndexLocked();
+    const idx = index.notes.findIndex((n) => n.id === noteId);
+    if (idx < 0) return { ok: false, message: `Note not found: ${noteId}` };
+    const current = index.notes[idx];
+    if (current.encrypted) return { ok: false, message: "Tasks of encrypted notes are not tracked; edit the note instead" };
+    const abs = noteFileAbs(notesRoot, current.folder, current);
+    const parsed = await readNoteFile(abs);
+    const result = setTaskState(parsed.body, line, done === void 0 || done === null ? void 0 : done === true, {
+      expectedText: typeof text === "string" ? text : void 0
+    });
+    if (!result) {
+      return { ok: false, conflict: true, message: `No matching task at line ${line} of note ${noteId}; list the tasks again` };
+    }
+    if (result.content === parsed.body) {
+      return { ok: true, changed: false, task: result.task, note: { ...current, file: noteFileRel(current.folder, current) } };
+    }
+    const updated = { ...current, updatedAt: nowIso(), revision: current.revision + 1 };
+    await writeNoteFile(abs, updated, result.content, parsed.fields);
+    index.notes[idx] = updated;
+    await saveIndexLocked(index);
+    await reindexNotesLocked(index, { upsert: [{ note: updated, body: result.content }] });
+    return { ok: true, changed: true, task: result.task, note: { ...updated, file: noteFileRel(updated.folder, updated) } };
+  });
+  const readAttachmentMeta = async (noteId, name) => {
+    const stat = await fs2.promises.stat(path2.join(attachmentDirAbs(noteId), name));
+    if (!stat.isFile()) return null;
+    return {
+      name,
+      size: stat.size,
+      mimeType: attachmentMimeType(name),
+      updatedAt: new Date(stat.mtimeMs).toISOString(),
+      link: attachmentLink(name)
+    };
+  };
+  const findNoteLocked = async (id) => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { error: "id is required" };
+    const index = await loadIndexLocked();
+    const note = index.notes.find((n) => n.id === noteId);
+    if (!note) return { error: `Note not found: ${noteId}` };
+    return { note };
+  };
+  const addAttachment = async ({ id, name, dataBase64, overwrite = false } = {}) => await withFileLock(lockPath, async () => {
+    const found = await findNoteLocked(id);
+    if (found.error) return { ok: false, message: found.error };
+    const fileName = normalizeAttachmentName(name);
+    if (!fileName) return { ok: false, message: `Invalid attachment name: ${normalizeOptionalString(name)}` };
+    const data = decodeBase64Input(dataBase64);
+    if (!data) return { ok: false, message: "dataBase64 must be base64 encoded data" };
+    if (data.length > MAX_ATTACHMENT_BYTES) {
+      return { ok: false, message: `Attachment is too large (max ${Math.round(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB)` };
+    }
+    const dirAbs = attachmentDirAbs(found.note.id);
+    let finalName = fileName;
+    if (!overwrite) {
+      const ext = path2.extname(fileName);
+      const stem = fileName.slice(0, fileName.length - ext.length);
+      for (let i = 1; await isFile(path2.join(dirAbs, finalName)); i += 1) finalName = `${stem}-${i}${ext}`;
+    }
+    await atomicWriteFile(path2.join(dirAbs, finalName), data);
+    return { ok: true, attachment: await readAttachmentMeta(found.note.id, finalName) };
+  });
+  const listAttachments = async ({ id } = {}) => {
+    const found = await withFileLock(lockPath, async () => await findNoteLocked(id));
+    if (found.error) return { ok: false, message: found.error };
+    let entries = [];
+    try {
+      entries = await fs2.promises.readdir(attachmentDirAbs(found.note.id), { withFileTypes: true });
+    } catch {
+      entries = [];
+    }
+    const attachments = [];
+    for (const entry of entries) {
+      const name = String(entry?.name || "");
+      if (!entry.isFile() || name.startsWith(".")) continue;
+      const meta3 = await readAttachmentMeta(found.note.id, name).catch(() => null);
+      if (meta3) attachments.push(meta3);
+    }
+    attachments.sort((a, b) => a.name.localeCompare(b.name));
+    return { ok: true, id: found.note.id, attachments };
+  };
+  const readAttachment = async ({ id, name } = {}) => {
+    const found = await withFileLock(lockPath, async () => await findNoteLocked(id));
+    if (found.error) return { ok: false, message: found.error };
+    let raw = normalizeOptionalString(name);
+    if (raw.startsWith(ATTACHMENT_LINK_PREFIX)) raw = raw.slice(ATTACHMENT_LINK_PREFIX.length);
+    try {
+      raw = decodeURIComponent(raw);
+    } catch {
     }
-    if (q) {
-      notes = notes.filter((n) => {
-        const title = normalizeOptionalString(n.title).toLowerCase();
-        const folderName = normalizeOptionalString(n.folder).toLowerCase();
-        return title.includes(q) || folderName.includes(q);
-      });
+    const fileName = normalizeAttachmentName(raw);
+    if (!fileName) return { ok: false, message: "name is required" };
+    let data = null;
+    try {
+      data = await fs2.promises.readFile(path2.join(attachmentDirAbs(found.note.id), fileName));
+    } catch (err) {
+      if (err?.code === "ENOENT") return { ok: false, message: `Attachment not found: ${fileName}` };
+      return { ok: false, message: err?.message || String(err) };
     }
-    notes.sort((a, b) => String(b.updatedAt || "").localeCompare(String(a.updatedAt || "")));
-    return { ok: true, notes: notes.slice(0, max) };
+    return { ok: true, attachment: await readAttachmentMeta(found.note.id, fileName), dataBase64: data.toString("base64") };
   };
-  const createNote = async ({ folder = "", title = "", content = "", tags = [] } = {}) => await withFileLock(lockPath, async () => {
-    let folderRel = "";
+  const deleteAttachment = async ({ id, name } = {}) => await withFileLock(lockPath, async () => {
+    const found = await findNoteLocked(id);
+    if (found.error) return { ok: false, message: found.error };
+    const fileName = normalizeAttachmentName(name);
+    if (!fileName) return { ok: false, message: "name is required" };
     try {
-      folderRel = normalizeFolderPath(folder);
+      await fs2.promises.unlink(path2.join(attachmentDirAbs(found.note.id), fileName));
     } catch (err) {
+      if (err?.code === "ENOENT") return { ok: false, message: `Attachment not found: ${fileName}` };
       return { ok: false, message: err?.message || String(err) };
     }
-    const desiredTags = uniqTags(tags);
-    const rawTitle = normalizeTitle(title) || normalizeTitle(extractTitleFromMarkdown(content)) || "Untitled";
-    const md = normalizeOptionalString(content) || `# ${rawTitle}
-
-`;
-    const id = crypto.randomUUID();
-    const abs = noteFileAbs(notesRoot, folderRel, id);
-    await ensureDir(path.dirname(abs));
-    await atomicWriteText(abs, md);
-    const index = await loadIndexLocked();
-    const now = nowIso();
-    const note = {
-      id,
-      title: rawTitle,
-      folder: folderRel,
-      tags: desiredTags,
-      createdAt: now,
-      updatedAt: now
-    };
-    index.notes.unshift(note);
-    await saveIndexLocked(index);
-    return { ok: true, note: { ...note, file: noteFileRel(folderRel, id) } };
+    try {
+      await fs2.promises.rmdir(attachmentDirAbs(found.note.id));
+    } catch {
+    }
+    return { ok: true, id: found.note.id, name: fileName };
   });
-  const getNote = async ({ id } = {}) => {
-    const noteId = normalizeOptionalString(id);
-    if (!noteId) return { ok: false, message: "id is required" };
-    const index = await getIndexSnapshot();
-    const note = (Array.isArray(index?.notes) ? index.notes : []).find((n) => n.id === noteId);
-    if (!note) return { ok: false, message: `Note not found: ${noteId}` };
-    const abs = noteFileAbs(notesRoot, note.folder, noteId);
-    let content = "";
+  const importFromSourceLocked = async (source, { folder = "", hashtags = true, dryRun = false } = {}) => {
+    let targetFolder = "";
     try {
-      content = await fs.promises.readFile(abs, "utf8");
+      targetFolder = normalizeFolderPath(folder);
     } catch (err) {
       return { ok: false, message: err?.message || String(err) };
     }
-    return { ok: true, note: { ...note, file: noteFileRel(note.folder, noteId) }, content };
-  };
-  const updateNote = async ({ id, title, content, folder, tags } = {}) => await withFileLock(lockPath, async () => {
-    const noteId = normalizeOptionalString(id);
-    if (!noteId) return { ok: false, message: "id is required" };
+    const imported = [];
+    const skipped = [];
+    const warnings = [];
+    const candidates = [];
     const index = await loadIndexLocked();
-    const idx = index.notes.findIndex((n) => n.id === noteId);
-    if (idx < 0) return { ok: false, message: `Note not found: ${noteId}` };
-    const current = index.notes[idx];
-    let nextFolder = normalizeOptionalString(current.folder).replace(/\\/g, "/");
-    if (folder !== void 0) {
+    const takenIds = new Set(index.notes.map((n) => n.id));
+    for (const file2 of source.markdown) {
+      if (isHiddenRel(file2.rel)) {
+        skipped.push({ source: file2.rel, reason: "hidden folder" });
+        continue;
+      }
+      let noteFolder = "";
       try {
-        nextFolder = normalizeFolderPath(folder);
+        noteFolder = normalizeFolderPath([targetFolder, file2.folder].filter(Boolean).join("/"));
       } catch (err) {
-        return { ok: false, message: err?.message || String(err) };
+        skipped.push({ source: file2.rel, reason: err?.message || String(err) });
+        continue;
       }
-    }
-    const nextTitle = title !== void 0 ? normalizeTitle(title) : normalizeOptionalString(current.title);
-    const nextTags = tags !== void 0 ? uniqTags(tags) : uniqTags(current.tags);
-    const nextContent = content !== void 0 ? String(content ?? "") : null;
-    const oldAbs = noteFileAbs(notesRoot, current.folder, noteId);
-    const newAbs = noteFileAbs(notesRoot, nextFolder, noteId);
-    if (newAbs !== oldAbs) {
-      await ensureDir(path.dirname(newAbs));
+      let parsed = null;
       try {
-        await fs.promises.rename(oldAbs, newAbs);
+        parsed = parseFrontMatter(await source.readText(file2.rel));
       } catch (err) {
-        return { ok: false, message: err?.message || String(err) };
+        skipped.push({ source: file2.rel, reason: err?.message || String(err) });
+        continue;
+      }
+      const originalId = typeof parsed.data?.id === "string" ? parsed.data.id.trim() : "";
+      const reusable = (IMPORT_ID_RE.test(originalId) || SORTABLE_ID_RE.test(originalId)) && !takenIds.has(originalId);
+      const id = reusable ? originalId : crypto3.randomUUID();
+      takenIds.add(id);
+      candidates.push({ ...file2, noteFolder, id, originalId, meta: parsed.data || {}, body: parsed.body });
+    }
+    const byPath = /* @__PURE__ */ new Map();
+    const byName = /* @__PURE__ */ new Map();
+    const byOriginalId = /* @__PURE__ */ new Map();
+    [...candidates].sort((a, b) => a.rel.split("/").length - b.rel.split("/").length || a.rel.localeCompare(b.rel)).forEach((c) => {
+      byPath.set(c.rel.slice(0, -3).toLowerCase(), c.id);
+      if (!byName.has(c.stem.toLowerCase())) byName.set(c.stem.toLowerCase(), c.id);
+      if (c.originalId && !byOriginalId.has(c.originalId)) byOriginalId.set(c.originalId, c.id);
+    });
+    const upsert = [];
+    const encryption = await readEncryptionSettingsLocked();
+    let attachmentCount = 0;
+    for (const file2 of candidates) {
+      const { meta: meta3, body } = file2;
+      const sealedSource = isEncryptedBody(body);
+      const encrypted = sealedSource || isEncryptedFolder(encryption, file2.noteFolder);
+      const key = encrypted && !sealedSource ? sessionKey() : null;
+      if (encrypted && !sealedSource && !key) {
+        skipped.push({ source: file2.rel, reason: "target folder is encrypted and the notebook is locked" });
+        continue;
+      }
+      const dir = file2.folder;
+      const assets = /* @__PURE__ */ new Map();
+      const usedNames = /* @__PURE__ */ new Set();
+      const copies = [];
+      const resolveNote = (target, { relative = false } = {}) => {
+        if (!relative && byOriginalId.has(target)) return byOriginalId.get(target);
+        const ref = safePosixRel(relative ? joinPosix(dir, target) : target);
+        if (ref === null) return null;
+        const key2 = ref.replace(/\.md$/i, "").toLowerCase();
+        if (byPath.has(key2)) return byPath.get(key2);
+        if (!relative && dir && byPath.has(`${dir}/${key2}`.toLowerCase())) return byPath.get(`${dir}/${key2}`.toLowerCase());
+        return !relative && !key2.includes("/") ? byName.get(key2) || null : null;
+      };
+      const wanted = [];
+      rewriteImportedLinks(sealedSource ? "" : body, {
+        resolveNote,
+        resolveAsset: (ref) => {
+          wanted.push(ref);
+          return null;
+        }
+      });
+      for (const ref of wanted) {
+        if (assets.has(ref)) continue;
+        let found = null;
+        for (const candidate of [joinPosix(dir, ref), ref].map(safePosixRel)) {
+          if (candidate && !/\.md$/i.test(candidate) && await source.stat(candidate)) {
+            found = candidate;
+            break;
+          }
+        }
+        if (!found && !ref.includes("/") && !/\.md$/i.test(ref)) found = await source.findByName(ref);
+        if (!found) {
+          assets.set(ref, null);
+          continue;
+        }
+        const st2 = await source.stat(found);
+        if (!st2 || st2.size > MAX_ATTACHMENT_BYTES) {
+          warnings.push({ source: file2.rel, message: `Attachment skipped (missing or too large): ${found}` });
+          assets.set(ref, null);
+          continue;
+        }
+        const existing = copies.find((c) => c.from === found);
+        if (existing) {
+          assets.set(ref, existing.asset);
+          continue;
+        }
+        const baseName = normalizeAttachmentName(path2.posix.basename(found)) || "attachment";
+        const ext = path2.extname(baseName);
+        const stem = baseName.slice(0, baseName.length - ext.length);
+        let name = baseName;
+        for (let i = 1; usedNames.has(name.toLowerCase()); i += 1) name = `${stem}-${i}${ext}`;
+        usedNames.add(name.toLowerCase());
+        const asset = { name, link: attachmentLink(name) };
+        copies.push({ from: found, asset });
+        assets.set(ref, asset);
+      }
+      const rewritten = sealedSource ? { body, unresolved: [] } : rewriteImportedLinks(body, { resolveNote, resolveAsset: (ref) => assets.get(ref) || null });
+      if (rewritten.unresolved.length > 0) {
+        warnings.push({ source: file2.rel, message: `Unresolved links: ${Array.from(new Set(rewritten.unresolved)).join(", ")}` });
+      }
+      const tags = uniqTags([
+        ...tagsFromFrontMatter(meta3.tags),
+        ...tagsFromFrontMatter(meta3.tag),
+        ...hashtags && !sealedSource ? extractHashtags(body) : []
+      ]);
+      const fields = customFrontMatterFields(meta3);
+      delete fields.tag;
+      delete fields.updatedAt;
+      const st = await source.stat(file2.rel);
+      const extra = typeof source.noteMeta === "function" ? source.noteMeta(file2.rel) || {} : {};
+      const now = nowIso();
+      const createdAt = importDate(meta3.createdAt) || importDate(meta3.created) || importDate(st?.createdAt) || now;
+      const note = {
+        id: file2.id,
+        title: normalizeTitle(typeof meta3.title === "string" ? meta3.title : "") || normalizeTitle(file2.stem) || "Untitled",
+        folder: file2.noteFolder,
+        tags,
+        createdAt,
+        updatedAt: importDate(meta3.updatedAt) || importDate(st?.updatedAt) || createdAt,
+        revision: 1,
+        pinned: extra.pinned === true,
+        sortOrder: normalizeSortOrder(extra.sortOrder),
+        encrypted,
+        properties: propertiesFromFields(fields)
+      };
+      if (!dryRun) {
+        note.fileName = await pickFileNameLocked(index, note.folder, { title: note.title });
+        const abs = noteFileAbs(notesRoot, note.folder, note);
+        await ensureDir(path2.dirname(abs));
+        await writeNoteFile(abs, note, key ? encryptText(key, rewritten.body) : rewritten.body, fields);
+        for (const copy of copies) {
+          await atomicWriteFile(path2.join(attachmentDirAbs(note.id), copy.asset.name), await source.readBuffer(copy.from));
+        }
+        index.notes.unshift(note);
+        upsert.push({ note, body: encrypted ? "" : rewritten.body });
+      }
+      attachmentCount += copies.length;
+      imported.push({
+        source: file2.rel,
+        id: note.id,
+        title: note.title,
+        folder: note.folder,
+        tags: note.tags,
+        attachments: copies.map((c) => c.asset.name)
+      });
+    }
+    if (!dryRun && upsert.length > 0) {
+      await saveIndexLocked(index);
+      await reindexNotesLocked(index, { upsert });
+    }
+    return {
+      ok: true,
+      dryRun: dryRun === true,
+      folder: targetFolder,
+      imported,
+      skipped,
+      warnings,
+      counts: { imported: imported.length, skipped: skipped.length, attachments: attachmentCount, warnings: warnings.length }
+    };
+  };
+  const importMarkdown = async ({ sourceDir, folder = "", hashtags = true, dryRun = false } = {}) => {
+    const raw = normalizeOptionalString(sourceDir);
+    if (!raw) return { ok: false, message: "sourceDir is required" };
+    if (!path2.isAbsolute(raw)) return { ok: false, message: "sourceDir must be an absolute path" };
+    const sourceAbs = path2.resolve(raw);
+    if (!await isDirectory(sourceAbs)) return { ok: false, message: `Directory not found: ${sourceAbs}` };
+    if (pathInside(baseDir, sourceAbs) || pathInside(sourceAbs, baseDir)) {
+      return { ok: false, message: "sourceDir must not overlap the notepad data directory" };
+    }
+    const source = await createDirectoryImportSource(sourceAbs);
+    const result = await withFileLock(
+      lockPath,
+      async () => await importFromSourceLocked(source, { folder, hashtags: hashtags !== false, dryRun: dryRun === true })
+    );
+    return result.ok ? { ...result, sourceDir: sourceAbs } : result;
+  };
+  const buildArchiveLocked = async ({ folder = "", recursive = true } = {}) => {
+    const folderRel = normalizeFolderPath(folder);
+    const index = await loadIndexLocked();
+    const relOf = (f) => folderRel ? f === folderRel ? "" : f.slice(folderRel.length + 1) : f;
+    const notes = filterNotes(index.notes, { folderRel, recursive }).sort(
+      (a, b) => a.folder.localeCompare(b.folder) || compareNotesForList(a, b)
+    );
+    const folders = ((await listFolders()).folders || []).filter((f) => f && (folderRel ? f.startsWith(`${folderRel}/`) : true)).filter((f) => recursive || !relOf(f).includes("/")).map(relOf);
+    const files = [];
+    const usedNames = /* @__PURE__ */ new Set();
+    const manifestNotes = [];
+    let attachmentCount = 0;
+    for (const note of notes) {
+      const relFolder = relOf(note.folder);
+      const base = readableFileStem(note.title);
+      let stem = base;
+      for (let i = 2; usedNames.has(joinPosix(relFolder, stem).toLowerCase()); i += 1) stem = `${base} (${i})`;
+      usedNames.add(joinPosix(relFolder, stem).toLowerCase());
+      const notePath = joinPosix(relFolder, `${stem}.md`);
+      let parsed = { body: "", fields: {} };
+      try {
+        parsed = await readNoteFile(noteFileAbs(notesRoot, note.folder, note));
+      } catch {
+      }
+      let names = [];
+      try {
+        names = (await fs2.promises.readdir(attachmentDirAbs(note.id), { withFileTypes: true })).filter((e) => e.isFile() && normalizeAttachmentName(e.name) === e.name).map((e) => e.name).sort();
+      } catch {
+        names = [];
+      }
+      const assetsDir = `${stem}${ARCHIVE_ASSETS_SUFFIX}`;
+      const assetsHref = encodeURIComponent(assetsDir).replace(/[()]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+      const body = names.length > 0 ? String(parsed.body).replace(
+        /\]\(attachments\/([^)\s]+)\)/g,
+        (_m, name) => `](${assetsHref}/${name})`
+      ) : String(parsed.body);
+      const data = {
+        id: note.id,
+        title: normalizeTitle(note.title),
+        tags: uniqTags(note.tags),
+        createdAt: note.createdAt,
+        updatedAt: note.updatedAt,
+        ...customFrontMatterFields(parsed.fields)
+      };
+      files.push({ name: notePath, data: Buffer.from(stringifyFrontMatter(data, body), "utf8") });
+      for (const name of names) {
+        files.push({
+          name: joinPosix(relFolder, assetsDir, name),
+          data: await fs2.promises.readFile(path2.join(attachmentDirAbs(note.id), name))
+        });
+      }
+      attachmentCount += names.length;
+      manifestNotes.push({
+        id: note.id,
+        title: note.title,
+        path: notePath,
+        tags: uniqTags(note.tags),
+        createdAt: note.createdAt,
+        updatedAt: note.updatedAt,
+        pinned: note.pinned === true,
+        sortOrder: normalizeSortOrder(note.sortOrder),
+        attachments: names
+      });
+    }
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: nowIso(),
+      folder: folderRel,
+      folders,
+      notes: manifestNotes
+    };
+    files.unshift({ name: ARCHIVE_MANIFEST, data: Buffer.from(JSON.stringify(manifest, null, 2), "utf8") });
+    return { files, counts: { notes: manifestNotes.length, attachments: attachmentCount, folders: folders.length } };
+  };
+  const isOutsideBaseDir = (abs) => {
+    const rel = path2.relative(baseDir, abs);
+    return rel.startsWith("..") || path2.isAbsolute(rel);
+  };
+  const exportNotebook = async ({ folder = "", recursive = true, outputFile } = {}) => {
+    const output = normalizeOptionalString(outputFile);
+    if (output && (!path2.isAbsolute(output) || !output.toLowerCase().endsWith(".zip"))) {
+      return { ok: false, message: "outputFile must be an absolute path ending in .zip" };
+    }
+    if (output && !isOutsideBaseDir(path2.resolve(output))) {
+      return { ok: false, message: "outputFile must not be inside the notepad data directory" };
+    }
+    const built = await withFileLock(lockPath, async () => await buildArchiveLocked({ folder, recursive: recursive !== false }));
+    if (!output) {
+      return {
+        ok: true,
+        counts: built.counts,
+        files: built.files.map((f) => ({ name: f.name, dataBase64: f.data.toString("base64") }))
+      };
+    }
+    const zip = createZipBuffer(built.files);
+    await atomicWriteFile(path2.resolve(output), zip);
+    return { ok: true, counts: built.counts, file: path2.resolve(output), size: zip.length };
+  };
+  const importArchive = async ({ file: file2, dataBase64, folder = "", hashtags = false, dryRun = false } = {}) => {
+    const fileAbs = normalizeOptionalString(file2);
+    let buffer = null;
+    if (fileAbs) {
+      if (!path2.isAbsolute(fileAbs)) return { ok: false, message: "file must be an absolute path" };
+      if (!await isFile(fileAbs)) return { ok: false, message: `File not found: ${fileAbs}` };
+      buffer = await fs2.promises.readFile(fileAbs);
+    } else {
+      buffer = decodeBase64Input(dataBase64);
+      if (!buffer) return { ok: false, message: "file or dataBase64 is required" };
+    }
+    const source = createArchiveImportSource(readZipEntries(buffer));
+    return await withFileLock(lockPath, async () => {
+      const result = await importFromSourceLocked(source, {
+        folder,
+        hashtags: hashtags === true,
+        dryRun: dryRun === true
+      });
+      if (!result.ok || dryRun === true) return result;
+      for (const rel of source.folders) {
+        try {
+          await ensureDir(path2.join(notesRoot, ...splitFolder(normalizeFolderPath(joinPosix(result.folder, rel)))));
+        } catch {
+        }
       }
+      return result;
+    });
+  };
+  const readBackupSettingsLocked = async () => {
+    try {
+      return normalizeBackupSettings(JSON.parse(await fs2.promises.readFile(backupSettingsPath, "utf8")));
+    } catch {
+      return normalizeBackupSettings(null);
+    }
+  };
+  const readBackupManifest = async (backupId) => {
+    const manifest = JSON.parse(await fs2.promises.readFile(path2.join(backupsRoot, backupId, BACKUP_MANIFEST), "utf8"));
+    if (!manifest || typeof manifest !== "object" || !Array.isArray(manifest.files)) throw new Error("Invalid backup manifest");
+    return manifest;
+  };
+  const listBackupsLocked = async () => {
+    let entries = [];
+    try {
+      entries = await fs2.promises.readdir(backupsRoot, { withFileTypes: true });
+    } catch {
+      entries = [];
     }
-    if (nextContent !== null) {
+    const backups = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !isBackupId(entry.name)) continue;
       try {
-        await atomicWriteText(newAbs, nextContent);
+        const manifest = await readBackupManifest(entry.name);
+        backups.push({
+          id: entry.name,
+          createdAt: manifest.createdAt,
+          reason: manifest.reason,
+          notes: manifest.notes,
+          files: manifest.files.length,
+          size: manifest.size
+        });
       } catch (err) {
-        return { ok: false, message: err?.message || String(err) };
+        backups.push({ id: entry.name, broken: true, message: err?.message || String(err) });
       }
     }
-    const now = nowIso();
-    const updated = {
-      ...current,
-      title: nextTitle,
-      folder: nextFolder,
-      tags: nextTags,
-      updatedAt: now
+    backups.sort((a, b) => b.id.localeCompare(a.id));
+    return backups;
+  };
+  const pruneBackupsLocked = async (keep) => {
+    const pruned = [];
+    for (const backup of backupsToPrune(await listBackupsLocked(), keep)) {
+      await fs2.promises.rm(path2.join(backupsRoot, backup.id), { recursive: true, force: true });
+      pruned.push(backup.id);
+    }
+    return pruned;
+  };
+  const createBackupLocked = async (reason) => {
+    const index = await loadIndexLocked();
+    const now = /* @__PURE__ */ new Date();
+    let backupId = backupIdFor(now);
+    for (let i = 1; await isDirectory(path2.join(backupsRoot, backupId)); i += 1) backupId = `${backupIdFor(now)}-${i}`;
+    const partialAbs = path2.join(backupsRoot, `.${backupId}.partial`);
+    await fs2.promises.rm(partialAbs, { recursive: true, force: true });
+    const files = [];
+    for (const rel of await listBackupSourceFiles(baseDir, BACKUP_ENTRIES)) {
+      const data = await fs2.promises.readFile(path2.join(baseDir, ...rel.split("/")));
+      const dst = path2.join(partialAbs, ...rel.split("/"));
+      await ensureDir(path2.dirname(dst));
+      await fs2.promises.writeFile(dst, data);
+      files.push({ path: rel, size: data.length, sha256: sha256Hex(data) });
+    }
+    const manifest = {
+      id: backupId,
+      createdAt: now.toISOString(),
+      reason,
+      notes: index.notes.length,
+      size: files.reduce((sum, f) => sum + f.size, 0),
+      files
     };
-    index.notes[idx] = updated;
-    await saveIndexLocked(index);
-    return { ok: true, note: { ...updated, file: noteFileRel(updated.folder, noteId) } };
+    await ensureDir(partialAbs);
+    await fs2.promises.writeFile(path2.join(partialAbs, BACKUP_MANIFEST), JSON.stringify(manifest, null, 2));
+    await fs2.promises.rename(partialAbs, path2.join(backupsRoot, backupId));
+    return { id: backupId, createdAt: manifest.createdAt, reason, notes: manifest.notes, files: files.length, size: manifest.size };
+  };
+  const verifyBackupLocked = async (backupId) => {
+    const dirAbs = path2.join(backupsRoot, backupId);
+    const manifest = await readBackupManifest(backupId);
+    const problems = [];
+    const listed = /* @__PURE__ */ new Set();
+    for (const file2 of manifest.files) {
+      const rel = safePosixRel(file2?.path);
+      if (!rel) {
+        problems.push({ path: String(file2?.path || ""), problem: "invalid path" });
+        continue;
+      }
+      listed.add(rel);
+      let data = null;
+      try {
+        data = await fs2.promises.readFile(path2.join(dirAbs, ...rel.split("/")));
+      } catch {
+        problems.push({ path: rel, problem: "missing" });
+        continue;
+      }
+      if (data.length !== file2.size || sha256Hex(data) !== file2.sha256) problems.push({ path: rel, problem: "checksum mismatch" });
+    }
+    for (const rel of await listBackupSourceFiles(dirAbs, BACKUP_ENTRIES)) {
+      if (!listed.has(rel)) problems.push({ path: rel, problem: "not in manifest" });
+    }
+    let notes = [];
+    try {
+      const parsed = JSON.parse(await fs2.promises.readFile(path2.join(dirAbs, INDEX_FILE_NAME), "utf8"));
+      notes = Array.isArray(parsed?.notes) ? parsed.notes : [];
+    } catch {
+      problems.push({ path: INDEX_FILE_NAME, problem: "unreadable index" });
+    }
+    notes.forEach((n) => {
+      const rel = noteFileRel(n?.folder, n);
+      if (!listed.has(rel)) problems.push({ path: rel, problem: "indexed note missing from backup" });
+    });
+    if (notes.some((n) => n?.encrypted === true) && !listed.has(ENCRYPTION_FILE_NAME)) {
+      problems.push({ path: ENCRYPTION_FILE_NAME, problem: "encrypted notes without encryption settings" });
+    }
+    return { manifest, notes, problems };
+  };
+  const getBackupSettings = async () => await withFileLock(lockPath, async () => ({ ok: true, settings: await readBackupSettingsLocked(), dir: backupsRoot }));
+  const updateBackupSettings = async ({ schedule, keep } = {}) => await withFileLock(lockPath, async () => {
+    const current = await readBackupSettingsLocked();
+    if (schedule !== void 0 && !BACKUP_SCHEDULES.includes(schedule)) {
+      return { ok: false, message: `schedule must be one of: ${BACKUP_SCHEDULES.join(", ")}` };
+    }
+    const next = normalizeBackupSettings({
+      schedule: schedule === void 0 ? current.schedule : schedule,
+      keep: keep === void 0 ? current.keep : keep
+    });
+    await atomicWriteText(backupSettingsPath, JSON.stringify(next, null, 2));
+    const pruned = await pruneBackupsLocked(next.keep);
+    return { ok: true, settings: next, pruned };
   });
-  const deleteNote = async ({ id } = {}) => await withFileLock(lockPath, async () => {
-    const noteId = normalizeOptionalString(id);
-    if (!noteId) return { ok: false, message: "id is required" };
+  const listBackups = async () => await withFileLock(lockPath, async () => ({
+    ok: true,
+    dir: backupsRoot,
+    settings: await readBackupSettingsLocked(),
+    backups: await listBackupsLocked()
+  }));
+  const createBackup = async () => await withFileLock(lockPath, async () => {
+    const backup = await createBackupLocked("manual");
+    return { ok: true, backup };
+  });
+  const runScheduledBackup = async () => await withFileLock(lockPath, async () => {
+    const settings = await readBackupSettingsLocked();
+    const last = (await listBackupsLocked()).find((b) => b.reason === "scheduled");
+    if (!isBackupDue(settings, last?.createdAt)) return { ok: true, created: false, settings };
+    const backup = await createBackupLocked("scheduled");
+    const pruned = await pruneBackupsLocked(settings.keep);
+    return { ok: true, created: true, backup, pruned, settings };
+  });
+  const verifyBackup = async ({ id } = {}) => await withFileLock(lockPath, async () => {
+    const backupId = normalizeOptionalString(id);
+    if (!isBackupId(backupId) || !await isDirectory(path2.join(backupsRoot, backupId))) {
+      return { ok: false, message: `Backup not found: ${backupId}` };
+    }
+    const { manifest, problems } = await verifyBackupLocked(backupId);
+    return { ok: true, id: backupId, valid: problems.length === 0, checked: manifest.files.length, problems };
+  });
+  const deleteBackup = async ({ id } = {}) => await withFileLock(lockPath, async () => {
+    const backupId = normalizeOptionalString(id);
+    if (!isBackupId(backupId) || !await isDirectory(path2.join(backupsRoot, backupId))) {
+      return { ok: false, message: `Backup not found: ${backupId}` };
+    }
+    await fs2.promises.rm(path2.join(backupsRoot, backupId), { recursive: true, force: true });
+    return { ok: true, id: backupId };
+  });
+  const restoreBackup = async ({ id, dryRun = false } = {}) => await withFileLock(lockPath, async () => {
+    const backupId = normalizeOptionalString(id);
+    const dirAbs = path2.join(backupsRoot, backupId);
+    if (!isBackupId(backupId) || !await isDirectory(dirAbs)) return { ok: false, message: `Backup not found: ${backupId}` };
+    const { manifest, notes: backupNotes, problems } = await verifyBackupLocked(backupId);
+    if (problems.length > 0) return { ok: false, message: "Backup failed verification", id: backupId, problems };
     const index = await loadIndexLocked();
-    const idx = index.notes.findIndex((n) => n.id === noteId);
-    if (idx < 0) return { ok: false, message: `Note not found: ${noteId}` };
-    const note = index.notes[idx];
-    const abs = noteFileAbs(notesRoot, note.folder, noteId);
+    const hashes = new Map(manifest.files.map((f) => [f.path, f.sha256]));
+    const current = new Map(index.notes.map((n) => [n.id, n]));
+    const summary = (n) => ({ id: n.id, title: n.title, folder: n.folder || "" });
+    const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+    for (const note of backupNotes) {
+      const now = current.get(note.id);
+      if (!now) {
+        diff.added.push(summary(note));
+        continue;
+      }
+      let same = now.folder === note.folder && now.title === note.title;
+      if (same) {
+        try {
+          same = sha256Hex(await fs2.promises.readFile(noteFileAbs(notesRoot, now.folder, now))) === hashes.get(noteFileRel(note.folder, note));
+        } catch {
+          same = false;
+        }
+      }
+      if (same) diff.unchanged += 1;
+      else diff.changed.push({ ...summary(note), from: summary(now) });
+    }
+    const restoredIds = new Set(backupNotes.map((n) => n.id));
+    index.notes.filter((n) => !restoredIds.has(n.id)).forEach((n) => diff.removed.push(summary(n)));
+    if (dryRun === true) return { ok: true, dryRun: true, id: backupId, createdAt: manifest.createdAt, diff };
+    const safety = await createBackupLocked("pre-restore");
+    let encryptionBefore = "";
+    try {
+      encryptionBefore = await fs2.promises.readFile(encryptionSettingsPath, "utf8");
+    } catch {
+      encryptionBefore = "";
+    }
+    for (const entry of BACKUP_ENTRIES) {
+      const targetAbs = path2.join(baseDir, entry);
+      const stagedAbs = `${targetAbs}.restoring`;
+      await fs2.promises.rm(stagedAbs, { recursive: true, force: true });
+      if (entry.endsWith(".json")) continue;
+      await ensureDir(stagedAbs);
+      for (const file2 of manifest.files.filter((f) => f.path.startsWith(`${entry}/`))) {
+        const dst = path2.join(baseDir, `${entry}.restoring`, ...file2.path.split("/").slice(1));
+        await ensureDir(path2.dirname(dst));
+        await fs2.promises.copyFile(path2.join(dirAbs, ...file2.path.split("/")), dst);
+      }
+      await fs2.promises.rm(targetAbs, { recursive: true, force: true });
+      await fs2.promises.rename(stagedAbs, targetAbs);
+    }
+    for (const entry of BACKUP_ENTRIES.filter((e) => e.endsWith(".json"))) {
+      if (hashes.has(entry)) await atomicWriteFile(path2.join(baseDir, entry), await fs2.promises.readFile(path2.join(dirAbs, entry)));
+      else await fs2.promises.rm(path2.join(baseDir, entry), { force: true });
+    }
+    let encryptionAfter = "";
     try {
-      await fs.promises.unlink(abs);
+      encryptionAfter = await fs2.promises.readFile(encryptionSettingsPath, "utf8");
     } catch {
+      encryptionAfter = "";
     }
-    index.notes.splice(idx, 1);
+    if (encryptionAfter !== encryptionBefore) {
+      unlockedKey = null;
+      unlockedUntil = 0;
+    }
+    for (const spec of Object.values(derivedIndexes)) {
+      spec.cache = null;
+      await fs2.promises.rm(spec.file, { force: true });
+    }
+    const restored = await saveIndexLocked(await loadIndexLocked());
+    await reindexNotesLocked(restored);
+    return { ok: true, id: backupId, createdAt: manifest.createdAt, diff, safetyBackup: safety.id };
+  });
+  const isUnlocked = () => Boolean(unlockedKey) && Date.now() <= unlockedUntil;
+  const getEncryptionStatus = async () => await withFileLock(lockPath, async () => {
+    const settings = await readEncryptionSettingsLocked();
+    const index = await loadIndexLocked();
+    return {
+      ok: true,
+      configured: Boolean(settings.kdf),
+      unlocked: isUnlocked(),
+      folders: settings.folders,
+      encryptedNotes: index.notes.filter((n) => n.encrypted).length,
+      idleMinutes: ENCRYPTION_IDLE_MS / 6e4
+    };
+  });
+  const setupEncryption = async ({ passphrase } = {}) => await withFileLock(lockPath, async () => {
+    const settings = await readEncryptionSettingsLocked();
+    if (settings.kdf) return { ok: false, message: "Encryption is already set up" };
+    const secret = typeof passphrase === "string" ? passphrase : "";
+    if (secret.length < MIN_PASSPHRASE_LENGTH) {
+      return { ok: false, message: `passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters` };
+    }
+    const kdf = createKdfParams();
+    const key = await deriveKey(secret, kdf);
+    await atomicWriteText(encryptionSettingsPath, JSON.stringify({ ...settings, kdf, verifier: createKeyVerifier(key) }, null, 2));
+    unlockedKey = key;
+    unlockedUntil = Date.now() + ENCRYPTION_IDLE_MS;
+    return { ok: true, configured: true, unlocked: true };
+  });
+  const unlockNotebook = async ({ passphrase } = {}) => {
+    const settings = await withFileLock(lockPath, async () => await readEncryptionSettingsLocked());
+    if (!settings.kdf) return { ok: false, message: "Encryption is not set up" };
+    const key = await deriveKey(typeof passphrase === "string" ? passphrase : "", settings.kdf);
+    if (!checkKeyVerifier(key, settings.verifier)) return { ok: false, message: "Wrong passphrase" };
+    unlockedKey = key;
+    unlockedUntil = Date.now() + ENCRYPTION_IDLE_MS;
+    return { ok: true, unlocked: true, idleMinutes: ENCRYPTION_IDLE_MS / 6e4 };
+  };
+  const lockNotebook = async () => {
+    unlockedKey = null;
+    unlockedUntil = 0;
+    return { ok: true, unlocked: false };
+  };
+  const encryptNote = async ({ id } = {}) => await withFileLock(lockPath, async () => {
+    const key = sessionKey();
+    if (!key) return lockedResult(null);
+    const found = await findNoteLocked(id);
+    if (found.error) return { ok: false, message: found.error };
+    if (found.note.encrypted) return { ok: true, changed: false, note: found.note };
+    const index = await loadIndexLocked();
+    const upsert = await encryptNotesLocked(index, [found.note], key);
     await saveIndexLocked(index);
-    return { ok: true, id: noteId };
+    await reindexNotesLocked(index, { upsert });
+    return { ok: true, changed: true, note: upsert[0].note };
   });
-  const listTags = async () => {
-    const index = await getIndexSnapshot();
-    const counts = /* @__PURE__ */ new Map();
-    (Array.isArray(index?.notes) ? index.notes : []).forEach((n) => {
-      (Array.isArray(n.tags) ? n.tags : []).forEach((t) => {
-        const tag = normalizeTag(t);
-        if (!tag) return;
-        const key = tag.toLowerCase();
-        counts.set(key, { tag, count: (counts.get(key)?.count || 0) + 1 });
-      });
-    });
-    const tags = Array.from(counts.values()).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
-    return { ok: true, tags };
-  };
-  const searchNotes = async ({ query, folder = "", recursive = true, tags = [], match = "all", includeContent = true, limit = 50 } = {}) => {
-    const q = normalizeOptionalString(query);
-    if (!q) return { ok: false, message: "query is required" };
-    let folderRel = "";
+  const decryptNote = async ({ id } = {}) => await withFileLock(lockPath, async () => {
+    const key = sessionKey();
+    if (!key) return lockedResult(null);
+    const found = await findNoteLocked(id);
+    if (found.error) return { ok: false, message: found.error };
+    if (!found.note.encrypted) return { ok: true, changed: false, note: found.note };
+    if (isEncryptedFolder(await readEncryptionSettingsLocked(), found.note.folder)) {
+      return { ok: false, message: `Note is in an encrypted folder (${found.note.folder}); move it out or turn off folder encryption` };
+    }
+    const index = await loadIndexLocked();
+    const upsert = await decryptNotesLocked(index, [found.note], key);
+    await saveIndexLocked(index);
+    await reindexNotesLocked(index, { upsert });
+    return { ok: true, changed: true, note: upsert[0].note };
+  });
+  const setFolderEncryption = async ({ folder, encrypted = true } = {}) => await withFileLock(lockPath, async () => {
+    const key = sessionKey();
+    if (!key) return lockedResult(null);
+    let rel = "";
     try {
-      folderRel = normalizeFolderPath(folder);
+      rel = normalizeFolderPath(folder);
     } catch (err) {
       return { ok: false, message: err?.message || String(err) };
     }
-    const desiredTags = uniqTags(tags);
-    const matchMode = match === "any" ? "any" : "all";
-    const max = Number.isFinite(limit) ? Math.max(1, Math.min(200, Math.floor(limit))) : 50;
-    const baseList = await listNotes({ folder: folderRel, recursive, tags: desiredTags, match: matchMode, query: "", limit: 500 });
-    if (!baseList.ok) return baseList;
-    const candidates = Array.isArray(baseList.notes) ? baseList.notes : [];
-    const qLower = q.toLowerCase();
-    const results = [];
-    for (const note of candidates) {
-      if (results.length >= max) break;
-      const title = normalizeOptionalString(note.title);
-      if (title.toLowerCase().includes(qLower)) {
-        results.push(note);
-        continue;
-      }
-      const folderName = normalizeOptionalString(note.folder);
-      if (folderName.toLowerCase().includes(qLower)) {
-        results.push(note);
-        continue;
+    if (!rel) return { ok: false, message: "folder is required" };
+    if (!await isDirectory(path2.join(notesRoot, ...splitFolder(rel)))) return { ok: false, message: `Folder not found: ${rel}` };
+    const settings = await readEncryptionSettingsLocked();
+    const on = encrypted !== false;
+    const inherited = settings.folders.find((f) => f !== rel && rel.startsWith(`${f}/`));
+    if (!on && inherited) return { ok: false, message: `Folder is encrypted through its parent: ${inherited}` };
+    const folders = on ? inherited || settings.folders.includes(rel) ? settings.folders : settings.folders.concat(rel) : settings.folders.filter((f) => f !== rel && !f.startsWith(`${rel}/`));
+    const next = { ...settings, folders };
+    await atomicWriteText(encryptionSettingsPath, JSON.stringify(next, null, 2));
+    const index = await loadIndexLocked();
+    const inside = index.notes.filter((n) => n.folder === rel || n.folder.startsWith(`${rel}/`));
+    const upsert = on ? await encryptNotesLocked(index, inside, key) : await decryptNotesLocked(index, inside.filter((n) => !isEncryptedFolder(next, n.folder)), key);
+    if (upsert.length > 0) {
+      await saveIndexLocked(index);
+      await reindexNotesLocked(index, { upsert });
+    }
+    return { ok: true, folder: rel, encrypted: on, changedNotes: upsert.length, folders };
+  });
+  const relToBase = (abs) => path2.relative(baseDir, abs).split(path2.sep).join("/");
+  const checkIntegrity = async ({ repair = false } = {}) => {
+    const fix = repair === true;
+    const issues = [];
+    const settle = async (issue2, action) => {
+      if (fix) {
+        try {
+          await action();
+          issue2.fixed = true;
+        } catch (err) {
+          issue2.fixed = false;
+          issue2.error = err?.message || String(err);
+        }
       }
-      if (!includeContent) continue;
+      issues.push(issue2);
+    };
+    const lock = await inspectLock(lockPath);
+    if (lock?.stale) {
+      const owner = lock.pid ? `, pid ${lock.pid}${lock.ownerAlive ? "" : " not running"}` : "";
+      await settle(
+        { kind: "staleLock", file: relToBase(lockPath), message: `Stale lock file (age ${Math.round(lock.ageMs / 1e3)}s${owner})` },
+        async () => await fs2.promises.unlink(lockPath)
+      );
+    }
+    return await withFileLock(lockPath, async () => {
+      let rawNotes = [];
       try {
-        const abs = noteFileAbs(notesRoot, note.folder, note.id);
-        const content = await fs.promises.readFile(abs, "utf8");
-        if (String(content || "").toLowerCase().includes(qLower)) {
-          results.push(note);
+        const raw = JSON.parse(await fs2.promises.readFile(indexPath, "utf8"));
+        rawNotes = Array.isArray(raw?.notes) ? raw.notes : [];
+      } catch {
+        rawNotes = [];
+      }
+      const index = await loadIndexLocked();
+      let indexChanged = false;
+      const upserted = [];
+      const removed = [];
+      const seenIds = /* @__PURE__ */ new Map();
+      rawNotes.forEach((n) => {
+        const id = normalizeOptionalString(n?.id);
+        if (id) seenIds.set(id, (seenIds.get(id) || 0) + 1);
+      });
+      for (const [id, count] of seenIds) {
+        if (count < 2) continue;
+        await settle(
+          { kind: "duplicateIndexEntry", id, message: `Note id ${id} appears ${count} times in notes-index.json` },
+          async () => {
+            indexChanged = true;
+          }
+        );
+      }
+      const files = await listNoteFiles(notesRoot);
+      const filesById = /* @__PURE__ */ new Map();
+      files.forEach((f) => {
+        const list = filesById.get(f.id) || [];
+        list.push(f);
+        filesById.set(f.id, list);
+      });
+      const trashDuplicate = async (note, file2) => {
+        await settle(
+          {
+            kind: "duplicateFile",
+            id: note.id,
+            folder: file2.folder,
+            file: relToBase(file2.fileAbs),
+            message: `Extra copy of note ${note.id} in "${file2.folder || "/"}" (index points to "${note.folder || "/"}")`
+          },
+          async () => {
+            await moveToTrashLocked({
+              kind: "note",
+              folder: file2.folder,
+              title: note.title,
+              notes: [{ ...note, folder: file2.folder }],
+              sourceAbs: file2.fileAbs,
+              withAttachments: false
+            });
+          }
+        );
+      };
+      for (const note of index.notes.slice()) {
+        const locations = filesById.get(note.id) || [];
+        filesById.delete(note.id);
+        const canonical = locations.find((f) => f.folder === note.folder && f.fileName === noteFileName(note)) || locations.find((f) => f.folder === note.folder) || locations[0] || null;
+        if (canonical && (canonical.folder !== note.folder || canonical.fileName !== noteFileName(note))) {
+          await settle(
+            {
+              kind: "misplacedFile",
+              id: note.id,
+              folder: canonical.folder,
+              file: relToBase(canonical.fileAbs),
+              message: `Note ${note.id} is indexed as "${noteFileRel(note.folder, note)}" but its file is "${noteFileRel(canonical.folder, canonical)}"`
+            },
+            async () => {
+              note.folder = canonical.folder;
+              note.fileName = canonical.fileName;
+              indexChanged = true;
+            }
+          );
+        }
+        if (!canonical) {
+          await settle(
+            {
+              kind: "missingFile",
+              id: note.id,
+              folder: note.folder,
+              file: noteFileRel(note.folder, note),
+              message: `Index entry "${note.title}" (${note.id}) has no note file`
+            },
+            async () => {
+              index.notes = index.notes.filter((n) => n.id !== note.id);
+              removed.push(note.id);
+              indexChanged = true;
+            }
+          );
+          continue;
+        }
+        for (const extra of locations) {
+          if (extra !== canonical) await trashDuplicate(note, extra);
         }
+      }
+      for (const [id, locations] of filesById) {
+        const [first, ...extras] = locations;
+        const note = { ...await noteFromFile(first), revision: 1 };
+        await settle(
+          {
+            kind: "orphanFile",
+            id,
+            folder: first.folder,
+            file: relToBase(first.fileAbs),
+            message: `Note file ${relToBase(first.fileAbs)} is not in the index`
+          },
+          async () => {
+            index.notes.unshift(note);
+            upserted.push(note);
+            indexChanged = true;
+          }
+        );
+        for (const extra of extras) await trashDuplicate(note, extra);
+      }
+      const indexedIds = /* @__PURE__ */ new Set([...seenIds.keys(), ...index.notes.map((n) => n.id)]);
+      let attachmentDirs = [];
+      try {
+        attachmentDirs = await fs2.promises.readdir(attachmentsRoot, { withFileTypes: true });
       } catch {
+        attachmentDirs = [];
+      }
+      for (const entry of attachmentDirs) {
+        if (!entry.isDirectory() || indexedIds.has(entry.name)) continue;
+        const abs = attachmentDirAbs(entry.name);
+        await settle(
+          { kind: "orphanAttachments", id: entry.name, file: relToBase(abs), message: `Attachments of unknown note ${entry.name}` },
+          async () => await fs2.promises.rm(abs, { recursive: true, force: true })
+        );
+      }
+      const ownFiles = [indexPath, journalSettingsPath, encryptionSettingsPath, backupSettingsPath].concat(
+        Object.values(derivedIndexes).map((spec) => spec.file)
+      );
+      const ownPrefixes = ownFiles.map((f) => `.${path2.basename(f)}.`).concat(".notes-index.");
+      const tempFiles = (await listTempFiles(baseDir, { recursive: false })).filter(
+        (abs) => ownPrefixes.some((prefix) => path2.basename(abs).startsWith(prefix))
+      );
+      for (const root of [notesRoot, attachmentsRoot, revisionsRoot, trashRoot]) tempFiles.push(...await listTempFiles(root));
+      for (const abs of tempFiles) {
+        await settle(
+          { kind: "tempFile", file: relToBase(abs), message: `Leftover temp file ${relToBase(abs)}` },
+          async () => await fs2.promises.unlink(abs)
+        );
+      }
+      if (fix && indexChanged) {
+        await saveIndexLocked(index);
+        await reindexNotesLocked(index, { upsert: upserted, remove: removed });
       }
+      const counts = {};
+      issues.forEach((issue2) => {
+        counts[issue2.kind] = (counts[issue2.kind] || 0) + 1;
+      });
+      return { ok: true, repaired: fix, healthy: issues.length === 0, issues, counts, notes: index.notes.length, files: files.length };
+    });
+  };
+  const changeFeed = createChangeFeed({
+    baseDir,
+    notesRoot,
+    indexFileName: path2.basename(indexPath),
+    loadState: async () => {
+      const index = await getIndexSnapshot();
+      const folderRes = await listFolders();
+      return { notes: index?.notes, folders: folderRes?.folders };
     }
-    return { ok: true, notes: results };
+  });
+  const waitForChanges = async ({ sinceCursor, timeoutMs } = {}) => await changeFeed.waitForChanges({ sinceCursor, timeoutMs });
+  const close = () => {
+    changeFeed.close();
   };
   const safe = (fn) => async (...args) => {
     try {
@@ -30590,19 +34901,191 @@ function createNotepadStore({ dataDir } = {}) {
     renameFolder: safe(renameFolder),
     deleteFolder: safe(deleteFolder),
     listNotes: safe(listNotes),
+    listTemplates: safe(listTemplates),
     createNote: safe(createNote),
+    getOrCreateDailyNote: safe(getOrCreateDailyNote),
+    getJournalSettings: safe(getJournalSettings),
+    updateJournalSettings: safe(updateJournalSettings),
     getNote: safe(getNote),
     updateNote: safe(updateNote),
     deleteNote: safe(deleteNote),
+    batch: safe(batch),
+    getNoteProperties: safe(getNoteProperties),
+    setNoteProperties: safe(setNoteProperties),
+    pinNote: safe(pinNote),
+    reorderNotes: safe(reorderNotes),
     listTags: safe(listTags),
-    searchNotes: safe(searchNotes)
+    renameTag: safe(renameTag),
+    mergeTags: safe(mergeTags),
+    deleteTag: safe(deleteTag),
+    searchNotes: safe(searchNotes),
+    listRevisions: safe(listRevisions),
+    getRevision: safe(getRevision),
+    restoreRevision: safe(restoreRevision),
+    listTrash: safe(listTrash),
+    restoreFromTrash: safe(restoreFromTrash),
+    purgeTrash: safe(purgeTrash),
+    waitForChanges: safe(waitForChanges),
+    checkIntegrity: safe(checkIntegrity),
+    getOutgoingLinks: safe(getOutgoingLinks),
+    getBacklinks: safe(getBacklinks),
+    resolveLinks: safe(resolveLinks),
+    listTasks: safe(listTasks),
+    toggleTask: safe(toggleTask),
+    addAttachment: safe(addAttachment),
+    listAttachments: safe(listAttachments),
+    readAttachment: safe(readAttachment),
+    deleteAttachment: safe(deleteAttachment),
+    importMarkdown: safe(importMarkdown),
+    exportNotebook: safe(exportNotebook),
+    importArchive: safe(importArchive),
+    getEncryptionStatus: safe(getEncryptionStatus),
+    setupEncryption: safe(setupEncryption),
+    unlockNotebook: safe(unlockNotebook),
+    lockNotebook: safe(lockNotebook),
+    encryptNote: safe(encryptNote),
+    decryptNote: safe(decryptNote),
+    setFolderEncryption: safe(setFolderEncryption),
+    getBackupSettings: safe(getBackupSettings),
+    updateBackupSettings: safe(updateBackupSettings),
+    listBackups: safe(listBackups),
+    createBackup: safe(createBackup),
+    runScheduledBackup: safe(runScheduledBackup),
+    verifyBackup: safe(verifyBackup),
+    restoreBackup: safe(restoreBackup),
+    deleteBackup: safe(deleteBackup),
+    close
+  };
+}
+function createNotebookRegistry({ dataDir, ...storeOptions } = {}) {
+  const baseDirRaw = normalizeOptionalString(dataDir);
+  if (!baseDirRaw) {
+    throw new Error("dataDir is required");
+  }
+  const baseDir = path2.resolve(baseDirRaw);
+  const registryPath = path2.join(baseDir, NOTEBOOKS_FILE);
+  const lockPath = path2.join(baseDir, "notebooks.lock");
+  const stores = /* @__PURE__ */ new Map();
+  const notebookRoot = (nb) => nb.id === DEFAULT_NOTEBOOK_ID ? baseDir : nb.root ? path2.resolve(nb.root) : path2.join(baseDir, NOTEBOOKS_DIR, nb.id);
+  const readRegistry = async () => {
+    try {
+      return normalizeNotebookRegistry(JSON.parse(await fs2.promises.readFile(registryPath, "utf8")));
+    } catch {
+      return normalizeNotebookRegistry(null);
+    }
+  };
+  const describe3 = (nb) => ({ ...nb, root: notebookRoot(nb), ownRoot: Boolean(nb.root), default: nb.id === DEFAULT_NOTEBOOK_ID });
+  const findNotebook = (registry2, notebook) => {
+    const ref = normalizeOptionalString(notebook) || DEFAULT_NOTEBOOK_ID;
+    return registry2.notebooks.find((nb) => nb.id === ref) || registry2.notebooks.find((nb) => nb.name === ref) || null;
+  };
+  const closeStore = (id) => {
+    const entry = stores.get(id);
+    if (!entry) return;
+    entry.store.close();
+    stores.delete(id);
+  };
+  const openNotebook = async (notebook) => {
+    const nb = findNotebook(await readRegistry(), notebook);
+    if (!nb) return { ok: false, message: `Notebook not found: ${normalizeOptionalString(notebook)}` };
+    const root = notebookRoot(nb);
+    let entry = stores.get(nb.id);
+    if (entry && entry.root !== root) {
+      closeStore(nb.id);
+      entry = null;
+    }
+    if (!entry) {
+      entry = { root, store: createNotepadStore({ ...storeOptions, dataDir: root }) };
+      stores.set(nb.id, entry);
+    }
+    return { ok: true, notebook: describe3(nb), store: entry.store };
+  };
+  const listNotebooks = async () => {
+    const registry2 = await readRegistry();
+    return { ok: true, notebooks: registry2.notebooks.map(describe3) };
+  };
+  const createNotebook = async ({ name, id, root } = {}) => await withFileLock(lockPath, async () => {
+    const registry2 = await readRegistry();
+    const displayName = normalizeNotebookName(name);
+    if (!displayName) return { ok: false, message: "name is required" };
+    if (registry2.notebooks.some((nb2) => nb2.name === displayName)) {
+      return { ok: false, message: `Notebook already exists: ${displayName}` };
+    }
+    const taken = registry2.notebooks.map((nb2) => nb2.id);
+    const wantedId = normalizeOptionalString(id);
+    if (wantedId && !isNotebookId(wantedId)) {
+      return { ok: false, message: 'id may only contain lowercase letters, digits, "-" and "_"' };
+    }
+    if (wantedId && taken.includes(wantedId)) return { ok: false, message: `Notebook already exists: ${wantedId}` };
+    const notebookId = wantedId || notebookIdFromName(displayName, taken);
+    let rootAbs = "";
+    const rootRaw = normalizeOptionalString(root);
+    if (rootRaw) {
+      if (!path2.isAbsolute(rootRaw)) return { ok: false, message: "root must be an absolute path" };
+      rootAbs = path2.resolve(rootRaw);
+      if (pathInside(baseDir, rootAbs) || pathInside(rootAbs, baseDir)) {
+        return { ok: false, message: "root must not overlap the notepad data directory" };
+      }
+      const clash = registry2.notebooks.find(
+        (nb2) => nb2.id !== DEFAULT_NOTEBOOK_ID && (pathInside(notebookRoot(nb2), rootAbs) || pathInside(rootAbs, notebookRoot(nb2)))
+      );
+      if (clash) return { ok: false, message: `root overlaps notebook ${clash.name}` };
+    }
+    const nb = { id: notebookId, name: displayName, root: rootAbs, createdAt: nowIso() };
+    await ensureDir(notebookRoot(nb));
+    registry2.notebooks.push(nb);
+    await atomicWriteText(registryPath, JSON.stringify(registry2, null, 2));
+    return { ok: true, notebook: describe3(nb) };
+  });
+  const renameNotebook = async ({ notebook, name } = {}) => await withFileLock(lockPath, async () => {
+    const registry2 = await readRegistry();
+    const nb = findNotebook(registry2, notebook);
+    if (!nb) return { ok: false, message: `Notebook not found: ${normalizeOptionalString(notebook)}` };
+    const displayName = normalizeNotebookName(name);
+    if (!displayName) return { ok: false, message: "name is required" };
+    if (registry2.notebooks.some((other) => other.id !== nb.id && other.name === displayName)) {
+      return { ok: false, message: `Notebook already exists: ${displayName}` };
+    }
+    nb.name = displayName;
+    await atomicWriteText(registryPath, JSON.stringify(registry2, null, 2));
+    return { ok: true, notebook: describe3(nb) };
+  });
+  const deleteNotebook = async ({ notebook, deleteFiles = false } = {}) => await withFileLock(lockPath, async () => {
+    const registry2 = await readRegistry();
+    const nb = findNotebook(registry2, notebook);
+    if (!nb) return { ok: false, message: `Notebook not found: ${normalizeOptionalString(notebook)}` };
+    if (nb.id === DEFAULT_NOTEBOOK_ID) return { ok: false, message: "The default notebook cannot be deleted" };
+    closeStore(nb.id);
+    registry2.notebooks = registry2.notebooks.filter((other) => other.id !== nb.id);
+    await atomicWriteText(registryPath, JSON.stringify(registry2, null, 2));
+    const filesDeleted = deleteFiles === true && !nb.root;
+    if (filesDeleted) await fs2.promises.rm(notebookRoot(nb), { recursive: true, force: true });
+    return { ok: true, notebook: describe3(nb), filesDeleted };
+  });
+  const close = () => {
+    Array.from(stores.keys()).forEach(closeStore);
+  };
+  const safe = (fn) => async (...args) => {
+    try {
+      return await fn(...args);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+  };
+  return {
+    openNotebook: safe(openNotebook),
+    listNotebooks: safe(listNotebooks),
+    createNotebook: safe(createNotebook),
+    renameNotebook: safe(renameNotebook),
+    deleteNotebook: safe(deleteNotebook),
+    close
   };
 }
 
 // plugin/shared/notepad-paths.mjs
-import fs2 from "fs";
+import fs3 from "fs";
 import os from "os";
-import path2 from "path";
+import path3 from "path";
 function normalizeString2(value) {
   return typeof value === "string" ? value.trim() : "";
 }
@@ -30626,12 +35109,12 @@ function tryEnsureWritableDir(dirPath) {
   const target = normalizeString2(dirPath);
   if (!target) return false;
   try {
-    fs2.mkdirSync(target, { recursive: true });
+    fs3.mkdirSync(target, { recursive: true });
   } catch {
     return false;
   }
   try {
-    fs2.accessSync(target, fs2.constants.W_OK);
+    fs3.accessSync(target, fs3.constants.W_OK);
     return true;
   } catch {
     return false;
@@ -30645,9 +35128,9 @@ function resolveUiAppDataDir({ pluginId, env } = {}) {
   const home = resolveHomeDir(resolvedEnv);
   const sessionRoot = resolveSessionRoot(resolvedEnv);
   const candidates = [];
-  if (home) candidates.push(path2.join(home, ".deepseek_cli", hostApp, "ui_apps", "data", id));
-  if (sessionRoot) candidates.push(path2.join(path2.resolve(sessionRoot), ".deepseek_cli", hostApp, "ui_apps", "data", id));
-  candidates.push(path2.join(path2.resolve(process.cwd()), ".deepseek_cli", hostApp, "ui_apps", "data", id));
+  if (home) candidates.push(path3.join(home, ".deepseek_cli", hostApp, "ui_apps", "data", id));
+  if (sessionRoot) candidates.push(path3.join(path3.resolve(sessionRoot), ".deepseek_cli", hostApp, "ui_apps", "data", id));
+  candidates.push(path3.join(path3.resolve(process.cwd()), ".deepseek_cli", hostApp, "ui_apps", "data", id));
   for (const candidate of candidates) {
     if (tryEnsureWritableDir(candidate)) return candidate;
   }
@@ -30657,7 +35140,7 @@ function resolveUiAppDataDir({ pluginId, env } = {}) {
 // plugin/apps/notepad-manager/mcp-server.mjs
 var PLUGIN_ID = "com.leeoohoo.notepad";
 var SERVER_NAME = "com.leeoohoo.notepad.manager";
-var store = createNotepadStore({ dataDir: resolveUiAppDataDir({ pluginId: PLUGIN_ID }) });
+var notebooks = createNotebookRegistry({ dataDir: resolveUiAppDataDir({ pluginId: PLUGIN_ID }) });
 var server = new McpServer({
   name: SERVER_NAME,
   version: "0.1.0"
@@ -30670,25 +35153,83 @@ var toText = (payload) => ({
     }
   ]
 });
+var NOTEBOOK_ARG = external_exports3.string().optional().describe("Notebook id or name (from list_notebooks); defaults to the default notebook");
+var registerNotebookTool = (name, config2, handler) => {
+  const schema = config2.inputSchema;
+  const optional2 = schema instanceof external_exports3.ZodOptional;
+  const withNotebook = (optional2 ? schema.unwrap() : schema).extend({ notebook: NOTEBOOK_ARG });
+  server.registerTool(name, { ...config2, inputSchema: optional2 ? withNotebook.optional() : withNotebook }, async (args, extra) => {
+    const { notebook, ...rest } = args || {};
+    const opened = await notebooks.openNotebook(notebook);
+    if (!opened.ok) return toText(opened);
+    return await handler(rest, opened.store, extra);
+  });
+};
+server.registerTool(
+  "list_notebooks",
+  {
+    title: "List Notebooks",
+    description: "List the notebooks (id, name, storage root). Every other tool works on the default notebook unless `notebook` is given.",
+    inputSchema: external_exports3.object({}).optional()
+  },
+  async () => toText(await notebooks.listNotebooks())
+);
+server.registerTool(
+  "create_notebook",
+  {
+    title: "Create Notebook",
+    description: "Create a notebook with its own notes, index, trash and backups. It is stored in the plugin data directory unless an absolute `root` directory is given.",
+    inputSchema: external_exports3.object({
+      name: external_exports3.string().min(1).describe("Display name"),
+      id: external_exports3.string().optional().describe('Id (lowercase letters, digits, "-", "_"); derived from the name by default'),
+      root: external_exports3.string().optional().describe("Absolute directory to keep this notebook in")
+    })
+  },
+  async ({ name, id, root } = {}) => toText(await notebooks.createNotebook({ name, id, root }))
+);
+server.registerTool(
+  "rename_notebook",
+  {
+    title: "Rename Notebook",
+    description: "Change the display name of a notebook (its id stays the same).",
+    inputSchema: external_exports3.object({
+      notebook: external_exports3.string().min(1).describe("Notebook id or name"),
+      name: external_exports3.string().min(1).describe("New display name")
+    })
+  },
+  async ({ notebook, name } = {}) => toText(await notebooks.renameNotebook({ notebook, name }))
+);
 server.registerTool(
+  "delete_notebook",
+  {
+    title: "Delete Notebook",
+    description: "Remove a notebook from the list. With deleteFiles=true its notes are deleted as well (only for notebooks kept in the plugin data directory). The default notebook cannot be deleted.",
+    inputSchema: external_exports3.object({
+      notebook: external_exports3.string().min(1).describe("Notebook id or name"),
+      deleteFiles: external_exports3.boolean().optional().describe("Also delete the notebook files (default false)")
+    })
+  },
+  async ({ notebook, deleteFiles } = {}) => toText(await notebooks.deleteNotebook({ notebook, deleteFiles: deleteFiles === true }))
+);
+registerNotebookTool(
   "init",
   {
     title: "Init Notepad Storage",
     description: "Initialize the Notepad storage (data directory, index, notes root).",
     inputSchema: external_exports3.object({}).optional()
   },
-  async () => toText(await store.init())
+  async (_args, store) => toText(await store.init())
 );
-server.registerTool(
+registerNotebookTool(
   "list_folders",
   {
     title: "List Folders",
     description: "List all folders (categories) under Notepad notes root.",
     inputSchema: external_exports3.object({}).optional()
   },
-  async () => toText(await store.listFolders())
+  async (_args, store) => toText(await store.listFolders())
 );
-server.registerTool(
+registerNotebookTool(
   "create_folder",
   {
     title: "Create Folder",
@@ -30697,9 +35238,9 @@ server.registerTool(
       folder: external_exports3.string().min(1).describe('Folder path, relative to notes root (e.g., "work/ideas")')
     })
   },
-  async ({ folder }) => toText(await store.createFolder({ folder }))
+  async ({ folder }, store) => toText(await store.createFolder({ folder }))
 );
-server.registerTool(
+registerNotebookTool(
   "rename_folder",
   {
     title: "Rename Folder",
@@ -30709,37 +35250,40 @@ server.registerTool(
       to: external_exports3.string().min(1).describe("Target folder path")
     })
   },
-  async ({ from, to }) => toText(await store.renameFolder({ from, to }))
+  async ({ from, to }, store) => toText(await store.renameFolder({ from, to }))
 );
-server.registerTool(
+registerNotebookTool(
   "delete_folder",
   {
     title: "Delete Folder",
-    description: "Delete a folder. If recursive=true, deletes all notes under it and removes them from index.",
+    description: "Delete a folder. If recursive=true, moves the folder with all its notes into the trash (restorable).",
     inputSchema: external_exports3.object({
       folder: external_exports3.string().min(1).describe("Folder path to delete"),
       recursive: external_exports3.boolean().optional().describe("Delete folder recursively")
     })
   },
-  async ({ folder, recursive } = {}) => toText(await store.deleteFolder({ folder, recursive: recursive === true }))
+  async ({ folder, recursive } = {}, store) => toText(await store.deleteFolder({ folder, recursive: recursive === true }))
 );
-server.registerTool(
+registerNotebookTool(
   "list_notes",
   {
     title: "List Notes",
-    description: "List notes with optional folder/tags/title filtering.",
+    description: "List notes with optional folder/tags/title/property filtering. Pinned notes come first, then manual order (sortOrder), then most recently updated.",
     inputSchema: external_exports3.object({
       folder: external_exports3.string().optional().describe("Folder path; empty means all"),
       recursive: external_exports3.boolean().optional().describe("Include notes in subfolders (default true)"),
-      tags: external_exports3.array(external_exports3.string()).optional().describe("Filter notes by tags"),
+      tags: external_exports3.array(external_exports3.string()).optional().describe("Filter notes by tags (a parent tag like project/alpha also matches project/alpha/*)"),
       match: external_exports3.enum(["all", "any"]).optional().describe("Tag match mode"),
       query: external_exports3.string().optional().describe("Substring filter for title/folder"),
+      where: external_exports3.record(external_exports3.string(), external_exports3.any()).optional().describe(
+        `Property conditions, all of which must match. A plain value means equal; otherwise an object of operators (${WHERE_OPERATORS.join(", ")}), e.g. { "status": "open", "priority": { "gte": 2 }, "due": { "lt": "2026-11-01" } }`
+      ),
       limit: external_exports3.number().int().min(1).max(500).optional().describe("Max notes to return")
     })
   },
-  async ({ folder, recursive, tags, match, query, limit } = {}) => toText(await store.listNotes({ folder, recursive, tags, match, query, limit }))
+  async ({ folder, recursive, tags, match, query, where, limit } = {}, store) => toText(await store.listNotes({ folder, recursive, tags, match, query, where, limit }))
 );
-server.registerTool(
+registerNotebookTool(
   "create_note",
   {
     title: "Create Note",
@@ -30748,64 +35292,221 @@ server.registerTool(
       folder: external_exports3.string().optional().describe("Folder path to create note in"),
       title: external_exports3.string().optional().describe("Note title"),
       content: external_exports3.string().optional().describe("Markdown content (optional)"),
-      tags: external_exports3.array(external_exports3.string()).optional().describe("Tags (optional)")
+      tags: external_exports3.array(external_exports3.string()).optional().describe("Tags (optional)"),
+      pinned: external_exports3.boolean().optional().describe("Pin the note to the top of its folder")
     })
   },
-  async ({ folder, title, content, tags } = {}) => toText(await store.createNote({ folder, title, content, tags }))
+  async ({ folder, title, content, tags, pinned } = {}, store) => toText(await store.createNote({ folder, title, content, tags, pinned: pinned === true }))
 );
-server.registerTool(
+registerNotebookTool(
+  "list_templates",
+  {
+    title: "List Templates",
+    description: `List note templates (notes stored under the "${TEMPLATES_FOLDER}" folder).`,
+    inputSchema: external_exports3.object({}).optional()
+  },
+  async (_args, store) => toText(await store.listTemplates())
+);
+registerNotebookTool(
+  "create_note_from_template",
+  {
+    title: "Create Note From Template",
+    description: "Create a note from a template. Placeholders such as {{title}}, {{folder}}, {{date}}, {{time}}, {{datetime}}, {{year}}, {{month}}, {{day}} are expanded; extra placeholders can be filled through variables.",
+    inputSchema: external_exports3.object({
+      templateId: external_exports3.string().min(1).describe("Template note id (from list_templates)"),
+      folder: external_exports3.string().optional().describe("Folder path to create note in"),
+      title: external_exports3.string().optional().describe("Note title (defaults to the expanded template title)"),
+      tags: external_exports3.array(external_exports3.string()).optional().describe("Tags (defaults to the template tags)"),
+      variables: external_exports3.record(external_exports3.string(), external_exports3.string()).optional().describe("Values for custom {{placeholders}}")
+    })
+  },
+  async ({ templateId, folder, title, tags, variables } = {}, store) => toText(await store.createNote({ templateId, folder, title, tags, variables }))
+);
+registerNotebookTool(
+  "get_or_create_daily_note",
+  {
+    title: "Get Or Create Daily Note",
+    description: "Return the journal note for a day (default today), creating it in the configured journal folder (e.g. journal/2026/10) with the journal template if it does not exist yet.",
+    inputSchema: external_exports3.object({
+      date: external_exports3.string().optional().describe("Day as YYYY-MM-DD (default: today, local time)"),
+      create: external_exports3.boolean().optional().describe("Create the note when missing (default true); false only looks it up")
+    })
+  },
+  async ({ date: date5, create } = {}, store) => toText(await store.getOrCreateDailyNote({ date: date5, create: create !== false }))
+);
+registerNotebookTool(
   "read_note",
   {
     title: "Read Note",
-    description: "Read a note by id (returns metadata and markdown content).",
+    description: "Read a note by id (returns metadata, markdown body and custom front matter fields).",
     inputSchema: external_exports3.object({
       id: external_exports3.string().min(1).describe("Note id")
     })
   },
-  async ({ id }) => toText(await store.getNote({ id }))
+  async ({ id }, store) => toText(await store.getNote({ id }))
 );
-server.registerTool(
+registerNotebookTool(
   "update_note",
   {
     title: "Update Note",
-    description: "Update note metadata/content by id. You can also move it by changing folder.",
+    description: "Update note metadata/content by id. You can also move it by changing folder. A new title also renames the note file unless renameFile=false. Pass expectedRevision (from read_note) to avoid overwriting concurrent edits; on mismatch the result has conflict=true and the current version.",
     inputSchema: external_exports3.object({
       id: external_exports3.string().min(1).describe("Note id"),
       title: external_exports3.string().optional().describe("New title"),
-      content: external_exports3.string().optional().describe("New markdown content"),
+      content: external_exports3.string().optional().describe("New markdown content (may start with a YAML front matter block)"),
       folder: external_exports3.string().optional().describe("New folder path"),
-      tags: external_exports3.array(external_exports3.string()).optional().describe("Replace tags")
+      tags: external_exports3.array(external_exports3.string()).optional().describe("Replace tags"),
+      pinned: external_exports3.boolean().optional().describe("Pin or unpin the note"),
+      expectedRevision: external_exports3.number().int().min(1).optional().describe("Revision the edit is based on (note.revision from read_note)"),
+      renameFile: external_exports3.boolean().optional().describe("Rename the note file after a new title (default true)")
     })
   },
-  async ({ id, title, content, folder, tags } = {}) => toText(await store.updateNote({ id, title, content, folder, tags }))
+  async ({ id, title, content, folder, tags, pinned, expectedRevision, renameFile } = {}, store) => toText(await store.updateNote({ id, title, content, folder, tags, pinned, expectedRevision, renameFile }))
 );
-server.registerTool(
+registerNotebookTool(
   "delete_note",
   {
     title: "Delete Note",
-    description: "Delete a note by id (removes file and index entry).",
+    description: "Delete a note by id (moves it into the trash; use restore_from_trash to undo).",
     inputSchema: external_exports3.object({
       id: external_exports3.string().min(1).describe("Note id")
     })
   },
-  async ({ id }) => toText(await store.deleteNote({ id }))
+  async ({ id }, store) => toText(await store.deleteNote({ id }))
 );
-server.registerTool(
+var BATCH_OPERATION_FIELDS = {
+  id: external_exports3.string().optional().describe("Note id"),
+  ids: external_exports3.array(external_exports3.string().min(1)).optional().describe("Several note ids for the same operation"),
+  tags: external_exports3.array(external_exports3.string()).optional().describe("Tags (addTags/removeTags)"),
+  properties: external_exports3.record(external_exports3.string(), external_exports3.any()).optional().describe("Front matter fields (setProperties)"),
+  types: external_exports3.record(external_exports3.string(), external_exports3.enum(PROPERTY_TYPES)).optional().describe("Type to convert each given value to (setProperties)"),
+  expectedRevision: external_exports3.number().int().min(1).optional().describe("Skip the item if the note changed since this revision")
+};
+registerNotebookTool(
+  "batch_update_notes",
+  {
+    title: "Batch Update Notes",
+    description: "Apply many note operations in one transaction (one lock, one index write): move, addTags, removeTags, delete (to trash), setProperties (typed properties validated like set_note_properties; null removes). Each item reports its own result; failures do not stop the rest.",
+    inputSchema: external_exports3.object({
+      operations: external_exports3.array(
+        external_exports3.discriminatedUnion("op", [
+          external_exports3.object({
+            op: external_exports3.literal("move").describe("Operation"),
+            ...BATCH_OPERATION_FIELDS,
+            folder: external_exports3.string().describe('Target folder ("" for the root folder)')
+          }),
+          external_exports3.object({
+            op: external_exports3.enum(["addTags", "removeTags", "delete", "setProperties"]).describe("Operation"),
+            ...BATCH_OPERATION_FIELDS
+          })
+        ])
+      ).min(1).max(500).describe("Operations, applied in order")
+    })
+  },
+  async ({ operations } = {}, store) => toText(await store.batch({ operations }))
+);
+registerNotebookTool(
+  "get_note_properties",
+  {
+    title: "Get Note Properties",
+    description: "List the typed properties (front matter fields such as status, owner, priority, due) of a note with their types.",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id")
+    })
+  },
+  async ({ id }, store) => toText(await store.getNoteProperties({ id }))
+);
+registerNotebookTool(
+  "set_note_properties",
+  {
+    title: "Set Note Properties",
+    description: 'Set or remove (null) typed properties of a note without touching its content. Types follow the value; dates are YYYY-MM-DD strings. Pass types to convert values, e.g. { "priority": "number" }.',
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id"),
+      properties: external_exports3.record(external_exports3.string(), external_exports3.union([external_exports3.string(), external_exports3.number(), external_exports3.boolean(), external_exports3.array(external_exports3.union([external_exports3.string(), external_exports3.number(), external_exports3.boolean()])), external_exports3.null()])).describe("Property values by name; null removes the property"),
+      types: external_exports3.record(external_exports3.string(), external_exports3.enum(PROPERTY_TYPES)).optional().describe("Type to convert each given value to"),
+      expectedRevision: external_exports3.number().int().min(1).optional().describe("Revision the change is based on (note.revision)")
+    })
+  },
+  async ({ id, properties, types, expectedRevision } = {}, store) => toText(await store.setNoteProperties({ id, properties, types, expectedRevision }))
+);
+registerNotebookTool(
+  "pin_note",
+  {
+    title: "Pin Note",
+    description: "Pin a note so it is listed first, or unpin it (pinned=false). Does not change updatedAt or revision.",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id"),
+      pinned: external_exports3.boolean().optional().describe("true to pin (default), false to unpin")
+    })
+  },
+  async ({ id, pinned } = {}, store) => toText(await store.pinNote({ id, pinned: pinned !== false }))
+);
+registerNotebookTool(
+  "reorder_notes",
+  {
+    title: "Reorder Notes",
+    description: "Set the manual order of notes inside one folder. ids are given in the desired order; notes not listed keep their relative order after them.",
+    inputSchema: external_exports3.object({
+      folder: external_exports3.string().optional().describe("Folder path (empty = root)"),
+      ids: external_exports3.array(external_exports3.string().min(1)).min(1).describe("Note ids in the desired order (must all be directly in the folder)")
+    })
+  },
+  async ({ folder, ids } = {}, store) => toText(await store.reorderNotes({ folder, ids }))
+);
+registerNotebookTool(
   "list_tags",
   {
     title: "List Tags",
-    description: "List all tags with usage counts.",
+    description: "List all tags with usage counts. Tags can be hierarchical (project/alpha/backend); `tree` nests them with `count` (exact tag) and `total` (tag or any descendant).",
     inputSchema: external_exports3.object({}).optional()
   },
-  async () => toText(await store.listTags())
+  async (_args, store) => toText(await store.listTags())
 );
-server.registerTool(
+registerNotebookTool(
+  "rename_tag",
+  {
+    title: "Rename Tag",
+    description: "Rename a tag on every note that has it (case-insensitive). Nested tags move with their parent (project/alpha -> proj/a also renames project/alpha/backend). Renaming onto an existing tag merges the two.",
+    inputSchema: external_exports3.object({
+      from: external_exports3.string().min(1).describe("Current tag"),
+      to: external_exports3.string().min(1).describe("New tag")
+    })
+  },
+  async ({ from, to }, store) => toText(await store.renameTag({ from, to }))
+);
+registerNotebookTool(
+  "merge_tags",
+  {
+    title: "Merge Tags",
+    description: "Replace several tags with one tag on every affected note. Nested tags move under the target (merging project into work turns project/alpha into work/alpha).",
+    inputSchema: external_exports3.object({
+      tags: external_exports3.array(external_exports3.string().min(1)).min(1).describe("Tags to merge"),
+      into: external_exports3.string().min(1).describe("Tag that replaces them")
+    })
+  },
+  async ({ tags, into }, store) => toText(await store.mergeTags({ tags, into }))
+);
+registerNotebookTool(
+  "delete_tag",
+  {
+    title: "Delete Tag",
+    description: "Remove a tag and its nested tags (project also removes project/alpha) from every note; the notes themselves are kept.",
+    inputSchema: external_exports3.object({
+      tag: external_exports3.string().min(1).describe("Tag to remove")
+    })
+  },
+  async ({ tag }, store) => toText(await store.deleteTag({ tag }))
+);
+registerNotebookTool(
   "search_notes",
   {
     title: "Search Notes",
-    description: "Search notes by query, optionally filtered by folder/tags; can include content search.",
+    description: "Search notes with a query, optionally filtered by folder/tags; results are ranked by relevance (score) from the full-text index. Syntax errors come back as ok=false with syntaxError=true and the position.",
     inputSchema: external_exports3.object({
-      query: external_exports3.string().min(1).describe("Search keyword"),
+      query: external_exports3.string().min(1).describe(
+        'Words (all must match), "exact phrase", tag:x, -tag:x, folder:a/b, title:"phrase", updated:>2026-09-01, created:<=2026-10-01, has:task|open-task|link|attachment|tag|property, is:pinned|encrypted, a OR b, (a OR b) c, -term'
+      ),
       folder: external_exports3.string().optional().describe("Folder path filter"),
       recursive: external_exports3.boolean().optional().describe("Include notes in subfolders (default true)"),
       tags: external_exports3.array(external_exports3.string()).optional().describe("Tag filter"),
@@ -30814,10 +35515,353 @@ server.registerTool(
       limit: external_exports3.number().int().min(1).max(200).optional().describe("Max results")
     })
   },
-  async ({ query, folder, recursive, tags, match, includeContent, limit } = {}) => toText(await store.searchNotes({ query, folder, recursive, tags, match, includeContent: includeContent !== false, limit }))
+  async ({ query, folder, recursive, tags, match, includeContent, limit } = {}, store) => toText(await store.searchNotes({ query, folder, recursive, tags, match, includeContent: includeContent !== false, limit }))
+);
+registerNotebookTool(
+  "list_revisions",
+  {
+    title: "List Note Revisions",
+    description: "List saved revisions (history) of a note, newest first. Content is not included.",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id"),
+      limit: external_exports3.number().int().min(1).max(200).optional().describe("Max revisions to return")
+    })
+  },
+  async ({ id, limit }, store) => toText(await store.listRevisions({ id, limit }))
+);
+registerNotebookTool(
+  "read_revision",
+  {
+    title: "Read Note Revision",
+    description: "Read a single revision of a note (metadata and markdown content at that point).",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id"),
+      revisionId: external_exports3.string().min(1).describe("Revision id (from list_revisions)")
+    })
+  },
+  async ({ id, revisionId }, store) => toText(await store.getRevision({ id, revisionId }))
+);
+registerNotebookTool(
+  "restore_revision",
+  {
+    title: "Restore Note Revision",
+    description: "Restore a note to a previous revision (title, tags and content). The current state is kept as a new revision first.",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id"),
+      revisionId: external_exports3.string().min(1).describe("Revision id to restore")
+    })
+  },
+  async ({ id, revisionId }, store) => toText(await store.restoreRevision({ id, revisionId }))
+);
+registerNotebookTool(
+  "list_trash",
+  {
+    title: "List Trash",
+    description: "List deleted notes and folders in the trash (with original folder, tags and deletion time).",
+    inputSchema: external_exports3.object({}).optional()
+  },
+  async (_args, store) => toText(await store.listTrash())
+);
+registerNotebookTool(
+  "restore_from_trash",
+  {
+    title: "Restore From Trash",
+    description: "Restore a trashed note or folder to its original folder (or to another folder).",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Trash item id (from list_trash)"),
+      folder: external_exports3.string().optional().describe("Restore into this folder instead of the original one")
+    })
+  },
+  async ({ id, folder }, store) => toText(await store.restoreFromTrash({ id, folder }))
+);
+registerNotebookTool(
+  "purge_trash",
+  {
+    title: "Purge Trash",
+    description: "Permanently delete trash items by id, by age, or all of them. This cannot be undone.",
+    inputSchema: external_exports3.object({
+      ids: external_exports3.array(external_exports3.string()).optional().describe("Trash item ids to purge"),
+      olderThanDays: external_exports3.number().min(0).optional().describe("Purge items deleted more than N days ago"),
+      all: external_exports3.boolean().optional().describe("Purge the whole trash")
+    })
+  },
+  async ({ ids, olderThanDays, all } = {}, store) => toText(await store.purgeTrash({ ids, olderThanDays, all: all === true }))
+);
+registerNotebookTool(
+  "get_outgoing_links",
+  {
+    title: "Get Outgoing Links",
+    description: "List the [[wiki links]] in a note and the notes they resolve to (broken=true when no note matches).",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id")
+    })
+  },
+  async ({ id }, store) => toText(await store.getOutgoingLinks({ id }))
+);
+registerNotebookTool(
+  "get_backlinks",
+  {
+    title: "Get Backlinks",
+    description: "List notes that link to the given note with [[Title]] or [[id|label]].",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id")
+    })
+  },
+  async ({ id }, store) => toText(await store.getBacklinks({ id }))
+);
+registerNotebookTool(
+  "list_tasks",
+  {
+    title: "List Tasks",
+    description: 'List Markdown checkbox tasks ("- [ ] ..." / "- [x] ...") across notes, with the source note and line. Tasks may carry a @due(YYYY-MM-DD) marker.',
+    inputSchema: external_exports3.object({
+      folder: external_exports3.string().optional().describe("Folder path; empty means all"),
+      recursive: external_exports3.boolean().optional().describe("Include notes in subfolders (default true)"),
+      tags: external_exports3.array(external_exports3.string()).optional().describe("Only tasks from notes with these tags"),
+      match: external_exports3.enum(["all", "any"]).optional().describe("Tag match mode"),
+      state: external_exports3.enum(["open", "done", "all"]).optional().describe("Task state (default open)"),
+      dueBefore: external_exports3.string().optional().describe("Only tasks due on or before this day (YYYY-MM-DD)"),
+      dueAfter: external_exports3.string().optional().describe("Only tasks due on or after this day (YYYY-MM-DD)"),
+      hasDue: external_exports3.boolean().optional().describe("true: only tasks with a due date; false: only tasks without"),
+      limit: external_exports3.number().int().min(1).max(1e3).optional().describe("Max tasks to return")
+    })
+  },
+  async ({ folder, recursive, tags, match, state, dueBefore, dueAfter, hasDue, limit } = {}, store) => toText(await store.listTasks({ folder, recursive, tags, match, state, dueBefore, dueAfter, hasDue, limit }))
+);
+registerNotebookTool(
+  "toggle_task",
+  {
+    title: "Toggle Task",
+    description: "Check or uncheck a task in its source note (edits only that checkbox). Pass the text from list_tasks so a stale line number is rejected instead of ticking the wrong item.",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id (noteId from list_tasks)"),
+      line: external_exports3.number().int().min(1).describe("Line number from list_tasks"),
+      done: external_exports3.boolean().optional().describe("true to complete, false to reopen; omitted toggles"),
+      text: external_exports3.string().optional().describe("Task text from list_tasks (recommended)")
+    })
+  },
+  async ({ id, line, done, text } = {}, store) => toText(await store.toggleTask({ id, line, done, text }))
+);
+registerNotebookTool(
+  "add_attachment",
+  {
+    title: "Add Attachment",
+    description: "Store a file (e.g. an image) next to a note. Returns a relative link such as attachments/pic.png to use in markdown: ![alt](attachments/pic.png).",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id"),
+      name: external_exports3.string().min(1).describe("File name, e.g. diagram.png"),
+      dataBase64: external_exports3.string().min(1).describe("File content, base64 encoded (a data: URL is also accepted)"),
+      overwrite: external_exports3.boolean().optional().describe("Replace an existing attachment with the same name (default false: pick a new name)")
+    })
+  },
+  async ({ id, name, dataBase64, overwrite } = {}, store) => toText(await store.addAttachment({ id, name, dataBase64, overwrite: overwrite === true }))
+);
+registerNotebookTool(
+  "list_attachments",
+  {
+    title: "List Attachments",
+    description: "List the attachments stored for a note.",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id")
+    })
+  },
+  async ({ id }, store) => toText(await store.listAttachments({ id }))
+);
+registerNotebookTool(
+  "read_attachment",
+  {
+    title: "Read Attachment",
+    description: "Read an attachment of a note; content is returned base64 encoded.",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id"),
+      name: external_exports3.string().min(1).describe("Attachment name (or its attachments/... link)")
+    })
+  },
+  async ({ id, name }, store) => toText(await store.readAttachment({ id, name }))
+);
+registerNotebookTool(
+  "delete_attachment",
+  {
+    title: "Delete Attachment",
+    description: "Delete an attachment of a note.",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id"),
+      name: external_exports3.string().min(1).describe("Attachment name")
+    })
+  },
+  async ({ id, name }, store) => toText(await store.deleteAttachment({ id, name }))
+);
+registerNotebookTool(
+  "import_markdown",
+  {
+    title: "Import Markdown",
+    description: "Import a folder of Markdown files or an Obsidian vault (absolute path on this machine). Keeps the folder structure, turns front matter tags and #hashtags into tags, rewrites [[links]] between imported files to note ids and copies referenced images/files as attachments. Dot folders (.obsidian, .git) are skipped. Returns a report of imported and skipped files.",
+    inputSchema: external_exports3.object({
+      sourceDir: external_exports3.string().min(1).describe("Absolute path of the folder to import"),
+      folder: external_exports3.string().optional().describe("Folder to import into (empty = root)"),
+      hashtags: external_exports3.boolean().optional().describe("Turn #hashtags in the text into tags (default true)"),
+      dryRun: external_exports3.boolean().optional().describe("Only report what would be imported")
+    })
+  },
+  async ({ sourceDir, folder, hashtags, dryRun } = {}, store) => toText(await store.importMarkdown({ sourceDir, folder, hashtags: hashtags !== false, dryRun: dryRun === true }))
+);
+registerNotebookTool(
+  "export_notebook",
+  {
+    title: "Export Notebook",
+    description: "Export a folder (or the whole notebook) as a zip archive: one readable .md file per note with front matter (id, title, tags, timestamps), attachments in a `<note>.assets/` folder next to it, and a manifest.json. The archive can be imported again with import_archive.",
+    inputSchema: external_exports3.object({
+      outputFile: external_exports3.string().min(1).describe("Absolute path of the .zip file to write"),
+      folder: external_exports3.string().optional().describe("Folder to export (empty = whole notebook)"),
+      recursive: external_exports3.boolean().optional().describe("Include subfolders (default true)")
+    })
+  },
+  async ({ outputFile, folder, recursive } = {}, store) => toText(await store.exportNotebook({ outputFile, folder, recursive: recursive !== false }))
+);
+registerNotebookTool(
+  "import_archive",
+  {
+    title: "Import Archive",
+    description: "Import a zip produced by export_notebook (or any zip of Markdown files). Note ids, pinned state and empty folders are restored when possible; ids already in use get new ones and links are remapped. Returns the same report as import_markdown.",
+    inputSchema: external_exports3.object({
+      file: external_exports3.string().min(1).describe("Absolute path of the .zip file"),
+      folder: external_exports3.string().optional().describe("Folder to import into (empty = root)"),
+      hashtags: external_exports3.boolean().optional().describe("Also turn #hashtags in the text into tags (default false)"),
+      dryRun: external_exports3.boolean().optional().describe("Only report what would be imported")
+    })
+  },
+  async ({ file: file2, folder, hashtags, dryRun } = {}, store) => toText(await store.importArchive({ file: file2, folder, hashtags: hashtags === true, dryRun: dryRun === true }))
+);
+registerNotebookTool(
+  "list_backups",
+  {
+    title: "List Backups",
+    description: "List the local backups of the notepad data (newest first) together with the automatic backup settings (schedule off/hourly/daily/weekly, off until set; how many scheduled backups to keep).",
+    inputSchema: external_exports3.object({})
+  },
+  async (_args, store) => toText(await store.listBackups())
+);
+registerNotebookTool(
+  "create_backup",
+  {
+    title: "Create Backup",
+    description: "Take a backup of notes, attachments, the index and the encryption settings now. Manual backups are not removed by rotation.",
+    inputSchema: external_exports3.object({})
+  },
+  async (_args, store) => toText(await store.createBackup())
+);
+registerNotebookTool(
+  "update_backup_settings",
+  {
+    title: "Update Backup Settings",
+    description: "Change the automatic backup schedule (off by default, so no automatic backups run until one is set) and how many scheduled backups are kept (older ones are deleted).",
+    inputSchema: external_exports3.object({
+      schedule: external_exports3.enum(["off", "hourly", "daily", "weekly"]).optional().describe("How often to back up"),
+      keep: external_exports3.number().int().min(1).max(365).optional().describe("Number of scheduled backups to keep")
+    })
+  },
+  async ({ schedule, keep } = {}, store) => toText(await store.updateBackupSettings({ schedule, keep }))
+);
+registerNotebookTool(
+  "verify_backup",
+  {
+    title: "Verify Backup",
+    description: "Check a backup against its checksums and make sure every indexed note file is present.",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Backup id (from list_backups)")
+    })
+  },
+  async ({ id }, store) => toText(await store.verifyBackup({ id }))
+);
+registerNotebookTool(
+  "restore_backup",
+  {
+    title: "Restore Backup",
+    description: "Replace all notes, attachments and the index with a backup. With dryRun=true only the diff is returned (notes added back, removed, changed). A real restore verifies the backup and first saves the current state as a pre-restore backup.",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Backup id (from list_backups)"),
+      dryRun: external_exports3.boolean().optional().describe("Only report what would change")
+    })
+  },
+  async ({ id, dryRun } = {}, store) => toText(await store.restoreBackup({ id, dryRun: dryRun === true }))
+);
+registerNotebookTool(
+  "encryption_status",
+  {
+    title: "Encryption Status",
+    description: "Report whether encryption is set up, whether this session is unlocked, which folders are encrypted and how many notes are encrypted.",
+    inputSchema: external_exports3.object({})
+  },
+  async (_args, store) => toText(await store.getEncryptionStatus())
+);
+registerNotebookTool(
+  "unlock_notebook",
+  {
+    title: "Unlock Notebook",
+    description: "Unlock encrypted notes for this session with the passphrase the user gives you. The session locks itself again after a period without use. Never store or repeat the passphrase.",
+    inputSchema: external_exports3.object({
+      passphrase: external_exports3.string().min(1).describe("Passphrase provided by the user")
+    })
+  },
+  async ({ passphrase } = {}, store) => toText(await store.unlockNotebook({ passphrase }))
+);
+registerNotebookTool(
+  "lock_notebook",
+  {
+    title: "Lock Notebook",
+    description: "Forget the encryption key for this session; encrypted notes can no longer be read until unlocked again.",
+    inputSchema: external_exports3.object({})
+  },
+  async (_args, store) => toText(await store.lockNotebook())
+);
+registerNotebookTool(
+  "encrypt_note",
+  {
+    title: "Encrypt Note",
+    description: "Encrypt a note body at rest (requires an unlocked session). Its revision history is dropped so no plaintext copy remains.",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id")
+    })
+  },
+  async ({ id } = {}, store) => toText(await store.encryptNote({ id }))
+);
+registerNotebookTool(
+  "decrypt_note",
+  {
+    title: "Decrypt Note",
+    description: "Store an encrypted note as plaintext again (requires an unlocked session). Notes inside an encrypted folder stay encrypted.",
+    inputSchema: external_exports3.object({
+      id: external_exports3.string().min(1).describe("Note id")
+    })
+  },
+  async ({ id } = {}, store) => toText(await store.decryptNote({ id }))
+);
+registerNotebookTool(
+  "set_folder_encryption",
+  {
+    title: "Set Folder Encryption",
+    description: "Turn encryption on or off for a folder and its subfolders (requires an unlocked session). Existing notes are encrypted or decrypted; new notes created in or moved into an encrypted folder are encrypted.",
+    inputSchema: external_exports3.object({
+      folder: external_exports3.string().min(1).describe("Folder path"),
+      encrypted: external_exports3.boolean().optional().describe("false to turn encryption off (default true)")
+    })
+  },
+  async ({ folder, encrypted } = {}, store) => toText(await store.setFolderEncryption({ folder, encrypted: encrypted !== false }))
+);
+registerNotebookTool(
+  "check_integrity",
+  {
+    title: "Check Integrity",
+    description: "Check that the index and the notes folder agree: orphan files, index entries without files, misplaced or duplicate files, duplicate ids, stale lock and temp files. Set repair=true to fix them.",
+    inputSchema: external_exports3.object({
+      repair: external_exports3.boolean().optional().describe("Fix the problems found (default false: report only)")
+    })
+  },
+  async ({ repair } = {}, store) => toText(await store.checkIntegrity({ repair: repair === true }))
 );
 async function main() {
-  const initRes = await store.init();
+  const opened = await notebooks.openNotebook();
+  const initRes = opened.ok ? await opened.store.init() : opened;
   if (!initRes?.ok) {
     console.error("Notepad MCP init failed:", initRes?.message || initRes);
   }
@@ -1,13 +1,15 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
-import { createNotepadStore } from '../../shared/notepad-store.mjs';
+import { createNotebookRegistry } from '../../shared/notepad-store.mjs';
+import { TEMPLATES_FOLDER } from '../../shared/notepad-templates.mjs';
+import { PROPERTY_TYPES, WHERE_OPERATORS } from '../../shared/notepad-properties.mjs';
 import { resolveUiAppDataDir } from '../../shared/notepad-paths.mjs';
 
 const PLUGIN_ID = 'com.leeoohoo.notepad';
 const SERVER_NAME = 'com.leeoohoo.notepad.manager';
 
-const store = createNotepadStore({ dataDir: resolveUiAppDataDir({ pluginId: PLUGIN_ID }) });
+const notebooks = createNotebookRegistry({ dataDir: resolveUiAppDataDir({ pluginId: PLUGIN_ID }) });
 
 const server = new McpServer({
   name: SERVER_NAME,
@@ -23,27 +25,97 @@ const toText = (payload) => ({
   ],
 });
 
+const NOTEBOOK_ARG = z
+  .string()
+  .optional()
+  .describe('Notebook id or name (from list_notebooks); defaults to the default notebook');
+
+// every note tool takes an optional `notebook` and runs against that notebook's store
+const registerNotebookTool = (name, config, handler) => {
+  const schema = config.inputSchema;
+  const optional = schema instanceof z.ZodOptional;
+  const withNotebook = (optional ? schema.unwrap() : schema).extend({ notebook: NOTEBOOK_ARG });
+  server.registerTool(name, { ...config, inputSchema: optional ? withNotebook.optional() : withNotebook }, async (args, extra) => {
+    const { notebook, ...rest } = args || {};
+    const opened = await notebooks.openNotebook(notebook);
+    if (!opened.ok) return toText(opened);
+    return await handler(rest, opened.store, extra);
+  });
+};
+
+server.registerTool(
+  'list_notebooks',
+  {
+    title: 'List Notebooks',
+    description: 'List the notebooks (id, name, storage root). Every other tool works on the default notebook unless `notebook` is given.',
+    inputSchema: z.object({}).optional(),
+  },
+  async () => toText(await notebooks.listNotebooks())
+);
+
+server.registerTool(
+  'create_notebook',
+  {
+    title: 'Create Notebook',
+    description:
+      'Create a notebook with its own notes, index, trash and backups. It is stored in the plugin data directory unless an absolute `root` directory is given.',
+    inputSchema: z.object({
+      name: z.string().min(1).describe('Display name'),
+      id: z.string().optional().describe('Id (lowercase letters, digits, "-", "_"); derived from the name by default'),
+      root: z.string().optional().describe('Absolute directory to keep this notebook in'),
+    }),
+  },
+  async ({ name, id, root } = {}) => toText(await notebooks.createNotebook({ name, id, root }))
+);
+
+server.registerTool(
+  'rename_notebook',
+  {
+    title: 'Rename Notebook',
+    description: 'Change the display name of a notebook (its id stays the same).',
+    inputSchema: z.object({
+      notebook: z.string().min(1).describe('Notebook id or name'),
+      name: z.string().min(1).describe('New display name'),
+    }),
+  },
+  async ({ notebook, name } = {}) => toText(await notebooks.renameNotebook({ notebook, name }))
+);
+
 server.registerTool(
+  'delete_notebook',
+  {
+    title: 'Delete Notebook',
+    description:
+      'Remove a notebook from the list. With deleteFiles=true its notes are deleted as well (only for notebooks kept in the plugin data directory). The default notebook cannot be deleted.',
+    inputSchema: z.object({
+      notebook: z.string().min(1).describe('Notebook id or name'),
+      deleteFiles: z.boolean().optional().describe('Also delete the notebook files (default false)'),
+    }),
+  },
+  async ({ notebook, deleteFiles } = {}) => toText(await notebooks.deleteNotebook({ notebook, deleteFiles: deleteFiles === true }))
+);
+
+registerNotebookTool(
   'init',
   {
     title: 'Init Notepad Storage',
     description: 'Initialize the Notepad storage (data directory, index, notes root).',
     inputSchema: z.object({}).optional(),
   },
-  async () => toText(await store.init())
+  async (_args, store) => toText(await store.init())
 );
 
-server.registerTool(
+registerNotebookTool(
   'list_folders',
   {
     title: 'List Folders',
     description: 'List all folders (categories) under Notepad notes root.',
     inputSchema: z.object({}).optional(),
   },
-  async () => toText(await store.listFolders())
+  async (_args, store) => toText(await store.listFolders())
 );
 
-server.registerTool(
+registerNotebookTool(
   'create_folder',
   {
     title: 'Create Folder',
@@ -52,10 +124,10 @@ server.registerTool(
       folder: z.string().min(1).describe('Folder path, relative to notes root (e.g., "work/ideas")'),
     }),
   },
-  async ({ folder }) => toText(await store.createFolder({ folder }))
+  async ({ folder }, store) => toText(await store.createFolder({ folder }))
 );
 
-server.registerTool(
+registerNotebookTool(
   'rename_folder',
   {
     title: 'Rename Folder',
@@ -65,41 +137,48 @@ server.registerTool(
       to: z.string().min(1).describe('Target folder path'),
     }),
   },
-  async ({ from, to }) => toText(await store.renameFolder({ from, to }))
+  async ({ from, to }, store) => toText(await store.renameFolder({ from, to }))
 );
 
-server.registerTool(
+registerNotebookTool(
   'delete_folder',
   {
     title: 'Delete Folder',
-    description: 'Delete a folder. If recursive=true, deletes all notes under it and removes them from index.',
+    description: 'Delete a folder. If recursive=true, moves the folder with all its notes into the trash (restorable).',
     inputSchema: z.object({
       folder: z.string().min(1).describe('Folder path to delete'),
       recursive: z.boolean().optional().describe('Delete folder recursively'),
     }),
   },
-  async ({ folder, recursive } = {}) => toText(await store.deleteFolder({ folder, recursive: recursive === true }))
+  async ({ folder, recursive } = {}, store) => toText(await store.deleteFolder({ folder, recursive: recursive === true }))
 );
 
-server.registerTool(
+registerNotebookTool(
   'list_notes',
   {
     title: 'List Notes',
-    description: 'List notes with optional folder/tags/title filtering.',
+    description:
+      'List notes with optional folder/tags/title/property filtering. Pinned notes come first, then manual order (sortOrder), then most recently updated.',
     inputSchema: z.object({
       folder: z.string().optional().describe('Folder path; empty means all'),
       recursive: z.boolean().optional().describe('Include notes in subfolders (default true)'),
-      tags: z.array(z.string()).optional().describe('Filter notes by tags'),
+      tags: z.array(z.string()).optional().describe('Filter notes by tags (a parent tag like project/alpha also matches project/alpha/*)'),
       match: z.enum(['all', 'any']).optional().describe('Tag match mode'),
       query: z.string().optional().describe('Substring filter for title/folder'),
+      where: z
+        .record(z.string(), z.any())
+        .optional()
+        .describe(
+          `Property conditions, all of which must match. A plain value means equal; otherwise an object of operators (${WHERE_OPERATORS.join(', ')}), e.g. { "status": "open", "priority": { "gte": 2 }, "due": { "lt": "2026-11-01" } }`
+        ),
       limit: z.number().int().min(1).max(500).optional().describe('Max notes to return'),
     }),
   },
-  async ({ folder, recursive, tags, match, query, limit } = {}) =>
-    toText(await store.listNotes({ folder, recursive, tags, match, query, limit }))
+  async ({ folder, recursive, tags, match, query, where, limit } = {}, store) =>
+    toText(await store.listNotes({ folder, recursive, tags, match, query, where, limit }))
 );
 
-server.registerTool(
+registerNotebookTool(
   'create_note',
   {
     title: 'Create Note',
@@ -109,68 +188,261 @@ server.registerTool(
       title: z.string().optional().describe('Note title'),
       content: z.string().optional().describe('Markdown content (optional)'),
       tags: z.array(z.string()).optional().describe('Tags (optional)'),
+      pinned: z.boolean().optional().describe('Pin the note to the top of its folder'),
     }),
   },
-  async ({ folder, title, content, tags } = {}) => toText(await store.createNote({ folder, title, content, tags }))
+  async ({ folder, title, content, tags, pinned } = {}, store) =>
+    toText(await store.createNote({ folder, title, content, tags, pinned: pinned === true }))
 );
 
-server.registerTool(
+registerNotebookTool(
+  'list_templates',
+  {
+    title: 'List Templates',
+    description: `List note templates (notes stored under the "${TEMPLATES_FOLDER}" folder).`,
+    inputSchema: z.object({}).optional(),
+  },
+  async (_args, store) => toText(await store.listTemplates())
+);
+
+registerNotebookTool(
+  'create_note_from_template',
+  {
+    title: 'Create Note From Template',
+    description:
+      'Create a note from a template. Placeholders such as {{title}}, {{folder}}, {{date}}, {{time}}, {{datetime}}, {{year}}, {{month}}, {{day}} are expanded; extra placeholders can be filled through variables.',
+    inputSchema: z.object({
+      templateId: z.string().min(1).describe('Template note id (from list_templates)'),
+      folder: z.string().optional().describe('Folder path to create note in'),
+      title: z.string().optional().describe('Note title (defaults to the expanded template title)'),
+      tags: z.array(z.string()).optional().describe('Tags (defaults to the template tags)'),
+      variables: z.record(z.string(), z.string()).optional().describe('Values for custom {{placeholders}}'),
+    }),
+  },
+  async ({ templateId, folder, title, tags, variables } = {}, store) =>
+    toText(await store.createNote({ templateId, folder, title, tags, variables }))
+);
+
+registerNotebookTool(
+  'get_or_create_daily_note',
+  {
+    title: 'Get Or Create Daily Note',
+    description:
+      'Return the journal note for a day (default today), creating it in the configured journal folder (e.g. journal/2026/10) with the journal template if it does not exist yet.',
+    inputSchema: z.object({
+      date: z.string().optional().describe('Day as YYYY-MM-DD (default: today, local time)'),
+      create: z.boolean().optional().describe('Create the note when missing (default true); false only looks it up'),
+    }),
+  },
+  async ({ date, create } = {}, store) => toText(await store.getOrCreateDailyNote({ date, create: create !== false }))
+);
+
+registerNotebookTool(
   'read_note',
   {
     title: 'Read Note',
-    description: 'Read a note by id (returns metadata and markdown content).',
+    description: 'Read a note by id (returns metadata, markdown body and custom front matter fields).',
     inputSchema: z.object({
       id: z.string().min(1).describe('Note id'),
     }),
   },
-  async ({ id }) => toText(await store.getNote({ id }))
+  async ({ id }, store) => toText(await store.getNote({ id }))
 );
 
-server.registerTool(
+registerNotebookTool(
   'update_note',
   {
     title: 'Update Note',
-    description: 'Update note metadata/content by id. You can also move it by changing folder.',
+    description:
+      'Update note metadata/content by id. You can also move it by changing folder. A new title also renames the note file unless renameFile=false. Pass expectedRevision (from read_note) to avoid overwriting concurrent edits; on mismatch the result has conflict=true and the current version.',
     inputSchema: z.object({
       id: z.string().min(1).describe('Note id'),
       title: z.string().optional().describe('New title'),
-      content: z.string().optional().describe('New markdown content'),
+      content: z.string().optional().describe('New markdown content (may start with a YAML front matter block)'),
       folder: z.string().optional().describe('New folder path'),
       tags: z.array(z.string()).optional().describe('Replace tags'),
+      pinned: z.boolean().optional().describe('Pin or unpin the note'),
+      expectedRevision: z.number().int().min(1).optional().describe('Revision the edit is based on (note.revision from read_note)'),
+      renameFile: z.boolean().optional().describe('Rename the note file after a new title (default true)'),
     }),
   },
-  async ({ id, title, content, folder, tags } = {}) => toText(await store.updateNote({ id, title, content, folder, tags }))
+  async ({ id, title, content, folder, tags, pinned, expectedRevision, renameFile } = {}, store) =>
+    toText(await store.updateNote({ id, title, content, folder, tags, pinned, expectedRevision, renameFile }))
 );
 
-server.registerTool(
+registerNotebookTool(
   'delete_note',
   {
     title: 'Delete Note',
-    description: 'Delete a note by id (removes file and index entry).',
+    description: 'Delete a note by id (moves it into the trash; use restore_from_trash to undo).',
     inputSchema: z.object({
       id: z.string().min(1).describe('Note id'),
     }),
   },
-  async ({ id }) => toText(await store.deleteNote({ id }))
+  async ({ id }, store) => toText(await store.deleteNote({ id }))
 );
 
-server.registerTool(
+// shared by every batch_update_notes operation; `move` adds its required target folder
+const BATCH_OPERATION_FIELDS = {
+  id: z.string().optional().describe('Note id'),
+  ids: z.array(z.string().min(1)).optional().describe('Several note ids for the same operation'),
+  tags: z.array(z.string()).optional().describe('Tags (addTags/removeTags)'),
+  properties: z.record(z.string(), z.any()).optional().describe('Front matter fields (setProperties)'),
+  types: z.record(z.string(), z.enum(PROPERTY_TYPES)).optional().describe('Type to convert each given value to (setProperties)'),
+  expectedRevision: z.number().int().min(1).optional().describe('Skip the item if the note changed since this revision'),
+};
+
+registerNotebookTool(
+  'batch_update_notes',
+  {
+    title: 'Batch Update Notes',
+    description:
+      'Apply many note operations in one transaction (one lock, one index write): move, addTags, removeTags, delete (to trash), setProperties (typed properties validated like set_note_properties; null removes). Each item reports its own result; failures do not stop the rest.',
+    inputSchema: z.object({
+      operations: z
+        .array(
+          z.discriminatedUnion('op', [
+            z.object({
+              op: z.literal('move').describe('Operation'),
+              ...BATCH_OPERATION_FIELDS,
+              folder: z.string().describe('Target folder ("" for the root folder)'),
+            }),
+            z.object({
+              op: z.enum(['addTags', 'removeTags', 'delete', 'setProperties']).describe('Operation'),
+              ...BATCH_OPERATION_FIELDS,
+            }),
+          ])
+        )
+        .min(1)
+        .max(500)
+        .describe('Operations, applied in order'),
+    }),
+  },
+  async ({ operations } = {}, store) => toText(await store.batch({ operations }))
+);
+
+registerNotebookTool(
+  'get_note_properties',
+  {
+    title: 'Get Note Properties',
+    description: 'List the typed properties (front matter fields such as status, owner, priority, due) of a note with their types.',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id'),
+    }),
+  },
+  async ({ id }, store) => toText(await store.getNoteProperties({ id }))
+);
+
+registerNotebookTool(
+  'set_note_properties',
+  {
+    title: 'Set Note Properties',
+    description:
+      'Set or remove (null) typed properties of a note without touching its content. Types follow the value; dates are YYYY-MM-DD strings. Pass types to convert values, e.g. { "priority": "number" }.',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id'),
+      properties: z
+        .record(z.string(), z.union([z.string(), z.number(), z.boolean(), z.array(z.union([z.string(), z.number(), z.boolean()])), z.null()]))
+        .describe('Property values by name; null removes the property'),
+      types: z.record(z.string(), z.enum(PROPERTY_TYPES)).optional().describe('Type to convert each given value to'),
+      expectedRevision: z.number().int().min(1).optional().describe('Revision the change is based on (note.revision)'),
+    }),
+  },
+  async ({ id, properties, types, expectedRevision } = {}, store) =>
+    toText(await store.setNoteProperties({ id, properties, types, expectedRevision }))
+);
+
+registerNotebookTool(
+  'pin_note',
+  {
+    title: 'Pin Note',
+    description: 'Pin a note so it is listed first, or unpin it (pinned=false). Does not change updatedAt or revision.',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id'),
+      pinned: z.boolean().optional().describe('true to pin (default), false to unpin'),
+    }),
+  },
+  async ({ id, pinned } = {}, store) => toText(await store.pinNote({ id, pinned: pinned !== false }))
+);
+
+registerNotebookTool(
+  'reorder_notes',
+  {
+    title: 'Reorder Notes',
+    description:
+      'Set the manual order of notes inside one folder. ids are given in the desired order; notes not listed keep their relative order after them.',
+    inputSchema: z.object({
+      folder: z.string().optional().describe('Folder path (empty = root)'),
+      ids: z.array(z.string().min(1)).min(1).describe('Note ids in the desired order (must all be directly in the folder)'),
+    }),
+  },
+  async ({ folder, ids } = {}, store) => toText(await store.reorderNotes({ folder, ids }))
+);
+
+registerNotebookTool(
   'list_tags',
   {
     title: 'List Tags',
-    description: 'List all tags with usage counts.',
+    description:
+      'List all tags with usage counts. Tags can be hierarchical (project/alpha/backend); `tree` nests them with `count` (exact tag) and `total` (tag or any descendant).',
     inputSchema: z.object({}).optional(),
   },
-  async () => toText(await store.listTags())
+  async (_args, store) => toText(await store.listTags())
 );
 
-server.registerTool(
+registerNotebookTool(
+  'rename_tag',
+  {
+    title: 'Rename Tag',
+    description:
+      'Rename a tag on every note that has it (case-insensitive). Nested tags move with their parent (project/alpha -> proj/a also renames project/alpha/backend). Renaming onto an existing tag merges the two.',
+    inputSchema: z.object({
+      from: z.string().min(1).describe('Current tag'),
+      to: z.string().min(1).describe('New tag'),
+    }),
+  },
+  async ({ from, to }, store) => toText(await store.renameTag({ from, to }))
+);
+
+registerNotebookTool(
+  'merge_tags',
+  {
+    title: 'Merge Tags',
+    description:
+      'Replace several tags with one tag on every affected note. Nested tags move under the target (merging project into work turns project/alpha into work/alpha).',
+    inputSchema: z.object({
+      tags: z.array(z.string().min(1)).min(1).describe('Tags to merge'),
+      into: z.string().min(1).describe('Tag that replaces them'),
+    }),
+  },
+  async ({ tags, into }, store) => toText(await store.mergeTags({ tags, into }))
+);
+
+registerNotebookTool(
+  'delete_tag',
+  {
+    title: 'Delete Tag',
+    description: 'Remove a tag and its nested tags (project also removes project/alpha) from every note; the notes themselves are kept.',
+    inputSchema: z.object({
+      tag: z.string().min(1).describe('Tag to remove'),
+    }),
+  },
+  async ({ tag }, store) => toText(await store.deleteTag({ tag }))
+);
+
+registerNotebookTool(
   'search_notes',
   {
     title: 'Search Notes',
-    description: 'Search notes by query, optionally filtered by folder/tags; can include content search.',
+    description:
+      'Search notes with a query, optionally filtered by folder/tags; results are ranked by relevance (score) from the full-text index. Syntax errors come back as ok=false with syntaxError=true and the position.',
     inputSchema: z.object({
-      query: z.string().min(1).describe('Search keyword'),
+      query: z
+        .string()
+        .min(1)
+        .describe(
+          'Words (all must match), "exact phrase", tag:x, -tag:x, folder:a/b, title:"phrase", updated:>2026-09-01, created:<=2026-10-01, has:task|open-task|link|attachment|tag|property, is:pinned|encrypted, a OR b, (a OR b) c, -term'
+        ),
       folder: z.string().optional().describe('Folder path filter'),
       recursive: z.boolean().optional().describe('Include notes in subfolders (default true)'),
       tags: z.array(z.string()).optional().describe('Tag filter'),
@@ -179,12 +451,402 @@ server.registerTool(
       limit: z.number().int().min(1).max(200).optional().describe('Max results'),
     }),
   },
-  async ({ query, folder, recursive, tags, match, includeContent, limit } = {}) =>
+  async ({ query, folder, recursive, tags, match, includeContent, limit } = {}, store) =>
     toText(await store.searchNotes({ query, folder, recursive, tags, match, includeContent: includeContent !== false, limit }))
 );
 
+registerNotebookTool(
+  'list_revisions',
+  {
+    title: 'List Note Revisions',
+    description: 'List saved revisions (history) of a note, newest first. Content is not included.',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id'),
+      limit: z.number().int().min(1).max(200).optional().describe('Max revisions to return'),
+    }),
+  },
+  async ({ id, limit }, store) => toText(await store.listRevisions({ id, limit }))
+);
+
+registerNotebookTool(
+  'read_revision',
+  {
+    title: 'Read Note Revision',
+    description: 'Read a single revision of a note (metadata and markdown content at that point).',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id'),
+      revisionId: z.string().min(1).describe('Revision id (from list_revisions)'),
+    }),
+  },
+  async ({ id, revisionId }, store) => toText(await store.getRevision({ id, revisionId }))
+);
+
+registerNotebookTool(
+  'restore_revision',
+  {
+    title: 'Restore Note Revision',
+    description: 'Restore a note to a previous revision (title, tags and content). The current state is kept as a new revision first.',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id'),
+      revisionId: z.string().min(1).describe('Revision id to restore'),
+    }),
+  },
+  async ({ id, revisionId }, store) => toText(await store.restoreRevision({ id, revisionId }))
+);
+
+registerNotebookTool(
+  'list_trash',
+  {
+    title: 'List Trash',
+    description: 'List deleted notes and folders in the trash (with original folder, tags and deletion time).',
+    inputSchema: z.object({}).optional(),
+  },
+  async (_args, store) => toText(await store.listTrash())
+);
+
+registerNotebookTool(
+  'restore_from_trash',
+  {
+    title: 'Restore From Trash',
+    description: 'Restore a trashed note or folder to its original folder (or to another folder).',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Trash item id (from list_trash)'),
+      folder: z.string().optional().describe('Restore into this folder instead of the original one'),
+    }),
+  },
+  async ({ id, folder }, store) => toText(await store.restoreFromTrash({ id, folder }))
+);
+
+registerNotebookTool(
+  'purge_trash',
+  {
+    title: 'Purge Trash',
+    description: 'Permanently delete trash items by id, by age, or all of them. This cannot be undone.',
+    inputSchema: z.object({
+      ids: z.array(z.string()).optional().describe('Trash item ids to purge'),
+      olderThanDays: z.number().min(0).optional().describe('Purge items deleted more than N days ago'),
+      all: z.boolean().optional().describe('Purge the whole trash'),
+    }),
+  },
+  async ({ ids, olderThanDays, all } = {}, store) => toText(await store.purgeTrash({ ids, olderThanDays, all: all === true }))
+);
+
+registerNotebookTool(
+  'get_outgoing_links',
+  {
+    title: 'Get Outgoing Links',
+    description: 'List the [[wiki links]] in a note and the notes they resolve to (broken=true when no note matches).',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id'),
+    }),
+  },
+  async ({ id }, store) => toText(await store.getOutgoingLinks({ id }))
+);
+
+registerNotebookTool(
+  'get_backlinks',
+  {
+    title: 'Get Backlinks',
+    description: 'List notes that link to the given note with [[Title]] or [[id|label]].',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id'),
+    }),
+  },
+  async ({ id }, store) => toText(await store.getBacklinks({ id }))
+);
+
+registerNotebookTool(
+  'list_tasks',
+  {
+    title: 'List Tasks',
+    description:
+      'List Markdown checkbox tasks ("- [ ] ..." / "- [x] ...") across notes, with the source note and line. Tasks may carry a @due(YYYY-MM-DD) marker.',
+    inputSchema: z.object({
+      folder: z.string().optional().describe('Folder path; empty means all'),
+      recursive: z.boolean().optional().describe('Include notes in subfolders (default true)'),
+      tags: z.array(z.string()).optional().describe('Only tasks from notes with these tags'),
+      match: z.enum(['all', 'any']).optional().describe('Tag match mode'),
+      state: z.enum(['open', 'done', 'all']).optional().describe('Task state (default open)'),
+      dueBefore: z.string().optional().describe('Only tasks due on or before this day (YYYY-MM-DD)'),
+      dueAfter: z.string().optional().describe('Only tasks due on or after this day (YYYY-MM-DD)'),
+      hasDue: z.boolean().optional().describe('true: only tasks with a due date; false: only tasks without'),
+      limit: z.number().int().min(1).max(1000).optional().describe('Max tasks to return'),
+    }),
+  },
+  async ({ folder, recursive, tags, match, state, dueBefore, dueAfter, hasDue, limit } = {}, store) =>
+    toText(await store.listTasks({ folder, recursive, tags, match, state, dueBefore, dueAfter, hasDue, limit }))
+);
+
+registerNotebookTool(
+  'toggle_task',
+  {
+    title: 'Toggle Task',
+    description:
+      'Check or uncheck a task in its source note (edits only that checkbox). Pass the text from list_tasks so a stale line number is rejected instead of ticking the wrong item.',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id (noteId from list_tasks)'),
+      line: z.number().int().min(1).describe('Line number from list_tasks'),
+      done: z.boolean().optional().describe('true to complete, false to reopen; omitted toggles'),
+      text: z.string().optional().describe('Task text from list_tasks (recommended)'),
+    }),
+  },
+  async ({ id, line, done, text } = {}, store) => toText(await store.toggleTask({ id, line, done, text }))
+);
+
+registerNotebookTool(
+  'add_attachment',
+  {
+    title: 'Add Attachment',
+    description:
+      'Store a file (e.g. an image) next to a note. Returns a relative link such as attachments/pic.png to use in markdown: ![alt](attachments/pic.png).',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id'),
+      name: z.string().min(1).describe('File name, e.g. diagram.png'),
+      dataBase64: z.string().min(1).describe('File content, base64 encoded (a data: URL is also accepted)'),
+      overwrite: z.boolean().optional().describe('Replace an existing attachment with the same name (default false: pick a new name)'),
+    }),
+  },
+  async ({ id, name, dataBase64, overwrite } = {}, store) =>
+    toText(await store.addAttachment({ id, name, dataBase64, overwrite: overwrite === true }))
+);
+
+registerNotebookTool(
+  'list_attachments',
+  {
+    title: 'List Attachments',
+    description: 'List the attachments stored for a note.',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id'),
+    }),
+  },
+  async ({ id }, store) => toText(await store.listAttachments({ id }))
+);
+
+registerNotebookTool(
+  'read_attachment',
+  {
+    title: 'Read Attachment',
+    description: 'Read an attachment of a note; content is returned base64 encoded.',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id'),
+      name: z.string().min(1).describe('Attachment name (or its attachments/... link)'),
+    }),
+  },
+  async ({ id, name }, store) => toText(await store.readAttachment({ id, name }))
+);
+
+registerNotebookTool(
+  'delete_attachment',
+  {
+    title: 'Delete Attachment',
+    description: 'Delete an attachment of a note.',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id'),
+      name: z.string().min(1).describe('Attachment name'),
+    }),
+  },
+  async ({ id, name }, store) => toText(await store.deleteAttachment({ id, name }))
+);
+
+registerNotebookTool(
+  'import_markdown',
+  {
+    title: 'Import Markdown',
+    description:
+      'Import a folder of Markdown files or an Obsidian vault (absolute path on this machine). Keeps the folder structure, turns front matter tags and #hashtags into tags, rewrites [[links]] between imported files to note ids and copies referenced images/files as attachments. Dot folders (.obsidian, .git) are skipped. Returns a report of imported and skipped files.',
+    inputSchema: z.object({
+      sourceDir: z.string().min(1).describe('Absolute path of the folder to import'),
+      folder: z.string().optional().describe('Folder to import into (empty = root)'),
+      hashtags: z.boolean().optional().describe('Turn #hashtags in the text into tags (default true)'),
+      dryRun: z.boolean().optional().describe('Only report what would be imported'),
+    }),
+  },
+  async ({ sourceDir, folder, hashtags, dryRun } = {}, store) =>
+    toText(await store.importMarkdown({ sourceDir, folder, hashtags: hashtags !== false, dryRun: dryRun === true }))
+);
+
+registerNotebookTool(
+  'export_notebook',
+  {
+    title: 'Export Notebook',
+    description:
+      'Export a folder (or the whole notebook) as a zip archive: one readable .md file per note with front matter (id, title, tags, timestamps), attachments in a `<note>.assets/` folder next to it, and a manifest.json. The archive can be imported again with import_archive.',
+    inputSchema: z.object({
+      outputFile: z.string().min(1).describe('Absolute path of the .zip file to write'),
+      folder: z.string().optional().describe('Folder to export (empty = whole notebook)'),
+      recursive: z.boolean().optional().describe('Include subfolders (default true)'),
+    }),
+  },
+  async ({ outputFile, folder, recursive } = {}, store) =>
+    toText(await store.exportNotebook({ outputFile, folder, recursive: recursive !== false }))
+);
+
+registerNotebookTool(
+  'import_archive',
+  {
+    title: 'Import Archive',
+    description:
+      'Import a zip produced by export_notebook (or any zip of Markdown files). Note ids, pinned state and empty folders are restored when possible; ids already in use get new ones and links are remapped. Returns the same report as import_markdown.',
+    inputSchema: z.object({
+      file: z.string().min(1).describe('Absolute path of the .zip file'),
+      folder: z.string().optional().describe('Folder to import into (empty = root)'),
+      hashtags: z.boolean().optional().describe('Also turn #hashtags in the text into tags (default false)'),
+      dryRun: z.boolean().optional().describe('Only report what would be imported'),
+    }),
+  },
+  async ({ file, folder, hashtags, dryRun } = {}, store) =>
+    toText(await store.importArchive({ file, folder, hashtags: hashtags === true, dryRun: dryRun === true }))
+);
+
+registerNotebookTool(
+  'list_backups',
+  {
+    title: 'List Backups',
+    description:
+      'List the local backups of the notepad data (newest first) together with the automatic backup settings (schedule off/hourly/daily/weekly, off until set; how many scheduled backups to keep).',
+    inputSchema: z.object({}),
+  },
+  async (_args, store) => toText(await store.listBackups())
+);
+
+registerNotebookTool(
+  'create_backup',
+  {
+    title: 'Create Backup',
+    description:
+      'Take a backup of notes, attachments, the index and the encryption settings now. Manual backups are not removed by rotation.',
+    inputSchema: z.object({}),
+  },
+  async (_args, store) => toText(await store.createBackup())
+);
+
+registerNotebookTool(
+  'update_backup_settings',
+  {
+    title: 'Update Backup Settings',
+    description:
+      'Change the automatic backup schedule (off by default, so no automatic backups run until one is set) and how many scheduled backups are kept (older ones are deleted).',
+    inputSchema: z.object({
+      schedule: z.enum(['off', 'hourly', 'daily', 'weekly']).optional().describe('How often to back up'),
+      keep: z.number().int().min(1).max(365).optional().describe('Number of scheduled backups to keep'),
+    }),
+  },
+  async ({ schedule, keep } = {}, store) => toText(await store.updateBackupSettings({ schedule, keep }))
+);
+
+registerNotebookTool(
+  'verify_backup',
+  {
+    title: 'Verify Backup',
+    description: 'Check a backup against its checksums and make sure every indexed note file is present.',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Backup id (from list_backups)'),
+    }),
+  },
+  async ({ id }, store) => toText(await store.verifyBackup({ id }))
+);
+
+registerNotebookTool(
+  'restore_backup',
+  {
+    title: 'Restore Backup',
+    description:
+      'Replace all notes, attachments and the index with a backup. With dryRun=true only the diff is returned (notes added back, removed, changed). A real restore verifies the backup and first saves the current state as a pre-restore backup.',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Backup id (from list_backups)'),
+      dryRun: z.boolean().optional().describe('Only report what would change'),
+    }),
+  },
+  async ({ id, dryRun } = {}, store) => toText(await store.restoreBackup({ id, dryRun: dryRun === true }))
+);
+
+registerNotebookTool(
+  'encryption_status',
+  {
+    title: 'Encryption Status',
+    description: 'Report whether encryption is set up, whether this session is unlocked, which folders are encrypted and how many notes are encrypted.',
+    inputSchema: z.object({}),
+  },
+  async (_args, store) => toText(await store.getEncryptionStatus())
+);
+
+registerNotebookTool(
+  'unlock_notebook',
+  {
+    title: 'Unlock Notebook',
+    description:
+      'Unlock encrypted notes for this session with the passphrase the user gives you. The session locks itself again after a period without use. Never store or repeat the passphrase.',
+    inputSchema: z.object({
+      passphrase: z.string().min(1).describe('Passphrase provided by the user'),
+    }),
+  },
+  async ({ passphrase } = {}, store) => toText(await store.unlockNotebook({ passphrase }))
+);
+
+registerNotebookTool(
+  'lock_notebook',
+  {
+    title: 'Lock Notebook',
+    description: 'Forget the encryption key for this session; encrypted notes can no longer be read until unlocked again.',
+    inputSchema: z.object({}),
+  },
+  async (_args, store) => toText(await store.lockNotebook())
+);
+
+registerNotebookTool(
+  'encrypt_note',
+  {
+    title: 'Encrypt Note',
+    description: 'Encrypt a note body at rest (requires an unlocked session). Its revision history is dropped so no plaintext copy remains.',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id'),
+    }),
+  },
+  async ({ id } = {}, store) => toText(await store.encryptNote({ id }))
+);
+
+registerNotebookTool(
+  'decrypt_note',
+  {
+    title: 'Decrypt Note',
+    description: 'Store an encrypted note as plaintext again (requires an unlocked session). Notes inside an encrypted folder stay encrypted.',
+    inputSchema: z.object({
+      id: z.string().min(1).describe('Note id'),
+    }),
+  },
+  async ({ id } = {}, store) => toText(await store.decryptNote({ id }))
+);
+
+registerNotebookTool(
+  'set_folder_encryption',
+  {
+    title: 'Set Folder Encryption',
+    description:
+      'Turn encryption on or off for a folder and its subfolders (requires an unlocked session). Existing notes are encrypted or decrypted; new notes created in or moved into an encrypted folder are encrypted.',
+    inputSchema: z.object({
+      folder: z.string().min(1).describe('Folder path'),
+      encrypted: z.boolean().optional().describe('false to turn encryption off (default true)'),
+    }),
+  },
+  async ({ folder, encrypted } = {}, store) => toText(await store.setFolderEncryption({ folder, encrypted: encrypted !== false }))
+);
+
+registerNotebookTool(
+  'check_integrity',
+  {
+    title: 'Check Integrity',
+    description:
+      'Check that the index and the notes folder agree: orphan files, index entries without files, misplaced or duplicate files, duplicate ids, stale lock and temp files. Set repair=true to fix them.',
+    inputSchema: z.object({
+      repair: z.boolean().optional().describe('Fix the problems found (default false: report only)'),
+    }),
+  },
+  async ({ repair } = {}, store) => toText(await store.checkIntegrity({ repair: repair === true }))
+);
+
 async function main() {
-  const initRes = await store.init();
+  const opened = await notebooks.openNotebook();
+  const initRes = opened.ok ? await opened.store.init() : opened;
   if (!initRes?.ok) {
     // eslint-disable-next-line no-console
     console.error('Notepad MCP init failed:', initRes?.message || initRes);
@@ -69,6 +69,7 @@ ${DS_TREE_STYLES}
     }
     .np-input { width: 100%; }
     .np-select { width: 100%; }
+    .np-select.np-notebook-select { width: auto; max-width: 180px; }
     .np-textarea {
       width: 100%;
       height: 100%;
@@ -174,7 +175,12 @@ ${DS_TREE_STYLES}
     }
     .np-item-title { font-weight: 700; }
     .np-item-meta { font-size: 12px; opacity: 0.72; }
+    .np-item-static { cursor: default; }
+    .np-item-static:hover { box-shadow: none; }
+    .np-item-actions { margin-top: 4px; }
     .np-chip-row { display: flex; flex-wrap: wrap; gap: 6px; }
+    .np-tag-node { display: flex; flex-direction: column; align-items: flex-start; gap: 6px; }
+    .np-tag-children { padding-left: 14px; border-left: 1px dashed var(--ds-panel-border); }
     .np-chip {
       font-size: 12px;
       padding: 6px 10px;
@@ -271,6 +277,10 @@ ${DS_TREE_STYLES}
     }
     .np-preview ul, .np-preview ol { margin: 0 0 10px 22px; }
     .np-preview img { max-width: 100%; border-radius: 10px; border: 1px solid var(--ds-panel-border); }
+    .np-preview a.np-wikilink { text-decoration: none; border-bottom: 1px dashed currentColor; }
+    .np-preview a.np-wikilink-broken { color: #cf222e; opacity: 0.75; border-bottom-style: dotted; }
+    .ds-tree-icon-note.np-tree-icon-pinned { color: #d97706; }
+    .ds-tree-icon-note.np-tree-icon-encrypted { color: #6f42c1; }
     .np-menu-overlay {
       position: fixed;
       inset: 0;
@@ -321,6 +331,9 @@ ${DS_TREE_STYLES}
       flex-direction: column;
       box-shadow: 0 18px 48px rgba(0,0,0,0.25);
     }
+    .np-modal-wide { width: min(720px, 100%); max-height: calc(100vh - 36px); }
+    .np-modal-wide .np-modal-body { overflow: auto; min-height: 0; }
+    .np-modal-list { gap: 8px; }
     .np-modal-header {
       padding: 12px 14px;
       border-bottom: 1px solid var(--ds-panel-border);
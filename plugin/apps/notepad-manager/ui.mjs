@@ -86,17 +86,81 @@ export function createNotepadManagerUi({ container, slots, ctx, bridgeEnabled })
   btnCopyDocx.textContent = '导出Word';
   btnCopyDocx.title = '导出当前笔记为 Word (.docx) 文件';
 
+  const btnAttachments = document.createElement('button');
+  btnAttachments.type = 'button';
+  btnAttachments.className = 'np-btn';
+  btnAttachments.textContent = '附件';
+  btnAttachments.title = '管理当前笔记的附件与图片';
+
   const btnToggleEdit = document.createElement('button');
   btnToggleEdit.type = 'button';
   btnToggleEdit.className = 'np-btn';
   btnToggleEdit.textContent = '编辑';
   btnToggleEdit.title = '切换编辑/预览';
 
+  const btnTasks = document.createElement('button');
+  btnTasks.type = 'button';
+  btnTasks.className = 'np-btn';
+  btnTasks.textContent = '任务';
+  btnTasks.title = '汇总所有笔记中的待办事项';
+
+  const btnTrash = document.createElement('button');
+  btnTrash.type = 'button';
+  btnTrash.className = 'np-btn';
+  btnTrash.textContent = '回收站';
+  btnTrash.title = '查看、恢复或清空已删除的笔记与文件夹';
+
+  const btnMaintenance = document.createElement('button');
+  btnMaintenance.type = 'button';
+  btnMaintenance.className = 'np-btn';
+  btnMaintenance.textContent = '维护';
+  btnMaintenance.title = '检查并修复索引与笔记文件不一致的问题';
+
+  const notebookSelect = document.createElement('select');
+  notebookSelect.className = 'np-select np-notebook-select';
+  notebookSelect.title = '切换笔记本';
+  notebookSelect.setAttribute('aria-label', '切换笔记本');
+
+  const btnNotebooks = document.createElement('button');
+  btnNotebooks.type = 'button';
+  btnNotebooks.className = 'np-btn';
+  btnNotebooks.textContent = '笔记本';
+  btnNotebooks.title = '新建、重命名或删除笔记本';
+
+  const btnToday = document.createElement('button');
+  btnToday.type = 'button';
+  btnToday.className = 'np-btn';
+  btnToday.textContent = '今天';
+  btnToday.title = '打开今天的日记（右键设置日记文件夹与模板）';
+
+  const btnPrevDay = document.createElement('button');
+  btnPrevDay.type = 'button';
+  btnPrevDay.className = 'np-btn np-btn-icon';
+  btnPrevDay.textContent = '‹';
+  btnPrevDay.title = '前一天的日记';
+  btnPrevDay.setAttribute('aria-label', '前一天的日记');
+  btnPrevDay.style.display = 'none';
+
+  const btnNextDay = document.createElement('button');
+  btnNextDay.type = 'button';
+  btnNextDay.className = 'np-btn np-btn-icon';
+  btnNextDay.textContent = '›';
+  btnNextDay.title = '后一天的日记';
+  btnNextDay.setAttribute('aria-label', '后一天的日记');
+  btnNextDay.style.display = 'none';
+
   const statusPill = document.createElement('div');
   statusPill.className = 'np-pill';
   statusPill.dataset.tone = 'bad';
   statusPill.textContent = 'Notes: initializing...';
 
+  // the compact surface keeps its header minimal, so the journal entry point sits next to the tree actions there
+  headerRight.appendChild(notebookSelect);
+  if (ctx?.surface !== 'compact') headerRight.appendChild(btnNotebooks);
+  if (ctx?.surface !== 'compact') headerRight.appendChild(btnToday);
+  headerRight.appendChild(btnTasks);
+  headerRight.appendChild(btnTrash);
+  headerRight.appendChild(btnMaintenance);
   headerRight.appendChild(statusPill);
 
   header.appendChild(headerLeft);
@@ -121,6 +185,8 @@ export function createNotepadManagerUi({ container, slots, ctx, bridgeEnabled })
   searchInput.className = 'np-input';
   searchInput.type = 'text';
   searchInput.placeholder = '搜索标题/文件夹/内容…';
+  searchInput.title =
+    '支持：tag:标签  -tag:排除  folder:work/ideas  title:"完整短语"  "完整短语"  updated:>2026-09-01  created:<=2026-10-01  has:task|open-task|link|attachment|tag|property  is:pinned|encrypted  a OR b  (a OR b) c';
 
   const btnClearSearch = document.createElement('button');
   btnClearSearch.type = 'button';
@@ -141,6 +207,7 @@ export function createNotepadManagerUi({ container, slots, ctx, bridgeEnabled })
   folderTitleLabel.textContent = '笔记';
   const folderTitleActions = document.createElement('div');
   folderTitleActions.className = 'np-section-actions';
+  if (ctx?.surface === 'compact') folderTitleActions.appendChild(btnToday);
   folderTitleActions.appendChild(btnNewNote);
   folderTitleActions.appendChild(btnNewFolder);
   folderTitle.appendChild(folderTitleLabel);
@@ -162,6 +229,7 @@ export function createNotepadManagerUi({ container, slots, ctx, bridgeEnabled })
 
   leftBody.appendChild(searchRow);
   leftBody.appendChild(folderSection);
+  leftBody.appendChild(tagSection);
 
   leftCard.appendChild(leftHeader);
   leftCard.appendChild(leftBody);
@@ -175,7 +243,10 @@ export function createNotepadManagerUi({ container, slots, ctx, bridgeEnabled })
   rightHeaderTitle.textContent = '编辑与预览';
   const rightHeaderActions = document.createElement('div');
   rightHeaderActions.className = 'np-row';
+  rightHeaderActions.appendChild(btnPrevDay);
+  rightHeaderActions.appendChild(btnNextDay);
   rightHeaderActions.appendChild(btnToggleEdit);
+  rightHeaderActions.appendChild(btnAttachments);
   rightHeaderActions.appendChild(btnCopy);
   rightHeaderActions.appendChild(btnCopyMd);
   rightHeaderActions.appendChild(btnCopyDocx);
@@ -209,12 +280,19 @@ export function createNotepadManagerUi({ container, slots, ctx, bridgeEnabled })
   tagsInput.type = 'text';
   tagsInput.placeholder = '标签（逗号分隔）';
 
+  const btnProperties = document.createElement('button');
+  btnProperties.type = 'button';
+  btnProperties.className = 'np-btn';
+  btnProperties.textContent = '属性';
+  btnProperties.title = '编辑当前笔记的属性（状态、负责人、优先级、截止日期等）';
+
   const infoBox = document.createElement('div');
   infoBox.className = 'np-meta';
   infoBox.style.alignSelf = 'center';
   infoBox.textContent = '未选择笔记';
 
   editorTopRow.appendChild(tagsInput);
+  editorTopRow.appendChild(btnProperties);
   editorTopRow.appendChild(infoBox);
 
   const split = document.createElement('div');
@@ -274,12 +352,21 @@ export function createNotepadManagerUi({ container, slots, ctx, bridgeEnabled })
     header,
     btnNewFolder,
     btnNewNote,
+    notebookSelect,
+    btnNotebooks,
     btnSave,
     btnDelete,
     btnCopy,
     btnCopyMd,
     btnCopyDocx,
     btnToggleEdit,
+    btnAttachments,
+    btnToday,
+    btnPrevDay,
+    btnNextDay,
+    btnTasks,
+    btnTrash,
+    btnMaintenance,
     statusPill,
     createHint,
     searchInput,
@@ -289,6 +376,7 @@ export function createNotepadManagerUi({ container, slots, ctx, bridgeEnabled })
     titleInput,
     folderSelect,
     tagsInput,
+    btnProperties,
     infoBox,
     textarea,
     preview,
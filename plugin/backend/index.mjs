@@ -1,10 +1,319 @@
-import { createNotepadStore } from '../shared/notepad-store.mjs';
+import { createNotebookRegistry } from '../shared/notepad-store.mjs';
 import { resolveUiAppDataDir } from '../shared/notepad-paths.mjs';
 
 function normalizeString(value) {
   return typeof value === 'string' ? value.trim() : '';
 }
 
+// the schedule itself (hourly/daily/weekly) lives in the store; this only decides how often to ask
+const BACKUP_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+const BACKUP_FIRST_CHECK_MS = 60 * 1000;
+
+// every notes.* method runs against one notebook's store
+function createNoteMethods(store) {
+  return {
+    async 'notes.init'() {
+      return await store.init();
+    },
+
+    async 'notes.listFolders'() {
+      return await store.listFolders();
+    },
+
+    async 'notes.createFolder'(params) {
+      return await store.createFolder({ folder: params?.folder });
+    },
+
+    async 'notes.renameFolder'(params) {
+      return await store.renameFolder({ from: params?.from, to: params?.to });
+    },
+
+    async 'notes.deleteFolder'(params) {
+      return await store.deleteFolder({ folder: params?.folder, recursive: params?.recursive === true });
+    },
+
+    async 'notes.listNotes'(params) {
+      return await store.listNotes({
+        folder: params?.folder,
+        recursive: params?.recursive,
+        tags: params?.tags,
+        match: params?.match,
+        query: params?.query,
+        where: params?.where,
+        limit: params?.limit,
+      });
+    },
+
+    async 'notes.listTemplates'() {
+      return await store.listTemplates();
+    },
+
+    async 'notes.createNote'(params) {
+      return await store.createNote({
+        folder: params?.folder,
+        title: params?.title,
+        content: params?.content,
+        tags: params?.tags,
+        pinned: params?.pinned,
+        templateId: params?.templateId,
+        variables: params?.variables,
+      });
+    },
+
+    async 'notes.getOrCreateDailyNote'(params) {
+      return await store.getOrCreateDailyNote({ date: params?.date, create: params?.create });
+    },
+
+    async 'notes.getJournalSettings'() {
+      return await store.getJournalSettings();
+    },
+
+    async 'notes.updateJournalSettings'(params) {
+      return await store.updateJournalSettings({ folder: params?.folder, templateId: params?.templateId });
+    },
+
+    async 'notes.getNote'(params) {
+      return await store.getNote({ id: params?.id });
+    },
+
+    async 'notes.updateNote'(params) {
+      return await store.updateNote({
+        id: params?.id,
+        title: params?.title,
+        content: params?.content,
+        folder: params?.folder,
+        tags: params?.tags,
+        pinned: params?.pinned,
+        expectedRevision: params?.expectedRevision,
+        renameFile: params?.renameFile,
+      });
+    },
+
+    async 'notes.deleteNote'(params) {
+      return await store.deleteNote({ id: params?.id });
+    },
+
+    async 'notes.batch'(params) {
+      return await store.batch({ operations: params?.operations });
+    },
+
+    async 'notes.getNoteProperties'(params) {
+      return await store.getNoteProperties({ id: params?.id });
+    },
+
+    async 'notes.setNoteProperties'(params) {
+      return await store.setNoteProperties({
+        id: params?.id,
+        properties: params?.properties,
+        types: params?.types,
+        expectedRevision: params?.expectedRevision,
+      });
+    },
+
+    async 'notes.pinNote'(params) {
+      return await store.pinNote({ id: params?.id, pinned: params?.pinned !== false });
+    },
+
+    async 'notes.reorderNotes'(params) {
+      return await store.reorderNotes({ folder: params?.folder, ids: params?.ids });
+    },
+
+    async 'notes.listTags'() {
+      return await store.listTags();
+    },
+
+    async 'notes.renameTag'(params) {
+      return await store.renameTag({ from: params?.from, to: params?.to });
+    },
+
+    async 'notes.mergeTags'(params) {
+      return await store.mergeTags({ tags: params?.tags, into: params?.into });
+    },
+
+    async 'notes.deleteTag'(params) {
+      return await store.deleteTag({ tag: params?.tag });
+    },
+
+    async 'notes.listRevisions'(params) {
+      return await store.listRevisions({ id: params?.id, limit: params?.limit });
+    },
+
+    async 'notes.getRevision'(params) {
+      return await store.getRevision({ id: params?.id, revisionId: params?.revisionId });
+    },
+
+    async 'notes.restoreRevision'(params) {
+      return await store.restoreRevision({ id: params?.id, revisionId: params?.revisionId });
+    },
+
+    async 'notes.listTrash'() {
+      return await store.listTrash();
+    },
+
+    async 'notes.restoreFromTrash'(params) {
+      return await store.restoreFromTrash({ id: params?.id, folder: params?.folder });
+    },
+
+    async 'notes.purgeTrash'(params) {
+      return await store.purgeTrash({ ids: params?.ids, olderThanDays: params?.olderThanDays, all: params?.all === true });
+    },
+
+    async 'notes.searchNotes'(params) {
+      return await store.searchNotes({
+        query: params?.query,
+        folder: params?.folder,
+        recursive: params?.recursive,
+        tags: params?.tags,
+        match: params?.match,
+        includeContent: params?.includeContent !== false,
+        limit: params?.limit,
+      });
+    },
+
+    async 'notes.getOutgoingLinks'(params) {
+      return await store.getOutgoingLinks({ id: params?.id });
+    },
+
+    async 'notes.getBacklinks'(params) {
+      return await store.getBacklinks({ id: params?.id });
+    },
+
+    async 'notes.resolveLinks'(params) {
+      return await store.resolveLinks({ targets: params?.targets });
+    },
+
+    async 'notes.listTasks'(params) {
+      return await store.listTasks({
+        folder: params?.folder,
+        recursive: params?.recursive,
+        tags: params?.tags,
+        match: params?.match,
+        state: params?.state,
+        dueBefore: params?.dueBefore,
+        dueAfter: params?.dueAfter,
+        hasDue: params?.hasDue,
+        limit: params?.limit,
+      });
+    },
+
+    async 'notes.toggleTask'(params) {
+      return await store.toggleTask({ id: params?.id, line: params?.line, done: params?.done, text: params?.text });
+    },
+
+    async 'notes.addAttachment'(params) {
+      return await store.addAttachment({
+        id: params?.id,
+        name: params?.name,
+        dataBase64: params?.dataBase64,
+        overwrite: params?.overwrite === true,
+      });
+    },
+
+    async 'notes.listAttachments'(params) {
+      return await store.listAttachments({ id: params?.id });
+    },
+
+    async 'notes.readAttachment'(params) {
+      return await store.readAttachment({ id: params?.id, name: params?.name });
+    },
+
+    async 'notes.deleteAttachment'(params) {
+      return await store.deleteAttachment({ id: params?.id, name: params?.name });
+    },
+
+    async 'notes.importMarkdown'(params) {
+      return await store.importMarkdown({
+        sourceDir: params?.sourceDir,
+        folder: params?.folder,
+        hashtags: params?.hashtags !== false,
+        dryRun: params?.dryRun === true,
+      });
+    },
+
+    async 'notes.exportNotebook'(params) {
+      return await store.exportNotebook({
+        folder: params?.folder,
+        recursive: params?.recursive !== false,
+        outputFile: params?.outputFile,
+      });
+    },
+
+    async 'notes.importArchive'(params) {
+      return await store.importArchive({
+        file: params?.file,
+        dataBase64: params?.dataBase64,
+        folder: params?.folder,
+        hashtags: params?.hashtags === true,
+        dryRun: params?.dryRun === true,
+      });
+    },
+
+    async 'notes.getBackupSettings'() {
+      return await store.getBackupSettings();
+    },
+
+    async 'notes.updateBackupSettings'(params) {
+      return await store.updateBackupSettings({ schedule: params?.schedule, keep: params?.keep });
+    },
+
+    async 'notes.listBackups'() {
+      return await store.listBackups();
+    },
+
+    async 'notes.createBackup'() {
+      return await store.createBackup();
+    },
+
+    async 'notes.verifyBackup'(params) {
+      return await store.verifyBackup({ id: params?.id });
+    },
+
+    async 'notes.restoreBackup'(params) {
+      return await store.restoreBackup({ id: params?.id, dryRun: params?.dryRun === true });
+    },
+
+    async 'notes.deleteBackup'(params) {
+      return await store.deleteBackup({ id: params?.id });
+    },
+
+    async 'notes.getEncryptionStatus'() {
+      return await store.getEncryptionStatus();
+    },
+
+    async 'notes.setupEncryption'(params) {
+      return await store.setupEncryption({ passphrase: params?.passphrase });
+    },
+
+    async 'notes.unlockNotebook'(params) {
+      return await store.unlockNotebook({ passphrase: params?.passphrase });
+    },
+
+    async 'notes.lockNotebook'() {
+      return await store.lockNotebook();
+    },
+
+    async 'notes.encryptNote'(params) {
+      return await store.encryptNote({ id: params?.id });
+    },
+
+    async 'notes.decryptNote'(params) {
+      return await store.decryptNote({ id: params?.id });
+    },
+
+    async 'notes.setFolderEncryption'(params) {
+      return await store.setFolderEncryption({ folder: params?.folder, encrypted: params?.encrypted !== false });
+    },
+
+    async 'notes.checkIntegrity'(params) {
+      return await store.checkIntegrity({ repair: params?.repair === true });
+    },
+
+    async 'notes.waitForChanges'(params) {
+      return await store.waitForChanges({ sinceCursor: params?.sinceCursor, timeoutMs: params?.timeoutMs });
+    },
+  };
+}
+
 function resolveFallbackDataDir(ctx) {
   const pluginId = normalizeString(ctx?.pluginId) || 'com.leeoohoo.notepad';
   return resolveUiAppDataDir({ pluginId });
@@ -12,7 +321,36 @@ function resolveFallbackDataDir(ctx) {
 
 export async function createUiAppsBackend(ctx) {
   const dataDir = normalizeString(ctx?.dataDir) || resolveFallbackDataDir(ctx);
-  const store = createNotepadStore({ dataDir });
+  const notebooks = createNotebookRegistry({ dataDir });
+  const methodsByStore = new WeakMap();
+
+  // `notebook` (id or name) is accepted by every notes.* method; without it the default notebook is used
+  const notebookMethods = Object.fromEntries(
+    Object.keys(createNoteMethods(null)).map((name) => [
+      name,
+      async (params) => {
+        const opened = await notebooks.openNotebook(params?.notebook);
+        if (!opened.ok) return opened;
+        if (!methodsByStore.has(opened.store)) methodsByStore.set(opened.store, createNoteMethods(opened.store));
+        return await methodsByStore.get(opened.store)[name](params);
+      },
+    ])
+  );
+
+  const runScheduledBackups = async () => {
+    const res = await notebooks.listNotebooks();
+    for (const nb of Array.isArray(res?.notebooks) ? res.notebooks : []) {
+      const opened = await notebooks.openNotebook(nb.id);
+      if (opened.ok) await opened.store.runScheduledBackup();
+    }
+  };
+  const runScheduledBackup = () => {
+    runScheduledBackups().catch(() => {});
+  };
+  const firstBackupCheck = setTimeout(runScheduledBackup, BACKUP_FIRST_CHECK_MS);
+  const backupTimer = setInterval(runScheduledBackup, BACKUP_CHECK_INTERVAL_MS);
+  firstBackupCheck.unref?.();
+  backupTimer.unref?.();
 
   return {
     methods: {
@@ -20,80 +358,28 @@ export async function createUiAppsBackend(ctx) {
         return { ok: true, params: params ?? null, pluginId: ctx2?.pluginId || '' };
       },
 
-      async 'notes.init'() {
-        return await store.init();
-      },
-
-      async 'notes.listFolders'() {
-        return await store.listFolders();
-      },
-
-      async 'notes.createFolder'(params) {
-        return await store.createFolder({ folder: params?.folder });
-      },
-
-      async 'notes.renameFolder'(params) {
-        return await store.renameFolder({ from: params?.from, to: params?.to });
-      },
-
-      async 'notes.deleteFolder'(params) {
-        return await store.deleteFolder({ folder: params?.folder, recursive: params?.recursive === true });
+      async 'notes.listNotebooks'() {
+        return await notebooks.listNotebooks();
       },
 
-      async 'notes.listNotes'(params) {
-        return await store.listNotes({
-          folder: params?.folder,
-          recursive: params?.recursive,
-          tags: params?.tags,
-          match: params?.match,
-          query: params?.query,
-          limit: params?.limit,
-        });
+      async 'notes.createNotebook'(params) {
+        return await notebooks.createNotebook({ name: params?.name, id: params?.id, root: params?.root });
       },
 
-      async 'notes.createNote'(params) {
-        return await store.createNote({
-          folder: params?.folder,
-          title: params?.title,
-          content: params?.content,
-          tags: params?.tags,
-        });
+      async 'notes.renameNotebook'(params) {
+        return await notebooks.renameNotebook({ notebook: params?.notebook, name: params?.name });
       },
 
-      async 'notes.getNote'(params) {
-        return await store.getNote({ id: params?.id });
+      async 'notes.deleteNotebook'(params) {
+        return await notebooks.deleteNotebook({ notebook: params?.notebook, deleteFiles: params?.deleteFiles === true });
       },
 
-      async 'notes.updateNote'(params) {
-        return await store.updateNote({
-          id: params?.id,
-          title: params?.title,
-          content: params?.content,
-          folder: params?.folder,
-          tags: params?.tags,
-        });
-      },
-
-      async 'notes.deleteNote'(params) {
-        return await store.deleteNote({ id: params?.id });
-      },
-
-      async 'notes.listTags'() {
-        return await store.listTags();
-      },
-
-      async 'notes.searchNotes'(params) {
-        return await store.searchNotes({
-          query: params?.query,
-          folder: params?.folder,
-          recursive: params?.recursive,
-          tags: params?.tags,
-          match: params?.match,
-          includeContent: params?.includeContent !== false,
-          limit: params?.limit,
-        });
-      },
+      ...notebookMethods,
+    },
+    async dispose() {
+      clearTimeout(firstBackupCheck);
+      clearInterval(backupTimer);
+      notebooks.close();
     },
-    async dispose() {},
   };
 }
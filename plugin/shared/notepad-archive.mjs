@@ -0,0 +1,133 @@
+import zlib from 'zlib';
+
+// A notebook archive is a zip with one readable .md file per note (front matter included),
+// a `<file name>.assets/` folder next to notes that have attachments and a manifest.json at the root.
+export const ARCHIVE_FORMAT = 'chatos-notepad-export';
+export const ARCHIVE_VERSION = 1;
+export const ARCHIVE_MANIFEST = 'manifest.json';
+export const ARCHIVE_ASSETS_SUFFIX = '.assets';
+
+const MAX_FILE_STEM = 80;
+
+// Windows reserved characters and control characters become '-', trailing dots and spaces are dropped
+export function readableFileStem(title) {
+  const stem = String(title ?? '')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[<>:"/\\|?*\u0000-\u001f]+/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_FILE_STEM)
+    .replace(/[. ]+$/, '')
+    .replace(/^\.+/, '');
+  return stem || 'Untitled';
+}
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i += 1) {
+    let c = i;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[i] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i += 1) {
+    crc = CRC32_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// same layout as createZipBlob in the manager UI (stored entries, UTF-8 names), but returns a Buffer
+export function createZipBuffer(files, { now } = {}) {
+  const { time, day } = dosDateTime(now instanceof Date ? now : new Date());
+  const local = [];
+  const central = [];
+  let offset = 0;
+  (Array.isArray(files) ? files : []).forEach((file) => {
+    const name = Buffer.from(String(file.name), 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data || '');
+    const crc = crc32(data);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6);
+    header.writeUInt16LE(0, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(day, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+    local.push(header, name, data);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(0, 10);
+    entry.writeUInt16LE(time, 12);
+    entry.writeUInt16LE(day, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, name);
+    offset += header.length + name.length + data.length;
+  });
+  const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length / 2, 8);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...local, ...central, end]);
+}
+
+// reads stored and deflated entries through the central directory; directories are left out
+export function readZipEntries(buffer) {
+  const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer || []);
+  let endAt = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i -= 1) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      endAt = i;
+      break;
+    }
+  }
+  if (endAt < 0) throw new Error('Not a zip archive');
+  const count = buf.readUInt16LE(endAt + 10);
+  let pos = buf.readUInt32LE(endAt + 16);
+  const entries = [];
+  for (let i = 0; i < count; i += 1) {
+    if (buf.readUInt32LE(pos) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+    const method = buf.readUInt16LE(pos + 10);
+    const compressedSize = buf.readUInt32LE(pos + 20);
+    const nameLength = buf.readUInt16LE(pos + 28);
+    const extraLength = buf.readUInt16LE(pos + 30);
+    const commentLength = buf.readUInt16LE(pos + 32);
+    const localAt = buf.readUInt32LE(pos + 42);
+    const name = buf.toString('utf8', pos + 46, pos + 46 + nameLength).replace(/\\/g, '/');
+    pos += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith('/')) continue;
+    if (buf.readUInt32LE(localAt) !== 0x04034b50) throw new Error(`Corrupt zip entry: ${name}`);
+    const dataAt = localAt + 30 + buf.readUInt16LE(localAt + 26) + buf.readUInt16LE(localAt + 28);
+    const raw = buf.subarray(dataAt, dataAt + compressedSize);
+    if (method === 0) entries.push({ name, data: raw });
+    else if (method === 8) entries.push({ name, data: zlib.inflateRawSync(raw) });
+    else throw new Error(`Unsupported zip compression (method ${method}): ${name}`);
+  }
+  return entries;
+}
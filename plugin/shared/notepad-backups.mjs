@@ -0,0 +1,43 @@
+export const BACKUP_SETTINGS_VERSION = 1;
+export const BACKUP_MANIFEST = 'backup.json';
+export const BACKUP_SCHEDULES = ['off', 'hourly', 'daily', 'weekly'];
+export const DEFAULT_BACKUP_KEEP = 14;
+export const MAX_BACKUP_KEEP = 365;
+
+const HOUR_MS = 60 * 60 * 1000;
+const SCHEDULE_INTERVAL_MS = { hourly: HOUR_MS, daily: 24 * HOUR_MS, weekly: 7 * 24 * HOUR_MS };
+const BACKUP_ID_RE = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z(?:-\d+)?$/;
+
+// automatic backups are opt-in: without a saved schedule nothing is written until the user picks one
+export function normalizeBackupSettings(raw) {
+  const obj = raw && typeof raw === 'object' ? raw : {};
+  const schedule = BACKUP_SCHEDULES.includes(obj.schedule) ? obj.schedule : 'off';
+  const keepNum = Number(obj.keep);
+  const keep = Number.isInteger(keepNum) && keepNum > 0 ? Math.min(keepNum, MAX_BACKUP_KEEP) : DEFAULT_BACKUP_KEEP;
+  return { version: BACKUP_SETTINGS_VERSION, schedule, keep };
+}
+
+// ids sort chronologically and are safe as folder names: 2026-10-19T08-30-00-000Z
+export function backupIdFor(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+export function isBackupId(value) {
+  return BACKUP_ID_RE.test(String(value || ''));
+}
+
+// due when no scheduled backup exists yet or the last one is older than the schedule interval
+export function isBackupDue(settings, lastScheduledAt, now = new Date()) {
+  const interval = SCHEDULE_INTERVAL_MS[normalizeBackupSettings(settings).schedule];
+  if (!interval) return false;
+  const last = Date.parse(String(lastScheduledAt || ''));
+  return !Number.isFinite(last) || now.getTime() - last >= interval;
+}
+
+// rotation only drops scheduled snapshots; manual and pre-restore backups stay until deleted
+export function backupsToPrune(backups, keep) {
+  return (Array.isArray(backups) ? backups : [])
+    .filter((b) => b.reason === 'scheduled')
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(Math.max(0, keep));
+}
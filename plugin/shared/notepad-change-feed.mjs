@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const MAX_EVENTS = 1000;
+const DEBOUNCE_MS = 120;
+const FALLBACK_POLL_MS = 3000;
+const DEFAULT_WAIT_MS = 25000;
+const MAX_WAIT_MS = 60000;
+
+function snapshotNotes(notes) {
+  const map = new Map();
+  (Array.isArray(notes) ? notes : []).forEach((n) => {
+    if (!n?.id) return;
+    map.set(n.id, {
+      folder: String(n.folder || ''),
+      title: String(n.title || ''),
+      tags: (Array.isArray(n.tags) ? n.tags : []).join('\n'),
+      updatedAt: String(n.updatedAt || ''),
+      revision: Number(n.revision) || 0,
+      order: `${n.pinned === true ? 1 : 0}:${n.sortOrder ?? ''}`,
+      // watcher events only carry the file name, which follows the title rather than the id
+      file: String(n.fileName || `${n.id}.md`).toLowerCase(),
+    });
+  });
+  return map;
+}
+
+export function diffNoteStates(prev, next, touched = new Set()) {
+  const events = [];
+  next.notes.forEach((cur, id) => {
+    const old = prev.notes.get(id);
+    if (!old) {
+      events.push({ type: 'note.created', id, folder: cur.folder, revision: cur.revision });
+      return;
+    }
+    if (old.folder !== cur.folder) {
+      events.push({ type: 'note.moved', id, folder: cur.folder, previousFolder: old.folder, revision: cur.revision });
+    }
+    const changed =
+      old.title !== cur.title ||
+      old.tags !== cur.tags ||
+      old.updatedAt !== cur.updatedAt ||
+      old.revision !== cur.revision ||
+      old.order !== cur.order;
+    if (changed) {
+      events.push({ type: 'note.updated', id, folder: cur.folder, revision: cur.revision });
+    } else if (touched.has(cur.file) && old.folder === cur.folder) {
+      // the file changed on disk without going through the store (external editor, sync tool...)
+      events.push({ type: 'note.updated', id, folder: cur.folder, revision: cur.revision, external: true });
+    }
+  });
+  prev.notes.forEach((old, id) => {
+    if (!next.notes.has(id)) events.push({ type: 'note.deleted', id, folder: old.folder });
+  });
+
+  const added = next.folders.filter((f) => !prev.folders.includes(f));
+  const removed = prev.folders.filter((f) => !next.folders.includes(f));
+  if (added.length > 0 || removed.length > 0) events.push({ type: 'folders.changed', added, removed });
+  return events;
+}
+
+export function createChangeFeed({ baseDir, notesRoot, indexFileName, loadState } = {}) {
+  if (typeof loadState !== 'function') throw new Error('loadState is required');
+  const session = crypto.randomBytes(4).toString('hex');
+  const events = [];
+  const waiters = new Set();
+  const touched = new Set();
+  const watchers = [];
+  const folderWatchers = new Map();
+  let seq = 0;
+  let state = null;
+  let started = false;
+  let closed = false;
+  let debounceTimer = null;
+  let pollTimer = null;
+  let folderWatchFailed = false;
+  let refreshChain = Promise.resolve();
+
+  const cursorOf = (n) => `${session}.${n}`;
+
+  const wakeWaiters = () => {
+    Array.from(waiters).forEach((wake) => wake());
+  };
+
+  const refreshOnce = async () => {
+    const loaded = await loadState();
+    const next = {
+      notes: snapshotNotes(loaded?.notes),
+      folders: (Array.isArray(loaded?.folders) ? loaded.folders : []).map((f) => String(f || '')),
+    };
+    const touchedFiles = new Set(touched);
+    touched.clear();
+    syncFolderWatchers(next.folders);
+    if (!state) {
+      state = next;
+      return;
+    }
+    const diff = diffNoteStates(state, next, touchedFiles);
+    state = next;
+    if (diff.length === 0) return;
+    const at = new Date().toISOString();
+    diff.forEach((event) => {
+      seq += 1;
+      events.push({ ...event, seq, at });
+    });
+    if (events.length > MAX_EVENTS) events.splice(0, events.length - MAX_EVENTS);
+    wakeWaiters();
+  };
+
+  const refresh = () => {
+    refreshChain = refreshChain.then(refreshOnce).catch(() => {});
+    return refreshChain;
+  };
+
+  const poke = () => {
+    if (!started || closed) return;
+    if (debounceTimer) clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      debounceTimer = null;
+      refresh();
+    }, DEBOUNCE_MS);
+    debounceTimer.unref?.();
+  };
+
+  const onNotesEvent = (_eventType, filename) => {
+    const base = path.basename(String(filename || ''));
+    if (!base || base.startsWith('.')) return;
+    if (base.toLowerCase().endsWith('.md')) touched.add(base.toLowerCase());
+    poke();
+  };
+
+  const openWatcher = (dir, listener) => {
+    try {
+      const watcher = fs.watch(dir, { persistent: false }, listener);
+      watcher.on('error', () => {});
+      return watcher;
+    } catch {
+      return null;
+    }
+  };
+
+  const closeWatcher = (watcher) => {
+    try {
+      watcher.close();
+    } catch {
+      // ignore
+    }
+  };
+
+  // one non-recursive watcher per folder: recursive fs.watch is not available everywhere and
+  // loses track of files that are replaced through rename (which is how notes are written)
+  const syncFolderWatchers = (folders) => {
+    if (!started || closed) return;
+    const wanted = new Set(folders);
+    folderWatchers.forEach((watcher, folder) => {
+      if (wanted.has(folder)) return;
+      closeWatcher(watcher);
+      folderWatchers.delete(folder);
+    });
+    wanted.forEach((folder) => {
+      if (folderWatchers.has(folder)) return;
+      const watcher = openWatcher(folder ? path.join(notesRoot, ...folder.split('/')) : notesRoot, onNotesEvent);
+      if (watcher) folderWatchers.set(folder, watcher);
+      else folderWatchFailed = true;
+    });
+  };
+
+  const start = async () => {
+    if (started || closed) return;
+    started = true;
+    const indexWatcher = openWatcher(baseDir, (_eventType, filename) => {
+      if (String(filename || '') === indexFileName) poke();
+    });
+    if (indexWatcher) watchers.push(indexWatcher);
+    await refresh();
+    if (!indexWatcher || folderWatchFailed) {
+      pollTimer = setInterval(() => {
+        if (waiters.size > 0) refresh();
+      }, FALLBACK_POLL_MS);
+      pollTimer.unref?.();
+    }
+  };
+
+  const collectSince = (since) => events.filter((e) => e.seq > since);
+
+  const waitForChanges = async ({ sinceCursor, timeoutMs } = {}) => {
+    if (closed) return { ok: false, message: 'change feed is closed' };
+    await start();
+    await refresh();
+
+    const raw = String(sinceCursor || '');
+    const dot = raw.lastIndexOf('.');
+    const since = dot > 0 ? Number(raw.slice(dot + 1)) : NaN;
+    const oldest = events.length > 0 ? events[0].seq - 1 : seq;
+    // unknown/foreign/expired cursor: the caller must do a full refresh
+    if (!raw || raw.slice(0, dot) !== session || !Number.isInteger(since) || since > seq || since < oldest) {
+      return { ok: true, cursor: cursorOf(seq), events: [], reset: true };
+    }
+
+    let pending = collectSince(since);
+    if (pending.length === 0) {
+      const waitMs = Number.isFinite(timeoutMs) ? Math.max(0, Math.min(MAX_WAIT_MS, Math.floor(timeoutMs))) : DEFAULT_WAIT_MS;
+      await new Promise((resolve) => {
+        let timer = null;
+        const wake = () => {
+          waiters.delete(wake);
+          if (timer) clearTimeout(timer);
+          resolve();
+        };
+        waiters.add(wake);
+        timer = setTimeout(wake, waitMs);
+      });
+      pending = collectSince(since);
+    }
+    return { ok: true, cursor: cursorOf(seq), events: pending, reset: false };
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    if (debounceTimer) clearTimeout(debounceTimer);
+    if (pollTimer) clearInterval(pollTimer);
+    watchers.splice(0).forEach(closeWatcher);
+    folderWatchers.forEach(closeWatcher);
+    folderWatchers.clear();
+    wakeWaiters();
+  };
+
+  return { start, poke, waitForChanges, close };
+}
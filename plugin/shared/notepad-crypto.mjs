@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+
+// Encrypted notes keep their front matter (id, title, tags, timestamps) in plaintext so the index,
+// listings and moves keep working while locked; only the body is replaced by an AES-256-GCM payload.
+export const ENCRYPTION_SETTINGS_VERSION = 1;
+export const ENCRYPTED_BODY_PREFIX = 'notepad-encrypted:v1:';
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const SCRYPT_DEFAULTS = { N: 1 << 15, r: 8, p: 1 };
+const VERIFIER_TEXT = 'notepad-key-check';
+const LINE_WIDTH = 76;
+
+export function createKdfParams() {
+  return { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_DEFAULTS };
+}
+
+export function deriveKey(passphrase, params) {
+  const { N, r, p, salt } = params || {};
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(
+      String(passphrase ?? ''),
+      Buffer.from(String(salt || ''), 'base64'),
+      KEY_BYTES,
+      // 128 * N * r bytes are needed; the default maxmem (32 MB) is exactly too small for N=2^15, r=8
+      { N, r, p, maxmem: 256 * N * r },
+      (err, key) => (err ? reject(err) : resolve(key))
+    );
+  });
+}
+
+export function isEncryptedBody(body) {
+  return String(body ?? '').trimStart().startsWith(ENCRYPTED_BODY_PREFIX);
+}
+
+// the payload is wrapped so encrypted note files stay readable in a text editor
+export function encryptText(key, text) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(String(text ?? ''), 'utf8'), cipher.final()]);
+  const payload = Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64');
+  const lines = [];
+  for (let i = 0; i < payload.length; i += LINE_WIDTH) lines.push(payload.slice(i, i + LINE_WIDTH));
+  return `${ENCRYPTED_BODY_PREFIX}\n${lines.join('\n')}\n`;
+}
+
+// throws when the key is wrong or the payload was tampered with
+export function decryptText(key, body) {
+  const text = String(body ?? '').trim();
+  if (!text.startsWith(ENCRYPTED_BODY_PREFIX)) throw new Error('Not an encrypted note body');
+  const raw = Buffer.from(text.slice(ENCRYPTED_BODY_PREFIX.length).replace(/\s+/g, ''), 'base64');
+  if (raw.length < IV_BYTES + TAG_BYTES) throw new Error('Encrypted note body is truncated');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, IV_BYTES));
+  decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(raw.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf8');
+}
+
+export function createKeyVerifier(key) {
+  return encryptText(key, VERIFIER_TEXT);
+}
+
+export function checkKeyVerifier(key, verifier) {
+  try {
+    return decryptText(key, verifier) === VERIFIER_TEXT;
+  } catch {
+    return false;
+  }
+}
+
+export function normalizeEncryptionSettings(raw) {
+  const obj = raw && typeof raw === 'object' ? raw : {};
+  const kdf = obj.kdf && typeof obj.kdf === 'object' && obj.kdf.name === 'scrypt' && obj.kdf.salt ? obj.kdf : null;
+  const verifier = typeof obj.verifier === 'string' && isEncryptedBody(obj.verifier) ? obj.verifier : '';
+  const folders = Array.from(new Set((Array.isArray(obj.folders) ? obj.folders : []).filter((f) => typeof f === 'string' && f)));
+  return { version: ENCRYPTION_SETTINGS_VERSION, kdf: kdf && verifier ? kdf : null, verifier: kdf ? verifier : '', folders };
+}
+
+// a folder is encrypted when it or one of its ancestors was marked
+export function isEncryptedFolder(settings, folder) {
+  const f = String(folder || '');
+  return (settings?.folders || []).some((marked) => f === marked || f.startsWith(`${marked}/`));
+}
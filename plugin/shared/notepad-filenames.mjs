@@ -0,0 +1,30 @@
+// Note files are named after their title (`meeting-notes-2026-10-19.md`); the id that links, revisions and
+// attachments use lives in the front matter and in the index, so a file can be renamed without breaking anything.
+const MAX_SLUG_LENGTH = 80;
+// device names that Windows refuses as file names, with or without an extension
+const RESERVED_RE = /^(con|prn|aux|nul|com\d|lpt\d)$/;
+
+export function slugifyTitle(title) {
+  const full = String(title ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+  // cut by code points so a surrogate pair (e.g. an astral CJK character) is never split
+  const slug = Array.from(full).slice(0, MAX_SLUG_LENGTH).join('').replace(/-+$/, '');
+  if (!slug) return 'untitled';
+  return RESERVED_RE.test(slug) ? `${slug}-note` : slug;
+}
+
+export function isNoteFileName(value) {
+  const name = String(value || '');
+  return name.length <= 200 && /\.md$/i.test(name) && !name.startsWith('.') && !/[/\\]/.test(name);
+}
+
+// `taken` holds the lower-cased names already used in the folder (file systems may ignore case)
+export function uniqueNoteFileName(title, taken = new Set()) {
+  const base = slugifyTitle(title);
+  let name = `${base}.md`;
+  for (let i = 2; taken.has(name.toLowerCase()); i += 1) name = `${base}-${i}.md`;
+  return name;
+}
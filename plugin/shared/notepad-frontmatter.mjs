@@ -0,0 +1,320 @@
+const FENCE = '---';
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function countIndent(line) {
+  const match = String(line || '').match(/^ */);
+  return match ? match[0].length : 0;
+}
+
+function isBlankOrComment(line) {
+  const trimmed = String(line || '').trim();
+  return !trimmed || trimmed.startsWith('#');
+}
+
+function stripInlineComment(value) {
+  const text = String(value || '');
+  const idx = text.search(/\s#/);
+  return idx >= 0 ? text.slice(0, idx).trimEnd() : text;
+}
+
+function parseQuoted(text) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text.slice(1, -1);
+    }
+  }
+  return text.slice(1, -1).replace(/''/g, "'");
+}
+
+function splitFlowItems(inner) {
+  const items = [];
+  let current = '';
+  let quote = '';
+  let depth = 0;
+  for (let i = 0; i < inner.length; i += 1) {
+    const ch = inner[i];
+    if (quote) {
+      current += ch;
+      if (ch === '\\' && quote === '"' && i + 1 < inner.length) {
+        current += inner[i + 1];
+        i += 1;
+      } else if (ch === quote) {
+        quote = '';
+      }
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+      continue;
+    }
+    if (ch === '[' || ch === '{') depth += 1;
+    if (ch === ']' || ch === '}') depth -= 1;
+    if (ch === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+function parseScalar(raw) {
+  const text = String(raw ?? '').trim();
+  if (!text) return '';
+  if ((text.startsWith('"') && text.endsWith('"') && text.length >= 2) || (text.startsWith("'") && text.endsWith("'") && text.length >= 2)) {
+    return parseQuoted(text);
+  }
+  if (text.startsWith('[') && text.endsWith(']')) {
+    return splitFlowItems(text.slice(1, -1)).map((item) => parseScalar(item));
+  }
+  if (text.startsWith('{') && text.endsWith('}')) {
+    const out = {};
+    splitFlowItems(text.slice(1, -1)).forEach((pair) => {
+      const idx = pair.indexOf(':');
+      if (idx <= 0) return;
+      const key = String(parseScalar(pair.slice(0, idx)));
+      out[key] = parseScalar(pair.slice(idx + 1));
+    });
+    return out;
+  }
+  const plain = stripInlineComment(text);
+  if (plain === '~' || plain === 'null' || plain === 'Null' || plain === 'NULL') return null;
+  if (/^(true|True|TRUE)$/.test(plain)) return true;
+  if (/^(false|False|FALSE)$/.test(plain)) return false;
+  if (/^[-+]?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(plain)) {
+    const num = Number(plain);
+    if (Number.isFinite(num) && Math.abs(num) <= Number.MAX_SAFE_INTEGER) return num;
+  }
+  return plain;
+}
+
+function readBlockScalar(lines, start, parentIndent, style) {
+  const collected = [];
+  let i = start;
+  let blockIndent = -1;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      collected.push('');
+      i += 1;
+      continue;
+    }
+    const indent = countIndent(line);
+    if (indent <= parentIndent) break;
+    if (blockIndent < 0) blockIndent = indent;
+    collected.push(line.slice(Math.min(indent, blockIndent)));
+    i += 1;
+  }
+  while (collected.length && !collected[collected.length - 1]) collected.pop();
+  const text = style.startsWith('>') ? collected.join(' ').replace(/ {2,}/g, ' ') : collected.join('\n');
+  return { value: style.endsWith('-') ? text : `${text}\n`, next: i };
+}
+
+function parseBlock(lines, start, indent) {
+  let i = start;
+  while (i < lines.length && isBlankOrComment(lines[i])) i += 1;
+  if (i >= lines.length) return { value: null, next: i };
+
+  const first = lines[i].slice(indent);
+  if (first.startsWith('- ') || first === '-') {
+    const list = [];
+    while (i < lines.length) {
+      if (isBlankOrComment(lines[i])) {
+        i += 1;
+        continue;
+      }
+      const lineIndent = countIndent(lines[i]);
+      const text = lines[i].slice(lineIndent);
+      if (lineIndent !== indent || !(text.startsWith('- ') || text === '-')) break;
+      const itemText = text === '-' ? '' : text.slice(2).trim();
+      i += 1;
+      if (!itemText) {
+        let j = i;
+        while (j < lines.length && isBlankOrComment(lines[j])) j += 1;
+        const nestedIndent = j < lines.length ? countIndent(lines[j]) : -1;
+        if (nestedIndent <= indent) {
+          list.push(null);
+          continue;
+        }
+        const nested = parseBlock(lines, j, nestedIndent);
+        list.push(nested.value);
+        i = nested.next;
+        continue;
+      }
+      list.push(parseScalar(itemText));
+    }
+    return { value: list, next: i };
+  }
+
+  const map = {};
+  while (i < lines.length) {
+    if (isBlankOrComment(lines[i])) {
+      i += 1;
+      continue;
+    }
+    const lineIndent = countIndent(lines[i]);
+    if (lineIndent < indent) break;
+    if (lineIndent > indent) {
+      i += 1;
+      continue;
+    }
+    const text = lines[i].slice(lineIndent);
+    const match = text.match(/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+    if (!match) {
+      i += 1;
+      continue;
+    }
+    const key = String(parseScalar(match[1]));
+    const rest = String(match[2] ?? '').trim();
+    i += 1;
+    if (rest === '|' || rest === '>' || rest === '|-' || rest === '>-') {
+      const block = readBlockScalar(lines, i, indent, rest);
+      map[key] = block.value;
+      i = block.next;
+      continue;
+    }
+    if (rest && !rest.startsWith('#')) {
+      map[key] = parseScalar(rest);
+      continue;
+    }
+    let j = i;
+    while (j < lines.length && isBlankOrComment(lines[j])) j += 1;
+    const nextIndent = j < lines.length ? countIndent(lines[j]) : -1;
+    const nextText = j < lines.length ? lines[j].slice(nextIndent) : '';
+    const nestedList = nextIndent === indent && (nextText.startsWith('- ') || nextText === '-');
+    if (j < lines.length && (nextIndent > indent || nestedList)) {
+      const nested = parseBlock(lines, j, nextIndent);
+      map[key] = nested.value;
+      i = nested.next;
+      continue;
+    }
+    map[key] = null;
+  }
+  return { value: map, next: i };
+}
+
+// a fenced block is only front matter when it reads as a YAML mapping: every line is a `key:` entry, a comment or
+// belongs to the entry above (indented, or a `- ` item under an empty key). Markdown that opens with a horizontal
+// rule (`---`, prose, `---`) fails this and stays body text.
+function isMappingBlock(lines) {
+  let entry = false;
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const indent = countIndent(line);
+    const text = line.slice(indent);
+    if (indent > 0 || text.startsWith('- ') || text === '-') {
+      if (!entry) return false;
+      continue;
+    }
+    if (text.startsWith('#')) continue;
+    if (!/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s|$)/.test(text)) return false;
+    entry = true;
+  }
+  return entry;
+}
+
+export function parseFrontMatter(text) {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const normalized = source.replace(/\r\n/g, '\n');
+  if (!normalized.startsWith(`${FENCE}\n`)) {
+    return { data: {}, body: source, hasFrontMatter: false };
+  }
+  const lines = normalized.split('\n');
+  let end = -1;
+  for (let i = 1; i < lines.length; i += 1) {
+    const line = lines[i].trimEnd();
+    if (line === FENCE || line === '...') {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    return { data: {}, body: source, hasFrontMatter: false };
+  }
+  const block = lines.slice(1, end);
+  let data = null;
+  try {
+    const parsed = isMappingBlock(block) ? parseBlock(block, 0, 0).value : null;
+    data = isPlainObject(parsed) && Object.keys(parsed).length ? parsed : null;
+  } catch {
+    data = null;
+  }
+  if (!data) {
+    return { data: {}, body: source, hasFrontMatter: false };
+  }
+  let body = lines.slice(end + 1).join('\n');
+  if (body.startsWith('\n')) body = body.slice(1);
+  return { data, body, hasFrontMatter: true };
+}
+
+function needsQuotes(value) {
+  if (!value) return true;
+  if (value !== value.trim()) return true;
+  if (/^[-?:,[\]{}#&*!|>'"%@`~]/.test(value)) return true;
+  if (/:\s|\s#|[\n\t]/.test(value) || value.endsWith(':')) return true;
+  if (/^(true|false|null|yes|no|on|off)$/i.test(value)) return true;
+  if (/^[-+]?[\d.]+([eE][-+]?\d+)?$/.test(value)) return true;
+  return false;
+}
+
+function formatScalar(value, { flow = false } = {}) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'null';
+  const text = String(value);
+  if (flow && /[,[\]{}]/.test(text)) return JSON.stringify(text);
+  return needsQuotes(text) ? JSON.stringify(text) : text;
+}
+
+function formatEntries(data, indent) {
+  const pad = ' '.repeat(indent);
+  const out = [];
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined) return;
+    const name = needsQuotes(key) ? JSON.stringify(key) : key;
+    if (Array.isArray(value)) {
+      const flat = value.every((v) => v === null || typeof v !== 'object');
+      if (flat) {
+        out.push(`${pad}${name}: [${value.map((v) => formatScalar(v, { flow: true })).join(', ')}]`);
+        return;
+      }
+      out.push(`${pad}${name}:`);
+      value.forEach((v) => {
+        if (isPlainObject(v)) {
+          out.push(`${pad}  -`);
+          out.push(...formatEntries(v, indent + 4));
+        } else {
+          out.push(`${pad}  - ${formatScalar(v)}`);
+        }
+      });
+      return;
+    }
+    if (isPlainObject(value)) {
+      if (Object.keys(value).length === 0) {
+        out.push(`${pad}${name}: {}`);
+        return;
+      }
+      out.push(`${pad}${name}:`);
+      out.push(...formatEntries(value, indent + 2));
+      return;
+    }
+    out.push(`${pad}${name}: ${formatScalar(value)}`);
+  });
+  return out;
+}
+
+export function stringifyFrontMatter(data, body = '') {
+  const fields = isPlainObject(data) ? data : {};
+  const lines = formatEntries(fields, 0);
+  const text = String(body ?? '');
+  if (lines.length === 0) return text;
+  return `${FENCE}\n${lines.join('\n')}\n${FENCE}\n\n${text}`;
+}
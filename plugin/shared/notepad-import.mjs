@@ -0,0 +1,107 @@
+const FENCE_RE = /^\s*(```|~~~)/;
+// Obsidian style: a tag needs at least one non-digit and may nest with '/'
+const HASHTAG_RE = /(^|[\s(,;])#([\p{L}\p{N}_][\p{L}\p{N}_/-]*)/gu;
+const EMBED_RE = /!\[\[([^[\]\n]+?)\]\]/g;
+const WIKI_RE = /\[\[([^[\]\n]+?)\]\]/g;
+const MD_LINK_RE = /(!?)\[([^\]\n]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+const EXTERNAL_RE = /^(?:[a-z][a-z0-9+.-]*:|#|\/\/)/i;
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// applies fn to the parts of each line that are outside code fences and code spans
+function mapOutsideCode(markdown, fn) {
+  let inFence = false;
+  return String(markdown ?? '')
+    .split('\n')
+    .map((line) => {
+      if (FENCE_RE.test(line)) {
+        inFence = !inFence;
+        return line;
+      }
+      if (inFence) return line;
+      return line
+        .split(/(`[^`]*`)/)
+        .map((part) => (part.startsWith('`') && part.endsWith('`') && part.length > 1 ? part : fn(part)))
+        .join('');
+    })
+    .join('\n');
+}
+
+export function extractHashtags(markdown) {
+  const out = [];
+  mapOutsideCode(markdown, (text) => {
+    HASHTAG_RE.lastIndex = 0;
+    let match = HASHTAG_RE.exec(text);
+    while (match) {
+      const tag = match[2].replace(/[/-]+$/, '');
+      if (tag && !/^\d+$/.test(tag)) out.push(tag);
+      match = HASHTAG_RE.exec(text);
+    }
+    return text;
+  });
+  return out;
+}
+
+function splitWikiTarget(raw) {
+  const [targetPart, ...labelParts] = String(raw || '').split('|');
+  const label = labelParts.join('|').trim();
+  const hash = targetPart.indexOf('#');
+  const target = (hash >= 0 ? targetPart.slice(0, hash) : targetPart).trim();
+  return { target, label: label || targetPart.trim() };
+}
+
+// Rewrites links of an imported note:
+// - [[Note]], [[folder/Note#heading|alias]] and [label](other.md) become [[<id>|label]] when the target was imported
+// - ![[image.png]], ![alt](img/a.png) and [file](doc.pdf) become attachments/<name> links when resolveAsset copies them
+// Anything unresolved is left as written and reported.
+export function rewriteImportedLinks(markdown, { resolveNote, resolveAsset }) {
+  const unresolved = [];
+  // embeds of notes turn into wiki links that the second pass must leave alone
+  const embedded = new Set();
+  const body = mapOutsideCode(markdown, (text) =>
+    text
+      .replace(EMBED_RE, (match, raw) => {
+        const { target, label } = splitWikiTarget(raw);
+        if (!target) return match;
+        const noteId = resolveNote(target);
+        if (noteId) {
+          embedded.add(noteId);
+          return `[[${noteId}|${label}]]`;
+        }
+        const asset = resolveAsset(target);
+        if (asset) return /\.(png|jpe?g|gif|webp|svg|bmp)$/i.test(asset.name) ? `![${asset.name}](${asset.link})` : `[${asset.name}](${asset.link})`;
+        unresolved.push(target);
+        return match;
+      })
+      .replace(WIKI_RE, (match, raw) => {
+        const { target, label } = splitWikiTarget(raw);
+        if (!target || embedded.has(target)) return match;
+        const noteId = resolveNote(target);
+        if (noteId) return `[[${noteId}|${label}]]`;
+        unresolved.push(target);
+        return match;
+      })
+      .replace(MD_LINK_RE, (match, bang, label, href) => {
+        if (EXTERNAL_RE.test(href) || href.startsWith('attachments/')) return match;
+        const ref = safeDecode(href.split('#')[0]);
+        if (!ref) return match;
+        if (!bang && /\.md$/i.test(ref)) {
+          const noteId = resolveNote(ref.slice(0, -3), { relative: true });
+          if (noteId) return `[[${noteId}|${label || ref.slice(0, -3)}]]`;
+          unresolved.push(ref);
+          return match;
+        }
+        const asset = resolveAsset(ref);
+        if (asset) return `${bang}[${label}](${asset.link})`;
+        unresolved.push(ref);
+        return match;
+      })
+  );
+  return { body, unresolved };
+}
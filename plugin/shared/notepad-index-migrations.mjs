@@ -0,0 +1,106 @@
+// Forward-only upgrades for notes-index.json.
+// Each step receives the raw (not yet normalized) index of the previous version and returns the index
+// for `version`. Steps get a `context` object for side effects (e.g. rewriting note files) so they can be
+// exercised against fixture indexes without a real data dir.
+export const INDEX_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'mirror title/tags/createdAt into each note file front matter',
+    migrate: async (index, context) => {
+      if (typeof context?.ensureFrontMatter === 'function') await context.ensureFrontMatter(index.notes);
+      return index;
+    },
+  },
+  {
+    version: 3,
+    description: 'add a per-note revision counter for optimistic concurrency',
+    migrate: async (index) => ({
+      ...index,
+      notes: (Array.isArray(index.notes) ? index.notes : []).map((n) => {
+        if (!n || typeof n !== 'object') return n;
+        const revision = Number(n.revision);
+        return { ...n, revision: Number.isInteger(revision) && revision > 0 ? revision : 1 };
+      }),
+    }),
+  },
+  {
+    version: 4,
+    description: 'add pinned/sortOrder so notes can be pinned and ordered by hand within a folder',
+    migrate: async (index) => ({
+      ...index,
+      notes: (Array.isArray(index.notes) ? index.notes : []).map((n) => {
+        if (!n || typeof n !== 'object') return n;
+        const sortOrder = Number(n.sortOrder);
+        return { ...n, pinned: n.pinned === true, sortOrder: n.sortOrder !== null && Number.isFinite(sortOrder) ? sortOrder : null };
+      }),
+    }),
+  },
+  {
+    version: 5,
+    description: 'add an encrypted flag for notes whose body is encrypted at rest',
+    migrate: async (index) => ({
+      ...index,
+      notes: (Array.isArray(index.notes) ? index.notes : []).map((n) =>
+        n && typeof n === 'object' ? { ...n, encrypted: n.encrypted === true } : n
+      ),
+    }),
+  },
+  {
+    version: 6,
+    description: 'name note files after their titles instead of their ids',
+    migrate: async (index, context) => {
+      if (typeof context?.renameNoteFiles !== 'function') return index;
+      return { ...index, notes: await context.renameNoteFiles(index.notes) };
+    },
+  },
+  {
+    version: 7,
+    description: 'mirror typed front matter properties into the index for where queries',
+    migrate: async (index, context) => {
+      if (typeof context?.readProperties !== 'function') return index;
+      return { ...index, notes: await context.readProperties(index.notes) };
+    },
+  },
+];
+
+export const LATEST_INDEX_VERSION = INDEX_MIGRATIONS.reduce((max, step) => Math.max(max, step.version), 1);
+
+export function readIndexVersion(index) {
+  const version = Number(index?.version);
+  // the first index format had no version field
+  return Number.isInteger(version) && version > 0 ? version : 1;
+}
+
+export function validateMigrations(migrations) {
+  let previous = 1;
+  (Array.isArray(migrations) ? migrations : []).forEach((step) => {
+    if (!Number.isInteger(step?.version) || step.version <= previous) {
+      throw new Error(`Invalid index migration order at version ${step?.version}`);
+    }
+    if (typeof step.migrate !== 'function') throw new Error(`Index migration ${step.version} has no migrate()`);
+    previous = step.version;
+  });
+}
+
+export async function migrateIndex(index, { migrations = INDEX_MIGRATIONS, context = {} } = {}) {
+  validateMigrations(migrations);
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 1;
+  const fromVersion = readIndexVersion(index);
+  if (fromVersion > latest) {
+    const err = new Error(
+      `notes-index.json is version ${fromVersion}, newer than the supported version ${latest}; please upgrade the notepad plugin`
+    );
+    err.code = 'INDEX_VERSION_TOO_NEW';
+    throw err;
+  }
+
+  let current = index && typeof index === 'object' ? { ...index } : {};
+  const applied = [];
+  for (const step of migrations) {
+    if (step.version <= fromVersion) continue;
+    const next = await step.migrate(current, context);
+    current = { ...(next && typeof next === 'object' ? next : current), version: step.version };
+    applied.push(step.version);
+  }
+  return { index: current, fromVersion, toVersion: Math.max(fromVersion, latest), applied };
+}
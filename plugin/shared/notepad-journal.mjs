@@ -0,0 +1,39 @@
+import { builtinTemplateVariables, expandTemplate } from './notepad-templates.mjs';
+
+export const JOURNAL_SETTINGS_VERSION = 1;
+export const DEFAULT_JOURNAL_FOLDER = 'journal/{{year}}/{{month}}';
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// dates are calendar days in local time; an empty value means today
+export function parseJournalDate(value) {
+  const text = String(value ?? '').trim();
+  if (!text) {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }
+  const match = DATE_RE.exec(text);
+  if (!match) return null;
+  const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return date;
+}
+
+export function normalizeJournalSettings(raw) {
+  const obj = raw && typeof raw === 'object' ? raw : {};
+  const folder = typeof obj.folder === 'string' && obj.folder.trim() ? obj.folder.trim() : DEFAULT_JOURNAL_FOLDER;
+  const templateId = typeof obj.templateId === 'string' ? obj.templateId.trim() : '';
+  return { version: JOURNAL_SETTINGS_VERSION, folder, templateId };
+}
+
+// the folder setting is a pattern such as journal/{{year}}/{{month}}
+export function journalTarget(settings, date) {
+  const vars = builtinTemplateVariables({ now: date });
+  return {
+    date: vars.date,
+    title: vars.date,
+    folder: expandTemplate(normalizeJournalSettings(settings).folder, vars),
+    variables: { date: vars.date, year: vars.year, month: vars.month, day: vars.day },
+  };
+}
@@ -0,0 +1,105 @@
+export const LINK_INDEX_VERSION = 1;
+
+const WIKI_LINK_RE = /\[\[([^[\]|\n]+?)(?:\|([^[\]\n]+?))?\]\]/g;
+const FENCE_RE = /^\s*(```|~~~)/;
+
+function stripCode(line) {
+  return String(line || '').replace(/`[^`]*`/g, (m) => ' '.repeat(m.length));
+}
+
+// [[Note Title]] or [[id|label]]; links inside code blocks/spans are ignored
+export function extractWikiLinks(markdown) {
+  const out = [];
+  let inFence = false;
+  String(markdown ?? '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .forEach((line) => {
+      if (FENCE_RE.test(line)) {
+        inFence = !inFence;
+        return;
+      }
+      if (inFence) return;
+      const text = stripCode(line);
+      WIKI_LINK_RE.lastIndex = 0;
+      let match = WIKI_LINK_RE.exec(text);
+      while (match) {
+        const target = String(match[1] || '').trim();
+        if (target) out.push({ target, label: String(match[2] || '').trim() || target });
+        match = WIKI_LINK_RE.exec(text);
+      }
+    });
+  return out;
+}
+
+// ids win over titles; duplicate titles resolve to the most recently updated note
+export function createLinkResolver(notes) {
+  const byId = new Map();
+  const byTitle = new Map();
+  (Array.isArray(notes) ? notes : []).forEach((note) => {
+    if (!note?.id) return;
+    byId.set(note.id, note);
+    const key = String(note.title || '').trim().toLowerCase();
+    if (!key) return;
+    const prev = byTitle.get(key);
+    if (!prev || String(note.updatedAt || '') > String(prev.updatedAt || '')) byTitle.set(key, note);
+  });
+  return (target) => {
+    const key = String(target || '').trim();
+    if (!key) return null;
+    return byId.get(key) || byTitle.get(key.toLowerCase()) || null;
+  };
+}
+
+export function createLinkIndex(json) {
+  const docs = new Map();
+
+  // returns false when the note already had exactly these links
+  const setDocument = (id, { body = '' } = {}) => {
+    const key = String(id || '');
+    if (!key) return false;
+    const seen = new Set();
+    const links = [];
+    extractWikiLinks(body).forEach((link) => {
+      const dedupe = `${link.target.toLowerCase()}|${link.label}`;
+      if (seen.has(dedupe)) return;
+      seen.add(dedupe);
+      links.push(link);
+    });
+    if (docs.has(key) && JSON.stringify(docs.get(key)) === JSON.stringify(links)) return false;
+    docs.set(key, links);
+    return true;
+  };
+
+  const removeDocument = (id) => docs.delete(String(id || ''));
+
+  const toJSON = () => {
+    const out = {};
+    docs.forEach((links, id) => {
+      out[id] = links;
+    });
+    return { version: LINK_INDEX_VERSION, docs: out };
+  };
+
+  if (json && typeof json === 'object' && json.version === LINK_INDEX_VERSION && json.docs && typeof json.docs === 'object') {
+    Object.entries(json.docs).forEach(([id, links]) => {
+      if (!Array.isArray(links)) return;
+      docs.set(
+        id,
+        links
+          .filter((l) => l && typeof l.target === 'string' && l.target.trim())
+          .map((l) => ({ target: l.target.trim(), label: String(l.label || l.target).trim() }))
+      );
+    });
+  }
+
+  return {
+    setDocument,
+    removeDocument,
+    has: (id) => docs.has(String(id || '')),
+    ids: () => Array.from(docs.keys()),
+    outgoing: (id) => (docs.get(String(id || '')) || []).slice(),
+    entries: () => Array.from(docs.entries()),
+    toJSON,
+  };
+}
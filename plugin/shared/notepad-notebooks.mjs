@@ -0,0 +1,51 @@
+// Every notebook is a complete, independent store (notes root, index, lock, revisions, trash, backups).
+// The default notebook keeps using the plugin data directory itself so existing installs need no move;
+// other notebooks live in `notebooks/<id>/` under it unless they were created with their own root.
+export const NOTEBOOKS_VERSION = 1;
+export const NOTEBOOKS_FILE = 'notebooks.json';
+export const NOTEBOOKS_DIR = 'notebooks';
+export const DEFAULT_NOTEBOOK_ID = 'default';
+
+const NOTEBOOK_ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const MAX_NAME_LENGTH = 60;
+
+export function isNotebookId(value) {
+  return NOTEBOOK_ID_RE.test(String(value || ''));
+}
+
+export function normalizeNotebookName(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH) : '';
+}
+
+// ids double as folder names, so only ascii slugs; names without any ascii fall back to `notebook`
+export function notebookIdFromName(name, taken = []) {
+  const used = new Set(taken);
+  const base =
+    String(name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 32) || 'notebook';
+  let id = base;
+  for (let i = 2; used.has(id); i += 1) id = `${base}-${i}`;
+  return id;
+}
+
+export function normalizeNotebookRegistry(raw) {
+  const list = Array.isArray(raw?.notebooks) ? raw.notebooks : [];
+  const seen = new Set();
+  const notebooks = [];
+  list.forEach((nb) => {
+    if (!nb || typeof nb !== 'object' || !isNotebookId(nb.id) || seen.has(nb.id)) return;
+    seen.add(nb.id);
+    notebooks.push({
+      id: nb.id,
+      name: normalizeNotebookName(nb.name) || nb.id,
+      // only other notebooks may point elsewhere; the default one is always the data directory
+      root: nb.id !== DEFAULT_NOTEBOOK_ID && typeof nb.root === 'string' ? nb.root : '',
+      createdAt: typeof nb.createdAt === 'string' ? nb.createdAt : '',
+    });
+  });
+  if (!seen.has(DEFAULT_NOTEBOOK_ID)) notebooks.unshift({ id: DEFAULT_NOTEBOOK_ID, name: 'Default', root: '', createdAt: '' });
+  return { version: NOTEBOOKS_VERSION, notebooks };
+}
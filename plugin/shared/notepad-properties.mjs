@@ -0,0 +1,141 @@
+// Properties are the custom front matter fields of a note with a simple type (status, owner, priority, due...).
+// The file stays the source of truth; the index keeps a copy so listNotes can filter with `where` without reading files.
+// Types are not stored: they follow from the YAML value, and ISO date strings (2026-10-19) count as dates.
+export const PROPERTY_TYPES = ['string', 'number', 'date', 'boolean', 'list'];
+export const WHERE_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'exists'];
+
+const MAX_KEY_LENGTH = 64;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function isScalar(value) {
+  return typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+}
+
+export function isPropertyKey(key) {
+  const k = String(key ?? '');
+  return k.length > 0 && k.length <= MAX_KEY_LENGTH && k === k.trim() && !/[\n:#]/.test(k);
+}
+
+export function isDateValue(value) {
+  return typeof value === 'string' && DATE_RE.test(value) && Number.isFinite(Date.parse(value));
+}
+
+// '' for values that are not properties (nested maps, null)
+export function propertyType(value) {
+  if (Array.isArray(value)) return value.every(isScalar) ? 'list' : '';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : '';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'string') return isDateValue(value) ? 'date' : 'string';
+  return '';
+}
+
+// throws with a readable message when the value does not fit the type
+export function coercePropertyValue(value, type) {
+  const kind = type || propertyType(value) || 'string';
+  if (!PROPERTY_TYPES.includes(kind)) throw new Error(`Unknown property type: ${type}`);
+  if (kind === 'list') {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return items.map((v) => (typeof v === 'string' ? v.trim() : v)).filter((v) => isScalar(v) && v !== '');
+  }
+  if (kind === 'number') {
+    const num = typeof value === 'string' && !value.trim() ? NaN : Number(value);
+    if (!Number.isFinite(num)) throw new Error(`Not a number: ${value}`);
+    return num;
+  }
+  if (kind === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    const text = String(value ?? '').trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(text)) return true;
+    if (['false', 'no', '0'].includes(text)) return false;
+    throw new Error(`Not a boolean: ${value}`);
+  }
+  if (kind === 'date') {
+    const text = String(value ?? '').trim();
+    if (!isDateValue(text)) throw new Error(`Not a date (expected YYYY-MM-DD): ${value}`);
+    return text;
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value ?? '');
+}
+
+export function propertiesFromFields(fields) {
+  const out = {};
+  Object.entries(fields && typeof fields === 'object' && !Array.isArray(fields) ? fields : {}).forEach(([key, value]) => {
+    if (isPropertyKey(key) && propertyType(value)) out[key] = value;
+  });
+  return out;
+}
+
+export function describeProperties(properties) {
+  return Object.entries(propertiesFromFields(properties))
+    .map(([key, value]) => ({ key, type: propertyType(value), value }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function sameValue(actual, expected) {
+  const type = propertyType(actual);
+  if (type === 'list') return actual.some((item) => sameValue(item, expected));
+  try {
+    const wanted = coercePropertyValue(expected, type);
+    if (type === 'string') return actual.toLowerCase() === wanted.toLowerCase();
+    if (type === 'date') return Date.parse(actual) === Date.parse(wanted);
+    return actual === wanted;
+  } catch {
+    return false;
+  }
+}
+
+// < 0, 0, > 0, or null when the two cannot be ordered (a list, or an operand of another type)
+function compareValues(actual, operand) {
+  const type = propertyType(actual);
+  if (type === 'list' || type === 'boolean') return null;
+  let wanted = null;
+  try {
+    wanted = coercePropertyValue(operand, type);
+  } catch {
+    return null;
+  }
+  if (type === 'number') return actual - wanted;
+  if (type === 'date') return Date.parse(actual) - Date.parse(wanted);
+  return actual.toLowerCase().localeCompare(wanted.toLowerCase());
+}
+
+function testOperator(op, actual, operand) {
+  const present = actual !== undefined;
+  if (op === 'exists') return present === (operand !== false);
+  if (op === 'ne') return !present || !sameValue(actual, operand);
+  if (!present) return false;
+  if (op === 'eq') return sameValue(actual, operand);
+  if (op === 'in') return (Array.isArray(operand) ? operand : [operand]).some((v) => sameValue(actual, v));
+  if (op === 'contains') {
+    if (Array.isArray(actual)) return sameValue(actual, operand);
+    return String(actual).toLowerCase().includes(String(operand ?? '').toLowerCase());
+  }
+  const diff = compareValues(actual, operand);
+  if (diff === null || Number.isNaN(diff)) return false;
+  if (op === 'gt') return diff > 0;
+  if (op === 'gte') return diff >= 0;
+  if (op === 'lt') return diff < 0;
+  return diff <= 0;
+}
+
+// where: { status: 'open', priority: { gte: 2 }, due: { lt: '2026-11-01' }, owner: { in: ['ann', 'bo'] } }
+// a plain value means eq; every key and operator must match. Throws on unknown operators.
+export function compileWhere(where) {
+  if (where === undefined || where === null) return null;
+  if (typeof where !== 'object' || Array.isArray(where)) throw new Error('where must be an object of property conditions');
+  const checks = [];
+  Object.entries(where).forEach(([key, condition]) => {
+    if (!isPropertyKey(key)) throw new Error(`Invalid property name in where: ${key}`);
+    const ops =
+      condition && typeof condition === 'object' && !Array.isArray(condition) ? Object.entries(condition) : [['eq', condition]];
+    if (ops.length === 0) throw new Error(`Empty condition for property: ${key}`);
+    ops.forEach(([op, operand]) => {
+      if (!WHERE_OPERATORS.includes(op)) throw new Error(`Unknown operator "${op}" (use ${WHERE_OPERATORS.join(', ')})`);
+      checks.push((props) => testOperator(op, Object.hasOwn(props, key) ? props[key] : undefined, operand));
+    });
+  });
+  return (note) => {
+    const props = note?.properties && typeof note.properties === 'object' ? note.properties : {};
+    return checks.every((check) => check(props));
+  };
+}
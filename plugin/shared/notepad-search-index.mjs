@@ -0,0 +1,209 @@
+export const SEARCH_INDEX_VERSION = 1;
+
+const TITLE_WEIGHT = 3;
+const PREFIX_WEIGHT = 0.6;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MAX_TERM_LENGTH = 64;
+
+const WORD_RE = /[\p{L}\p{N}_]+/gu;
+const CJK_RANGE = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uac00-\\ud7af\\uf900-\\ufaff';
+const CJK_RUN_RE = new RegExp(`([${CJK_RANGE}]+)`);
+const CJK_CHAR_RE = new RegExp(`^[${CJK_RANGE}]`);
+
+function forEachSegment(text, fn) {
+  const source = String(text ?? '').toLowerCase();
+  const words = source.match(WORD_RE) || [];
+  words.forEach((word) => {
+    word
+      .split(CJK_RUN_RE)
+      .filter(Boolean)
+      .forEach((segment) => fn(segment, CJK_CHAR_RE.test(segment)));
+  });
+}
+
+// CJK text has no word boundaries, so it is indexed as unigrams + bigrams
+export function tokenizeText(text) {
+  const tokens = [];
+  forEachSegment(text, (segment, cjk) => {
+    if (!cjk) {
+      if (segment.length <= MAX_TERM_LENGTH) tokens.push(segment);
+      return;
+    }
+    const chars = Array.from(segment);
+    chars.forEach((ch, i) => {
+      tokens.push(ch);
+      if (i + 1 < chars.length) tokens.push(`${ch}${chars[i + 1]}`);
+    });
+  });
+  return tokens;
+}
+
+export function tokenizeQuery(query) {
+  const out = [];
+  const seen = new Set();
+  const push = (term, prefix) => {
+    const key = `${prefix ? '*' : ''}${term}`;
+    if (!term || seen.has(key)) return;
+    seen.add(key);
+    out.push({ term, prefix });
+  };
+  forEachSegment(query, (segment, cjk) => {
+    if (!cjk) {
+      push(segment.slice(0, MAX_TERM_LENGTH), segment.length >= 2);
+      return;
+    }
+    const chars = Array.from(segment);
+    if (chars.length === 1) {
+      push(chars[0], false);
+      return;
+    }
+    for (let i = 0; i + 1 < chars.length; i += 1) push(`${chars[i]}${chars[i + 1]}`, false);
+  });
+  return out;
+}
+
+function countTerms({ title, body }) {
+  const terms = Object.create(null);
+  let length = 0;
+  tokenizeText(title).forEach((t) => {
+    terms[t] = (terms[t] || 0) + TITLE_WEIGHT;
+    length += TITLE_WEIGHT;
+  });
+  tokenizeText(body).forEach((t) => {
+    terms[t] = (terms[t] || 0) + 1;
+    length += 1;
+  });
+  return { terms, length };
+}
+
+function sameTerms(a, b) {
+  if (!a || a.length !== b.length) return false;
+  const keys = Object.keys(b.terms);
+  return keys.length === Object.keys(a.terms).length && keys.every((term) => a.terms[term] === b.terms[term]);
+}
+
+export function createSearchIndex(json) {
+  const docs = new Map();
+  const postings = new Map();
+  let totalLength = 0;
+
+  const addPostings = (id, doc) => {
+    Object.entries(doc.terms).forEach(([term, tf]) => {
+      let list = postings.get(term);
+      if (!list) {
+        list = new Map();
+        postings.set(term, list);
+      }
+      list.set(id, tf);
+    });
+    totalLength += doc.length;
+  };
+
+  const removeDocument = (id) => {
+    const doc = docs.get(id);
+    if (!doc) return false;
+    Object.keys(doc.terms).forEach((term) => {
+      const list = postings.get(term);
+      if (!list) return;
+      list.delete(id);
+      if (list.size === 0) postings.delete(term);
+    });
+    totalLength -= doc.length;
+    docs.delete(id);
+    return true;
+  };
+
+  // returns false when the document already had exactly these terms, so the caller can skip saving
+  const setDocument = (id, { title = '', body = '' } = {}) => {
+    const key = String(id || '');
+    if (!key) return false;
+    const doc = countTerms({ title, body });
+    if (sameTerms(docs.get(key), doc)) return false;
+    removeDocument(key);
+    docs.set(key, doc);
+    addPostings(key, doc);
+    return true;
+  };
+
+  const expandTerm = ({ term, prefix }) => {
+    const matches = [];
+    if (postings.has(term)) matches.push({ term, weight: 1 });
+    if (prefix) {
+      postings.forEach((_list, candidate) => {
+        if (candidate !== term && candidate.startsWith(term)) matches.push({ term: candidate, weight: PREFIX_WEIGHT });
+      });
+    }
+    return matches;
+  };
+
+  // every query term must match (AND); matching docs are ranked with BM25
+  const search = (query, { ids } = {}) => {
+    const queryTerms = tokenizeQuery(query);
+    if (queryTerms.length === 0 || docs.size === 0) return [];
+    const allowed = ids instanceof Set ? ids : null;
+    const n = docs.size;
+    const avgLength = totalLength > 0 ? totalLength / n : 1;
+    const scores = new Map();
+    const hits = new Map();
+
+    queryTerms.forEach((qt, qi) => {
+      expandTerm(qt).forEach(({ term, weight }) => {
+        const list = postings.get(term);
+        if (!list) return;
+        const df = list.size;
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        list.forEach((tf, id) => {
+          if (allowed && !allowed.has(id)) return;
+          const doc = docs.get(id);
+          const norm = tf + BM25_K1 * (1 - BM25_B + (BM25_B * (doc?.length || 0)) / avgLength);
+          const score = weight * idf * ((tf * (BM25_K1 + 1)) / norm);
+          scores.set(id, (scores.get(id) || 0) + score);
+          let matched = hits.get(id);
+          if (!matched) {
+            matched = new Set();
+            hits.set(id, matched);
+          }
+          matched.add(qi);
+        });
+      });
+    });
+
+    const results = [];
+    scores.forEach((score, id) => {
+      if ((hits.get(id)?.size || 0) < queryTerms.length) return;
+      results.push({ id, score });
+    });
+    results.sort((a, b) => b.score - a.score);
+    return results;
+  };
+
+  const toJSON = () => {
+    const out = {};
+    docs.forEach((doc, id) => {
+      out[id] = doc;
+    });
+    return { version: SEARCH_INDEX_VERSION, docs: out };
+  };
+
+  if (json && typeof json === 'object' && json.version === SEARCH_INDEX_VERSION && json.docs && typeof json.docs === 'object') {
+    Object.entries(json.docs).forEach(([id, doc]) => {
+      if (!doc || typeof doc !== 'object' || !doc.terms || typeof doc.terms !== 'object') return;
+      const normalized = { terms: doc.terms, length: Number(doc.length) || 0 };
+      docs.set(id, normalized);
+      addPostings(id, normalized);
+    });
+  }
+
+  return {
+    setDocument,
+    removeDocument,
+    search,
+    has: (id) => docs.has(String(id || '')),
+    ids: () => Array.from(docs.keys()),
+    get size() {
+      return docs.size;
+    },
+    toJSON,
+  };
+}
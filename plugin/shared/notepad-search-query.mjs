@@ -0,0 +1,277 @@
+// Search box syntax, shared by the UI and the search_notes tool:
+//   meeting notes            both words (title, folder or content)
+//   "exact phrase"           the words next to each other
+//   tag:project/alpha        tag or one of its child tags; -tag:done excludes
+//   folder:work/ideas        the folder or one of its subfolders
+//   title:"weekly report"    only the title
+//   updated:>2026-09-01      also created:, with >, >=, <, <= or a plain day
+//   has:task  is:pinned      see HAS_VALUES / IS_VALUES
+//   a OR b, (a OR b) c       OR binds looser than the implicit AND; parentheses group
+export const SEARCH_FIELDS = ['tag', 'folder', 'title', 'updated', 'created', 'has', 'is'];
+export const HAS_VALUES = ['task', 'open-task', 'link', 'attachment', 'tag', 'property'];
+export const IS_VALUES = ['pinned', 'encrypted'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_OPS = ['>=', '<=', '>', '<', '='];
+const FIELD_RE = /^([a-z]+):/i;
+
+function syntaxError(message, position) {
+  const err = new Error(`Search query error at column ${position + 1}: ${message}`);
+  err.code = 'SEARCH_QUERY_SYNTAX';
+  err.position = position;
+  return err;
+}
+
+function readQuoted(text, start) {
+  let value = '';
+  for (let i = start + 1; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+      value += text[i + 1];
+      i += 1;
+      continue;
+    }
+    if (ch === '"') return { value, end: i + 1 };
+    value += ch;
+  }
+  throw syntaxError('missing closing quote (")', start);
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, pos: i });
+      i += 1;
+      continue;
+    }
+    const start = i;
+    let negate = false;
+    if (ch === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+      negate = true;
+      i += 1;
+    } else if (ch === '-') {
+      throw syntaxError('"-" must be followed by the term to exclude', i);
+    }
+    if (text[i] === '(') {
+      tokens.push({ type: 'not', pos: start });
+      continue;
+    }
+    if (text[i] === '"') {
+      const quoted = readQuoted(text, i);
+      tokens.push({ type: 'term', negate, field: '', value: quoted.value, phrase: true, pos: start });
+      i = quoted.end;
+      continue;
+    }
+    let word = '';
+    while (i < text.length && !/[\s()"]/.test(text[i])) {
+      word += text[i];
+      i += 1;
+    }
+    const field = word.match(FIELD_RE)?.[1]?.toLowerCase() || '';
+    if (field && SEARCH_FIELDS.includes(field)) {
+      let value = word.slice(field.length + 1);
+      let phrase = false;
+      if (!value && text[i] === '"') {
+        const quoted = readQuoted(text, i);
+        value = quoted.value;
+        phrase = true;
+        i = quoted.end;
+      }
+      tokens.push({ type: 'term', negate, field, value, phrase, pos: start });
+      continue;
+    }
+    if (!negate && (word === 'OR' || word === 'AND')) {
+      tokens.push({ type: word, pos: start });
+      continue;
+    }
+    tokens.push({ type: 'term', negate, field: '', value: word, phrase: false, pos: start });
+  }
+  return tokens;
+}
+
+function parseDateCondition(value, field, pos) {
+  const op = DATE_OPS.find((candidate) => value.startsWith(candidate)) || '=';
+  const day = value.slice(value.startsWith(op) ? op.length : 0);
+  if (!DATE_RE.test(day) || !Number.isFinite(Date.parse(day))) {
+    throw syntaxError(`${field}: expects a date like ${field}:>2026-09-01`, pos);
+  }
+  return { op, day };
+}
+
+function buildTerm(token) {
+  const { field, pos } = token;
+  const value = token.value.trim();
+  if (!value) throw syntaxError(field ? `${field}: needs a value` : 'empty phrase', pos);
+  let node = null;
+  if (!field) node = { type: 'text', value, phrase: token.phrase };
+  else if (field === 'updated' || field === 'created') node = { type: 'date', field, ...parseDateCondition(value, field, pos) };
+  else if (field === 'has' || field === 'is') {
+    const allowed = field === 'has' ? HAS_VALUES : IS_VALUES;
+    const key = value.toLowerCase();
+    if (!allowed.includes(key)) throw syntaxError(`${field}: must be one of ${allowed.join(', ')}`, pos);
+    node = { type: field, value: key };
+  } else {
+    node = { type: field, value: field === 'folder' ? value.replace(/^\/+|\/+$/g, '') : value, phrase: token.phrase };
+  }
+  return token.negate ? { type: 'not', item: node } : node;
+}
+
+// throws an error with `code: 'SEARCH_QUERY_SYNTAX'` and `position` (0-based) when the query cannot be parsed
+export function parseSearchQuery(query) {
+  const text = String(query ?? '');
+  const tokens = tokenize(text);
+  let i = 0;
+
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (tokens[i]?.type === 'OR') {
+      const orToken = tokens[i];
+      i += 1;
+      if (!tokens[i] || tokens[i].type === ')' || tokens[i].type === 'OR') throw syntaxError('OR needs a term on both sides', orToken.pos);
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  };
+
+  const parseAnd = () => {
+    const items = [];
+    while (i < tokens.length && tokens[i].type !== 'OR' && tokens[i].type !== ')') {
+      if (tokens[i].type === 'AND') {
+        i += 1;
+        continue;
+      }
+      items.push(parseUnary());
+    }
+    if (items.length === 0) {
+      const token = tokens[i];
+      if (token?.type === 'OR') throw syntaxError('OR needs a term on both sides', token.pos);
+      if (token?.type === ')') throw syntaxError('unexpected ")"', token.pos);
+      throw syntaxError('query is empty', text.length);
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  };
+
+  const parseUnary = () => {
+    const token = tokens[i];
+    if (token.type === 'not' || token.type === '(') {
+      i += token.type === 'not' ? 1 : 0;
+      const open = tokens[i];
+      i += 1;
+      if (tokens[i]?.type === ')') throw syntaxError('empty group "()"', open.pos);
+      const inner = parseOr();
+      if (tokens[i]?.type !== ')') throw syntaxError('missing closing ")"', open.pos);
+      i += 1;
+      return token.type === 'not' ? { type: 'not', item: inner } : inner;
+    }
+    i += 1;
+    return buildTerm(token);
+  };
+
+  if (tokens.length === 0) throw syntaxError('query is empty', 0);
+  const ast = parseOr();
+  if (i < tokens.length) throw syntaxError('unexpected ")"', tokens[i].pos);
+  return ast;
+}
+
+function collectNodes(ast, type) {
+  const out = [];
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === type) out.push(node);
+    if (node.type === 'and' || node.type === 'or') node.items.forEach(walk);
+    if (node.type === 'not') walk(node.item);
+  };
+  walk(ast);
+  return out;
+}
+
+// the free-text terms and phrases, so the caller can look them up in the full-text index once
+export function searchTextTerms(ast) {
+  return collectNodes(ast, 'text');
+}
+
+// the has: values in use, so the caller only loads the data those need
+export function searchHasValues(ast) {
+  return new Set(collectNodes(ast, 'has').map((node) => node.value));
+}
+
+function dayOf(value) {
+  const ms = Date.parse(String(value || ''));
+  return Number.isFinite(ms) ? new Date(ms).toISOString().slice(0, 10) : '';
+}
+
+function compareDay(actual, { op, day }) {
+  if (!actual) return false;
+  if (op === '>') return actual > day;
+  if (op === '>=') return actual >= day;
+  if (op === '<') return actual < day;
+  if (op === '<=') return actual <= day;
+  return actual === day;
+}
+
+// context.matchText(node, note) returns a score (> 0) or null; context.has(value, note) answers has:...
+// the result score adds up the matched free-text terms, so filters alone give 0
+export function matchSearchQuery(ast, note, context = {}) {
+  const lower = (value) => String(value ?? '').toLowerCase();
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'and': {
+        let score = 0;
+        for (const item of node.items) {
+          const res = evaluate(item);
+          if (!res.matched) return { matched: false, score: 0 };
+          score += res.score;
+        }
+        return { matched: true, score };
+      }
+      case 'or': {
+        let matched = false;
+        let score = 0;
+        node.items.forEach((item) => {
+          const res = evaluate(item);
+          if (!res.matched) return;
+          matched = true;
+          score += res.score;
+        });
+        return { matched, score };
+      }
+      case 'not':
+        return { matched: !evaluate(node.item).matched, score: 0 };
+      case 'text': {
+        const score = typeof context.matchText === 'function' ? context.matchText(node, note) : null;
+        return { matched: score !== null && score !== undefined, score: Number(score) || 0 };
+      }
+      case 'tag': {
+        const key = lower(node.value);
+        const matched = (Array.isArray(note?.tags) ? note.tags : []).some((t) => lower(t) === key || lower(t).startsWith(`${key}/`));
+        return { matched, score: 0 };
+      }
+      case 'folder': {
+        const folder = lower(note?.folder);
+        const key = lower(node.value);
+        return { matched: folder === key || folder.startsWith(`${key}/`), score: 0 };
+      }
+      case 'title':
+        return { matched: lower(note?.title).includes(lower(node.value)), score: 0 };
+      case 'date':
+        return { matched: compareDay(dayOf(node.field === 'created' ? note?.createdAt : note?.updatedAt), node), score: 0 };
+      case 'is':
+        return { matched: note?.[node.value] === true, score: 0 };
+      case 'has': {
+        if (node.value === 'tag') return { matched: Array.isArray(note?.tags) && note.tags.length > 0, score: 0 };
+        if (node.value === 'property') return { matched: Object.keys(note?.properties || {}).length > 0, score: 0 };
+        return { matched: typeof context.has === 'function' && context.has(node.value, note) === true, score: 0 };
+      }
+      default:
+        return { matched: false, score: 0 };
+    }
+  };
+  return evaluate(ast);
+}
@@ -1,13 +1,119 @@
 import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
-
-const INDEX_VERSION = 1;
+import { parseFrontMatter, stringifyFrontMatter } from './notepad-frontmatter.mjs';
+import { createSearchIndex, SEARCH_INDEX_VERSION } from './notepad-search-index.mjs';
+import { createChangeFeed } from './notepad-change-feed.mjs';
+import { createLinkIndex, createLinkResolver, LINK_INDEX_VERSION } from './notepad-links.mjs';
+import { LATEST_INDEX_VERSION, migrateIndex, readIndexVersion } from './notepad-index-migrations.mjs';
+import {
+  builtinTemplateVariables,
+  expandTemplate,
+  expandTemplateFields,
+  isTemplateFolder,
+  TEMPLATES_FOLDER,
+} from './notepad-templates.mjs';
+import { journalTarget, normalizeJournalSettings, parseJournalDate } from './notepad-journal.mjs';
+import { createTaskIndex, setTaskState, TASK_INDEX_VERSION } from './notepad-tasks.mjs';
+import { extractHashtags, rewriteImportedLinks } from './notepad-import.mjs';
+import { matchSearchQuery, parseSearchQuery, searchHasValues, searchTextTerms } from './notepad-search-query.mjs';
+import {
+  coercePropertyValue,
+  compileWhere,
+  describeProperties,
+  isPropertyKey,
+  PROPERTY_TYPES,
+  propertiesFromFields,
+  propertyType,
+} from './notepad-properties.mjs';
+import {
+  ARCHIVE_ASSETS_SUFFIX,
+  ARCHIVE_FORMAT,
+  ARCHIVE_MANIFEST,
+  ARCHIVE_VERSION,
+  createZipBuffer,
+  readableFileStem,
+  readZipEntries,
+} from './notepad-archive.mjs';
+import {
+  BACKUP_MANIFEST,
+  BACKUP_SCHEDULES,
+  backupIdFor,
+  backupsToPrune,
+  isBackupDue,
+  isBackupId,
+  normalizeBackupSettings,
+} from './notepad-backups.mjs';
+import {
+  checkKeyVerifier,
+  createKdfParams,
+  createKeyVerifier,
+  decryptText,
+  deriveKey,
+  encryptText,
+  isEncryptedBody,
+  isEncryptedFolder,
+  MIN_PASSPHRASE_LENGTH,
+  normalizeEncryptionSettings,
+} from './notepad-crypto.mjs';
+import {
+  DEFAULT_NOTEBOOK_ID,
+  isNotebookId,
+  normalizeNotebookName,
+  normalizeNotebookRegistry,
+  notebookIdFromName,
+  NOTEBOOKS_DIR,
+  NOTEBOOKS_FILE,
+} from './notepad-notebooks.mjs';
+import { isNoteFileName, uniqueNoteFileName } from './notepad-filenames.mjs';
+
+// bumped by appending a step to INDEX_MIGRATIONS
+const INDEX_VERSION = LATEST_INDEX_VERSION;
 
 const DEFAULT_LOCK_TIMEOUT_MS = 10_000;
 const DEFAULT_LOCK_STALE_MS = 30_000;
 const DEFAULT_LOCK_POLL_MS = 25;
 
+const DEFAULT_MAX_REVISIONS = 50;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SORTABLE_ID_RE = /^[0-9a-z]+-[0-9a-f]+$/;
+const IMPORT_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SEARCH_TITLE_MATCH_BOOST = 10;
+const SEARCH_FOLDER_MATCH_BOOST = 2;
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+const ATTACHMENT_LINK_PREFIX = 'attachments/';
+const ATTACHMENT_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  bmp: 'image/bmp',
+  ico: 'image/x-icon',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  json: 'application/json',
+  zip: 'application/zip',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+};
+const TAG_SEPARATOR = '/';
+const MAX_BATCH_OPERATIONS = 500;
+const BATCH_OPS = new Set(['move', 'addTags', 'removeTags', 'delete', 'setProperties']);
+const INDEX_FILE_NAME = 'notes-index.json';
+const ENCRYPTION_FILE_NAME = 'encryption.json';
+const ENCRYPTION_IDLE_MS = 30 * 60 * 1000;
+// what a backup holds, relative to dataDir; revisions, trash and derived indexes are left out.
+// The encryption settings hold the salt and verifier: without them encrypted notes in a backup cannot be opened.
+const BACKUP_ENTRIES = ['notes', 'attachments', INDEX_FILE_NAME, 'journal.json', ENCRYPTION_FILE_NAME];
+const RESERVED_FRONT_MATTER_KEYS = new Set(['id', 'title', 'tags', 'createdAt']);
+
 function normalizeString(value) {
   return typeof value === 'string' ? value.trim() : '';
 }
@@ -17,10 +123,46 @@ function normalizeOptionalString(value) {
   return out ? out : '';
 }
 
+// tags may be hierarchical (project/alpha/backend); segments are trimmed and empty ones dropped
 function normalizeTag(value) {
   const tag = normalizeString(value);
   if (!tag) return '';
-  return tag;
+  if (!tag.includes(TAG_SEPARATOR)) return tag;
+  return tag
+    .split(TAG_SEPARATOR)
+    .map((seg) => seg.trim())
+    .filter(Boolean)
+    .join(TAG_SEPARATOR);
+}
+
+// a filter tag matches itself and every descendant: project/alpha matches project/alpha/backend
+function tagMatches(tagKey, filterKey) {
+  return tagKey === filterKey || tagKey.startsWith(`${filterKey}${TAG_SEPARATOR}`);
+}
+
+// counts are per note: `count` for the exact tag, `total` for the tag or any descendant
+function buildTagTree(notes) {
+  const root = { children: new Map() };
+  (Array.isArray(notes) ? notes : []).forEach((n) => {
+    uniqTags(n.tags).forEach((tag) => {
+      let node = root;
+      const parts = tag.split(TAG_SEPARATOR);
+      parts.forEach((part, i) => {
+        const key = part.toLowerCase();
+        if (!node.children.has(key)) {
+          node.children.set(key, { name: part, tag: parts.slice(0, i + 1).join(TAG_SEPARATOR), count: 0, notes: new Set(), children: new Map() });
+        }
+        node = node.children.get(key);
+        node.notes.add(n.id);
+      });
+      node.count += 1;
+    });
+  });
+  const toList = (node) =>
+    Array.from(node.children.values())
+      .map((child) => ({ name: child.name, tag: child.tag, count: child.count, total: child.notes.size, children: toList(child) }))
+      .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+  return toList(root);
 }
 
 function uniqTags(tags) {
@@ -102,14 +244,23 @@ async function isFile(filePath) {
   }
 }
 
+function pathInside(parent, child) {
+  const rel = path.relative(parent, child);
+  return !rel || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
 async function atomicWriteText(filePath, text) {
+  await atomicWriteFile(filePath, String(text ?? ''));
+}
+
+async function atomicWriteFile(filePath, data) {
   const target = normalizeOptionalString(filePath);
   if (!target) throw new Error('filePath is required');
   const dir = path.dirname(target);
   await ensureDir(dir);
   const base = path.basename(target);
   const tmp = path.join(dir, `.${base}.${process.pid}.${Date.now().toString(36)}.tmp`);
-  await fs.promises.writeFile(tmp, String(text ?? ''), 'utf8');
+  await fs.promises.writeFile(tmp, data, typeof data === 'string' ? 'utf8' : undefined);
   try {
     await fs.promises.rename(tmp, target);
   } catch (err) {
@@ -127,6 +278,30 @@ async function atomicWriteText(filePath, text) {
   }
 }
 
+async function moveTree(src, dst) {
+  const srcStat = await fs.promises.stat(src);
+  let dstExists = false;
+  try {
+    await fs.promises.stat(dst);
+    dstExists = true;
+  } catch {
+    dstExists = false;
+  }
+  if (!dstExists) {
+    await ensureDir(path.dirname(dst));
+    await fs.promises.rename(src, dst);
+    return;
+  }
+  if (!srcStat.isDirectory()) {
+    throw new Error(`Target already exists: ${dst}`);
+  }
+  const entries = await fs.promises.readdir(src);
+  for (const name of entries) {
+    await moveTree(path.join(src, name), path.join(dst, name));
+  }
+  await fs.promises.rmdir(src);
+}
+
 async function tryAcquireLock(lockPath) {
   const p = normalizeOptionalString(lockPath);
   if (!p) throw new Error('lockPath is required');
@@ -145,6 +320,34 @@ async function tryAcquireLock(lockPath) {
   }
 }
 
+// a lock is stale once it outlived staleMs or the process that took it is gone
+async function inspectLock(lockPath, staleMs = DEFAULT_LOCK_STALE_MS) {
+  let stat = null;
+  try {
+    stat = await fs.promises.stat(lockPath);
+  } catch {
+    return null;
+  }
+  let owner = null;
+  try {
+    owner = JSON.parse(await fs.promises.readFile(lockPath, 'utf8'));
+  } catch {
+    owner = null;
+  }
+  const ageMs = Math.max(0, Date.now() - (typeof stat?.mtimeMs === 'number' ? stat.mtimeMs : 0));
+  const pid = Number(owner?.pid);
+  const hasPid = Number.isInteger(pid) && pid > 0;
+  let ownerAlive = true;
+  if (hasPid && pid !== process.pid) {
+    try {
+      process.kill(pid, 0);
+    } catch (err) {
+      ownerAlive = err?.code === 'EPERM';
+    }
+  }
+  return { ageMs, pid: hasPid ? pid : null, ownerAlive, stale: ageMs > staleMs || !ownerAlive };
+}
+
 async function withFileLock(lockPath, fn, options = {}) {
   const timeoutMs = Number.isFinite(options.timeoutMs) ? options.timeoutMs : DEFAULT_LOCK_TIMEOUT_MS;
   const pollMs = Number.isFinite(options.pollMs) ? options.pollMs : DEFAULT_LOCK_POLL_MS;
@@ -171,9 +374,8 @@ async function withFileLock(lockPath, fn, options = {}) {
     }
 
     try {
-      const stat = await fs.promises.stat(lockPath);
-      const mtimeMs = typeof stat?.mtimeMs === 'number' ? stat.mtimeMs : 0;
-      if (mtimeMs && Date.now() - mtimeMs > staleMs) {
+      const lock = await inspectLock(lockPath, staleMs);
+      if (lock?.stale) {
         await fs.promises.unlink(lockPath);
         continue;
       }
@@ -208,20 +410,161 @@ function normalizeTitle(value) {
   return title ? title.slice(0, 120) : '';
 }
 
-function noteFileAbs(notesRoot, folder, id) {
+// index entries from before readable file names have none and keep using <id>.md
+function noteFileName(note) {
+  return isNoteFileName(note?.fileName) ? note.fileName : `${note?.id}.md`;
+}
+
+function noteFileAbs(notesRoot, folder, note) {
   const segments = splitFolder(folder);
-  return path.join(notesRoot, ...segments, `${id}.md`);
+  return path.join(notesRoot, ...segments, noteFileName(note));
 }
 
-function noteFileRel(folder, id) {
+function noteFileRel(folder, note) {
   const folderNorm = normalizeOptionalString(folder).replace(/\\/g, '/');
-  return joinPosix('notes', folderNorm, `${id}.md`);
+  return joinPosix('notes', folderNorm, noteFileName(note));
+}
+
+let lastSortableMs = 0;
+
+function tagsFromFrontMatter(value) {
+  if (Array.isArray(value)) return uniqTags(value.map((t) => (t === null || t === undefined ? '' : String(t))));
+  if (typeof value === 'string') return uniqTags(value.split(','));
+  return [];
+}
+
+function customFrontMatterFields(data) {
+  const out = {};
+  Object.entries(data && typeof data === 'object' ? data : {}).forEach(([key, value]) => {
+    if (RESERVED_FRONT_MATTER_KEYS.has(key)) return;
+    out[key] = value;
+  });
+  return out;
+}
+
+// validates and converts a { key: value } property update; null removes a property.
+// Returns { changes } or { error } so setNoteProperties and batch report the same messages.
+function normalizePropertyChanges(properties, types) {
+  const given = properties && typeof properties === 'object' && !Array.isArray(properties) ? properties : null;
+  if (!given || Object.keys(given).length === 0) return { error: 'properties is required' };
+  const typeOf = types && typeof types === 'object' ? types : {};
+  const changes = {};
+  for (const [key, value] of Object.entries(given)) {
+    if (!isPropertyKey(key)) return { error: `Invalid property name: ${key}` };
+    if (RESERVED_FRONT_MATTER_KEYS.has(key)) return { error: `Reserved property: ${key}` };
+    const type = normalizeOptionalString(typeOf[key]);
+    if (type && !PROPERTY_TYPES.includes(type)) return { error: `Unknown property type: ${type} (use ${PROPERTY_TYPES.join(', ')})` };
+    if (value === null || value === undefined) {
+      changes[key] = null;
+      continue;
+    }
+    if (!type && !propertyType(value)) return { error: `Unsupported value for property ${key}` };
+    try {
+      changes[key] = coercePropertyValue(value, type);
+    } catch (err) {
+      return { error: `${key}: ${err?.message || String(err)}` };
+    }
+  }
+  return { changes };
+}
+
+function applyPropertyChanges(fields, changes) {
+  const next = { ...fields };
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === null) delete next[key];
+    else next[key] = value;
+  });
+  return next;
+}
+
+function buildNoteFileText(note, body, fields = {}) {
+  const data = {
+    id: note.id,
+    title: normalizeTitle(note.title),
+    tags: uniqTags(note.tags),
+    createdAt: normalizeOptionalString(note.createdAt),
+    ...customFrontMatterFields(fields),
+  };
+  return stringifyFrontMatter(data, String(body ?? ''));
+}
+
+async function readNoteFile(filePath) {
+  const raw = await fs.promises.readFile(filePath, 'utf8');
+  const { data, body, hasFrontMatter } = parseFrontMatter(raw);
+  return { raw, data, body, hasFrontMatter, fields: customFrontMatterFields(data) };
+}
+
+async function writeNoteFile(filePath, note, body, fields) {
+  await atomicWriteText(filePath, buildNoteFileText(note, body, fields));
+}
+
+function normalizeAttachmentName(value) {
+  const name = path.basename(normalizeOptionalString(value).replace(/\\/g, '/'));
+  if (!isValidPathSegment(name) || name.startsWith('.')) return '';
+  return name.length > 120 ? '' : name;
+}
+
+function attachmentMimeType(name) {
+  const ext = path.extname(String(name || '')).slice(1).toLowerCase();
+  return ATTACHMENT_MIME_TYPES[ext] || 'application/octet-stream';
+}
+
+function attachmentLink(name) {
+  return `${ATTACHMENT_LINK_PREFIX}${encodeURIComponent(name)}`;
+}
+
+function decodeBase64Input(value) {
+  const text = String(value ?? '').trim();
+  const payload = text.startsWith('data:') ? text.slice(text.indexOf(',') + 1) : text;
+  if (!payload || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(payload.replace(/\s+/g, ''))) return null;
+  return Buffer.from(payload.replace(/\s+/g, ''), 'base64');
+}
+
+function createSortableId() {
+  lastSortableMs = Math.max(Date.now(), lastSortableMs + 1);
+  const stamp = lastSortableMs.toString(36).padStart(10, '0');
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function normalizeSortableId(value) {
+  const id = normalizeOptionalString(value);
+  return SORTABLE_ID_RE.test(id) ? id : '';
 }
 
 function clone(value) {
   return JSON.parse(JSON.stringify(value));
 }
 
+function normalizeRevisionNumber(value) {
+  const num = Number(value);
+  return Number.isInteger(num) && num > 0 ? num : 1;
+}
+
+// '' when absent or valid; the conflict checks compare it as-is, so strings like '1' or '1e0' and true are refused
+function expectedRevisionError(value) {
+  if (value === undefined || value === null) return '';
+  return Number.isInteger(value) && value > 0 ? '' : 'expectedRevision must be a positive integer';
+}
+
+function normalizeSortOrder(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+// pinned first, then manual sortOrder (unordered notes after ordered ones), then most recently updated
+function compareNotesForList(a, b) {
+  if (Boolean(a.pinned) !== Boolean(b.pinned)) return a.pinned ? -1 : 1;
+  const ao = normalizeSortOrder(a.sortOrder);
+  const bo = normalizeSortOrder(b.sortOrder);
+  if (ao !== bo) {
+    if (ao === null) return 1;
+    if (bo === null) return -1;
+    return ao - bo;
+  }
+  return String(b.updatedAt || '').localeCompare(String(a.updatedAt || ''));
+}
+
 function normalizeIndex(index) {
   const obj = index && typeof index === 'object' ? index : {};
   const version = Number(obj.version) || INDEX_VERSION;
@@ -241,11 +584,50 @@ function normalizeIndex(index) {
       tags: uniqTags(n.tags),
       createdAt: normalizeOptionalString(n.createdAt),
       updatedAt: normalizeOptionalString(n.updatedAt),
+      revision: normalizeRevisionNumber(n.revision),
+      pinned: n.pinned === true,
+      sortOrder: normalizeSortOrder(n.sortOrder),
+      encrypted: n.encrypted === true,
+      fileName: noteFileName({ id, fileName: n.fileName }),
+      properties: propertiesFromFields(n.properties),
     });
   });
   return { version, notes };
 }
 
+function filterNotes(notes, { folderRel = '', recursive = true, desiredTags = [], matchMode = 'all', q = '' } = {}) {
+  let out = Array.isArray(notes) ? notes.slice() : [];
+
+  if (folderRel) {
+    const prefix = `${folderRel}/`;
+    out = out.filter((n) => {
+      const f = normalizeOptionalString(n.folder).replace(/\\/g, '/');
+      if (f === folderRel) return true;
+      if (recursive === false) return false;
+      return f.startsWith(prefix);
+    });
+  }
+
+  if (desiredTags.length > 0) {
+    const desiredKeys = desiredTags.map((t) => t.toLowerCase());
+    out = out.filter((n) => {
+      const tagKeys = (Array.isArray(n.tags) ? n.tags : []).map((t) => String(t || '').toLowerCase());
+      const has = (key) => tagKeys.some((t) => tagMatches(t, key));
+      if (matchMode === 'any') return desiredKeys.some(has);
+      return desiredKeys.every(has);
+    });
+  }
+
+  if (q) {
+    out = out.filter((n) => {
+      const title = normalizeOptionalString(n.title).toLowerCase();
+      const folderName = normalizeOptionalString(n.folder).toLowerCase();
+      return title.includes(q) || folderName.includes(q);
+    });
+  }
+  return out;
+}
+
 async function listMarkdownFiles(notesRoot, rel = '') {
   const absDir = rel ? path.join(notesRoot, ...splitFolder(rel)) : notesRoot;
   let entries = [];
@@ -274,54 +656,337 @@ async function listMarkdownFiles(notesRoot, rel = '') {
   return results;
 }
 
-async function rebuildIndexFromFilesystem(notesRoot) {
-  const files = await listMarkdownFiles(notesRoot);
+// the id of a note file is the one in its front matter; files without one (added by hand) go by their name
+async function listNoteFiles(notesRoot) {
+  const out = [];
+  for (const file of await listMarkdownFiles(notesRoot)) {
+    let id = '';
+    try {
+      id = normalizeOptionalString((await readNoteFile(file.fileAbs)).data?.id);
+    } catch {
+      id = '';
+    }
+    out.push({ ...file, id: isValidPathSegment(id) ? id : file.id, fileName: path.basename(file.fileAbs) });
+  }
+  return out;
+}
+
+function isHiddenRel(rel) {
+  return String(rel || '')
+    .split('/')
+    .some((seg) => seg.startsWith('.'));
+}
+
+// an import source is a list of markdown files plus readers addressed by posix paths relative to its root;
+// dot folders such as .obsidian, .git and .trash are reported as skipped
+async function createDirectoryImportSource(rootAbs) {
+  const toAbs = (rel) => path.join(rootAbs, ...rel.split('/'));
+  const markdown = (await listMarkdownFiles(rootAbs)).map((f) => ({
+    rel: f.folder ? `${f.folder}/${f.id}.md` : `${f.id}.md`,
+    folder: f.folder,
+    stem: f.id,
+  }));
+  markdown.sort((a, b) => a.rel.localeCompare(b.rel));
+  let byName = null;
+  const findByName = async (name) => {
+    if (!byName) {
+      byName = new Map();
+      const walk = async (relDir) => {
+        let entries = [];
+        try {
+          entries = await fs.promises.readdir(relDir ? toAbs(relDir) : rootAbs, { withFileTypes: true });
+        } catch {
+          return;
+        }
+        for (const entry of entries) {
+          const entryName = String(entry?.name || '');
+          if (!entryName || entryName.startsWith('.')) continue;
+          const rel = relDir ? `${relDir}/${entryName}` : entryName;
+          if (entry.isDirectory()) await walk(rel);
+          else if (entry.isFile() && !byName.has(entryName.toLowerCase())) byName.set(entryName.toLowerCase(), rel);
+        }
+      };
+      await walk('');
+    }
+    return byName.get(String(name || '').toLowerCase()) || null;
+  };
+  const stat = async (rel) => {
+    try {
+      const st = await fs.promises.stat(toAbs(rel));
+      return st.isFile() ? { size: st.size, createdAt: st.birthtime || st.mtime, updatedAt: st.mtime } : null;
+    } catch {
+      return null;
+    }
+  };
+  return {
+    markdown,
+    stat,
+    findByName,
+    readText: async (rel) => await fs.promises.readFile(toAbs(rel), 'utf8'),
+    readBuffer: async (rel) => await fs.promises.readFile(toAbs(rel)),
+  };
+}
+
+// null when the path escapes the source root
+function safePosixRel(value) {
+  const rel = path.posix.normalize(String(value || '').replace(/\\/g, '/').replace(/^\.\//, ''));
+  if (!rel || rel === '.' || rel.startsWith('../') || rel === '..' || path.posix.isAbsolute(rel)) return null;
+  return rel;
+}
+
+// zip entries as an import source; manifest.json (when the archive came from exportNotebook)
+// restores pinned/sortOrder and empty folders
+function createArchiveImportSource(entries) {
+  const files = new Map();
+  (Array.isArray(entries) ? entries : []).forEach((entry) => {
+    const rel = safePosixRel(entry.name);
+    if (rel) files.set(rel, entry.data);
+  });
+  let manifest = null;
+  try {
+    const parsed = files.has(ARCHIVE_MANIFEST) ? JSON.parse(files.get(ARCHIVE_MANIFEST).toString('utf8')) : null;
+    manifest = parsed?.format === ARCHIVE_FORMAT ? parsed : null;
+  } catch {
+    manifest = null;
+  }
+  const metaByPath = new Map((Array.isArray(manifest?.notes) ? manifest.notes : []).map((n) => [String(n?.path || ''), n]));
+  const markdown = Array.from(files.keys())
+    .filter((rel) => rel.toLowerCase().endsWith('.md'))
+    .sort((a, b) => a.localeCompare(b))
+    .map((rel) => ({
+      rel,
+      folder: path.posix.dirname(rel) === '.' ? '' : path.posix.dirname(rel),
+      stem: path.posix.basename(rel).slice(0, -3),
+    }));
+  let byName = null;
+  return {
+    markdown,
+    folders: Array.isArray(manifest?.folders) ? manifest.folders.filter((f) => typeof f === 'string' && safePosixRel(f)) : [],
+    noteMeta: (rel) => metaByPath.get(rel) || null,
+    stat: async (rel) => (files.has(rel) ? { size: files.get(rel).length } : null),
+    findByName: async (name) => {
+      if (!byName) {
+        byName = new Map();
+        Array.from(files.keys())
+          .filter((rel) => !isHiddenRel(rel))
+          .forEach((rel) => {
+            const key = path.posix.basename(rel).toLowerCase();
+            if (!byName.has(key)) byName.set(key, rel);
+          });
+      }
+      return byName.get(String(name || '').toLowerCase()) || null;
+    },
+    readText: async (rel) => files.get(rel).toString('utf8'),
+    readBuffer: async (rel) => files.get(rel),
+  };
+}
+
+function importDate(value) {
+  if (value instanceof Date && Number.isFinite(value.getTime())) return value.toISOString();
+  if (typeof value === 'string' && Number.isFinite(Date.parse(value))) return new Date(value).toISOString();
+  return '';
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// files (posix paths relative to rootAbs) under the given top-level entries; atomic-write leftovers are ignored
+async function listBackupSourceFiles(rootAbs, entries) {
+  const out = [];
+  const walk = async (rel) => {
+    let stat = null;
+    try {
+      stat = await fs.promises.stat(path.join(rootAbs, ...rel.split('/')));
+    } catch {
+      return;
+    }
+    if (stat.isFile()) {
+      if (!(path.posix.basename(rel).startsWith('.') && rel.endsWith('.tmp'))) out.push(rel);
+      return;
+    }
+    if (!stat.isDirectory()) return;
+    const names = await fs.promises.readdir(path.join(rootAbs, ...rel.split('/')));
+    for (const name of names.sort()) await walk(`${rel}/${name}`);
+  };
+  for (const entry of entries) await walk(entry);
+  return out;
+}
+
+// leftovers of atomicWriteText that was interrupted between writeFile and rename
+async function listTempFiles(rootAbs, { recursive = true } = {}) {
+  const out = [];
+  const walk = async (absDir) => {
+    let entries = [];
+    try {
+      entries = await fs.promises.readdir(absDir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const name = String(entry?.name || '');
+      const abs = path.join(absDir, name);
+      if (entry.isDirectory()) {
+        if (recursive) await walk(abs);
+        continue;
+      }
+      if (entry.isFile() && name.startsWith('.') && name.endsWith('.tmp')) out.push(abs);
+    }
+  };
+  await walk(rootAbs);
+  return out;
+}
+
+async function noteFromFile(file) {
+  let parsed = { data: {}, body: '' };
+  try {
+    parsed = await readNoteFile(file.fileAbs);
+  } catch {
+    parsed = { data: {}, body: '' };
+  }
+  const meta = parsed.data || {};
+  let stat = null;
+  try {
+    stat = await fs.promises.stat(file.fileAbs);
+  } catch {
+    stat = null;
+  }
   const now = nowIso();
+  const statCreatedAt = stat?.birthtime ? new Date(stat.birthtime).toISOString() : stat?.mtime ? new Date(stat.mtime).toISOString() : now;
+  const updatedAt = stat?.mtime ? new Date(stat.mtime).toISOString() : now;
+  const metaCreatedAt = typeof meta.createdAt === 'string' && Number.isFinite(Date.parse(meta.createdAt)) ? meta.createdAt : '';
+  return {
+    id: file.id,
+    title:
+      normalizeTitle(typeof meta.title === 'string' ? meta.title : '') ||
+      (isEncryptedBody(parsed.body) ? '' : normalizeTitle(extractTitleFromMarkdown(parsed.body))) ||
+      'Untitled',
+    folder: normalizeOptionalString(file.folder),
+    tags: tagsFromFrontMatter(meta.tags),
+    createdAt: metaCreatedAt || statCreatedAt,
+    updatedAt,
+    encrypted: isEncryptedBody(parsed.body),
+    fileName: path.basename(file.fileAbs),
+    properties: propertiesFromFields(customFrontMatterFields(meta)),
+  };
+}
+
+async function rebuildIndexFromFilesystem(notesRoot) {
+  const files = await listNoteFiles(notesRoot);
   const notes = [];
   for (const f of files) {
-    let content = '';
+    notes.push(await noteFromFile(f));
+  }
+  return { version: INDEX_VERSION, notes };
+}
+
+// rewrites notes that predate front matter (or whose front matter lost its id) without touching their body.
+// A `---` block without our id is user text unless the note was just read from it (fromFiles), so it is kept verbatim.
+async function ensureFrontMatterForNotes(notesRoot, notes, { fromFiles = false } = {}) {
+  let migrated = 0;
+  for (const note of Array.isArray(notes) ? notes : []) {
+    const abs = noteFileAbs(notesRoot, note.folder, note);
+    let parsed = null;
     try {
-      content = await fs.promises.readFile(f.fileAbs, 'utf8');
+      parsed = await readNoteFile(abs);
     } catch {
-      content = '';
+      continue;
     }
-    let stat = null;
+    if (parsed.hasFrontMatter && parsed.data?.id === note.id) continue;
+    if (fromFiles) await writeNoteFile(abs, note, parsed.body, parsed.fields);
+    else await writeNoteFile(abs, note, parsed.raw, {});
+    migrated += 1;
+  }
+  return migrated;
+}
+
+// gives notes still stored as `<id>.md` a file named after their title; their id is already in the front matter
+async function renameNoteFilesToTitles(notesRoot, notes) {
+  const takenByFolder = new Map();
+  const takenIn = (folder) => {
+    if (!takenByFolder.has(folder)) takenByFolder.set(folder, new Set());
+    return takenByFolder.get(folder);
+  };
+  const list = Array.isArray(notes) ? notes : [];
+  const named = (n) => noteFileName(n) !== `${n.id}.md`;
+  list.forEach((n) => {
+    if (named(n)) takenIn(n.folder).add(noteFileName(n).toLowerCase());
+  });
+  const out = [];
+  for (const note of list) {
+    const fromAbs = noteFileAbs(notesRoot, note.folder, note);
+    if (named(note) || !(await isFile(fromAbs))) {
+      out.push(note);
+      continue;
+    }
+    const taken = takenIn(note.folder);
+    let fileName = uniqueNoteFileName(note.title, taken);
+    while (await isFile(noteFileAbs(notesRoot, note.folder, { fileName }))) {
+      taken.add(fileName.toLowerCase());
+      fileName = uniqueNoteFileName(note.title, taken);
+    }
+    taken.add(fileName.toLowerCase());
+    await fs.promises.rename(fromAbs, noteFileAbs(notesRoot, note.folder, { fileName }));
+    out.push({ ...note, fileName });
+  }
+  return out;
+}
+
+async function readPropertiesForNotes(notesRoot, notes) {
+  const out = [];
+  for (const note of Array.isArray(notes) ? notes : []) {
+    let fields = {};
     try {
-      stat = await fs.promises.stat(f.fileAbs);
+      fields = (await readNoteFile(noteFileAbs(notesRoot, note.folder, note))).fields;
     } catch {
-      stat = null;
+      fields = {};
     }
-    const createdAt = stat?.birthtime ? new Date(stat.birthtime).toISOString() : stat?.mtime ? new Date(stat.mtime).toISOString() : now;
-    const updatedAt = stat?.mtime ? new Date(stat.mtime).toISOString() : now;
-    notes.push({
-      id: f.id,
-      title: normalizeTitle(extractTitleFromMarkdown(content)) || 'Untitled',
-      folder: normalizeOptionalString(f.folder),
-      tags: [],
-      createdAt,
-      updatedAt,
-    });
+    out.push({ ...note, properties: propertiesFromFields(fields) });
   }
-  return { version: INDEX_VERSION, notes };
+  return out;
 }
 
-export function createNotepadStore({ dataDir } = {}) {
+export function createNotepadStore({ dataDir, maxRevisions, trashRetentionDays } = {}) {
   const baseDirRaw = normalizeOptionalString(dataDir);
   if (!baseDirRaw) {
     throw new Error('dataDir is required');
   }
   const baseDir = path.resolve(baseDirRaw);
   const notesRoot = path.join(baseDir, 'notes');
-  const indexPath = path.join(baseDir, 'notes-index.json');
+  const revisionsRoot = path.join(baseDir, 'revisions');
+  const trashRoot = path.join(baseDir, 'trash');
+  const attachmentsRoot = path.join(baseDir, 'attachments');
+  const indexPath = path.join(baseDir, INDEX_FILE_NAME);
   const lockPath = path.join(baseDir, 'notes.lock');
+  const journalSettingsPath = path.join(baseDir, 'journal.json');
+  const encryptionSettingsPath = path.join(baseDir, ENCRYPTION_FILE_NAME);
+  const backupsRoot = path.join(baseDir, 'backups');
+  const backupSettingsPath = path.join(baseDir, 'backups.json');
+  // indexes derived from note bodies; each kept in its own file and updated on every mutation
+  const derivedIndexes = {
+    search: { file: path.join(baseDir, 'search-index.json'), version: SEARCH_INDEX_VERSION, create: createSearchIndex, cache: null },
+    links: { file: path.join(baseDir, 'links-index.json'), version: LINK_INDEX_VERSION, create: createLinkIndex, cache: null },
+    tasks: { file: path.join(baseDir, 'tasks-index.json'), version: TASK_INDEX_VERSION, create: createTaskIndex, cache: null },
+  };
+  const revisionLimit = Number.isFinite(maxRevisions) ? Math.max(1, Math.floor(maxRevisions)) : DEFAULT_MAX_REVISIONS;
+  const trashRetentionMs =
+    (Number.isFinite(trashRetentionDays) ? Math.max(0, trashRetentionDays) : DEFAULT_TRASH_RETENTION_DAYS) * DAY_MS;
+
+  const rebuildIndexLocked = async () => {
+    Object.values(derivedIndexes).forEach((spec) => {
+      spec.cache = null;
+    });
+    const rebuilt = await rebuildIndexFromFilesystem(notesRoot);
+    await ensureFrontMatterForNotes(notesRoot, rebuilt.notes, { fromFiles: true });
+    await atomicWriteText(indexPath, JSON.stringify(rebuilt, null, 2));
+    return rebuilt;
+  };
 
   const loadIndexLocked = async () => {
     await ensureDir(notesRoot);
     const exists = await isFile(indexPath);
     if (!exists) {
-      const rebuilt = await rebuildIndexFromFilesystem(notesRoot);
-      await atomicWriteText(indexPath, JSON.stringify(rebuilt, null, 2));
-      return rebuilt;
+      return await rebuildIndexLocked();
     }
 
     let raw = '';
@@ -329,9 +994,7 @@ export function createNotepadStore({ dataDir } = {}) {
       raw = await fs.promises.readFile(indexPath, 'utf8');
     } catch (err) {
       if (err?.code === 'ENOENT') {
-        const rebuilt = await rebuildIndexFromFilesystem(notesRoot);
-        await atomicWriteText(indexPath, JSON.stringify(rebuilt, null, 2));
-        return rebuilt;
+        return await rebuildIndexLocked();
       }
       throw err;
     }
@@ -346,17 +1009,35 @@ export function createNotepadStore({ dataDir } = {}) {
       } catch {
         // ignore
       }
-      const rebuilt = await rebuildIndexFromFilesystem(notesRoot);
-      await atomicWriteText(indexPath, JSON.stringify(rebuilt, null, 2));
-      return rebuilt;
+      return await rebuildIndexLocked();
     }
 
-    const normalized = normalizeIndex(parsed);
-    if (normalized.version !== INDEX_VERSION) {
-      // currently: keep data, bump version
-      normalized.version = INDEX_VERSION;
-      await atomicWriteText(indexPath, JSON.stringify(normalized, null, 2));
+    if (readIndexVersion(parsed) === INDEX_VERSION) return normalizeIndex(parsed);
+    return await migrateIndexLocked(parsed, raw);
+  };
+
+  const migrateIndexLocked = async (parsed, raw) => {
+    const fromVersion = readIndexVersion(parsed);
+    if (fromVersion < INDEX_VERSION) {
+      const backup = path.join(baseDir, `notes-index.v${fromVersion}.${Date.now().toString(36)}.json`);
+      await atomicWriteText(backup, raw);
     }
+    // refuses (throws) when the index was written by a newer version instead of dropping its fields
+    const migrated = await migrateIndex(parsed, {
+      context: {
+        ensureFrontMatter: async (notes) => await ensureFrontMatterForNotes(notesRoot, normalizeIndex({ notes }).notes),
+        renameNoteFiles: async (notes) => {
+          const normalized = normalizeIndex({ notes }).notes;
+          // the id must be in the front matter before the file name stops carrying it
+          await ensureFrontMatterForNotes(notesRoot, normalized);
+          return await renameNoteFilesToTitles(notesRoot, normalized);
+        },
+        readProperties: async (notes) => await readPropertiesForNotes(notesRoot, normalizeIndex({ notes }).notes),
+      },
+    });
+    const normalized = normalizeIndex(migrated.index);
+    normalized.version = INDEX_VERSION;
+    await atomicWriteText(indexPath, JSON.stringify(normalized, null, 2));
     return normalized;
   };
 
@@ -364,67 +1045,378 @@ export function createNotepadStore({ dataDir } = {}) {
     const normalized = normalizeIndex(index);
     normalized.version = INDEX_VERSION;
     await atomicWriteText(indexPath, JSON.stringify(normalized, null, 2));
+    changeFeed.poke();
     return normalized;
   };
 
   const getIndexSnapshot = async () =>
     await withFileLock(lockPath, async () => clone(await loadIndexLocked()));
 
-  const init = async () => {
-    const index = await getIndexSnapshot();
-    return {
-      ok: true,
-      dataDir: baseDir,
-      notesRoot,
-      indexPath,
-      version: INDEX_VERSION,
-      notes: index?.notes?.length || 0,
-    };
+  // encrypted bodies never reach the derived indexes
+  const readNoteBodySafe = async (note) => {
+    try {
+      const { body } = await readNoteFile(noteFileAbs(notesRoot, note.folder, note));
+      return isEncryptedBody(body) ? '' : body;
+    } catch {
+      return '';
+    }
   };
 
-  const listFolders = async () => {
-    await ensureDir(notesRoot);
-    const folders = [''];
-    const walk = async (absDir, relDir) => {
-      let entries = [];
-      try {
-        entries = await fs.promises.readdir(absDir, { withFileTypes: true });
-      } catch {
-        return;
-      }
-      for (const entry of entries) {
-        if (!entry?.isDirectory?.()) continue;
-        const name = String(entry.name || '');
-        if (!name) continue;
-        const nextRel = relDir ? `${relDir}/${name}` : name;
-        folders.push(nextRel);
-        await walk(path.join(absDir, name), nextRel);
-      }
-    };
-    await walk(notesRoot, '');
-    folders.sort((a, b) => a.localeCompare(b));
-    return { ok: true, folders };
-  };
+  // the derived key lives only in this process (backend or MCP server) and is dropped after ENCRYPTION_IDLE_MS unused
+  let unlockedKey = null;
+  let unlockedUntil = 0;
 
-  const createFolder = async ({ folder } = {}) => {
-    let rel = '';
-    try {
-      rel = normalizeFolderPath(folder);
-    } catch (err) {
-      return { ok: false, message: err?.message || String(err) };
+  const sessionKey = () => {
+    if (!unlockedKey) return null;
+    if (Date.now() > unlockedUntil) {
+      unlockedKey = null;
+      return null;
     }
-    if (!rel) return { ok: false, message: 'folder is required' };
-    const abs = path.join(notesRoot, ...splitFolder(rel));
+    unlockedUntil = Date.now() + ENCRYPTION_IDLE_MS;
+    return unlockedKey;
+  };
+
+  const readEncryptionSettingsLocked = async () => {
     try {
-      await ensureDir(abs);
-      return { ok: true, folder: rel };
-    } catch (err) {
-      return { ok: false, message: err?.message || String(err) };
+      return normalizeEncryptionSettings(JSON.parse(await fs.promises.readFile(encryptionSettingsPath, 'utf8')));
+    } catch {
+      return normalizeEncryptionSettings(null);
     }
   };
 
-  const renameFolder = async ({ from, to } = {}) =>
-    await withFileLock(lockPath, async () => {
+  const lockedResult = (note) => ({
+    ok: false,
+    locked: true,
+    message: 'Note is encrypted; unlock the notebook first',
+    ...(note ? { note: { ...note, file: noteFileRel(note.folder, note) } } : {}),
+  });
+
+  // plaintext of a stored body, or null while locked
+  const openBody = (body) => {
+    if (!isEncryptedBody(body)) return body;
+    const key = sessionKey();
+    return key ? decryptText(key, body) : null;
+  };
+
+  // encrypts the given notes in place (file + index entry); their plaintext revisions are dropped
+  const encryptNotesLocked = async (index, notes, key) => {
+    const upsert = [];
+    for (const note of notes) {
+      const idx = index.notes.findIndex((n) => n.id === note.id);
+      if (idx < 0 || index.notes[idx].encrypted) continue;
+      const abs = noteFileAbs(notesRoot, note.folder, note);
+      const parsed = await readNoteFile(abs);
+      const updated = { ...index.notes[idx], encrypted: true, revision: index.notes[idx].revision + 1 };
+      if (!isEncryptedBody(parsed.body)) await writeNoteFile(abs, updated, encryptText(key, parsed.body), parsed.fields);
+      await removeRevisionsLocked(note.id);
+      index.notes[idx] = updated;
+      upsert.push({ note: updated, body: '' });
+    }
+    return upsert;
+  };
+
+  const decryptNotesLocked = async (index, notes, key) => {
+    const upsert = [];
+    for (const note of notes) {
+      const idx = index.notes.findIndex((n) => n.id === note.id);
+      if (idx < 0 || !index.notes[idx].encrypted) continue;
+      const abs = noteFileAbs(notesRoot, note.folder, note);
+      const parsed = await readNoteFile(abs);
+      const body = isEncryptedBody(parsed.body) ? decryptText(key, parsed.body) : parsed.body;
+      const updated = { ...index.notes[idx], encrypted: false, revision: index.notes[idx].revision + 1 };
+      await writeNoteFile(abs, updated, body, parsed.fields);
+      await removeRevisionsLocked(note.id);
+      index.notes[idx] = updated;
+      upsert.push({ note: updated, body });
+    }
+    return upsert;
+  };
+
+  const saveDerivedIndexLocked = async (spec, derived) => {
+    await atomicWriteText(spec.file, JSON.stringify(derived.toJSON()));
+    const stat = await fs.promises.stat(spec.file);
+    spec.cache = { index: derived, mtimeMs: stat.mtimeMs, size: stat.size };
+  };
+
+  // the file may have been rewritten by another process (backend vs MCP server), so the cache is keyed by mtime
+  const loadDerivedIndexLocked = async (spec, index) => {
+    let stat = null;
+    try {
+      stat = await fs.promises.stat(spec.file);
+    } catch {
+      stat = null;
+    }
+    if (stat && spec.cache && spec.cache.mtimeMs === stat.mtimeMs && spec.cache.size === stat.size) {
+      return spec.cache.index;
+    }
+
+    let json = null;
+    if (stat) {
+      try {
+        json = JSON.parse(await fs.promises.readFile(spec.file, 'utf8'));
+      } catch {
+        json = null;
+      }
+    }
+    const derived = spec.create(json);
+    let changed = json?.version !== spec.version;
+
+    const notes = Array.isArray(index?.notes) ? index.notes : [];
+    const known = new Set(notes.map((n) => n.id));
+    derived.ids().forEach((id) => {
+      if (known.has(id)) return;
+      derived.removeDocument(id);
+      changed = true;
+    });
+    for (const note of notes) {
+      if (derived.has(note.id)) continue;
+      derived.setDocument(note.id, { title: note.title, body: await readNoteBodySafe(note) });
+      changed = true;
+    }
+
+    if (changed) {
+      await saveDerivedIndexLocked(spec, derived);
+    } else {
+      spec.cache = { index: derived, mtimeMs: stat.mtimeMs, size: stat.size };
+    }
+    return derived;
+  };
+
+  const reindexNotesLocked = async (index, { upsert = [], remove = [] } = {}) => {
+    const docs = [];
+    for (const item of upsert) {
+      const note = item?.note || item;
+      if (!note?.id) continue;
+      const body = typeof item?.body === 'string' ? item.body : await readNoteBodySafe(note);
+      docs.push({ id: note.id, title: note.title, body: isEncryptedBody(body) ? '' : body });
+    }
+    // each file is only rewritten when one of its documents actually changed (a title edit leaves links and tasks alone)
+    for (const spec of Object.values(derivedIndexes)) {
+      const derived = await loadDerivedIndexLocked(spec, index);
+      let changed = false;
+      remove.forEach((id) => {
+        if (derived.removeDocument(id)) changed = true;
+      });
+      docs.forEach((doc) => {
+        if (derived.setDocument(doc.id, { title: doc.title, body: doc.body })) changed = true;
+      });
+      if (changed) await saveDerivedIndexLocked(spec, derived);
+    }
+  };
+
+  const revisionDirAbs = (noteId) => path.join(revisionsRoot, noteId);
+
+  const readRevisionFile = async (noteId, revisionId) => {
+    const abs = path.join(revisionDirAbs(noteId), `${revisionId}.json`);
+    const raw = await fs.promises.readFile(abs, 'utf8');
+    const parsed = JSON.parse(String(raw || ''));
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  };
+
+  const listRevisionIds = async (noteId) => {
+    let entries = [];
+    try {
+      entries = await fs.promises.readdir(revisionDirAbs(noteId));
+    } catch {
+      return [];
+    }
+    return entries
+      .filter((name) => name.endsWith('.json'))
+      .map((name) => name.slice(0, -5))
+      .filter((name) => SORTABLE_ID_RE.test(name))
+      .sort((a, b) => b.localeCompare(a));
+  };
+
+  const pruneRevisionsLocked = async (noteId) => {
+    const ids = await listRevisionIds(noteId);
+    for (const revisionId of ids.slice(revisionLimit)) {
+      try {
+        await fs.promises.unlink(path.join(revisionDirAbs(noteId), `${revisionId}.json`));
+      } catch {
+        // ignore
+      }
+    }
+  };
+
+  // Keeps the state of a note *before* it gets overwritten, so every save can be undone.
+  const snapshotRevisionLocked = async (note, content, reason = 'update') => {
+    const revisionId = createSortableId();
+    const revision = {
+      id: revisionId,
+      noteId: note.id,
+      reason,
+      createdAt: nowIso(),
+      title: normalizeTitle(note.title),
+      folder: normalizeOptionalString(note.folder),
+      tags: uniqTags(note.tags),
+      noteUpdatedAt: normalizeOptionalString(note.updatedAt),
+      content: String(content ?? ''),
+    };
+    const abs = path.join(revisionDirAbs(note.id), `${revisionId}.json`);
+    await atomicWriteText(abs, JSON.stringify(revision, null, 2));
+    await pruneRevisionsLocked(note.id);
+    return revision;
+  };
+
+  const removeRevisionsLocked = async (noteId) => {
+    try {
+      await fs.promises.rm(revisionDirAbs(noteId), { recursive: true, force: true });
+    } catch {
+      // ignore
+    }
+  };
+
+  const trashItemDirAbs = (trashId) => path.join(trashRoot, trashId);
+  const trashFilesAbs = (trashId) => path.join(trashItemDirAbs(trashId), 'files');
+
+  const readTrashItem = async (trashId) => {
+    const raw = await fs.promises.readFile(path.join(trashItemDirAbs(trashId), 'item.json'), 'utf8');
+    const parsed = JSON.parse(String(raw || ''));
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  };
+
+  const listTrashItems = async () => {
+    let entries = [];
+    try {
+      entries = await fs.promises.readdir(trashRoot, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+    const items = [];
+    for (const entry of entries) {
+      if (!entry?.isDirectory?.()) continue;
+      const trashId = String(entry.name || '');
+      if (!SORTABLE_ID_RE.test(trashId)) continue;
+      try {
+        const item = await readTrashItem(trashId);
+        if (item) items.push({ ...item, id: trashId });
+      } catch {
+        // ignore
+      }
+    }
+    items.sort((a, b) => String(b.deletedAt || '').localeCompare(String(a.deletedAt || '')));
+    return items;
+  };
+
+  // Moves a note file (kind=note) or a whole folder (kind=folder) into trash/<trashId>/files,
+  // remembering the index entries so they can be restored with tags and timestamps intact.
+  const attachmentDirAbs = (noteId) => path.join(attachmentsRoot, noteId);
+  const trashAttachmentsAbs = (trashId) => path.join(trashItemDirAbs(trashId), 'attachments');
+
+  // attachments live per note id, so moving a note between folders leaves them in place;
+  // trashing/restoring a note carries them along
+  const moveToTrashLocked = async ({ kind, folder, title, notes, sourceAbs, withAttachments = true }) => {
+    const trashId = createSortableId();
+    const item = {
+      id: trashId,
+      kind,
+      folder: normalizeOptionalString(folder),
+      title: normalizeOptionalString(title),
+      deletedAt: nowIso(),
+      notes: (Array.isArray(notes) ? notes : []).map((n) => clone(n)),
+    };
+    const filesAbs = trashFilesAbs(trashId);
+    if (kind === 'folder') {
+      await ensureDir(path.dirname(filesAbs));
+      await fs.promises.rename(sourceAbs, filesAbs);
+    } else {
+      const note = item.notes[0];
+      await ensureDir(filesAbs);
+      try {
+        await fs.promises.rename(sourceAbs, path.join(filesAbs, `${note.id}.md`));
+      } catch (err) {
+        if (err?.code !== 'ENOENT') throw err;
+      }
+    }
+    if (withAttachments) {
+      for (const note of item.notes) {
+        const dirAbs = attachmentDirAbs(note.id);
+        if (await isDirectory(dirAbs)) await moveTree(dirAbs, path.join(trashAttachmentsAbs(trashId), note.id));
+      }
+    }
+    await atomicWriteText(path.join(trashItemDirAbs(trashId), 'item.json'), JSON.stringify(item, null, 2));
+    return item;
+  };
+
+  const purgeTrashItemLocked = async (item) => {
+    for (const note of Array.isArray(item?.notes) ? item.notes : []) {
+      const noteId = normalizeOptionalString(note?.id);
+      if (noteId) await removeRevisionsLocked(noteId);
+    }
+    await fs.promises.rm(trashItemDirAbs(item.id), { recursive: true, force: true });
+  };
+
+  const autoPurgeTrashLocked = async () => {
+    if (!(trashRetentionMs > 0)) return 0;
+    const cutoff = Date.now() - trashRetentionMs;
+    let purged = 0;
+    for (const item of await listTrashItems()) {
+      const deletedMs = Date.parse(item.deletedAt || '');
+      if (!Number.isFinite(deletedMs) || deletedMs > cutoff) continue;
+      await purgeTrashItemLocked(item);
+      purged += 1;
+    }
+    return purged;
+  };
+
+  const init = async () => {
+    const index = await withFileLock(lockPath, async () => {
+      await autoPurgeTrashLocked();
+      return clone(await loadIndexLocked());
+    });
+    return {
+      ok: true,
+      dataDir: baseDir,
+      notesRoot,
+      indexPath,
+      version: INDEX_VERSION,
+      notes: index?.notes?.length || 0,
+    };
+  };
+
+  const listFolders = async () => {
+    await ensureDir(notesRoot);
+    const folders = [''];
+    const walk = async (absDir, relDir) => {
+      let entries = [];
+      try {
+        entries = await fs.promises.readdir(absDir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        if (!entry?.isDirectory?.()) continue;
+        const name = String(entry.name || '');
+        if (!name) continue;
+        const nextRel = relDir ? `${relDir}/${name}` : name;
+        folders.push(nextRel);
+        await walk(path.join(absDir, name), nextRel);
+      }
+    };
+    await walk(notesRoot, '');
+    folders.sort((a, b) => a.localeCompare(b));
+    return { ok: true, folders };
+  };
+
+  const createFolder = async ({ folder } = {}) => {
+    let rel = '';
+    try {
+      rel = normalizeFolderPath(folder);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+    if (!rel) return { ok: false, message: 'folder is required' };
+    const abs = path.join(notesRoot, ...splitFolder(rel));
+    try {
+      await ensureDir(abs);
+      return { ok: true, folder: rel };
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+  };
+
+  const renameFolder = async ({ from, to } = {}) =>
+    await withFileLock(lockPath, async () => {
       let fromRel = '';
       let toRel = '';
       try {
@@ -446,10 +1438,22 @@ export function createNotepadStore({ dataDir } = {}) {
       if (!(await isDirectory(fromAbs))) return { ok: false, message: `Folder not found: ${fromRel}` };
       if (await isDirectory(toAbs)) return { ok: false, message: `Target folder already exists: ${toRel}` };
 
+      // encryption marks follow the folder; plaintext notes moved under an encrypted folder get encrypted
+      const encryption = await readEncryptionSettingsLocked();
+      const remap = (f) => (f === fromRel ? toRel : f.startsWith(`${fromRel}/`) ? `${toRel}/${f.slice(fromRel.length + 1)}` : f);
+      const nextEncryption = { ...encryption, folders: encryption.folders.map(remap) };
+      const index = await loadIndexLocked();
+      const inFrom = (f) => f === fromRel || f.startsWith(`${fromRel}/`);
+      const toSeal = index.notes.filter((n) => !n.encrypted && inFrom(n.folder) && isEncryptedFolder(nextEncryption, remap(n.folder)));
+      const key = toSeal.length > 0 ? sessionKey() : null;
+      if (toSeal.length > 0 && !key) return lockedResult(null);
+
       await ensureDir(path.dirname(toAbs));
       await fs.promises.rename(fromAbs, toAbs);
+      if (nextEncryption.folders.join('\n') !== encryption.folders.join('\n')) {
+        await atomicWriteText(encryptionSettingsPath, JSON.stringify(nextEncryption, null, 2));
+      }
 
-      const index = await loadIndexLocked();
       let movedNotes = 0;
       index.notes = index.notes.map((n) => {
         const folder = normalizeOptionalString(n.folder).replace(/\\/g, '/');
@@ -463,7 +1467,9 @@ export function createNotepadStore({ dataDir } = {}) {
         }
         return n;
       });
+      const sealed = await encryptNotesLocked(index, index.notes.filter((n) => toSeal.some((t) => t.id === n.id)), key);
       await saveIndexLocked(index);
+      if (sealed.length > 0) await reindexNotesLocked(index, { upsert: sealed });
       return { ok: true, from: fromRel, to: toRel, movedNotes };
     });
 
@@ -494,8 +1500,9 @@ export function createNotepadStore({ dataDir } = {}) {
         return { ok: true, folder: rel, deletedNotes: 0 };
       }
 
+      let item = null;
       try {
-        await fs.promises.rm(abs, { recursive: true, force: true });
+        item = await moveToTrashLocked({ kind: 'folder', folder: rel, title: rel, notes: affected, sourceAbs: abs });
       } catch (err) {
         return { ok: false, message: err?.message || String(err) };
       }
@@ -503,14 +1510,22 @@ export function createNotepadStore({ dataDir } = {}) {
       const toRemove = new Set(affected.map((n) => n.id));
       index.notes = index.notes.filter((n) => !toRemove.has(n.id));
       await saveIndexLocked(index);
+      const encryption = await readEncryptionSettingsLocked();
+      const marks = encryption.folders.filter((f) => f !== rel && !f.startsWith(`${rel}/`));
+      if (marks.length !== encryption.folders.length) {
+        await atomicWriteText(encryptionSettingsPath, JSON.stringify({ ...encryption, folders: marks }, null, 2));
+      }
+      await reindexNotesLocked(index, { remove: Array.from(toRemove) });
 
-      return { ok: true, folder: rel, deletedNotes: affected.length };
+      return { ok: true, folder: rel, deletedNotes: affected.length, trashId: item.id };
     });
 
-  const listNotes = async ({ folder = '', recursive = true, tags = [], match = 'all', query = '', limit = 200 } = {}) => {
+  const listNotes = async ({ folder = '', recursive = true, tags = [], match = 'all', query = '', where, limit = 200 } = {}) => {
     let folderRel = '';
+    let matchesWhere = null;
     try {
       folderRel = normalizeFolderPath(folder);
+      matchesWhere = compileWhere(where);
     } catch (err) {
       return { ok: false, message: err?.message || String(err) };
     }
@@ -520,71 +1535,194 @@ export function createNotepadStore({ dataDir } = {}) {
     const max = Number.isFinite(limit) ? Math.max(1, Math.min(500, Math.floor(limit))) : 200;
 
     const index = await getIndexSnapshot();
-    let notes = Array.isArray(index?.notes) ? index.notes.slice() : [];
+    let notes = filterNotes(index?.notes, { folderRel, recursive, desiredTags, matchMode, q });
+    if (matchesWhere) notes = notes.filter(matchesWhere);
 
-    if (folderRel) {
-      const prefix = `${folderRel}/`;
-      notes = notes.filter((n) => {
-        const f = normalizeOptionalString(n.folder).replace(/\\/g, '/');
-        if (f === folderRel) return true;
-        if (recursive === false) return false;
-        return f.startsWith(prefix);
-      });
+    notes.sort(compareNotesForList);
+    return { ok: true, notes: notes.slice(0, max) };
+  };
+
+  const listTemplates = async () => {
+    const index = await getIndexSnapshot();
+    const templates = (Array.isArray(index?.notes) ? index.notes : []).filter((n) => isTemplateFolder(n.folder));
+    templates.sort((a, b) => normalizeOptionalString(a.title).localeCompare(normalizeOptionalString(b.title)));
+    return { ok: true, folder: TEMPLATES_FOLDER, templates };
+  };
+
+  // names are unique per folder, ignoring case; files on disk that are not indexed are never overwritten
+  const pickFileNameLocked = async (index, folder, { title, keep = '', note = null } = {}) => {
+    const taken = new Set(
+      index.notes.filter((n) => n.folder === folder && n.id !== note?.id).map((n) => noteFileName(n).toLowerCase())
+    );
+    const ownAbs = note ? noteFileAbs(notesRoot, note.folder, note) : '';
+    let name = keep && !taken.has(keep.toLowerCase()) ? keep : uniqueNoteFileName(title, taken);
+    while (noteFileAbs(notesRoot, folder, { fileName: name }) !== ownAbs && (await isFile(noteFileAbs(notesRoot, folder, { fileName: name })))) {
+      taken.add(name.toLowerCase());
+      name = uniqueNoteFileName(title, taken);
     }
+    return name;
+  };
 
-    if (desiredTags.length > 0) {
-      const desiredKeys = desiredTags.map((t) => t.toLowerCase());
-      notes = notes.filter((n) => {
-        const tagKeys = new Set((Array.isArray(n.tags) ? n.tags : []).map((t) => String(t || '').toLowerCase()));
-        if (matchMode === 'any') return desiredKeys.some((t) => tagKeys.has(t));
-        return desiredKeys.every((t) => tagKeys.has(t));
-      });
+  const createNoteLocked = async ({
+    folder = '',
+    title = '',
+    content = '',
+    tags = [],
+    pinned = false,
+    templateId = '',
+    variables = {},
+  } = {}) => {
+    let folderRel = '';
+    try {
+      folderRel = normalizeFolderPath(folder);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+    const index = await loadIndexLocked();
+    const templateRef = normalizeOptionalString(templateId);
+    let template = null;
+    if (templateRef) {
+      if (normalizeOptionalString(content)) return { ok: false, message: 'content and templateId cannot be combined' };
+      const templateNote = index.notes.find((n) => n.id === templateRef);
+      if (!templateNote || !isTemplateFolder(templateNote.folder)) {
+        return { ok: false, message: `Template not found: ${templateRef}` };
+      }
+      template = { note: templateNote, ...(await readNoteFile(noteFileAbs(notesRoot, templateNote.folder, templateNote))) };
+      template.body = openBody(template.body);
+      if (template.body === null) return lockedResult(templateNote);
     }
 
-    if (q) {
-      notes = notes.filter((n) => {
-        const title = normalizeOptionalString(n.title).toLowerCase();
-        const folderName = normalizeOptionalString(n.folder).toLowerCase();
-        return title.includes(q) || folderName.includes(q);
+    const parsed = parseFrontMatter(String(content ?? ''));
+    const meta = parsed.data || {};
+    const explicitTags = uniqTags(tags);
+    let desiredTags = explicitTags.length > 0 ? explicitTags : tagsFromFrontMatter(meta.tags);
+
+    let rawTitle =
+      normalizeTitle(title) ||
+      normalizeTitle(typeof meta.title === 'string' ? meta.title : '') ||
+      normalizeTitle(extractTitleFromMarkdown(parsed.body));
+    let md = normalizeOptionalString(parsed.body);
+    let fields = parsed.fields || customFrontMatterFields(meta);
+    if (template) {
+      // {{title}}/{{folder}} always describe the new note; callers may add or override the rest
+      const extra = {};
+      Object.entries(variables && typeof variables === 'object' ? variables : {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && typeof value !== 'object') extra[key] = String(value);
       });
+      const vars = { ...builtinTemplateVariables({ folder: folderRel }), ...extra, folder: folderRel };
+      rawTitle = rawTitle || normalizeTitle(expandTemplate(template.note.title, { ...vars, title: '' }));
+      vars.title = rawTitle || 'Untitled';
+      md = expandTemplate(template.body, vars);
+      fields = expandTemplateFields(template.fields, vars);
+      if (explicitTags.length === 0) desiredTags = uniqTags(template.note.tags);
     }
+    rawTitle = rawTitle || 'Untitled';
+    md = md || `# ${rawTitle}\n\n`;
+    const encrypted = isEncryptedFolder(await readEncryptionSettingsLocked(), folderRel);
+    const key = encrypted ? sessionKey() : null;
+    if (encrypted && !key) return lockedResult(null);
+
+    const id = crypto.randomUUID();
+    const now = nowIso();
+    const note = {
+      id,
+      title: rawTitle,
+      folder: folderRel,
+      tags: desiredTags,
+      createdAt: now,
+      updatedAt: now,
+      revision: 1,
+      pinned: pinned === true,
+      sortOrder: null,
+      encrypted,
+      properties: propertiesFromFields(fields),
+    };
+    note.fileName = await pickFileNameLocked(index, folderRel, { title: rawTitle });
+    const abs = noteFileAbs(notesRoot, folderRel, note);
+    await ensureDir(path.dirname(abs));
+    await writeNoteFile(abs, note, encrypted ? encryptText(key, md) : md, fields);
 
-    notes.sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
-    return { ok: true, notes: notes.slice(0, max) };
+    index.notes.unshift(note);
+    await saveIndexLocked(index);
+    await reindexNotesLocked(index, { upsert: [{ note, body: encrypted ? '' : md }] });
+
+    return { ok: true, note: { ...note, file: noteFileRel(folderRel, note) } };
+  };
+
+  const createNote = async (params = {}) => await withFileLock(lockPath, async () => await createNoteLocked(params));
+
+  const readJournalSettingsLocked = async () => {
+    try {
+      return normalizeJournalSettings(JSON.parse(await fs.promises.readFile(journalSettingsPath, 'utf8')));
+    } catch {
+      return normalizeJournalSettings(null);
+    }
   };
 
-  const createNote = async ({ folder = '', title = '', content = '', tags = [] } = {}) =>
+  const getJournalSettings = async () =>
+    await withFileLock(lockPath, async () => ({ ok: true, settings: await readJournalSettingsLocked() }));
+
+  const updateJournalSettings = async ({ folder, templateId } = {}) =>
     await withFileLock(lockPath, async () => {
-      let folderRel = '';
+      const current = await readJournalSettingsLocked();
+      const next = normalizeJournalSettings({
+        folder: folder === undefined ? current.folder : folder,
+        templateId: templateId === undefined ? current.templateId : templateId,
+      });
+      // validate the pattern against today so a typo is reported now rather than on the next daily note
+      let expanded = '';
       try {
-        folderRel = normalizeFolderPath(folder);
+        expanded = journalTarget(next, parseJournalDate('')).folder;
+        normalizeFolderPath(expanded);
       } catch (err) {
         return { ok: false, message: err?.message || String(err) };
       }
-      const desiredTags = uniqTags(tags);
-
-      const rawTitle = normalizeTitle(title) || normalizeTitle(extractTitleFromMarkdown(content)) || 'Untitled';
-      const md = normalizeOptionalString(content) || `# ${rawTitle}\n\n`;
+      // expandTemplate leaves unknown placeholders as they are, which would become a literal `{{yyyy}}` folder
+      const leftover = expanded.match(/\{\{[^}]*\}\}/);
+      if (leftover) {
+        return {
+          ok: false,
+          message: `Unknown placeholder in journal folder: ${leftover[0]} (use {{year}}, {{month}}, {{day}} or {{date}})`,
+        };
+      }
+      if (next.templateId) {
+        const index = await loadIndexLocked();
+        const template = index.notes.find((n) => n.id === next.templateId);
+        if (!template || !isTemplateFolder(template.folder)) return { ok: false, message: `Template not found: ${next.templateId}` };
+      }
+      await atomicWriteText(journalSettingsPath, JSON.stringify(next, null, 2));
+      return { ok: true, settings: next };
+    });
 
-      const id = crypto.randomUUID();
-      const abs = noteFileAbs(notesRoot, folderRel, id);
-      await ensureDir(path.dirname(abs));
-      await atomicWriteText(abs, md);
+  // daily notes are found by their date title inside the folder the journal pattern expands to
+  const getOrCreateDailyNote = async ({ date, create = true } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const day = parseJournalDate(date);
+      if (!day) return { ok: false, message: `Invalid date: ${date} (expected YYYY-MM-DD)` };
+      const settings = await readJournalSettingsLocked();
+      const target = journalTarget(settings, day);
+      let folderRel = '';
+      try {
+        folderRel = normalizeFolderPath(target.folder);
+      } catch (err) {
+        return { ok: false, message: err?.message || String(err) };
+      }
 
       const index = await loadIndexLocked();
-      const now = nowIso();
-      const note = {
-        id,
-        title: rawTitle,
-        folder: folderRel,
-        tags: desiredTags,
-        createdAt: now,
-        updatedAt: now,
-      };
-      index.notes.unshift(note);
-      await saveIndexLocked(index);
-
-      return { ok: true, note: { ...note, file: noteFileRel(folderRel, id) } };
+      const existing = index.notes
+        .filter((n) => n.folder === folderRel && n.title === target.title)
+        .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')))[0];
+      if (existing) {
+        return { ok: true, created: false, date: target.date, note: { ...existing, file: noteFileRel(existing.folder, existing) } };
+      }
+      if (create === false) return { ok: true, created: false, date: target.date, folder: folderRel, note: null };
+
+      // a deleted journal template should not block writing today's entry
+      const template = settings.templateId ? index.notes.find((n) => n.id === settings.templateId) : null;
+      const templateId = template && isTemplateFolder(template.folder) ? template.id : '';
+      const res = await createNoteLocked({ folder: folderRel, title: target.title, templateId, variables: target.variables });
+      if (!res?.ok) return res;
+      return { ok: true, created: true, date: target.date, note: res.note };
     });
 
   const getNote = async ({ id } = {}) => {
@@ -594,26 +1732,47 @@ export function createNotepadStore({ dataDir } = {}) {
     const note = (Array.isArray(index?.notes) ? index.notes : []).find((n) => n.id === noteId);
     if (!note) return { ok: false, message: `Note not found: ${noteId}` };
 
-    const abs = noteFileAbs(notesRoot, note.folder, noteId);
-    let content = '';
+    const abs = noteFileAbs(notesRoot, note.folder, note);
+    let parsed = null;
     try {
-      content = await fs.promises.readFile(abs, 'utf8');
+      parsed = await readNoteFile(abs);
     } catch (err) {
       return { ok: false, message: err?.message || String(err) };
     }
+    const content = openBody(parsed.body);
+    if (content === null) return lockedResult(note);
 
-    return { ok: true, note: { ...note, file: noteFileRel(note.folder, noteId) }, content };
+    return { ok: true, note: { ...note, file: noteFileRel(note.folder, note) }, content, fields: parsed.fields };
   };
 
-  const updateNote = async ({ id, title, content, folder, tags } = {}) =>
+  // the file is renamed along with the title unless renameFile is false
+  const updateNote = async ({ id, title, content, folder, tags, pinned, expectedRevision, renameFile = true } = {}) =>
     await withFileLock(lockPath, async () => {
       const noteId = normalizeOptionalString(id);
       if (!noteId) return { ok: false, message: 'id is required' };
+      const revisionError = expectedRevisionError(expectedRevision);
+      if (revisionError) return { ok: false, message: revisionError };
       const index = await loadIndexLocked();
       const idx = index.notes.findIndex((n) => n.id === noteId);
       if (idx < 0) return { ok: false, message: `Note not found: ${noteId}` };
 
       const current = index.notes[idx];
+      if (expectedRevision !== undefined && expectedRevision !== null && expectedRevision !== current.revision) {
+        let latest = null;
+        try {
+          latest = await readNoteFile(noteFileAbs(notesRoot, current.folder, current));
+        } catch {
+          latest = null;
+        }
+        return {
+          ok: false,
+          conflict: true,
+          message: `Revision conflict: note ${noteId} is at revision ${current.revision}, expected ${expectedRevision}`,
+          note: { ...current, file: noteFileRel(current.folder, current) },
+          content: latest ? openBody(latest.body) ?? '' : '',
+          fields: latest ? latest.fields : {},
+        };
+      }
       let nextFolder = normalizeOptionalString(current.folder).replace(/\\/g, '/');
       if (folder !== undefined) {
         try {
@@ -622,12 +1781,46 @@ export function createNotepadStore({ dataDir } = {}) {
           return { ok: false, message: err?.message || String(err) };
         }
       }
-      const nextTitle = title !== undefined ? normalizeTitle(title) : normalizeOptionalString(current.title);
-      const nextTags = tags !== undefined ? uniqTags(tags) : uniqTags(current.tags);
-      const nextContent = content !== undefined ? String(content ?? '') : null;
 
-      const oldAbs = noteFileAbs(notesRoot, current.folder, noteId);
-      const newAbs = noteFileAbs(notesRoot, nextFolder, noteId);
+      const oldAbs = noteFileAbs(notesRoot, current.folder, current);
+
+      let previous = null;
+      try {
+        previous = await readNoteFile(oldAbs);
+      } catch {
+        previous = null;
+      }
+
+      // metadata-only edits of an encrypted note carry the ciphertext over without the key
+      const encrypted = current.encrypted === true || isEncryptedFolder(await readEncryptionSettingsLocked(), nextFolder);
+      const key = encrypted ? sessionKey() : null;
+      if (encrypted && !key && (content !== undefined || current.encrypted !== true)) return lockedResult(current);
+      const previousPlain = previous && isEncryptedBody(previous.body) ? (key ? decryptText(key, previous.body) : null) : previous?.body;
+
+      // incoming content may carry its own front matter; explicit title/tags params still win
+      const incoming = content !== undefined ? parseFrontMatter(String(content ?? '')) : null;
+      const incomingMeta = incoming?.hasFrontMatter ? incoming.data || {} : {};
+      const nextBody = incoming ? incoming.body : previousPlain ?? '';
+      const nextFields = incoming?.hasFrontMatter ? customFrontMatterFields(incomingMeta) : previous?.fields || {};
+      let nextTitle = normalizeOptionalString(current.title);
+      if (title !== undefined) nextTitle = normalizeTitle(title);
+      else if (typeof incomingMeta.title === 'string') nextTitle = normalizeTitle(incomingMeta.title);
+      let nextTags = uniqTags(current.tags);
+      if (tags !== undefined) nextTags = uniqTags(tags);
+      else if (incomingMeta.tags !== undefined) nextTags = tagsFromFrontMatter(incomingMeta.tags);
+
+      const contentChanged = previous !== null && incoming !== null && nextBody !== previousPlain;
+      const titleChanged = nextTitle !== normalizeOptionalString(current.title);
+      if (previous !== null && (contentChanged || titleChanged)) {
+        await snapshotRevisionLocked(current, previous.body, 'update');
+      }
+
+      const followTitle = titleChanged && renameFile !== false;
+      const fileName =
+        followTitle || nextFolder !== current.folder
+          ? await pickFileNameLocked(index, nextFolder, { title: nextTitle, keep: followTitle ? '' : noteFileName(current), note: current })
+          : noteFileName(current);
+      const newAbs = noteFileAbs(notesRoot, nextFolder, { fileName });
 
       if (newAbs !== oldAbs) {
         await ensureDir(path.dirname(newAbs));
@@ -638,14 +1831,6 @@ export function createNotepadStore({ dataDir } = {}) {
         }
       }
 
-      if (nextContent !== null) {
-        try {
-          await atomicWriteText(newAbs, nextContent);
-        } catch (err) {
-          return { ok: false, message: err?.message || String(err) };
-        }
-      }
-
       const now = nowIso();
       const updated = {
         ...current,
@@ -653,11 +1838,32 @@ export function createNotepadStore({ dataDir } = {}) {
         folder: nextFolder,
         tags: nextTags,
         updatedAt: now,
+        revision: current.revision + 1,
+        pinned: pinned === undefined ? current.pinned === true : pinned === true,
+        // a manual position only means something inside the folder it was set in
+        sortOrder: nextFolder === current.folder ? normalizeSortOrder(current.sortOrder) : null,
+        encrypted,
+        fileName,
+        properties: propertiesFromFields(nextFields),
       };
+      let storedBody = nextBody;
+      if (encrypted) {
+        storedBody = !incoming && previous && isEncryptedBody(previous.body) ? previous.body : encryptText(key, nextBody);
+      }
+
+      try {
+        await writeNoteFile(newAbs, updated, storedBody, nextFields);
+      } catch (err) {
+        return { ok: false, message: err?.message || String(err) };
+      }
+      // moved into an encrypted folder: its history was plaintext
+      if (encrypted && current.encrypted !== true) await removeRevisionsLocked(noteId);
+
       index.notes[idx] = updated;
       await saveIndexLocked(index);
+      await reindexNotesLocked(index, { upsert: [{ note: updated, body: encrypted ? '' : nextBody }] });
 
-      return { ok: true, note: { ...updated, file: noteFileRel(updated.folder, noteId) } };
+      return { ok: true, note: { ...updated, file: noteFileRel(updated.folder, updated) } };
     });
 
   const deleteNote = async ({ id } = {}) =>
@@ -669,75 +1875,1848 @@ export function createNotepadStore({ dataDir } = {}) {
       if (idx < 0) return { ok: false, message: `Note not found: ${noteId}` };
       const note = index.notes[idx];
 
-      const abs = noteFileAbs(notesRoot, note.folder, noteId);
-      try {
-        await fs.promises.unlink(abs);
-      } catch {
-        // ignore
-      }
+      const abs = noteFileAbs(notesRoot, note.folder, note);
+      const item = await moveToTrashLocked({
+        kind: 'note',
+        folder: note.folder,
+        title: note.title,
+        notes: [note],
+        sourceAbs: abs,
+      });
       index.notes.splice(idx, 1);
       await saveIndexLocked(index);
-      return { ok: true, id: noteId };
+      await reindexNotesLocked(index, { remove: [noteId] });
+      return { ok: true, id: noteId, trashId: item.id };
     });
 
-  const listTags = async () => {
-    const index = await getIndexSnapshot();
-    const counts = new Map();
-    (Array.isArray(index?.notes) ? index.notes : []).forEach((n) => {
-      (Array.isArray(n.tags) ? n.tags : []).forEach((t) => {
-        const tag = normalizeTag(t);
-        if (!tag) return;
-        const key = tag.toLowerCase();
-        counts.set(key, { tag, count: (counts.get(key)?.count || 0) + 1 });
+  // applies many small edits under one lock with a single index write; every item reports its own result
+  // and a failing item does not stop the rest
+  const batch = async ({ operations } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const items = [];
+      (Array.isArray(operations) ? operations : []).forEach((op, opIndex) => {
+        const ids = Array.isArray(op?.ids) ? op.ids : [op?.id];
+        ids.forEach((id) => items.push({ opIndex, op: op || {}, id: normalizeOptionalString(id) }));
       });
-    });
-    const tags = Array.from(counts.values()).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
-    return { ok: true, tags };
-  };
+      if (items.length === 0) return { ok: false, message: 'operations is required' };
+      if (items.length > MAX_BATCH_OPERATIONS) {
+        return { ok: false, message: `Too many operations: ${items.length} (max ${MAX_BATCH_OPERATIONS})` };
+      }
 
-  const searchNotes = async ({ query, folder = '', recursive = true, tags = [], match = 'all', includeContent = true, limit = 50 } = {}) => {
-    const q = normalizeOptionalString(query);
-    if (!q) return { ok: false, message: 'query is required' };
-    let folderRel = '';
-    try {
-      folderRel = normalizeFolderPath(folder);
-    } catch (err) {
-      return { ok: false, message: err?.message || String(err) };
-    }
-    const desiredTags = uniqTags(tags);
-    const matchMode = match === 'any' ? 'any' : 'all';
-    const max = Number.isFinite(limit) ? Math.max(1, Math.min(200, Math.floor(limit))) : 50;
+      const index = await loadIndexLocked();
+      const encryption = await readEncryptionSettingsLocked();
+      const removed = [];
+      const sealed = [];
+      const results = [];
+
+      const rewriteFile = async (note, mapFields = (fields) => fields) => {
+        const abs = noteFileAbs(notesRoot, note.folder, note);
+        const parsed = await readNoteFile(abs);
+        await writeNoteFile(abs, note, parsed.body, mapFields(parsed.fields));
+      };
 
-    const baseList = await listNotes({ folder: folderRel, recursive, tags: desiredTags, match: matchMode, query: '', limit: 500 });
-    if (!baseList.ok) return baseList;
-    const candidates = Array.isArray(baseList.notes) ? baseList.notes : [];
-
-    const qLower = q.toLowerCase();
-    const results = [];
-    for (const note of candidates) {
-      if (results.length >= max) break;
-      const title = normalizeOptionalString(note.title);
-      if (title.toLowerCase().includes(qLower)) {
-        results.push(note);
-        continue;
+      const applyOne = async ({ op, id }) => {
+        const kind = normalizeOptionalString(op.op);
+        if (!BATCH_OPS.has(kind)) return { ok: false, message: `Unknown op: ${kind || '(empty)'}` };
+        if (!id) return { ok: false, message: 'id is required' };
+        const revisionError = expectedRevisionError(op.expectedRevision);
+        if (revisionError) return { ok: false, message: revisionError };
+        const idx = index.notes.findIndex((n) => n.id === id);
+        if (idx < 0) return { ok: false, message: `Note not found: ${id}` };
+        const current = index.notes[idx];
+        if (op.expectedRevision !== undefined && op.expectedRevision !== null && op.expectedRevision !== current.revision) {
+          return { ok: false, conflict: true, message: `Revision conflict: note ${id} is at revision ${current.revision}` };
+        }
+
+        if (kind === 'delete') {
+          const item = await moveToTrashLocked({
+            kind: 'note',
+            folder: current.folder,
+            title: current.title,
+            notes: [current],
+            sourceAbs: noteFileAbs(notesRoot, current.folder, current),
+          });
+          index.notes.splice(idx, 1);
+          removed.push(id);
+          return { ok: true, trashId: item.id };
+        }
+
+        const bump = (patch) => ({ ...current, ...patch, updatedAt: nowIso(), revision: current.revision + 1 });
+        let updated = null;
+        if (kind === 'move') {
+          // '' is the root folder, so a missing folder must not default to it
+          if (op.folder === undefined || op.folder === null) return { ok: false, message: 'folder is required for move' };
+          const nextFolder = normalizeFolderPath(op.folder);
+          if (nextFolder === current.folder) return { ok: true, changed: false };
+          const seal = !current.encrypted && isEncryptedFolder(encryption, nextFolder);
+          const key = seal ? sessionKey() : null;
+          if (seal && !key) return lockedResult(null);
+          const fileName = await pickFileNameLocked(index, nextFolder, { title: current.title, keep: noteFileName(current), note: current });
+          const newAbs = noteFileAbs(notesRoot, nextFolder, { fileName });
+          await ensureDir(path.dirname(newAbs));
+          await fs.promises.rename(noteFileAbs(notesRoot, current.folder, current), newAbs);
+          updated = bump({ folder: nextFolder, sortOrder: null, fileName });
+          if (seal) {
+            index.notes[idx] = updated;
+            sealed.push(...(await encryptNotesLocked(index, [updated], key)));
+            updated = index.notes[idx];
+          }
+        } else if (kind === 'addTags' || kind === 'removeTags') {
+          const given = uniqTags(op.tags);
+          if (given.length === 0) return { ok: false, message: 'tags is required' };
+          const keys = new Set(given.map((t) => t.toLowerCase()));
+          const nextTags =
+            kind === 'addTags' ? uniqTags(current.tags.concat(given)) : current.tags.filter((t) => !keys.has(t.toLowerCase()));
+          if (nextTags.join('\n') === current.tags.join('\n')) return { ok: true, changed: false };
+          updated = bump({ tags: nextTags });
+          await rewriteFile(updated);
+        } else {
+          const { changes, error } = normalizePropertyChanges(op.properties, op.types);
+          if (error) return { ok: false, message: error };
+          updated = bump({});
+          await rewriteFile(updated, (fields) => {
+            const next = applyPropertyChanges(fields, changes);
+            updated.properties = propertiesFromFields(next);
+            return next;
+          });
+        }
+        index.notes[idx] = updated;
+        return { ok: true, changed: true, revision: updated.revision, folder: updated.folder, tags: updated.tags };
+      };
+
+      for (const item of items) {
+        let result = null;
+        try {
+          result = await applyOne(item);
+        } catch (err) {
+          result = { ok: false, message: err?.message || String(err) };
+        }
+        results.push({ index: item.opIndex, op: normalizeOptionalString(item.op.op), id: item.id, ...result });
+      }
+
+      if (results.some((r) => r.ok && (r.changed || r.trashId))) {
+        await saveIndexLocked(index);
+        if (removed.length > 0 || sealed.length > 0) await reindexNotesLocked(index, { upsert: sealed, remove: removed });
+      }
+      const failed = results.filter((r) => !r.ok).length;
+      return { ok: true, succeeded: results.length - failed, failed, results };
+    });
+
+  // pinning and ordering are index-only: they change neither the note file nor updatedAt/revision
+  const getNoteProperties = async ({ id } = {}) => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: 'id is required' };
+    const index = await getIndexSnapshot();
+    const note = (Array.isArray(index?.notes) ? index.notes : []).find((n) => n.id === noteId);
+    if (!note) return { ok: false, message: `Note not found: ${noteId}` };
+    return { ok: true, id: note.id, revision: note.revision, properties: describeProperties(note.properties) };
+  };
+
+  // null removes a property; `types` converts the given values ({ priority: 'number' } turns "2" into 2).
+  // the body is carried over as stored, so this also works on encrypted notes while locked
+  const setNoteProperties = async ({ id, properties, types, expectedRevision } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const noteId = normalizeOptionalString(id);
+      if (!noteId) return { ok: false, message: 'id is required' };
+      const { changes, error } = normalizePropertyChanges(properties, types);
+      if (error) return { ok: false, message: error };
+      const revisionError = expectedRevisionError(expectedRevision);
+      if (revisionError) return { ok: false, message: revisionError };
+
+      const index = await loadIndexLocked();
+      const idx = index.notes.findIndex((n) => n.id === noteId);
+      if (idx < 0) return { ok: false, message: `Note not found: ${noteId}` };
+      const current = index.notes[idx];
+      if (expectedRevision !== undefined && expectedRevision !== null && expectedRevision !== current.revision) {
+        return {
+          ok: false,
+          conflict: true,
+          message: `Revision conflict: note ${noteId} is at revision ${current.revision}`,
+          note: { ...current, file: noteFileRel(current.folder, current) },
+        };
+      }
+      const abs = noteFileAbs(notesRoot, current.folder, current);
+      const parsed = await readNoteFile(abs);
+      const fields = applyPropertyChanges(parsed.fields, changes);
+      const updated = {
+        ...current,
+        updatedAt: nowIso(),
+        revision: current.revision + 1,
+        properties: propertiesFromFields(fields),
+      };
+      await writeNoteFile(abs, updated, parsed.body, fields);
+      index.notes[idx] = updated;
+      await saveIndexLocked(index);
+      return {
+        ok: true,
+        note: { ...updated, file: noteFileRel(updated.folder, updated) },
+        properties: describeProperties(updated.properties),
+      };
+    });
+
+  const pinNote = async ({ id, pinned = true } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const noteId = normalizeOptionalString(id);
+      if (!noteId) return { ok: false, message: 'id is required' };
+      const index = await loadIndexLocked();
+      const note = index.notes.find((n) => n.id === noteId);
+      if (!note) return { ok: false, message: `Note not found: ${noteId}` };
+      if (note.pinned !== (pinned === true)) {
+        note.pinned = pinned === true;
+        await saveIndexLocked(index);
+      }
+      return { ok: true, note: { ...note, file: noteFileRel(note.folder, note) } };
+    });
+
+  const reorderNotes = async ({ folder = '', ids = [] } = {}) =>
+    await withFileLock(lockPath, async () => {
+      let folderRel = '';
+      try {
+        folderRel = normalizeFolderPath(folder);
+      } catch (err) {
+        return { ok: false, message: err?.message || String(err) };
+      }
+      const order = [];
+      (Array.isArray(ids) ? ids : []).forEach((id) => {
+        const noteId = normalizeOptionalString(id);
+        if (noteId && !order.includes(noteId)) order.push(noteId);
+      });
+      if (order.length === 0) return { ok: false, message: 'ids is required' };
+
+      const index = await loadIndexLocked();
+      const inFolder = index.notes.filter((n) => n.folder === folderRel);
+      const byId = new Map(inFolder.map((n) => [n.id, n]));
+      const missing = order.filter((id) => !byId.has(id));
+      if (missing.length > 0) {
+        return { ok: false, message: `Notes not in folder "${folderRel || '/'}": ${missing.join(', ')}` };
+      }
+      order.forEach((id, position) => {
+        byId.get(id).sortOrder = position;
+      });
+      // notes left out keep their relative order after the listed ones
+      let next = order.length;
+      inFolder
+        .filter((n) => !order.includes(n.id) && n.sortOrder !== null)
+        .sort((a, b) => a.sortOrder - b.sortOrder)
+        .forEach((n) => {
+          n.sortOrder = next;
+          next += 1;
+        });
+      await saveIndexLocked(index);
+      return { ok: true, folder: folderRel, notes: inFolder.slice().sort(compareNotesForList) };
+    });
+
+  const listTrash = async () =>
+    await withFileLock(lockPath, async () => {
+      const purged = await autoPurgeTrashLocked();
+      const items = (await listTrashItems()).map((item) => ({
+        id: item.id,
+        kind: item.kind === 'folder' ? 'folder' : 'note',
+        title: normalizeOptionalString(item.title),
+        folder: normalizeOptionalString(item.folder),
+        deletedAt: normalizeOptionalString(item.deletedAt),
+        notes: (Array.isArray(item.notes) ? item.notes : []).map((n) => ({
+          id: n.id,
+          title: n.title,
+          folder: n.folder,
+          tags: uniqTags(n.tags),
+        })),
+      }));
+      return { ok: true, items, autoPurged: purged, retentionDays: trashRetentionMs / DAY_MS };
+    });
+
+  const restoreFromTrash = async ({ id, folder } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const trashId = normalizeSortableId(id);
+      if (!trashId) return { ok: false, message: 'id is required' };
+      let item = null;
+      try {
+        item = await readTrashItem(trashId);
+      } catch {
+        item = null;
+      }
+      if (!item) return { ok: false, message: `Trash item not found: ${trashId}` };
+
+      let targetFolder = normalizeOptionalString(item.folder);
+      if (folder !== undefined) {
+        try {
+          targetFolder = normalizeFolderPath(folder);
+        } catch (err) {
+          return { ok: false, message: err?.message || String(err) };
+        }
+      }
+      if (item.kind === 'folder' && !targetFolder) return { ok: false, message: 'folder is required' };
+
+      const index = await loadIndexLocked();
+      const existing = new Set(index.notes.map((n) => n.id));
+      const notes = Array.isArray(item.notes) ? item.notes : [];
+      const clash = notes.find((n) => existing.has(n.id));
+      if (clash) return { ok: false, message: `Note already exists: ${clash.id}` };
+
+      const filesAbs = trashFilesAbs(trashId);
+      const restored = [];
+      if (item.kind === 'folder') {
+        const fromRel = normalizeOptionalString(item.folder);
+        const targetAbs = path.join(notesRoot, ...splitFolder(targetFolder));
+        if (await isDirectory(filesAbs)) {
+          await moveTree(filesAbs, targetAbs);
+        } else {
+          await ensureDir(targetAbs);
+        }
+        notes.forEach((n) => {
+          const f = normalizeOptionalString(n.folder).replace(/\\/g, '/');
+          const suffix = f === fromRel ? '' : f.slice(fromRel.length + 1);
+          restored.push({ ...n, folder: suffix ? `${targetFolder}/${suffix}` : targetFolder });
+        });
+      } else {
+        const note = notes[0];
+        if (!note) return { ok: false, message: `Trash item is empty: ${trashId}` };
+        const fileName = await pickFileNameLocked(index, targetFolder, { title: note.title, keep: noteFileName(note) });
+        const targetAbs = noteFileAbs(notesRoot, targetFolder, { fileName });
+        await ensureDir(path.dirname(targetAbs));
+        try {
+          await fs.promises.rename(path.join(filesAbs, `${note.id}.md`), targetAbs);
+        } catch (err) {
+          if (err?.code !== 'ENOENT') throw err;
+          await atomicWriteText(targetAbs, '');
+        }
+        restored.push({ ...note, folder: targetFolder, fileName });
+      }
+
+      for (const note of restored) {
+        const fromAbs = path.join(trashAttachmentsAbs(trashId), note.id);
+        if (await isDirectory(fromAbs)) await moveTree(fromAbs, attachmentDirAbs(note.id));
+      }
+
+      index.notes.unshift(...restored);
+      await saveIndexLocked(index);
+      await reindexNotesLocked(index, { upsert: restored });
+      await fs.promises.rm(trashItemDirAbs(trashId), { recursive: true, force: true });
+
+      return {
+        ok: true,
+        id: trashId,
+        kind: item.kind,
+        folder: targetFolder,
+        notes: restored.map((n) => ({ ...n, file: noteFileRel(n.folder, n) })),
+      };
+    });
+
+  const purgeTrash = async ({ ids, olderThanDays, all = false } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const wanted = new Set((Array.isArray(ids) ? ids : []).map((x) => normalizeSortableId(x)).filter(Boolean));
+      const cutoff = Number.isFinite(olderThanDays) ? Date.now() - Math.max(0, olderThanDays) * DAY_MS : null;
+      if (!all && wanted.size === 0 && cutoff === null) {
+        return { ok: false, message: 'ids, olderThanDays or all=true is required' };
+      }
+      const purgedIds = [];
+      for (const item of await listTrashItems()) {
+        let match = all === true || wanted.has(item.id);
+        if (!match && cutoff !== null) {
+          const deletedMs = Date.parse(item.deletedAt || '');
+          match = Number.isFinite(deletedMs) && deletedMs <= cutoff;
+        }
+        if (!match) continue;
+        await purgeTrashItemLocked(item);
+        purgedIds.push(item.id);
+      }
+      return { ok: true, purged: purgedIds.length, ids: purgedIds };
+    });
+
+  const listRevisions = async ({ id, limit = 50 } = {}) => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: 'id is required' };
+    const index = await getIndexSnapshot();
+    const note = (Array.isArray(index?.notes) ? index.notes : []).find((n) => n.id === noteId);
+    if (!note) return { ok: false, message: `Note not found: ${noteId}` };
+    const max = Number.isFinite(limit) ? Math.max(1, Math.min(revisionLimit, Math.floor(limit))) : revisionLimit;
+
+    const revisions = [];
+    for (const revisionId of (await listRevisionIds(noteId)).slice(0, max)) {
+      let revision = null;
+      try {
+        revision = await readRevisionFile(noteId, revisionId);
+      } catch {
+        revision = null;
+      }
+      if (!revision) continue;
+      const { content, ...meta } = revision;
+      revisions.push({ ...meta, id: revisionId, noteId, size: String(content ?? '').length });
+    }
+    return { ok: true, id: noteId, revisions };
+  };
+
+  const getRevision = async ({ id, revisionId } = {}) => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { ok: false, message: 'id is required' };
+    const revId = normalizeSortableId(revisionId);
+    if (!revId) return { ok: false, message: 'revisionId is required' };
+    let revision = null;
+    try {
+      revision = await readRevisionFile(noteId, revId);
+    } catch (err) {
+      if (err?.code === 'ENOENT') return { ok: false, message: `Revision not found: ${revId}` };
+      return { ok: false, message: err?.message || String(err) };
+    }
+    if (!revision) return { ok: false, message: `Revision not found: ${revId}` };
+    const { content, ...meta } = revision;
+    const plain = openBody(String(content ?? ''));
+    if (plain === null) return lockedResult(null);
+    return { ok: true, revision: { ...meta, id: revId, noteId }, content: plain };
+  };
+
+  const restoreRevision = async ({ id, revisionId } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const noteId = normalizeOptionalString(id);
+      if (!noteId) return { ok: false, message: 'id is required' };
+      const revId = normalizeSortableId(revisionId);
+      if (!revId) return { ok: false, message: 'revisionId is required' };
+      const index = await loadIndexLocked();
+      const idx = index.notes.findIndex((n) => n.id === noteId);
+      if (idx < 0) return { ok: false, message: `Note not found: ${noteId}` };
+
+      let revision = null;
+      try {
+        revision = await readRevisionFile(noteId, revId);
+      } catch (err) {
+        if (err?.code === 'ENOENT') return { ok: false, message: `Revision not found: ${revId}` };
+        return { ok: false, message: err?.message || String(err) };
+      }
+      if (!revision) return { ok: false, message: `Revision not found: ${revId}` };
+
+      const current = index.notes[idx];
+      const abs = noteFileAbs(notesRoot, current.folder, current);
+      let existing = null;
+      try {
+        existing = await readNoteFile(abs);
+      } catch {
+        existing = null;
+      }
+      await snapshotRevisionLocked(current, existing?.body ?? '', 'restore');
+
+      // the file follows the restored title, like updateNote does
+      const title = normalizeTitle(revision.title) || normalizeOptionalString(current.title);
+      const fileName =
+        title !== normalizeOptionalString(current.title)
+          ? await pickFileNameLocked(index, current.folder, { title, note: current })
+          : noteFileName(current);
+      const newAbs = noteFileAbs(notesRoot, current.folder, { fileName });
+      if (newAbs !== abs && existing) {
+        try {
+          await fs.promises.rename(abs, newAbs);
+        } catch (err) {
+          return { ok: false, message: err?.message || String(err) };
+        }
+      }
+
+      // revisions hold the body as stored, so an encrypted note is restored to ciphertext without the key
+      const updated = {
+        ...current,
+        title,
+        tags: Array.isArray(revision.tags) ? uniqTags(revision.tags) : current.tags,
+        updatedAt: nowIso(),
+        revision: current.revision + 1,
+        encrypted: isEncryptedBody(revision.content),
+        fileName,
+      };
+      await writeNoteFile(newAbs, updated, String(revision.content ?? ''), existing?.fields || {});
+      index.notes[idx] = updated;
+      await saveIndexLocked(index);
+      await reindexNotesLocked(index, { upsert: [{ note: updated, body: String(revision.content ?? '') }] });
+      return { ok: true, revisionId: revId, note: { ...updated, file: noteFileRel(updated.folder, updated) } };
+    });
+
+  const listTags = async () => {
+    const index = await getIndexSnapshot();
+    const counts = new Map();
+    (Array.isArray(index?.notes) ? index.notes : []).forEach((n) => {
+      (Array.isArray(n.tags) ? n.tags : []).forEach((t) => {
+        const tag = normalizeTag(t);
+        if (!tag) return;
+        const key = tag.toLowerCase();
+        counts.set(key, { tag, count: (counts.get(key)?.count || 0) + 1 });
+      });
+    });
+    const tags = Array.from(counts.values()).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    return { ok: true, tags, tree: buildTagTree(index?.notes) };
+  };
+
+  // rewrites tags on every affected note (index entry and front matter) under one lock; `mapTags` gets the
+  // current tag list and returns the new one. Bumping the revision makes open editors see a conflict instead
+  // of saving the old tags back.
+  const rewriteTagsLocked = async (mapTags) => {
+    const index = await loadIndexLocked();
+    const changed = [];
+    try {
+      for (let i = 0; i < index.notes.length; i += 1) {
+        const current = index.notes[i];
+        const nextTags = uniqTags(mapTags(uniqTags(current.tags)));
+        if (nextTags.join('\n') === uniqTags(current.tags).join('\n')) continue;
+        const updated = { ...current, tags: nextTags, updatedAt: nowIso(), revision: current.revision + 1 };
+        const abs = noteFileAbs(notesRoot, current.folder, current);
+        let parsed = null;
+        try {
+          parsed = await readNoteFile(abs);
+        } catch {
+          parsed = null;
+        }
+        if (parsed) await writeNoteFile(abs, updated, parsed.body, parsed.fields);
+        index.notes[i] = updated;
+        changed.push(current.id);
+      }
+    } finally {
+      if (changed.length > 0) await saveIndexLocked(index);
+    }
+    return changed;
+  };
+
+  // a parent such as `project` exists as long as some note has a descendant tag
+  const findTagKey = (index, tag, { descendants = false } = {}) => {
+    const key = normalizeTag(tag).toLowerCase();
+    if (!key) return '';
+    const found = index.notes.some((n) =>
+      (Array.isArray(n.tags) ? n.tags : []).some((t) => (descendants ? tagMatches(t.toLowerCase(), key) : t.toLowerCase() === key))
+    );
+    return found ? key : '';
+  };
+
+  const renameTag = async ({ from, to } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const target = normalizeTag(to);
+      if (!normalizeTag(from) || !target) return { ok: false, message: 'from and to are required' };
+      const fromKey = findTagKey(await loadIndexLocked(), from, { descendants: true });
+      if (!fromKey) return { ok: false, message: `Tag not found: ${normalizeTag(from)}` };
+      // descendants move with their parent; renaming onto an existing tag merges them
+      const notes = await rewriteTagsLocked((tags) =>
+        tags.map((t) => (tagMatches(t.toLowerCase(), fromKey) ? `${target}${t.slice(fromKey.length)}` : t))
+      );
+      return { ok: true, from: normalizeTag(from), to: target, updatedNotes: notes.length, notes };
+    });
+
+  const mergeTags = async ({ tags, into } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const target = normalizeTag(into);
+      const sources = uniqTags(tags);
+      if (!target || sources.length === 0) return { ok: false, message: 'tags and into are required' };
+      const index = await loadIndexLocked();
+      // like renameTag, child tags move under the target (proj/a -> into/a); the most specific source wins
+      const sourceKeys = Array.from(new Set(sources.map((t) => findTagKey(index, t, { descendants: true })).filter(Boolean))).sort(
+        (a, b) => b.length - a.length
+      );
+      if (sourceKeys.length === 0) return { ok: false, message: `Tags not found: ${sources.join(', ')}` };
+      const notes = await rewriteTagsLocked((list) =>
+        list.map((t) => {
+          const key = sourceKeys.find((k) => tagMatches(t.toLowerCase(), k));
+          return key ? `${target}${t.slice(key.length)}` : t;
+        })
+      );
+      return { ok: true, tags: sources, into: target, updatedNotes: notes.length, notes };
+    });
+
+  const deleteTag = async ({ tag } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const key = findTagKey(await loadIndexLocked(), tag, { descendants: true });
+      if (!key) return { ok: false, message: `Tag not found: ${normalizeTag(tag)}` };
+      // child tags go with their parent, so a parent that only exists through them can be deleted too
+      const notes = await rewriteTagsLocked((tags) => tags.filter((t) => !tagMatches(t.toLowerCase(), key)));
+      return { ok: true, tag: normalizeTag(tag), updatedNotes: notes.length, notes };
+    });
+
+  // the query uses the search syntax (tag:, folder:, title:, updated:, has:, is:, -exclusions, "phrases", OR, groups);
+  // folder/tags params still narrow the candidates first
+  const searchNotes = async ({ query, folder = '', recursive = true, tags = [], match = 'all', includeContent = true, limit = 50 } = {}) => {
+    const q = normalizeOptionalString(query);
+    if (!q) return { ok: false, message: 'query is required' };
+    let folderRel = '';
+    let parsed = null;
+    try {
+      folderRel = normalizeFolderPath(folder);
+      parsed = parseSearchQuery(q);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err), ...(err?.code === 'SEARCH_QUERY_SYNTAX' ? { syntaxError: true, position: err.position } : {}) };
+    }
+    const desiredTags = uniqTags(tags);
+    const matchMode = match === 'any' ? 'any' : 'all';
+    const max = Number.isFinite(limit) ? Math.max(1, Math.min(200, Math.floor(limit))) : 50;
+
+    return await withFileLock(lockPath, async () => {
+      const index = await loadIndexLocked();
+      const candidates = filterNotes(index.notes, { folderRel, recursive, desiredTags, matchMode });
+      const byId = new Map(candidates.map((n) => [n.id, n]));
+      const ids = new Set(byId.keys());
+      const wanted = searchHasValues(parsed);
+
+      // content hits per free-text term; phrases are confirmed against the note bodies
+      const contentHits = new Map();
+      if (includeContent) {
+        const searchIndex = await loadDerivedIndexLocked(derivedIndexes.search, index);
+        for (const term of searchTextTerms(parsed)) {
+          const hits = new Map(searchIndex.search(term.value, { ids }).map(({ id, score }) => [id, score]));
+          if (term.phrase) {
+            const phrase = term.value.toLowerCase().replace(/\s+/g, ' ');
+            for (const id of Array.from(hits.keys())) {
+              const note = byId.get(id);
+              let body = '';
+              try {
+                body = (await readNoteFile(noteFileAbs(notesRoot, note.folder, note))).body;
+              } catch {
+                body = '';
+              }
+              if (!body.toLowerCase().replace(/\s+/g, ' ').includes(phrase)) hits.delete(id);
+            }
+          }
+          contentHits.set(term, hits);
+        }
+      }
+
+      const taskIndex = wanted.has('task') || wanted.has('open-task') ? await loadDerivedIndexLocked(derivedIndexes.tasks, index) : null;
+      const linkIndex = wanted.has('link') ? await loadDerivedIndexLocked(derivedIndexes.links, index) : null;
+      let withAttachments = null;
+      if (wanted.has('attachment')) {
+        withAttachments = new Set();
+        for (const id of ids) {
+          try {
+            if ((await fs.promises.readdir(attachmentDirAbs(id))).length > 0) withAttachments.add(id);
+          } catch {
+            // no attachment folder
+          }
+        }
+      }
+
+      const context = {
+        matchText: (term, note) => {
+          const needle = term.value.toLowerCase();
+          let score = contentHits.get(term)?.get(note.id) || 0;
+          if (normalizeOptionalString(note.title).toLowerCase().includes(needle)) score += SEARCH_TITLE_MATCH_BOOST;
+          if (normalizeOptionalString(note.folder).toLowerCase().includes(needle)) score += SEARCH_FOLDER_MATCH_BOOST;
+          return score > 0 ? score : null;
+        },
+        has: (what, note) => {
+          if (what === 'task') return taskIndex.tasks(note.id).length > 0;
+          if (what === 'open-task') return taskIndex.tasks(note.id).some((t) => !t.done);
+          if (what === 'link') return linkIndex.outgoing(note.id).length > 0;
+          if (what === 'attachment') return withAttachments.has(note.id);
+          return false;
+        },
+      };
+
+      const results = [];
+      candidates.forEach((note) => {
+        const res = matchSearchQuery(parsed, note, context);
+        if (res.matched) results.push({ ...clone(note), score: Math.round(res.score * 1000) / 1000 });
+      });
+      results.sort((a, b) => b.score - a.score || String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+      return { ok: true, notes: results.slice(0, max), total: results.length };
+    });
+  };
+
+  const linkSummary = (note) => ({ id: note.id, title: note.title, folder: note.folder });
+
+  const getOutgoingLinks = async ({ id } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const noteId = normalizeOptionalString(id);
+      if (!noteId) return { ok: false, message: 'id is required' };
+      const index = await loadIndexLocked();
+      if (!index.notes.some((n) => n.id === noteId)) return { ok: false, message: `Note not found: ${noteId}` };
+      const linkIndex = await loadDerivedIndexLocked(derivedIndexes.links, index);
+      const resolve = createLinkResolver(index.notes);
+      const links = linkIndex.outgoing(noteId).map((link) => {
+        const target = resolve(link.target);
+        return { target: link.target, label: link.label, broken: !target, note: target ? linkSummary(target) : null };
+      });
+      return { ok: true, id: noteId, links };
+    });
+
+  const getBacklinks = async ({ id } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const noteId = normalizeOptionalString(id);
+      if (!noteId) return { ok: false, message: 'id is required' };
+      const index = await loadIndexLocked();
+      if (!index.notes.some((n) => n.id === noteId)) return { ok: false, message: `Note not found: ${noteId}` };
+      const linkIndex = await loadDerivedIndexLocked(derivedIndexes.links, index);
+      const resolve = createLinkResolver(index.notes);
+      const byId = new Map(index.notes.map((n) => [n.id, n]));
+      const backlinks = [];
+      linkIndex.entries().forEach(([sourceId, links]) => {
+        const source = byId.get(sourceId);
+        if (!source || sourceId === noteId) return;
+        const labels = links.filter((link) => resolve(link.target)?.id === noteId).map((link) => link.label);
+        if (labels.length > 0) backlinks.push({ ...linkSummary(source), updatedAt: source.updatedAt, labels });
+      });
+      backlinks.sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+      return { ok: true, id: noteId, backlinks };
+    });
+
+  // used by the UI to render [[links]] of unsaved content
+  const resolveLinks = async ({ targets } = {}) => {
+    const index = await getIndexSnapshot();
+    const resolve = createLinkResolver(index?.notes);
+    const links = {};
+    (Array.isArray(targets) ? targets : []).forEach((t) => {
+      const target = normalizeOptionalString(t);
+      if (!target || target in links) return;
+      const note = resolve(target);
+      links[target] = note ? linkSummary(note) : null;
+    });
+    return { ok: true, links };
+  };
+
+  const listTasks = async ({
+    folder = '',
+    recursive = true,
+    tags = [],
+    match = 'all',
+    state = 'open',
+    dueBefore = '',
+    dueAfter = '',
+    hasDue,
+    limit = 200,
+  } = {}) =>
+    await withFileLock(lockPath, async () => {
+      let folderRel = '';
+      try {
+        folderRel = normalizeFolderPath(folder);
+      } catch (err) {
+        return { ok: false, message: err?.message || String(err) };
+      }
+      const dateRe = /^\d{4}-\d{2}-\d{2}$/;
+      const before = normalizeOptionalString(dueBefore);
+      const after = normalizeOptionalString(dueAfter);
+      if ((before && !dateRe.test(before)) || (after && !dateRe.test(after))) {
+        return { ok: false, message: 'dueBefore/dueAfter must be YYYY-MM-DD' };
+      }
+      const wantState = state === 'done' || state === 'all' ? state : 'open';
+      const max = Number.isFinite(limit) ? Math.max(1, Math.min(1000, Math.floor(limit))) : 200;
+
+      const index = await loadIndexLocked();
+      // checkboxes inside templates are placeholders, not work items
+      const notes = filterNotes(index.notes, {
+        folderRel,
+        recursive,
+        desiredTags: uniqTags(tags),
+        matchMode: match === 'any' ? 'any' : 'all',
+      }).filter((n) => isTemplateFolder(folderRel) || !isTemplateFolder(n.folder));
+      const taskIndex = await loadDerivedIndexLocked(derivedIndexes.tasks, index);
+      const tasks = [];
+      notes.forEach((note) => {
+        taskIndex.tasks(note.id).forEach((task) => {
+          if (wantState === 'open' && task.done) return;
+          if (wantState === 'done' && !task.done) return;
+          if (hasDue === true && !task.due) return;
+          if (hasDue === false && task.due) return;
+          // due bounds are inclusive; tasks without a due date never match a bound
+          if (before && !(task.due && task.due <= before)) return;
+          if (after && !(task.due && task.due >= after)) return;
+          tasks.push({ ...task, noteId: note.id, title: note.title, folder: note.folder, updatedAt: note.updatedAt });
+        });
+      });
+      tasks.sort((a, b) => {
+        if (a.due !== b.due) {
+          if (!a.due) return 1;
+          if (!b.due) return -1;
+          return a.due.localeCompare(b.due);
+        }
+        if (a.noteId !== b.noteId) return String(b.updatedAt || '').localeCompare(String(a.updatedAt || ''));
+        return a.line - b.line;
+      });
+      return { ok: true, total: tasks.length, tasks: tasks.slice(0, max) };
+    });
+
+  // edits the checkbox in place; `text` guards against the line having moved since the task was listed
+  const toggleTask = async ({ id, line, done, text } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const noteId = normalizeOptionalString(id);
+      if (!noteId) return { ok: false, message: 'id is required' };
+      const index = await loadIndexLocked();
+      const idx = index.notes.findIndex((n) => n.id === noteId);
+      if (idx < 0) return { ok: false, message: `Note not found: ${noteId}` };
+      const current = index.notes[idx];
+      // encrypted notes are left out of the task index, so their tasks are edited in the note itself
+      if (current.encrypted) return { ok: false, message: 'Tasks of encrypted notes are not tracked; edit the note instead' };
+      const abs = noteFileAbs(notesRoot, current.folder, current);
+      const parsed = await readNoteFile(abs);
+      const result = setTaskState(parsed.body, line, done === undefined || done === null ? undefined : done === true, {
+        expectedText: typeof text === 'string' ? text : undefined,
+      });
+      if (!result) {
+        return { ok: false, conflict: true, message: `No matching task at line ${line} of note ${noteId}; list the tasks again` };
+      }
+      if (result.content === parsed.body) {
+        return { ok: true, changed: false, task: result.task, note: { ...current, file: noteFileRel(current.folder, current) } };
+      }
+
+      // no revision snapshot: ticking boxes would otherwise push real edits out of the history
+      const updated = { ...current, updatedAt: nowIso(), revision: current.revision + 1 };
+      await writeNoteFile(abs, updated, result.content, parsed.fields);
+      index.notes[idx] = updated;
+      await saveIndexLocked(index);
+      await reindexNotesLocked(index, { upsert: [{ note: updated, body: result.content }] });
+      return { ok: true, changed: true, task: result.task, note: { ...updated, file: noteFileRel(updated.folder, updated) } };
+    });
+
+  const readAttachmentMeta = async (noteId, name) => {
+    const stat = await fs.promises.stat(path.join(attachmentDirAbs(noteId), name));
+    if (!stat.isFile()) return null;
+    return {
+      name,
+      size: stat.size,
+      mimeType: attachmentMimeType(name),
+      updatedAt: new Date(stat.mtimeMs).toISOString(),
+      link: attachmentLink(name),
+    };
+  };
+
+  const findNoteLocked = async (id) => {
+    const noteId = normalizeOptionalString(id);
+    if (!noteId) return { error: 'id is required' };
+    const index = await loadIndexLocked();
+    const note = index.notes.find((n) => n.id === noteId);
+    if (!note) return { error: `Note not found: ${noteId}` };
+    return { note };
+  };
+
+  const addAttachment = async ({ id, name, dataBase64, overwrite = false } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const found = await findNoteLocked(id);
+      if (found.error) return { ok: false, message: found.error };
+      const fileName = normalizeAttachmentName(name);
+      if (!fileName) return { ok: false, message: `Invalid attachment name: ${normalizeOptionalString(name)}` };
+      const data = decodeBase64Input(dataBase64);
+      if (!data) return { ok: false, message: 'dataBase64 must be base64 encoded data' };
+      if (data.length > MAX_ATTACHMENT_BYTES) {
+        return { ok: false, message: `Attachment is too large (max ${Math.round(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB)` };
+      }
+
+      const dirAbs = attachmentDirAbs(found.note.id);
+      let finalName = fileName;
+      if (!overwrite) {
+        const ext = path.extname(fileName);
+        const stem = fileName.slice(0, fileName.length - ext.length);
+        for (let i = 1; await isFile(path.join(dirAbs, finalName)); i += 1) finalName = `${stem}-${i}${ext}`;
+      }
+      await atomicWriteFile(path.join(dirAbs, finalName), data);
+      return { ok: true, attachment: await readAttachmentMeta(found.note.id, finalName) };
+    });
+
+  const listAttachments = async ({ id } = {}) => {
+    const found = await withFileLock(lockPath, async () => await findNoteLocked(id));
+    if (found.error) return { ok: false, message: found.error };
+    let entries = [];
+    try {
+      entries = await fs.promises.readdir(attachmentDirAbs(found.note.id), { withFileTypes: true });
+    } catch {
+      entries = [];
+    }
+    const attachments = [];
+    for (const entry of entries) {
+      const name = String(entry?.name || '');
+      if (!entry.isFile() || name.startsWith('.')) continue;
+      const meta = await readAttachmentMeta(found.note.id, name).catch(() => null);
+      if (meta) attachments.push(meta);
+    }
+    attachments.sort((a, b) => a.name.localeCompare(b.name));
+    return { ok: true, id: found.note.id, attachments };
+  };
+
+  const readAttachment = async ({ id, name } = {}) => {
+    const found = await withFileLock(lockPath, async () => await findNoteLocked(id));
+    if (found.error) return { ok: false, message: found.error };
+    // accept links as written in markdown (attachments/<encoded name>)
+    let raw = normalizeOptionalString(name);
+    if (raw.startsWith(ATTACHMENT_LINK_PREFIX)) raw = raw.slice(ATTACHMENT_LINK_PREFIX.length);
+    try {
+      raw = decodeURIComponent(raw);
+    } catch {
+      // keep as-is
+    }
+    const fileName = normalizeAttachmentName(raw);
+    if (!fileName) return { ok: false, message: 'name is required' };
+    let data = null;
+    try {
+      data = await fs.promises.readFile(path.join(attachmentDirAbs(found.note.id), fileName));
+    } catch (err) {
+      if (err?.code === 'ENOENT') return { ok: false, message: `Attachment not found: ${fileName}` };
+      return { ok: false, message: err?.message || String(err) };
+    }
+    return { ok: true, attachment: await readAttachmentMeta(found.note.id, fileName), dataBase64: data.toString('base64') };
+  };
+
+  const deleteAttachment = async ({ id, name } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const found = await findNoteLocked(id);
+      if (found.error) return { ok: false, message: found.error };
+      const fileName = normalizeAttachmentName(name);
+      if (!fileName) return { ok: false, message: 'name is required' };
+      try {
+        await fs.promises.unlink(path.join(attachmentDirAbs(found.note.id), fileName));
+      } catch (err) {
+        if (err?.code === 'ENOENT') return { ok: false, message: `Attachment not found: ${fileName}` };
+        return { ok: false, message: err?.message || String(err) };
+      }
+      try {
+        await fs.promises.rmdir(attachmentDirAbs(found.note.id));
+      } catch {
+        // not empty
+      }
+      return { ok: true, id: found.note.id, name: fileName };
+    });
+
+  // shared by every import source: resolves links between the imported files, copies referenced files
+  // as attachments and writes all notes before a single index save
+  const importFromSourceLocked = async (source, { folder = '', hashtags = true, dryRun = false } = {}) => {
+    let targetFolder = '';
+    try {
+      targetFolder = normalizeFolderPath(folder);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+    const imported = [];
+    const skipped = [];
+    const warnings = [];
+    const candidates = [];
+    const index = await loadIndexLocked();
+    const takenIds = new Set(index.notes.map((n) => n.id));
+    for (const file of source.markdown) {
+      if (isHiddenRel(file.rel)) {
+        skipped.push({ source: file.rel, reason: 'hidden folder' });
+        continue;
+      }
+      let noteFolder = '';
+      try {
+        noteFolder = normalizeFolderPath([targetFolder, file.folder].filter(Boolean).join('/'));
+      } catch (err) {
+        skipped.push({ source: file.rel, reason: err?.message || String(err) });
+        continue;
+      }
+      let parsed = null;
+      try {
+        parsed = parseFrontMatter(await source.readText(file.rel));
+      } catch (err) {
+        skipped.push({ source: file.rel, reason: err?.message || String(err) });
+        continue;
+      }
+      // notes exported from a notepad keep their id unless it is already in use here
+      const originalId = typeof parsed.data?.id === 'string' ? parsed.data.id.trim() : '';
+      const reusable = (IMPORT_ID_RE.test(originalId) || SORTABLE_ID_RE.test(originalId)) && !takenIds.has(originalId);
+      const id = reusable ? originalId : crypto.randomUUID();
+      takenIds.add(id);
+      candidates.push({ ...file, noteFolder, id, originalId, meta: parsed.data || {}, body: parsed.body });
+    }
+
+    // Obsidian resolves [[Note]] by path first and then by file name; shallower paths win name clashes
+    const byPath = new Map();
+    const byName = new Map();
+    const byOriginalId = new Map();
+    [...candidates]
+      .sort((a, b) => a.rel.split('/').length - b.rel.split('/').length || a.rel.localeCompare(b.rel))
+      .forEach((c) => {
+        byPath.set(c.rel.slice(0, -3).toLowerCase(), c.id);
+        if (!byName.has(c.stem.toLowerCase())) byName.set(c.stem.toLowerCase(), c.id);
+        if (c.originalId && !byOriginalId.has(c.originalId)) byOriginalId.set(c.originalId, c.id);
+      });
+
+    const upsert = [];
+    const encryption = await readEncryptionSettingsLocked();
+    let attachmentCount = 0;
+    for (const file of candidates) {
+      const { meta, body } = file;
+      // an already encrypted body (exported from an encrypted note) is kept as is
+      const sealedSource = isEncryptedBody(body);
+      const encrypted = sealedSource || isEncryptedFolder(encryption, file.noteFolder);
+      const key = encrypted && !sealedSource ? sessionKey() : null;
+      if (encrypted && !sealedSource && !key) {
+        skipped.push({ source: file.rel, reason: 'target folder is encrypted and the notebook is locked' });
+        continue;
+      }
+      const dir = file.folder;
+      const assets = new Map();
+      const usedNames = new Set();
+      const copies = [];
+
+      const resolveNote = (target, { relative = false } = {}) => {
+        if (!relative && byOriginalId.has(target)) return byOriginalId.get(target);
+        const ref = safePosixRel(relative ? joinPosix(dir, target) : target);
+        if (ref === null) return null;
+        const key = ref.replace(/\.md$/i, '').toLowerCase();
+        if (byPath.has(key)) return byPath.get(key);
+        if (!relative && dir && byPath.has(`${dir}/${key}`.toLowerCase())) return byPath.get(`${dir}/${key}`.toLowerCase());
+        return !relative && !key.includes('/') ? byName.get(key) || null : null;
+      };
+      // links are resolved synchronously, so every referenced file is looked up before the rewrite
+      const wanted = [];
+      rewriteImportedLinks(sealedSource ? '' : body, {
+        resolveNote,
+        resolveAsset: (ref) => {
+          wanted.push(ref);
+          return null;
+        },
+      });
+      for (const ref of wanted) {
+        if (assets.has(ref)) continue;
+        let found = null;
+        for (const candidate of [joinPosix(dir, ref), ref].map(safePosixRel)) {
+          if (candidate && !/\.md$/i.test(candidate) && (await source.stat(candidate))) {
+            found = candidate;
+            break;
+          }
+        }
+        if (!found && !ref.includes('/') && !/\.md$/i.test(ref)) found = await source.findByName(ref);
+        if (!found) {
+          assets.set(ref, null);
+          continue;
+        }
+        const st = await source.stat(found);
+        if (!st || st.size > MAX_ATTACHMENT_BYTES) {
+          warnings.push({ source: file.rel, message: `Attachment skipped (missing or too large): ${found}` });
+          assets.set(ref, null);
+          continue;
+        }
+        const existing = copies.find((c) => c.from === found);
+        if (existing) {
+          assets.set(ref, existing.asset);
+          continue;
+        }
+        const baseName = normalizeAttachmentName(path.posix.basename(found)) || 'attachment';
+        const ext = path.extname(baseName);
+        const stem = baseName.slice(0, baseName.length - ext.length);
+        let name = baseName;
+        for (let i = 1; usedNames.has(name.toLowerCase()); i += 1) name = `${stem}-${i}${ext}`;
+        usedNames.add(name.toLowerCase());
+        const asset = { name, link: attachmentLink(name) };
+        copies.push({ from: found, asset });
+        assets.set(ref, asset);
+      }
+
+      const rewritten = sealedSource
+        ? { body, unresolved: [] }
+        : rewriteImportedLinks(body, { resolveNote, resolveAsset: (ref) => assets.get(ref) || null });
+      if (rewritten.unresolved.length > 0) {
+        warnings.push({ source: file.rel, message: `Unresolved links: ${Array.from(new Set(rewritten.unresolved)).join(', ')}` });
+      }
+
+      const tags = uniqTags([
+        ...tagsFromFrontMatter(meta.tags),
+        ...tagsFromFrontMatter(meta.tag),
+        ...(hashtags && !sealedSource ? extractHashtags(body) : []),
+      ]);
+      const fields = customFrontMatterFields(meta);
+      delete fields.tag;
+      delete fields.updatedAt;
+      const st = await source.stat(file.rel);
+      const extra = typeof source.noteMeta === 'function' ? source.noteMeta(file.rel) || {} : {};
+      const now = nowIso();
+      const createdAt = importDate(meta.createdAt) || importDate(meta.created) || importDate(st?.createdAt) || now;
+      const note = {
+        id: file.id,
+        title: normalizeTitle(typeof meta.title === 'string' ? meta.title : '') || normalizeTitle(file.stem) || 'Untitled',
+        folder: file.noteFolder,
+        tags,
+        createdAt,
+        updatedAt: importDate(meta.updatedAt) || importDate(st?.updatedAt) || createdAt,
+        revision: 1,
+        pinned: extra.pinned === true,
+        sortOrder: normalizeSortOrder(extra.sortOrder),
+        encrypted,
+        properties: propertiesFromFields(fields),
+      };
+
+      if (!dryRun) {
+        note.fileName = await pickFileNameLocked(index, note.folder, { title: note.title });
+        const abs = noteFileAbs(notesRoot, note.folder, note);
+        await ensureDir(path.dirname(abs));
+        await writeNoteFile(abs, note, key ? encryptText(key, rewritten.body) : rewritten.body, fields);
+        for (const copy of copies) {
+          await atomicWriteFile(path.join(attachmentDirAbs(note.id), copy.asset.name), await source.readBuffer(copy.from));
+        }
+        index.notes.unshift(note);
+        upsert.push({ note, body: encrypted ? '' : rewritten.body });
+      }
+      attachmentCount += copies.length;
+      imported.push({
+        source: file.rel,
+        id: note.id,
+        title: note.title,
+        folder: note.folder,
+        tags: note.tags,
+        attachments: copies.map((c) => c.asset.name),
+      });
+    }
+
+    if (!dryRun && upsert.length > 0) {
+      await saveIndexLocked(index);
+      await reindexNotesLocked(index, { upsert });
+    }
+    return {
+      ok: true,
+      dryRun: dryRun === true,
+      folder: targetFolder,
+      imported,
+      skipped,
+      warnings,
+      counts: { imported: imported.length, skipped: skipped.length, attachments: attachmentCount, warnings: warnings.length },
+    };
+  };
+
+  const importMarkdown = async ({ sourceDir, folder = '', hashtags = true, dryRun = false } = {}) => {
+    const raw = normalizeOptionalString(sourceDir);
+    if (!raw) return { ok: false, message: 'sourceDir is required' };
+    if (!path.isAbsolute(raw)) return { ok: false, message: 'sourceDir must be an absolute path' };
+    const sourceAbs = path.resolve(raw);
+    if (!(await isDirectory(sourceAbs))) return { ok: false, message: `Directory not found: ${sourceAbs}` };
+    if (pathInside(baseDir, sourceAbs) || pathInside(sourceAbs, baseDir)) {
+      return { ok: false, message: 'sourceDir must not overlap the notepad data directory' };
+    }
+    const source = await createDirectoryImportSource(sourceAbs);
+    const result = await withFileLock(lockPath, async () =>
+      await importFromSourceLocked(source, { folder, hashtags: hashtags !== false, dryRun: dryRun === true })
+    );
+    return result.ok ? { ...result, sourceDir: sourceAbs } : result;
+  };
+
+  const buildArchiveLocked = async ({ folder = '', recursive = true } = {}) => {
+    const folderRel = normalizeFolderPath(folder);
+    const index = await loadIndexLocked();
+    const relOf = (f) => (folderRel ? (f === folderRel ? '' : f.slice(folderRel.length + 1)) : f);
+    const notes = filterNotes(index.notes, { folderRel, recursive }).sort(
+      (a, b) => a.folder.localeCompare(b.folder) || compareNotesForList(a, b)
+    );
+    const folders = ((await listFolders()).folders || [])
+      .filter((f) => f && (folderRel ? f.startsWith(`${folderRel}/`) : true))
+      .filter((f) => recursive || !relOf(f).includes('/'))
+      .map(relOf);
+    const files = [];
+    const usedNames = new Set();
+    const manifestNotes = [];
+    let attachmentCount = 0;
+    for (const note of notes) {
+      const relFolder = relOf(note.folder);
+      const base = readableFileStem(note.title);
+      let stem = base;
+      for (let i = 2; usedNames.has(joinPosix(relFolder, stem).toLowerCase()); i += 1) stem = `${base} (${i})`;
+      usedNames.add(joinPosix(relFolder, stem).toLowerCase());
+      const notePath = joinPosix(relFolder, `${stem}.md`);
+
+      let parsed = { body: '', fields: {} };
+      try {
+        parsed = await readNoteFile(noteFileAbs(notesRoot, note.folder, note));
+      } catch {
+        // exported with an empty body, like getNote does for a missing file
+      }
+      let names = [];
+      try {
+        names = (await fs.promises.readdir(attachmentDirAbs(note.id), { withFileTypes: true }))
+          .filter((e) => e.isFile() && normalizeAttachmentName(e.name) === e.name)
+          .map((e) => e.name)
+          .sort();
+      } catch {
+        names = [];
+      }
+      // attachment links point into the sibling .assets folder so the files also open in other editors
+      const assetsDir = `${stem}${ARCHIVE_ASSETS_SUFFIX}`;
+      const assetsHref = encodeURIComponent(assetsDir).replace(/[()]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+      const body =
+        names.length > 0
+          ? String(parsed.body).replace(
+              /\]\(attachments\/([^)\s]+)\)/g,
+              (_m, name) => `](${assetsHref}/${name})`
+            )
+          : String(parsed.body);
+      const data = {
+        id: note.id,
+        title: normalizeTitle(note.title),
+        tags: uniqTags(note.tags),
+        createdAt: note.createdAt,
+        updatedAt: note.updatedAt,
+        ...customFrontMatterFields(parsed.fields),
+      };
+      files.push({ name: notePath, data: Buffer.from(stringifyFrontMatter(data, body), 'utf8') });
+      for (const name of names) {
+        files.push({
+          name: joinPosix(relFolder, assetsDir, name),
+          data: await fs.promises.readFile(path.join(attachmentDirAbs(note.id), name)),
+        });
+      }
+      attachmentCount += names.length;
+      manifestNotes.push({
+        id: note.id,
+        title: note.title,
+        path: notePath,
+        tags: uniqTags(note.tags),
+        createdAt: note.createdAt,
+        updatedAt: note.updatedAt,
+        pinned: note.pinned === true,
+        sortOrder: normalizeSortOrder(note.sortOrder),
+        attachments: names,
+      });
+    }
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: nowIso(),
+      folder: folderRel,
+      folders,
+      notes: manifestNotes,
+    };
+    files.unshift({ name: ARCHIVE_MANIFEST, data: Buffer.from(JSON.stringify(manifest, null, 2), 'utf8') });
+    return { files, counts: { notes: manifestNotes.length, attachments: attachmentCount, folders: folders.length } };
+  };
+
+  const isOutsideBaseDir = (abs) => {
+    const rel = path.relative(baseDir, abs);
+    return rel.startsWith('..') || path.isAbsolute(rel);
+  };
+
+  // without outputFile the archive entries are returned base64 encoded (the UI zips them itself)
+  const exportNotebook = async ({ folder = '', recursive = true, outputFile } = {}) => {
+    const output = normalizeOptionalString(outputFile);
+    if (output && (!path.isAbsolute(output) || !output.toLowerCase().endsWith('.zip'))) {
+      return { ok: false, message: 'outputFile must be an absolute path ending in .zip' };
+    }
+    if (output && !isOutsideBaseDir(path.resolve(output))) {
+      return { ok: false, message: 'outputFile must not be inside the notepad data directory' };
+    }
+    const built = await withFileLock(lockPath, async () => await buildArchiveLocked({ folder, recursive: recursive !== false }));
+    if (!output) {
+      return {
+        ok: true,
+        counts: built.counts,
+        files: built.files.map((f) => ({ name: f.name, dataBase64: f.data.toString('base64') })),
+      };
+    }
+    const zip = createZipBuffer(built.files);
+    await atomicWriteFile(path.resolve(output), zip);
+    return { ok: true, counts: built.counts, file: path.resolve(output), size: zip.length };
+  };
+
+  const importArchive = async ({ file, dataBase64, folder = '', hashtags = false, dryRun = false } = {}) => {
+    const fileAbs = normalizeOptionalString(file);
+    let buffer = null;
+    if (fileAbs) {
+      if (!path.isAbsolute(fileAbs)) return { ok: false, message: 'file must be an absolute path' };
+      if (!(await isFile(fileAbs))) return { ok: false, message: `File not found: ${fileAbs}` };
+      buffer = await fs.promises.readFile(fileAbs);
+    } else {
+      buffer = decodeBase64Input(dataBase64);
+      if (!buffer) return { ok: false, message: 'file or dataBase64 is required' };
+    }
+    const source = createArchiveImportSource(readZipEntries(buffer));
+    return await withFileLock(lockPath, async () => {
+      const result = await importFromSourceLocked(source, {
+        folder,
+        hashtags: hashtags === true,
+        dryRun: dryRun === true,
+      });
+      if (!result.ok || dryRun === true) return result;
+      // empty folders only exist in the manifest
+      for (const rel of source.folders) {
+        try {
+          await ensureDir(path.join(notesRoot, ...splitFolder(normalizeFolderPath(joinPosix(result.folder, rel)))));
+        } catch {
+          // invalid segment; its notes were already reported as skipped
+        }
+      }
+      return result;
+    });
+  };
+
+  const readBackupSettingsLocked = async () => {
+    try {
+      return normalizeBackupSettings(JSON.parse(await fs.promises.readFile(backupSettingsPath, 'utf8')));
+    } catch {
+      return normalizeBackupSettings(null);
+    }
+  };
+
+  const readBackupManifest = async (backupId) => {
+    const manifest = JSON.parse(await fs.promises.readFile(path.join(backupsRoot, backupId, BACKUP_MANIFEST), 'utf8'));
+    if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.files)) throw new Error('Invalid backup manifest');
+    return manifest;
+  };
+
+  const listBackupsLocked = async () => {
+    let entries = [];
+    try {
+      entries = await fs.promises.readdir(backupsRoot, { withFileTypes: true });
+    } catch {
+      entries = [];
+    }
+    const backups = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !isBackupId(entry.name)) continue;
+      try {
+        const manifest = await readBackupManifest(entry.name);
+        backups.push({
+          id: entry.name,
+          createdAt: manifest.createdAt,
+          reason: manifest.reason,
+          notes: manifest.notes,
+          files: manifest.files.length,
+          size: manifest.size,
+        });
+      } catch (err) {
+        backups.push({ id: entry.name, broken: true, message: err?.message || String(err) });
+      }
+    }
+    backups.sort((a, b) => b.id.localeCompare(a.id));
+    return backups;
+  };
+
+  const pruneBackupsLocked = async (keep) => {
+    const pruned = [];
+    for (const backup of backupsToPrune(await listBackupsLocked(), keep)) {
+      await fs.promises.rm(path.join(backupsRoot, backup.id), { recursive: true, force: true });
+      pruned.push(backup.id);
+    }
+    return pruned;
+  };
+
+  // copies into a dot-prefixed folder first so an interrupted backup never shows up in listBackups
+  const createBackupLocked = async (reason) => {
+    const index = await loadIndexLocked();
+    const now = new Date();
+    let backupId = backupIdFor(now);
+    for (let i = 1; await isDirectory(path.join(backupsRoot, backupId)); i += 1) backupId = `${backupIdFor(now)}-${i}`;
+    const partialAbs = path.join(backupsRoot, `.${backupId}.partial`);
+    await fs.promises.rm(partialAbs, { recursive: true, force: true });
+    const files = [];
+    for (const rel of await listBackupSourceFiles(baseDir, BACKUP_ENTRIES)) {
+      const data = await fs.promises.readFile(path.join(baseDir, ...rel.split('/')));
+      const dst = path.join(partialAbs, ...rel.split('/'));
+      await ensureDir(path.dirname(dst));
+      await fs.promises.writeFile(dst, data);
+      files.push({ path: rel, size: data.length, sha256: sha256Hex(data) });
+    }
+    const manifest = {
+      id: backupId,
+      createdAt: now.toISOString(),
+      reason,
+      notes: index.notes.length,
+      size: files.reduce((sum, f) => sum + f.size, 0),
+      files,
+    };
+    await ensureDir(partialAbs);
+    await fs.promises.writeFile(path.join(partialAbs, BACKUP_MANIFEST), JSON.stringify(manifest, null, 2));
+    await fs.promises.rename(partialAbs, path.join(backupsRoot, backupId));
+    return { id: backupId, createdAt: manifest.createdAt, reason, notes: manifest.notes, files: files.length, size: manifest.size };
+  };
+
+  const verifyBackupLocked = async (backupId) => {
+    const dirAbs = path.join(backupsRoot, backupId);
+    const manifest = await readBackupManifest(backupId);
+    const problems = [];
+    const listed = new Set();
+    for (const file of manifest.files) {
+      const rel = safePosixRel(file?.path);
+      if (!rel) {
+        problems.push({ path: String(file?.path || ''), problem: 'invalid path' });
+        continue;
       }
-      const folderName = normalizeOptionalString(note.folder);
-      if (folderName.toLowerCase().includes(qLower)) {
-        results.push(note);
+      listed.add(rel);
+      let data = null;
+      try {
+        data = await fs.promises.readFile(path.join(dirAbs, ...rel.split('/')));
+      } catch {
+        problems.push({ path: rel, problem: 'missing' });
         continue;
       }
-      if (!includeContent) continue;
+      if (data.length !== file.size || sha256Hex(data) !== file.sha256) problems.push({ path: rel, problem: 'checksum mismatch' });
+    }
+    for (const rel of await listBackupSourceFiles(dirAbs, BACKUP_ENTRIES)) {
+      if (!listed.has(rel)) problems.push({ path: rel, problem: 'not in manifest' });
+    }
+    let notes = [];
+    try {
+      const parsed = JSON.parse(await fs.promises.readFile(path.join(dirAbs, INDEX_FILE_NAME), 'utf8'));
+      notes = Array.isArray(parsed?.notes) ? parsed.notes : [];
+    } catch {
+      problems.push({ path: INDEX_FILE_NAME, problem: 'unreadable index' });
+    }
+    notes.forEach((n) => {
+      const rel = noteFileRel(n?.folder, n);
+      if (!listed.has(rel)) problems.push({ path: rel, problem: 'indexed note missing from backup' });
+    });
+    if (notes.some((n) => n?.encrypted === true) && !listed.has(ENCRYPTION_FILE_NAME)) {
+      problems.push({ path: ENCRYPTION_FILE_NAME, problem: 'encrypted notes without encryption settings' });
+    }
+    return { manifest, notes, problems };
+  };
+
+  const getBackupSettings = async () =>
+    await withFileLock(lockPath, async () => ({ ok: true, settings: await readBackupSettingsLocked(), dir: backupsRoot }));
+
+  const updateBackupSettings = async ({ schedule, keep } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const current = await readBackupSettingsLocked();
+      if (schedule !== undefined && !BACKUP_SCHEDULES.includes(schedule)) {
+        return { ok: false, message: `schedule must be one of: ${BACKUP_SCHEDULES.join(', ')}` };
+      }
+      const next = normalizeBackupSettings({
+        schedule: schedule === undefined ? current.schedule : schedule,
+        keep: keep === undefined ? current.keep : keep,
+      });
+      await atomicWriteText(backupSettingsPath, JSON.stringify(next, null, 2));
+      const pruned = await pruneBackupsLocked(next.keep);
+      return { ok: true, settings: next, pruned };
+    });
+
+  const listBackups = async () =>
+    await withFileLock(lockPath, async () => ({
+      ok: true,
+      dir: backupsRoot,
+      settings: await readBackupSettingsLocked(),
+      backups: await listBackupsLocked(),
+    }));
+
+  const createBackup = async () =>
+    await withFileLock(lockPath, async () => {
+      const backup = await createBackupLocked('manual');
+      return { ok: true, backup };
+    });
+
+  // called periodically by the backend; a no-op unless the schedule says a snapshot is due
+  const runScheduledBackup = async () =>
+    await withFileLock(lockPath, async () => {
+      const settings = await readBackupSettingsLocked();
+      const last = (await listBackupsLocked()).find((b) => b.reason === 'scheduled');
+      if (!isBackupDue(settings, last?.createdAt)) return { ok: true, created: false, settings };
+      const backup = await createBackupLocked('scheduled');
+      const pruned = await pruneBackupsLocked(settings.keep);
+      return { ok: true, created: true, backup, pruned, settings };
+    });
+
+  const verifyBackup = async ({ id } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const backupId = normalizeOptionalString(id);
+      if (!isBackupId(backupId) || !(await isDirectory(path.join(backupsRoot, backupId)))) {
+        return { ok: false, message: `Backup not found: ${backupId}` };
+      }
+      const { manifest, problems } = await verifyBackupLocked(backupId);
+      return { ok: true, id: backupId, valid: problems.length === 0, checked: manifest.files.length, problems };
+    });
+
+  const deleteBackup = async ({ id } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const backupId = normalizeOptionalString(id);
+      if (!isBackupId(backupId) || !(await isDirectory(path.join(backupsRoot, backupId)))) {
+        return { ok: false, message: `Backup not found: ${backupId}` };
+      }
+      await fs.promises.rm(path.join(backupsRoot, backupId), { recursive: true, force: true });
+      return { ok: true, id: backupId };
+    });
+
+  // dryRun only reports the diff; a real restore first snapshots the current state as a 'pre-restore' backup
+  const restoreBackup = async ({ id, dryRun = false } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const backupId = normalizeOptionalString(id);
+      const dirAbs = path.join(backupsRoot, backupId);
+      if (!isBackupId(backupId) || !(await isDirectory(dirAbs))) return { ok: false, message: `Backup not found: ${backupId}` };
+      const { manifest, notes: backupNotes, problems } = await verifyBackupLocked(backupId);
+      if (problems.length > 0) return { ok: false, message: 'Backup failed verification', id: backupId, problems };
+
+      const index = await loadIndexLocked();
+      const hashes = new Map(manifest.files.map((f) => [f.path, f.sha256]));
+      const current = new Map(index.notes.map((n) => [n.id, n]));
+      const summary = (n) => ({ id: n.id, title: n.title, folder: n.folder || '' });
+      const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+      for (const note of backupNotes) {
+        const now = current.get(note.id);
+        if (!now) {
+          diff.added.push(summary(note));
+          continue;
+        }
+        let same = now.folder === note.folder && now.title === note.title;
+        if (same) {
+          try {
+            same = sha256Hex(await fs.promises.readFile(noteFileAbs(notesRoot, now.folder, now))) === hashes.get(noteFileRel(note.folder, note));
+          } catch {
+            same = false;
+          }
+        }
+        if (same) diff.unchanged += 1;
+        else diff.changed.push({ ...summary(note), from: summary(now) });
+      }
+      const restoredIds = new Set(backupNotes.map((n) => n.id));
+      index.notes.filter((n) => !restoredIds.has(n.id)).forEach((n) => diff.removed.push(summary(n)));
+      if (dryRun === true) return { ok: true, dryRun: true, id: backupId, createdAt: manifest.createdAt, diff };
+
+      const safety = await createBackupLocked('pre-restore');
+      let encryptionBefore = '';
       try {
-        const abs = noteFileAbs(notesRoot, note.folder, note.id);
-        const content = await fs.promises.readFile(abs, 'utf8');
-        if (String(content || '').toLowerCase().includes(qLower)) {
-          results.push(note);
+        encryptionBefore = await fs.promises.readFile(encryptionSettingsPath, 'utf8');
+      } catch {
+        encryptionBefore = '';
+      }
+      for (const entry of BACKUP_ENTRIES) {
+        const targetAbs = path.join(baseDir, entry);
+        const stagedAbs = `${targetAbs}.restoring`;
+        await fs.promises.rm(stagedAbs, { recursive: true, force: true });
+        if (entry.endsWith('.json')) continue;
+        await ensureDir(stagedAbs);
+        for (const file of manifest.files.filter((f) => f.path.startsWith(`${entry}/`))) {
+          const dst = path.join(baseDir, `${entry}.restoring`, ...file.path.split('/').slice(1));
+          await ensureDir(path.dirname(dst));
+          await fs.promises.copyFile(path.join(dirAbs, ...file.path.split('/')), dst);
         }
+        await fs.promises.rm(targetAbs, { recursive: true, force: true });
+        await fs.promises.rename(stagedAbs, targetAbs);
+      }
+      for (const entry of BACKUP_ENTRIES.filter((e) => e.endsWith('.json'))) {
+        if (hashes.has(entry)) await atomicWriteFile(path.join(baseDir, entry), await fs.promises.readFile(path.join(dirAbs, entry)));
+        else await fs.promises.rm(path.join(baseDir, entry), { force: true });
+      }
+      let encryptionAfter = '';
+      try {
+        encryptionAfter = await fs.promises.readFile(encryptionSettingsPath, 'utf8');
       } catch {
-        // ignore
+        encryptionAfter = '';
+      }
+      // the session key belongs to the replaced settings
+      if (encryptionAfter !== encryptionBefore) {
+        unlockedKey = null;
+        unlockedUntil = 0;
+      }
+      // derived indexes are rebuilt from the restored notes
+      for (const spec of Object.values(derivedIndexes)) {
+        spec.cache = null;
+        await fs.promises.rm(spec.file, { force: true });
+      }
+      const restored = await saveIndexLocked(await loadIndexLocked());
+      await reindexNotesLocked(restored);
+      return { ok: true, id: backupId, createdAt: manifest.createdAt, diff, safetyBackup: safety.id };
+    });
+
+  const isUnlocked = () => Boolean(unlockedKey) && Date.now() <= unlockedUntil;
+
+  const getEncryptionStatus = async () =>
+    await withFileLock(lockPath, async () => {
+      const settings = await readEncryptionSettingsLocked();
+      const index = await loadIndexLocked();
+      return {
+        ok: true,
+        configured: Boolean(settings.kdf),
+        unlocked: isUnlocked(),
+        folders: settings.folders,
+        encryptedNotes: index.notes.filter((n) => n.encrypted).length,
+        idleMinutes: ENCRYPTION_IDLE_MS / 60_000,
+      };
+    });
+
+  // the passphrase cannot be recovered: notes encrypted with it are lost if it is forgotten
+  const setupEncryption = async ({ passphrase } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const settings = await readEncryptionSettingsLocked();
+      if (settings.kdf) return { ok: false, message: 'Encryption is already set up' };
+      const secret = typeof passphrase === 'string' ? passphrase : '';
+      if (secret.length < MIN_PASSPHRASE_LENGTH) {
+        return { ok: false, message: `passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters` };
+      }
+      const kdf = createKdfParams();
+      const key = await deriveKey(secret, kdf);
+      await atomicWriteText(encryptionSettingsPath, JSON.stringify({ ...settings, kdf, verifier: createKeyVerifier(key) }, null, 2));
+      unlockedKey = key;
+      unlockedUntil = Date.now() + ENCRYPTION_IDLE_MS;
+      return { ok: true, configured: true, unlocked: true };
+    });
+
+  const unlockNotebook = async ({ passphrase } = {}) => {
+    const settings = await withFileLock(lockPath, async () => await readEncryptionSettingsLocked());
+    if (!settings.kdf) return { ok: false, message: 'Encryption is not set up' };
+    const key = await deriveKey(typeof passphrase === 'string' ? passphrase : '', settings.kdf);
+    if (!checkKeyVerifier(key, settings.verifier)) return { ok: false, message: 'Wrong passphrase' };
+    unlockedKey = key;
+    unlockedUntil = Date.now() + ENCRYPTION_IDLE_MS;
+    return { ok: true, unlocked: true, idleMinutes: ENCRYPTION_IDLE_MS / 60_000 };
+  };
+
+  const lockNotebook = async () => {
+    unlockedKey = null;
+    unlockedUntil = 0;
+    return { ok: true, unlocked: false };
+  };
+
+  const encryptNote = async ({ id } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const key = sessionKey();
+      if (!key) return lockedResult(null);
+      const found = await findNoteLocked(id);
+      if (found.error) return { ok: false, message: found.error };
+      if (found.note.encrypted) return { ok: true, changed: false, note: found.note };
+      const index = await loadIndexLocked();
+      const upsert = await encryptNotesLocked(index, [found.note], key);
+      await saveIndexLocked(index);
+      await reindexNotesLocked(index, { upsert });
+      return { ok: true, changed: true, note: upsert[0].note };
+    });
+
+  const decryptNote = async ({ id } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const key = sessionKey();
+      if (!key) return lockedResult(null);
+      const found = await findNoteLocked(id);
+      if (found.error) return { ok: false, message: found.error };
+      if (!found.note.encrypted) return { ok: true, changed: false, note: found.note };
+      if (isEncryptedFolder(await readEncryptionSettingsLocked(), found.note.folder)) {
+        return { ok: false, message: `Note is in an encrypted folder (${found.note.folder}); move it out or turn off folder encryption` };
+      }
+      const index = await loadIndexLocked();
+      const upsert = await decryptNotesLocked(index, [found.note], key);
+      await saveIndexLocked(index);
+      await reindexNotesLocked(index, { upsert });
+      return { ok: true, changed: true, note: upsert[0].note };
+    });
+
+  // marks a folder (and everything below it) as encrypted and encrypts or decrypts the notes already in it
+  const setFolderEncryption = async ({ folder, encrypted = true } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const key = sessionKey();
+      if (!key) return lockedResult(null);
+      let rel = '';
+      try {
+        rel = normalizeFolderPath(folder);
+      } catch (err) {
+        return { ok: false, message: err?.message || String(err) };
+      }
+      if (!rel) return { ok: false, message: 'folder is required' };
+      if (!(await isDirectory(path.join(notesRoot, ...splitFolder(rel))))) return { ok: false, message: `Folder not found: ${rel}` };
+      const settings = await readEncryptionSettingsLocked();
+      const on = encrypted !== false;
+      const inherited = settings.folders.find((f) => f !== rel && rel.startsWith(`${f}/`));
+      if (!on && inherited) return { ok: false, message: `Folder is encrypted through its parent: ${inherited}` };
+      const folders = on
+        ? inherited || settings.folders.includes(rel)
+          ? settings.folders
+          : settings.folders.concat(rel)
+        : settings.folders.filter((f) => f !== rel && !f.startsWith(`${rel}/`));
+      const next = { ...settings, folders };
+      await atomicWriteText(encryptionSettingsPath, JSON.stringify(next, null, 2));
+
+      const index = await loadIndexLocked();
+      const inside = index.notes.filter((n) => n.folder === rel || n.folder.startsWith(`${rel}/`));
+      const upsert = on
+        ? await encryptNotesLocked(index, inside, key)
+        : await decryptNotesLocked(index, inside.filter((n) => !isEncryptedFolder(next, n.folder)), key);
+      if (upsert.length > 0) {
+        await saveIndexLocked(index);
+        await reindexNotesLocked(index, { upsert });
       }
+      return { ok: true, folder: rel, encrypted: on, changedNotes: upsert.length, folders };
+    });
+
+  const relToBase = (abs) => path.relative(baseDir, abs).split(path.sep).join('/');
+
+  const checkIntegrity = async ({ repair = false } = {}) => {
+    const fix = repair === true;
+    const issues = [];
+    const settle = async (issue, action) => {
+      if (fix) {
+        try {
+          await action();
+          issue.fixed = true;
+        } catch (err) {
+          issue.fixed = false;
+          issue.error = err?.message || String(err);
+        }
+      }
+      issues.push(issue);
+    };
+
+    // checked before taking the lock ourselves; withFileLock would clear it silently
+    const lock = await inspectLock(lockPath);
+    if (lock?.stale) {
+      const owner = lock.pid ? `, pid ${lock.pid}${lock.ownerAlive ? '' : ' not running'}` : '';
+      await settle(
+        { kind: 'staleLock', file: relToBase(lockPath), message: `Stale lock file (age ${Math.round(lock.ageMs / 1000)}s${owner})` },
+        async () => await fs.promises.unlink(lockPath)
+      );
     }
-    return { ok: true, notes: results };
+
+    return await withFileLock(lockPath, async () => {
+      // read the raw index too: normalizeIndex silently drops duplicate ids
+      let rawNotes = [];
+      try {
+        const raw = JSON.parse(await fs.promises.readFile(indexPath, 'utf8'));
+        rawNotes = Array.isArray(raw?.notes) ? raw.notes : [];
+      } catch {
+        rawNotes = [];
+      }
+      const index = await loadIndexLocked();
+      let indexChanged = false;
+      const upserted = [];
+      const removed = [];
+
+      const seenIds = new Map();
+      rawNotes.forEach((n) => {
+        const id = normalizeOptionalString(n?.id);
+        if (id) seenIds.set(id, (seenIds.get(id) || 0) + 1);
+      });
+      for (const [id, count] of seenIds) {
+        if (count < 2) continue;
+        await settle(
+          { kind: 'duplicateIndexEntry', id, message: `Note id ${id} appears ${count} times in notes-index.json` },
+          async () => {
+            indexChanged = true;
+          }
+        );
+      }
+
+      const files = await listNoteFiles(notesRoot);
+      const filesById = new Map();
+      files.forEach((f) => {
+        const list = filesById.get(f.id) || [];
+        list.push(f);
+        filesById.set(f.id, list);
+      });
+
+      const trashDuplicate = async (note, file) => {
+        await settle(
+          {
+            kind: 'duplicateFile',
+            id: note.id,
+            folder: file.folder,
+            file: relToBase(file.fileAbs),
+            message: `Extra copy of note ${note.id} in "${file.folder || '/'}" (index points to "${note.folder || '/'}")`,
+          },
+          async () => {
+            await moveToTrashLocked({
+              kind: 'note',
+              folder: file.folder,
+              title: note.title,
+              notes: [{ ...note, folder: file.folder }],
+              sourceAbs: file.fileAbs,
+              withAttachments: false,
+            });
+          }
+        );
+      };
+
+      for (const note of index.notes.slice()) {
+        const locations = filesById.get(note.id) || [];
+        filesById.delete(note.id);
+        const canonical =
+          locations.find((f) => f.folder === note.folder && f.fileName === noteFileName(note)) ||
+          locations.find((f) => f.folder === note.folder) ||
+          locations[0] ||
+          null;
+        if (canonical && (canonical.folder !== note.folder || canonical.fileName !== noteFileName(note))) {
+          await settle(
+            {
+              kind: 'misplacedFile',
+              id: note.id,
+              folder: canonical.folder,
+              file: relToBase(canonical.fileAbs),
+              message: `Note ${note.id} is indexed as "${noteFileRel(note.folder, note)}" but its file is "${noteFileRel(canonical.folder, canonical)}"`,
+            },
+            async () => {
+              note.folder = canonical.folder;
+              note.fileName = canonical.fileName;
+              indexChanged = true;
+            }
+          );
+        }
+        if (!canonical) {
+          await settle(
+            {
+              kind: 'missingFile',
+              id: note.id,
+              folder: note.folder,
+              file: noteFileRel(note.folder, note),
+              message: `Index entry "${note.title}" (${note.id}) has no note file`,
+            },
+            async () => {
+              index.notes = index.notes.filter((n) => n.id !== note.id);
+              removed.push(note.id);
+              indexChanged = true;
+            }
+          );
+          continue;
+        }
+        for (const extra of locations) {
+          if (extra !== canonical) await trashDuplicate(note, extra);
+        }
+      }
+
+      for (const [id, locations] of filesById) {
+        const [first, ...extras] = locations;
+        const note = { ...(await noteFromFile(first)), revision: 1 };
+        await settle(
+          {
+            kind: 'orphanFile',
+            id,
+            folder: first.folder,
+            file: relToBase(first.fileAbs),
+            message: `Note file ${relToBase(first.fileAbs)} is not in the index`,
+          },
+          async () => {
+            index.notes.unshift(note);
+            upserted.push(note);
+            indexChanged = true;
+          }
+        );
+        for (const extra of extras) await trashDuplicate(note, extra);
+      }
+
+      // ids dropped by this repair (missing files) are only cleaned up on a later run
+      const indexedIds = new Set([...seenIds.keys(), ...index.notes.map((n) => n.id)]);
+      let attachmentDirs = [];
+      try {
+        attachmentDirs = await fs.promises.readdir(attachmentsRoot, { withFileTypes: true });
+      } catch {
+        attachmentDirs = [];
+      }
+      for (const entry of attachmentDirs) {
+        if (!entry.isDirectory() || indexedIds.has(entry.name)) continue;
+        const abs = attachmentDirAbs(entry.name);
+        await settle(
+          { kind: 'orphanAttachments', id: entry.name, file: relToBase(abs), message: `Attachments of unknown note ${entry.name}` },
+          async () => await fs.promises.rm(abs, { recursive: true, force: true })
+        );
+      }
+
+      // only this notebook's own files: other notebooks (and the registry) live below the default notebook's baseDir
+      // and may be writing right now under their own lock
+      const ownFiles = [indexPath, journalSettingsPath, encryptionSettingsPath, backupSettingsPath].concat(
+        Object.values(derivedIndexes).map((spec) => spec.file)
+      );
+      const ownPrefixes = ownFiles.map((f) => `.${path.basename(f)}.`).concat('.notes-index.');
+      const tempFiles = (await listTempFiles(baseDir, { recursive: false })).filter((abs) =>
+        ownPrefixes.some((prefix) => path.basename(abs).startsWith(prefix))
+      );
+      for (const root of [notesRoot, attachmentsRoot, revisionsRoot, trashRoot]) tempFiles.push(...(await listTempFiles(root)));
+      for (const abs of tempFiles) {
+        await settle(
+          { kind: 'tempFile', file: relToBase(abs), message: `Leftover temp file ${relToBase(abs)}` },
+          async () => await fs.promises.unlink(abs)
+        );
+      }
+
+      if (fix && indexChanged) {
+        await saveIndexLocked(index);
+        await reindexNotesLocked(index, { upsert: upserted, remove: removed });
+      }
+
+      const counts = {};
+      issues.forEach((issue) => {
+        counts[issue.kind] = (counts[issue.kind] || 0) + 1;
+      });
+      return { ok: true, repaired: fix, healthy: issues.length === 0, issues, counts, notes: index.notes.length, files: files.length };
+    });
+  };
+
+  const changeFeed = createChangeFeed({
+    baseDir,
+    notesRoot,
+    indexFileName: path.basename(indexPath),
+    loadState: async () => {
+      const index = await getIndexSnapshot();
+      const folderRes = await listFolders();
+      return { notes: index?.notes, folders: folderRes?.folders };
+    },
+  });
+
+  const waitForChanges = async ({ sinceCursor, timeoutMs } = {}) => await changeFeed.waitForChanges({ sinceCursor, timeoutMs });
+
+  const close = () => {
+    changeFeed.close();
   };
 
   const safe = (fn) => async (...args) => {
@@ -755,11 +3734,207 @@ export function createNotepadStore({ dataDir } = {}) {
     renameFolder: safe(renameFolder),
     deleteFolder: safe(deleteFolder),
     listNotes: safe(listNotes),
+    listTemplates: safe(listTemplates),
     createNote: safe(createNote),
+    getOrCreateDailyNote: safe(getOrCreateDailyNote),
+    getJournalSettings: safe(getJournalSettings),
+    updateJournalSettings: safe(updateJournalSettings),
     getNote: safe(getNote),
     updateNote: safe(updateNote),
     deleteNote: safe(deleteNote),
+    batch: safe(batch),
+    getNoteProperties: safe(getNoteProperties),
+    setNoteProperties: safe(setNoteProperties),
+    pinNote: safe(pinNote),
+    reorderNotes: safe(reorderNotes),
     listTags: safe(listTags),
+    renameTag: safe(renameTag),
+    mergeTags: safe(mergeTags),
+    deleteTag: safe(deleteTag),
     searchNotes: safe(searchNotes),
+    listRevisions: safe(listRevisions),
+    getRevision: safe(getRevision),
+    restoreRevision: safe(restoreRevision),
+    listTrash: safe(listTrash),
+    restoreFromTrash: safe(restoreFromTrash),
+    purgeTrash: safe(purgeTrash),
+    waitForChanges: safe(waitForChanges),
+    checkIntegrity: safe(checkIntegrity),
+    getOutgoingLinks: safe(getOutgoingLinks),
+    getBacklinks: safe(getBacklinks),
+    resolveLinks: safe(resolveLinks),
+    listTasks: safe(listTasks),
+    toggleTask: safe(toggleTask),
+    addAttachment: safe(addAttachment),
+    listAttachments: safe(listAttachments),
+    readAttachment: safe(readAttachment),
+    deleteAttachment: safe(deleteAttachment),
+    importMarkdown: safe(importMarkdown),
+    exportNotebook: safe(exportNotebook),
+    importArchive: safe(importArchive),
+    getEncryptionStatus: safe(getEncryptionStatus),
+    setupEncryption: safe(setupEncryption),
+    unlockNotebook: safe(unlockNotebook),
+    lockNotebook: safe(lockNotebook),
+    encryptNote: safe(encryptNote),
+    decryptNote: safe(decryptNote),
+    setFolderEncryption: safe(setFolderEncryption),
+    getBackupSettings: safe(getBackupSettings),
+    updateBackupSettings: safe(updateBackupSettings),
+    listBackups: safe(listBackups),
+    createBackup: safe(createBackup),
+    runScheduledBackup: safe(runScheduledBackup),
+    verifyBackup: safe(verifyBackup),
+    restoreBackup: safe(restoreBackup),
+    deleteBackup: safe(deleteBackup),
+    close,
+  };
+}
+
+// named notebooks on top of createNotepadStore; stores are opened lazily and kept for the life of the process
+export function createNotebookRegistry({ dataDir, ...storeOptions } = {}) {
+  const baseDirRaw = normalizeOptionalString(dataDir);
+  if (!baseDirRaw) {
+    throw new Error('dataDir is required');
+  }
+  const baseDir = path.resolve(baseDirRaw);
+  const registryPath = path.join(baseDir, NOTEBOOKS_FILE);
+  const lockPath = path.join(baseDir, 'notebooks.lock');
+  const stores = new Map();
+
+  const notebookRoot = (nb) =>
+    nb.id === DEFAULT_NOTEBOOK_ID ? baseDir : nb.root ? path.resolve(nb.root) : path.join(baseDir, NOTEBOOKS_DIR, nb.id);
+
+  // written atomically, so reading it does not need the lock
+  const readRegistry = async () => {
+    try {
+      return normalizeNotebookRegistry(JSON.parse(await fs.promises.readFile(registryPath, 'utf8')));
+    } catch {
+      return normalizeNotebookRegistry(null);
+    }
+  };
+
+  const describe = (nb) => ({ ...nb, root: notebookRoot(nb), ownRoot: Boolean(nb.root), default: nb.id === DEFAULT_NOTEBOOK_ID });
+
+  const findNotebook = (registry, notebook) => {
+    const ref = normalizeOptionalString(notebook) || DEFAULT_NOTEBOOK_ID;
+    return registry.notebooks.find((nb) => nb.id === ref) || registry.notebooks.find((nb) => nb.name === ref) || null;
+  };
+
+  const closeStore = (id) => {
+    const entry = stores.get(id);
+    if (!entry) return;
+    entry.store.close();
+    stores.delete(id);
+  };
+
+  // `notebook` is an id or a name; empty means the default notebook
+  const openNotebook = async (notebook) => {
+    const nb = findNotebook(await readRegistry(), notebook);
+    if (!nb) return { ok: false, message: `Notebook not found: ${normalizeOptionalString(notebook)}` };
+    const root = notebookRoot(nb);
+    let entry = stores.get(nb.id);
+    if (entry && entry.root !== root) {
+      closeStore(nb.id);
+      entry = null;
+    }
+    if (!entry) {
+      entry = { root, store: createNotepadStore({ ...storeOptions, dataDir: root }) };
+      stores.set(nb.id, entry);
+    }
+    return { ok: true, notebook: describe(nb), store: entry.store };
+  };
+
+  const listNotebooks = async () => {
+    const registry = await readRegistry();
+    return { ok: true, notebooks: registry.notebooks.map(describe) };
+  };
+
+  const createNotebook = async ({ name, id, root } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const registry = await readRegistry();
+      const displayName = normalizeNotebookName(name);
+      if (!displayName) return { ok: false, message: 'name is required' };
+      if (registry.notebooks.some((nb) => nb.name === displayName)) {
+        return { ok: false, message: `Notebook already exists: ${displayName}` };
+      }
+      const taken = registry.notebooks.map((nb) => nb.id);
+      const wantedId = normalizeOptionalString(id);
+      if (wantedId && !isNotebookId(wantedId)) {
+        return { ok: false, message: 'id may only contain lowercase letters, digits, "-" and "_"' };
+      }
+      if (wantedId && taken.includes(wantedId)) return { ok: false, message: `Notebook already exists: ${wantedId}` };
+      const notebookId = wantedId || notebookIdFromName(displayName, taken);
+
+      let rootAbs = '';
+      const rootRaw = normalizeOptionalString(root);
+      if (rootRaw) {
+        if (!path.isAbsolute(rootRaw)) return { ok: false, message: 'root must be an absolute path' };
+        rootAbs = path.resolve(rootRaw);
+        if (pathInside(baseDir, rootAbs) || pathInside(rootAbs, baseDir)) {
+          return { ok: false, message: 'root must not overlap the notepad data directory' };
+        }
+        const clash = registry.notebooks.find(
+          (nb) => nb.id !== DEFAULT_NOTEBOOK_ID && (pathInside(notebookRoot(nb), rootAbs) || pathInside(rootAbs, notebookRoot(nb)))
+        );
+        if (clash) return { ok: false, message: `root overlaps notebook ${clash.name}` };
+      }
+
+      const nb = { id: notebookId, name: displayName, root: rootAbs, createdAt: nowIso() };
+      await ensureDir(notebookRoot(nb));
+      registry.notebooks.push(nb);
+      await atomicWriteText(registryPath, JSON.stringify(registry, null, 2));
+      return { ok: true, notebook: describe(nb) };
+    });
+
+  const renameNotebook = async ({ notebook, name } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const registry = await readRegistry();
+      const nb = findNotebook(registry, notebook);
+      if (!nb) return { ok: false, message: `Notebook not found: ${normalizeOptionalString(notebook)}` };
+      const displayName = normalizeNotebookName(name);
+      if (!displayName) return { ok: false, message: 'name is required' };
+      if (registry.notebooks.some((other) => other.id !== nb.id && other.name === displayName)) {
+        return { ok: false, message: `Notebook already exists: ${displayName}` };
+      }
+      nb.name = displayName;
+      await atomicWriteText(registryPath, JSON.stringify(registry, null, 2));
+      return { ok: true, notebook: describe(nb) };
+    });
+
+  // notebooks with their own root are only forgotten; their files are never deleted from here
+  const deleteNotebook = async ({ notebook, deleteFiles = false } = {}) =>
+    await withFileLock(lockPath, async () => {
+      const registry = await readRegistry();
+      const nb = findNotebook(registry, notebook);
+      if (!nb) return { ok: false, message: `Notebook not found: ${normalizeOptionalString(notebook)}` };
+      if (nb.id === DEFAULT_NOTEBOOK_ID) return { ok: false, message: 'The default notebook cannot be deleted' };
+      closeStore(nb.id);
+      registry.notebooks = registry.notebooks.filter((other) => other.id !== nb.id);
+      await atomicWriteText(registryPath, JSON.stringify(registry, null, 2));
+      const filesDeleted = deleteFiles === true && !nb.root;
+      if (filesDeleted) await fs.promises.rm(notebookRoot(nb), { recursive: true, force: true });
+      return { ok: true, notebook: describe(nb), filesDeleted };
+    });
+
+  const close = () => {
+    Array.from(stores.keys()).forEach(closeStore);
+  };
+
+  const safe = (fn) => async (...args) => {
+    try {
+      return await fn(...args);
+    } catch (err) {
+      return { ok: false, message: err?.message || String(err) };
+    }
+  };
+
+  return {
+    openNotebook: safe(openNotebook),
+    listNotebooks: safe(listNotebooks),
+    createNotebook: safe(createNotebook),
+    renameNotebook: safe(renameNotebook),
+    deleteNotebook: safe(deleteNotebook),
+    close,
   };
 }
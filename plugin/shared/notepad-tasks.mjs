@@ -0,0 +1,101 @@
+export const TASK_INDEX_VERSION = 1;
+
+const TASK_RE = /^(\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\]\s+)(.*)$/;
+const DUE_RE = /@due\((\d{4}-\d{2}-\d{2})\)/;
+const FENCE_RE = /^\s*(```|~~~)/;
+
+function parseTaskLine(line) {
+  const match = TASK_RE.exec(String(line ?? ''));
+  if (!match) return null;
+  const raw = match[4].trim();
+  if (!raw) return null;
+  const due = DUE_RE.exec(raw);
+  return {
+    done: match[2] !== ' ',
+    text: raw.replace(DUE_RE, '').replace(/\s{2,}/g, ' ').trim() || raw,
+    raw,
+    due: due ? due[1] : null,
+  };
+}
+
+// `- [ ] text @due(2026-10-20)`; line numbers are 1-based and relative to the note body (front matter excluded)
+export function extractTasks(markdown) {
+  const out = [];
+  let inFence = false;
+  String(markdown ?? '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .forEach((line, i) => {
+      if (FENCE_RE.test(line)) {
+        inFence = !inFence;
+        return;
+      }
+      if (inFence) return;
+      const task = parseTaskLine(line);
+      if (task) out.push({ line: i + 1, ...task });
+    });
+  return out;
+}
+
+// rewrites only the checkbox on `line`; returns null when that line is not (or no longer) the expected task
+export function setTaskState(markdown, line, done, { expectedText } = {}) {
+  const text = String(markdown ?? '');
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = text.split(/\r?\n/);
+  const idx = Number(line) - 1;
+  if (!Number.isInteger(idx) || idx < 0 || idx >= lines.length) return null;
+  const task = parseTaskLine(lines[idx]);
+  if (!task) return null;
+  if (typeof expectedText === 'string' && expectedText.trim() && expectedText.trim() !== task.text && expectedText.trim() !== task.raw) {
+    return null;
+  }
+  const nextDone = done === undefined ? !task.done : done === true;
+  lines[idx] = lines[idx].replace(TASK_RE, (_m, head, _state, tail, rest) => `${head}${nextDone ? 'x' : ' '}${tail}${rest}`);
+  return { content: lines.join(eol), task: { line: idx + 1, ...task, done: nextDone } };
+}
+
+export function createTaskIndex(json) {
+  const docs = new Map();
+
+  // returns false when the note already had exactly these tasks
+  const setDocument = (id, { body = '' } = {}) => {
+    const key = String(id || '');
+    if (!key) return false;
+    const tasks = extractTasks(body).map(({ line, text, done, due }) => ({ line, text, done, due }));
+    if (docs.has(key) && JSON.stringify(docs.get(key)) === JSON.stringify(tasks)) return false;
+    docs.set(key, tasks);
+    return true;
+  };
+
+  const removeDocument = (id) => docs.delete(String(id || ''));
+
+  const toJSON = () => {
+    const out = {};
+    docs.forEach((tasks, id) => {
+      out[id] = tasks;
+    });
+    return { version: TASK_INDEX_VERSION, docs: out };
+  };
+
+  if (json && typeof json === 'object' && json.version === TASK_INDEX_VERSION && json.docs && typeof json.docs === 'object') {
+    Object.entries(json.docs).forEach(([id, tasks]) => {
+      if (!Array.isArray(tasks)) return;
+      docs.set(
+        id,
+        tasks
+          .filter((t) => t && Number.isInteger(t.line) && typeof t.text === 'string')
+          .map((t) => ({ line: t.line, text: t.text, done: t.done === true, due: typeof t.due === 'string' ? t.due : null }))
+      );
+    });
+  }
+
+  return {
+    setDocument,
+    removeDocument,
+    has: (id) => docs.has(String(id || '')),
+    ids: () => Array.from(docs.keys()),
+    tasks: (id) => (docs.get(String(id || '')) || []).slice(),
+    entries: () => Array.from(docs.entries()),
+    toJSON,
+  };
+}
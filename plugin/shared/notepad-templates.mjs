@@ -0,0 +1,51 @@
+// Templates are ordinary notes kept in a reserved folder; their body (and string front matter fields)
+// may contain {{placeholders}} that are expanded when a note is created from them.
+export const TEMPLATES_FOLDER = '_templates';
+
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+function pad2(value) {
+  return String(value).padStart(2, '0');
+}
+
+export function isTemplateFolder(folder) {
+  const f = String(folder || '');
+  return f === TEMPLATES_FOLDER || f.startsWith(`${TEMPLATES_FOLDER}/`);
+}
+
+// built-in variables use the local clock: {{date}} is what the user sees on the calendar
+export function builtinTemplateVariables({ title = '', folder = '', now = new Date() } = {}) {
+  const d = now instanceof Date && Number.isFinite(now.getTime()) ? now : new Date();
+  const date = `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+  const time = `${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+  return {
+    title: String(title || ''),
+    folder: String(folder || ''),
+    date,
+    time,
+    datetime: `${date} ${time}`,
+    year: String(d.getFullYear()),
+    month: pad2(d.getMonth() + 1),
+    day: pad2(d.getDate()),
+  };
+}
+
+// unknown placeholders are left untouched so a typo stays visible in the created note
+export function expandTemplate(text, variables = {}) {
+  const vars = variables && typeof variables === 'object' ? variables : {};
+  return String(text ?? '').replace(PLACEHOLDER_RE, (match, name) =>
+    Object.prototype.hasOwnProperty.call(vars, name) && vars[name] !== undefined && vars[name] !== null
+      ? String(vars[name])
+      : match
+  );
+}
+
+export function expandTemplateFields(fields, variables = {}) {
+  const out = {};
+  Object.entries(fields && typeof fields === 'object' ? fields : {}).forEach(([key, value]) => {
+    if (typeof value === 'string') out[key] = expandTemplate(value, variables);
+    else if (Array.isArray(value)) out[key] = value.map((item) => (typeof item === 'string' ? expandTemplate(item, variables) : item));
+    else out[key] = value;
+  });
+  return out;
+}
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+import { ARCHIVE_FORMAT, ARCHIVE_MANIFEST, createZipBuffer, readZipEntries } from '../plugin/shared/notepad-archive.mjs';
+import { parseFrontMatter } from '../plugin/shared/notepad-frontmatter.mjs';
+import { createNotepadStore } from '../plugin/shared/notepad-store.mjs';
+import { createTmpRoot } from './helpers.mjs';
+
+const { root: tmpRoot, tmpDir } = createTmpRoot('archive');
+
+// a small notebook: nested folders, tags, properties, a pin, a wiki link, an attachment and an empty folder
+async function seedNotebook(store) {
+  const image = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0x10, 0x80]);
+  const plan = await store.createNote({ title: 'Plan', folder: 'work', tags: ['project/alpha'], content: 'See [[Ideas]].\n' });
+  const ideas = await store.createNote({ title: 'Ideas', folder: 'work/drafts', tags: ['draft'], content: '- [ ] sketch\n' });
+  assert.equal(plan.ok && ideas.ok, true);
+  const added = await store.addAttachment({ id: plan.note.id, name: 'chart.png', dataBase64: image.toString('base64') });
+  assert.equal(added.ok, true, added.message);
+  const withImage = await store.updateNote({ id: plan.note.id, content: `See [[Ideas]].\n\n![chart](attachments/chart.png)\n` });
+  assert.equal(withImage.ok, true, withImage.message);
+  assert.equal((await store.setNoteProperties({ id: ideas.note.id, properties: { status: 'open', priority: 2 } })).ok, true);
+  assert.equal((await store.pinNote({ id: ideas.note.id })).ok, true);
+  assert.equal((await store.createFolder({ folder: 'archive/empty' })).ok, true);
+  return { plan: plan.note, ideas: ideas.note, image };
+}
+
+describe('zip archives', () => {
+  it('round-trip names and binary data', () => {
+    const files = [
+      { name: 'manifest.json', data: Buffer.from('{"a":1}') },
+      { name: 'work/周报 (2).md', data: Buffer.from('# 周报\n') },
+      { name: 'work/周报 (2).assets/blob.bin', data: Buffer.from([0, 1, 2, 250, 255]) },
+      { name: 'empty.md', data: Buffer.alloc(0) },
+    ];
+    const entries = readZipEntries(createZipBuffer(files));
+    assert.deepEqual(
+      entries.map((e) => [e.name, Buffer.from(e.data).toString('hex')]),
+      files.map((f) => [f.name, f.data.toString('hex')])
+    );
+  });
+
+  it('reject data that is not a zip', () => {
+    assert.throws(() => readZipEntries(Buffer.from('not a zip at all')));
+  });
+});
+
+describe('exportNotebook / importArchive', () => {
+  it('export a notebook and import it into an empty one', async () => {
+    const source = createNotepadStore({ dataDir: tmpDir('source') });
+    const { plan, ideas, image } = await seedNotebook(source);
+
+    const outputFile = path.join(tmpRoot, 'export.zip');
+    const exported = await source.exportNotebook({ outputFile });
+    assert.equal(exported.ok, true, exported.message);
+    assert.deepEqual(exported.counts, { notes: 2, attachments: 1, folders: exported.counts.folders });
+
+    const entries = readZipEntries(fs.readFileSync(outputFile));
+    const names = entries.map((e) => e.name);
+    assert.equal(names[0], ARCHIVE_MANIFEST);
+    assert.ok(names.includes('work/Plan.md'));
+    assert.ok(names.includes('work/Plan.assets/chart.png'));
+    assert.ok(names.includes('work/drafts/Ideas.md'));
+    const manifest = JSON.parse(Buffer.from(entries[0].data).toString('utf8'));
+    assert.equal(manifest.format, ARCHIVE_FORMAT);
+    assert.ok(manifest.folders.includes('archive/empty'));
+    // the exported markdown opens in other editors: the image points into the .assets folder
+    const planText = Buffer.from(entries.find((e) => e.name === 'work/Plan.md').data).toString('utf8');
+    assert.match(parseFrontMatter(planText).body, /!\[chart\]\(Plan\.assets\/chart\.png\)/);
+
+    const targetDir = tmpDir('target');
+    const target = createNotepadStore({ dataDir: targetDir });
+    const preview = await target.importArchive({ file: outputFile, dryRun: true });
+    assert.equal(preview.ok, true, preview.message);
+    assert.equal(preview.counts.imported, 2);
+    assert.equal((await target.listNotes({})).notes.length, 0, 'a dry run writes nothing');
+
+    const imported = await target.importArchive({ file: outputFile });
+    assert.equal(imported.ok, true, imported.message);
+    assert.deepEqual(imported.counts, { imported: 2, skipped: 0, attachments: 1, warnings: 0 });
+
+    const listed = await target.listNotes({});
+    const byId = new Map(listed.notes.map((n) => [n.id, n]));
+    assert.deepEqual([...byId.keys()].sort(), [plan.id, ideas.id].sort(), 'ids survive the round trip');
+    assert.equal(byId.get(plan.id).folder, 'work');
+    assert.deepEqual(byId.get(plan.id).tags, ['project/alpha']);
+    assert.equal(byId.get(ideas.id).folder, 'work/drafts');
+    assert.equal(byId.get(ideas.id).pinned, true);
+    assert.deepEqual(byId.get(ideas.id).properties, { status: 'open', priority: 2 });
+
+    const planNote = await target.getNote({ id: plan.id });
+    // wiki links are pinned to the id of the note they resolved to
+    assert.equal(planNote.content, `See [[${ideas.id}|Ideas]].\n\n![chart](attachments/chart.png)\n`);
+    const attachments = await target.listAttachments({ id: plan.id });
+    assert.deepEqual(attachments.attachments.map((a) => a.name), ['chart.png']);
+    const copied = fs.readFileSync(path.join(targetDir, 'attachments', plan.id, 'chart.png'));
+    assert.deepEqual(copied, image);
+    assert.ok((await target.listFolders()).folders.includes('archive/empty'), 'empty folders come from the manifest');
+  });
+
+  it('give imported notes new ids when theirs are taken', async () => {
+    const store = createNotepadStore({ dataDir: tmpDir('again') });
+    const { plan } = await seedNotebook(store);
+    const exported = await store.exportNotebook({ folder: 'work', recursive: false });
+    assert.equal(exported.ok, true, exported.message);
+    assert.deepEqual(
+      exported.files.map((f) => f.name),
+      [ARCHIVE_MANIFEST, 'Plan.md', 'Plan.assets/chart.png']
+    );
+
+    const zip = createZipBuffer(exported.files.map((f) => ({ name: f.name, data: Buffer.from(f.dataBase64, 'base64') })));
+    const imported = await store.importArchive({ dataBase64: zip.toString('base64'), folder: 'copy' });
+    assert.equal(imported.ok, true, imported.message);
+    assert.equal(imported.imported.length, 1);
+    const copy = imported.imported[0];
+    assert.notEqual(copy.id, plan.id);
+    assert.equal(copy.folder, 'copy');
+    assert.deepEqual(copy.attachments, ['chart.png']);
+
+    const listed = await store.listNotes({});
+    assert.equal(listed.notes.filter((n) => n.title === 'Plan').length, 2);
+    const original = await store.getNote({ id: plan.id });
+    assert.match(original.content, /attachments\/chart\.png/);
+  });
+
+  it('refuse an output file inside the data directory', async () => {
+    const dataDir = tmpDir('inside');
+    const store = createNotepadStore({ dataDir });
+    await seedNotebook(store);
+    const res = await store.exportNotebook({ outputFile: path.join(dataDir, 'export.zip') });
+    assert.equal(res.ok, false);
+  });
+});
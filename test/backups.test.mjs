@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+import { backupIdFor, backupsToPrune, isBackupDue, isBackupId, normalizeBackupSettings } from '../plugin/shared/notepad-backups.mjs';
+import { createNotepadStore } from '../plugin/shared/notepad-store.mjs';
+import { createTmpRoot } from './helpers.mjs';
+
+const { tmpDir } = createTmpRoot('backups');
+
+describe('backup schedule helpers', () => {
+  it('make sortable ids that are safe folder names', () => {
+    const id = backupIdFor(new Date('2026-10-19T08:30:00.000Z'));
+    assert.equal(id, '2026-10-19T08-30-00-000Z');
+    assert.equal(isBackupId(id), true);
+    assert.equal(isBackupId(`${id}-2`), true);
+    assert.equal(isBackupId('../notes'), false);
+  });
+
+  it('decide when a scheduled backup is due', () => {
+    const now = new Date('2026-10-19T12:00:00.000Z');
+    assert.equal(isBackupDue({ schedule: 'daily' }, '', now), true);
+    assert.equal(isBackupDue({ schedule: 'daily' }, '2026-10-19T00:00:00.000Z', now), false);
+    assert.equal(isBackupDue({ schedule: 'daily' }, '2026-10-18T11:59:59.000Z', now), true);
+    assert.equal(isBackupDue({ schedule: 'off' }, '', now), false);
+    assert.deepEqual(normalizeBackupSettings({ schedule: 'yearly', keep: 0 }), normalizeBackupSettings(null));
+  });
+
+  it('only rotate scheduled backups', () => {
+    const backups = [
+      { id: 'a', reason: 'scheduled', createdAt: '2026-10-01' },
+      { id: 'b', reason: 'manual', createdAt: '2026-10-02' },
+      { id: 'c', reason: 'scheduled', createdAt: '2026-10-03' },
+      { id: 'd', reason: 'pre-restore', createdAt: '2026-10-04' },
+      { id: 'e', reason: 'scheduled', createdAt: '2026-10-05' },
+    ];
+    assert.deepEqual(backupsToPrune(backups, 2).map((b) => b.id), ['a']);
+  });
+});
+
+describe('createBackup / restoreBackup', () => {
+  it('restore notes, attachments and journal settings to the backed up state', async () => {
+    const dataDir = tmpDir('restore');
+    const store = createNotepadStore({ dataDir });
+    const kept = await store.createNote({ title: 'Kept', folder: 'work', tags: ['a'], content: 'original body' });
+    const edited = await store.createNote({ title: 'Edited', content: 'before the edit' });
+    await store.addAttachment({ id: kept.note.id, name: 'data.bin', dataBase64: Buffer.from([1, 2, 3]).toString('base64') });
+    await store.updateJournalSettings({ folder: 'daily/{{year}}' });
+
+    const backup = await store.createBackup();
+    assert.equal(backup.ok, true, backup.message);
+    assert.equal(backup.backup.notes, 2);
+    assert.equal((await store.verifyBackup({ id: backup.backup.id })).valid, true);
+
+    // the state after the backup: an edit, a rename, a new note, a deletion and a new journal folder
+    await store.updateNote({ id: edited.note.id, title: 'Edited later', content: 'after the edit' });
+    const added = await store.createNote({ title: 'Added later' });
+    await store.deleteNote({ id: kept.note.id });
+    await store.updateJournalSettings({ folder: 'elsewhere' });
+
+    const preview = await store.restoreBackup({ id: backup.backup.id, dryRun: true });
+    assert.equal(preview.ok, true, preview.message);
+    assert.deepEqual(preview.diff.added.map((n) => n.id), [kept.note.id]);
+    assert.deepEqual(preview.diff.removed.map((n) => n.id), [added.note.id]);
+    assert.deepEqual(
+      preview.diff.changed.map((n) => [n.id, n.title, n.from.title]),
+      [[edited.note.id, 'Edited', 'Edited later']]
+    );
+    assert.equal((await store.getNote({ id: added.note.id })).ok, true, 'a dry run changes nothing');
+
+    const restored = await store.restoreBackup({ id: backup.backup.id });
+    assert.equal(restored.ok, true, restored.message);
+    assert.ok(isBackupId(restored.safetyBackup));
+
+    const listed = (await store.listNotes({})).notes;
+    assert.deepEqual(listed.map((n) => n.title).sort(), ['Edited', 'Kept']);
+    assert.equal((await store.getNote({ id: edited.note.id })).content, 'before the edit');
+    assert.equal((await store.getNote({ id: kept.note.id })).content, 'original body');
+    assert.deepEqual(fs.readFileSync(path.join(dataDir, 'attachments', kept.note.id, 'data.bin')), Buffer.from([1, 2, 3]));
+    assert.equal((await store.getJournalSettings()).settings.folder, 'daily/{{year}}');
+    // derived indexes are rebuilt from the restored notes
+    assert.deepEqual((await store.searchNotes({ query: 'original' })).notes.map((n) => n.id), [kept.note.id]);
+    assert.equal((await store.searchNotes({ query: 'after' })).notes.length, 0);
+
+    // the pre-restore snapshot can undo the restore
+    const undo = await store.restoreBackup({ id: restored.safetyBackup });
+    assert.equal(undo.ok, true, undo.message);
+    assert.deepEqual((await store.listNotes({})).notes.map((n) => n.title).sort(), ['Added later', 'Edited later']);
+  });
+
+  it('refuse to restore a backup that fails verification', async () => {
+    const dataDir = tmpDir('corrupt');
+    const store = createNotepadStore({ dataDir });
+    const note = await store.createNote({ title: 'Only', content: 'text' });
+    const backup = await store.createBackup();
+    const copy = path.join(dataDir, 'backups', backup.backup.id, 'notes', note.note.fileName);
+    fs.writeFileSync(copy, 'tampered');
+    fs.writeFileSync(path.join(dataDir, 'backups', backup.backup.id, 'notes', 'extra.md'), 'not listed');
+
+    const verified = await store.verifyBackup({ id: backup.backup.id });
+    assert.equal(verified.valid, false);
+    assert.deepEqual(
+      verified.problems.map((p) => [p.path, p.problem]).sort(),
+      [
+        ['notes/extra.md', 'not in manifest'],
+        [`notes/${note.note.fileName}`, 'checksum mismatch'],
+      ]
+    );
+    const restored = await store.restoreBackup({ id: backup.backup.id });
+    assert.equal(restored.ok, false);
+    assert.equal((await store.getNote({ id: note.note.id })).content, 'text');
+    assert.equal((await store.restoreBackup({ id: '../notes' })).ok, false);
+  });
+
+  it('run scheduled backups only when due, next to manual ones', async () => {
+    const dataDir = tmpDir('rotate');
+    const store = createNotepadStore({ dataDir });
+    await store.createNote({ title: 'Note' });
+    assert.equal((await store.listBackups()).settings.schedule, 'off', 'automatic backups are opt-in');
+    assert.equal((await store.runScheduledBackup()).created, false);
+    const manual = await store.createBackup();
+    assert.equal((await store.updateBackupSettings({ schedule: 'hourly', keep: 1 })).ok, true);
+    const first = await store.runScheduledBackup();
+    assert.equal(first.created, true);
+    assert.equal((await store.runScheduledBackup()).created, false, 'not due again within the hour');
+
+    const ids = (await store.listBackups()).backups.map((b) => b.id);
+    assert.ok(ids.includes(manual.backup.id));
+    assert.ok(ids.includes(first.backup.id));
+  });
+});
@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+import { createNotepadStore } from '../plugin/shared/notepad-store.mjs';
+import { createTmpRoot } from './helpers.mjs';
+
+const { root: tmpRoot } = createTmpRoot('batch');
+
+describe('batch move', () => {
+  it('needs a target folder and takes "" as the root', async () => {
+    const store = createNotepadStore({ dataDir: path.join(tmpRoot, 'move') });
+    const id = (await store.createNote({ title: 'Plan', folder: 'work' })).note.id;
+
+    const res = await store.batch({
+      operations: [{ op: 'move', id }, { op: 'move', id, folder: null }],
+    });
+    assert.equal(res.ok, true, res.message);
+    assert.deepEqual(res.results.map((r) => [r.ok, r.message]), [
+      [false, 'folder is required for move'],
+      [false, 'folder is required for move'],
+    ]);
+    assert.equal((await store.getNote({ id })).note.folder, 'work');
+
+    const moved = await store.batch({ operations: [{ op: 'move', id, folder: '' }] });
+    assert.equal(moved.results[0].ok, true, moved.results[0].message);
+    assert.equal((await store.getNote({ id })).note.folder, '');
+  });
+});
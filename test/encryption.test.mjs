@@ -0,0 +1,151 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+import {
+  checkKeyVerifier,
+  createKdfParams,
+  createKeyVerifier,
+  decryptText,
+  deriveKey,
+  encryptText,
+  isEncryptedBody,
+} from '../plugin/shared/notepad-crypto.mjs';
+import { parseFrontMatter } from '../plugin/shared/notepad-frontmatter.mjs';
+import { createNotepadStore } from '../plugin/shared/notepad-store.mjs';
+import { createTmpRoot } from './helpers.mjs';
+
+const PASSPHRASE = 'correct horse battery';
+
+const { tmpDir } = createTmpRoot('encryption');
+
+const readStoredBody = (dataDir, note) => {
+  const abs = path.join(dataDir, 'notes', ...(note.folder ? note.folder.split('/') : []), note.fileName);
+  return parseFrontMatter(fs.readFileSync(abs, 'utf8')).body;
+};
+
+describe('notepad-crypto', () => {
+  it('round-trip text through encryptText / decryptText', async () => {
+    const params = createKdfParams();
+    const key = await deriveKey(PASSPHRASE, params);
+    assert.deepEqual(await deriveKey(PASSPHRASE, params), key, 'the same passphrase and salt give the same key');
+    for (const text of ['', 'plain', '多行\n中文 ✓\n\n- [ ] task\n', 'x'.repeat(5000)]) {
+      const sealed = encryptText(key, text);
+      assert.equal(isEncryptedBody(sealed), true);
+      assert.equal(sealed.includes(text) && text.length > 0, false);
+      assert.equal(decryptText(key, sealed), text);
+    }
+    assert.notEqual(encryptText(key, 'same'), encryptText(key, 'same'), 'every payload gets its own iv');
+  });
+
+  it('refuse a wrong key and a tampered payload', async () => {
+    const params = createKdfParams();
+    const key = await deriveKey(PASSPHRASE, params);
+    const other = await deriveKey('another passphrase', params);
+    const sealed = encryptText(key, 'secret');
+    assert.throws(() => decryptText(other, sealed));
+    const lines = sealed.trimEnd().split('\n');
+    const last = lines[lines.length - 1];
+    lines[lines.length - 1] = `${last.slice(0, -2)}${last.endsWith('AA') ? 'BB' : 'AA'}`;
+    assert.throws(() => decryptText(key, `${lines.join('\n')}\n`));
+    assert.throws(() => decryptText(key, 'not encrypted'));
+
+    const verifier = createKeyVerifier(key);
+    assert.equal(checkKeyVerifier(key, verifier), true);
+    assert.equal(checkKeyVerifier(other, verifier), false);
+  });
+});
+
+describe('encrypted notes', () => {
+  it('are stored encrypted and only readable while unlocked', async () => {
+    const dataDir = tmpDir('notes');
+    const store = createNotepadStore({ dataDir });
+    assert.equal((await store.setupEncryption({ passphrase: 'short' })).ok, false);
+    assert.equal((await store.setupEncryption({ passphrase: PASSPHRASE })).ok, true);
+
+    const created = await store.createNote({ title: 'Diary', tags: ['private'], content: 'Dear diary, 秘密.' });
+    const sealed = await store.encryptNote({ id: created.note.id });
+    assert.equal(sealed.ok, true, sealed.message);
+    assert.equal(sealed.note.encrypted, true);
+    const stored = readStoredBody(dataDir, sealed.note);
+    assert.equal(isEncryptedBody(stored), true);
+    assert.equal(stored.includes('diary'), false);
+    assert.equal((await store.getNote({ id: created.note.id })).content, 'Dear diary, 秘密.');
+
+    await store.lockNotebook();
+    const locked = await store.getNote({ id: created.note.id });
+    assert.equal(locked.ok, false);
+    assert.equal(locked.locked, true);
+    assert.equal(locked.note.title, 'Diary', 'the front matter stays readable');
+    assert.equal((await store.updateNote({ id: created.note.id, content: 'overwrite' })).ok, false);
+
+    assert.equal((await store.unlockNotebook({ passphrase: 'wrong passphrase' })).ok, false);
+    // a second store (another process) only needs the passphrase and encryption.json
+    const other = createNotepadStore({ dataDir });
+    assert.equal((await other.unlockNotebook({ passphrase: PASSPHRASE })).ok, true);
+    assert.equal((await other.getNote({ id: created.note.id })).content, 'Dear diary, 秘密.');
+
+    const opened = await other.decryptNote({ id: created.note.id });
+    assert.equal(opened.ok, true, opened.message);
+    assert.equal(readStoredBody(dataDir, opened.note), 'Dear diary, 秘密.');
+  });
+
+  it('encrypt everything in a marked folder, including new notes', async () => {
+    const dataDir = tmpDir('folder');
+    const store = createNotepadStore({ dataDir });
+    await store.setupEncryption({ passphrase: PASSPHRASE });
+    const before = await store.createNote({ title: 'Before', folder: 'vault', content: 'first' });
+    const marked = await store.setFolderEncryption({ folder: 'vault' });
+    assert.equal(marked.ok, true, marked.message);
+    assert.equal(marked.changedNotes, 1);
+    const added = await store.createNote({ title: 'After', folder: 'vault/sub', content: 'second' });
+    assert.equal(added.note.encrypted, true);
+
+    const listed = (await store.listNotes({ folder: 'vault' })).notes;
+    listed.forEach((note) => assert.equal(isEncryptedBody(readStoredBody(dataDir, note)), true, note.title));
+    assert.equal((await store.getNote({ id: before.note.id })).content, 'first');
+
+    // encrypted bodies are kept out of the full-text index
+    assert.equal((await store.searchNotes({ query: 'second' })).notes.length, 0);
+  });
+});
+
+describe('encryption settings in backups', () => {
+  it('are backed up, verified and restored with the notes', async () => {
+    const dataDir = tmpDir('backup');
+    const store = createNotepadStore({ dataDir });
+    await store.setupEncryption({ passphrase: PASSPHRASE });
+    const created = await store.createNote({ title: 'Keys', content: 'the vault code' });
+    await store.encryptNote({ id: created.note.id });
+    const settingsBefore = fs.readFileSync(path.join(dataDir, 'encryption.json'), 'utf8');
+
+    const backup = await store.createBackup();
+    assert.equal(backup.ok, true, backup.message);
+    const backupDir = path.join(dataDir, 'backups', backup.backup.id);
+    assert.equal(fs.readFileSync(path.join(backupDir, 'encryption.json'), 'utf8'), settingsBefore);
+    assert.equal((await store.verifyBackup({ id: backup.backup.id })).valid, true);
+
+    // losing the settings (a new salt) would make every encrypted note unreadable; the restore brings them back
+    fs.rmSync(path.join(dataDir, 'encryption.json'));
+    await store.lockNotebook();
+    assert.equal((await store.setupEncryption({ passphrase: 'a different passphrase' })).ok, true);
+    assert.equal((await store.getNote({ id: created.note.id })).ok, false);
+
+    const restored = await store.restoreBackup({ id: backup.backup.id });
+    assert.equal(restored.ok, true, restored.message);
+    assert.equal(fs.readFileSync(path.join(dataDir, 'encryption.json'), 'utf8'), settingsBefore);
+    assert.equal((await store.getEncryptionStatus()).unlocked, false, 'the old session key does not survive a restore');
+    assert.equal((await store.unlockNotebook({ passphrase: PASSPHRASE })).ok, true);
+    assert.equal((await store.getNote({ id: created.note.id })).content, 'the vault code');
+
+    fs.rmSync(path.join(backupDir, 'encryption.json'));
+    const manifestPath = path.join(backupDir, 'backup.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    manifest.files = manifest.files.filter((f) => f.path !== 'encryption.json');
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    const verified = await store.verifyBackup({ id: backup.backup.id });
+    assert.equal(verified.valid, false);
+    assert.deepEqual(verified.problems, [{ path: 'encryption.json', problem: 'encrypted notes without encryption settings' }]);
+  });
+});
@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { slugifyTitle, uniqueNoteFileName } from '../plugin/shared/notepad-filenames.mjs';
+
+describe('slugifyTitle', () => {
+  it('turn a title into a lower-case, dash-separated name', () => {
+    assert.equal(slugifyTitle('  Weekly Report: Q3 / 2026 '), 'weekly-report-q3-2026');
+    assert.equal(slugifyTitle('周报 第一周'), '周报-第一周');
+    assert.equal(slugifyTitle('!!!'), 'untitled');
+    assert.equal(slugifyTitle('CON'), 'con-note');
+  });
+
+  it('cut long titles to 80 characters without splitting a surrogate pair', () => {
+    const astral = '\u{20000}'; // a CJK Extension B character, two UTF-16 code units
+    const slug = slugifyTitle(`${'a'.repeat(79)}${astral}${astral}`);
+    assert.equal(slug, `${'a'.repeat(79)}${astral}`);
+    assert.equal(Array.from(slug).length, 80);
+    assert.equal(slug.isWellFormed(), true);
+    assert.equal(slugifyTitle(astral.repeat(100)), astral.repeat(80));
+    assert.equal(slugifyTitle(`${'a'.repeat(79)}-b`), 'a'.repeat(79));
+  });
+
+  it('number names that are already taken in the folder', () => {
+    assert.equal(uniqueNoteFileName('Ideas', new Set(['ideas.md', 'ideas-2.md'])), 'ideas-3.md');
+  });
+});
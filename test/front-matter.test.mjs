@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+import { parseFrontMatter } from '../plugin/shared/notepad-frontmatter.mjs';
+import { createNotepadStore } from '../plugin/shared/notepad-store.mjs';
+import { createTmpRoot } from './helpers.mjs';
+
+const { root: tmpRoot } = createTmpRoot('front-matter');
+
+describe('parseFrontMatter', () => {
+  it('only takes a fenced block that reads as a key: value mapping', () => {
+    assert.deepEqual(parseFrontMatter('---\ntitle: Plan\ntags:\n  - a\n# comment\n---\nbody'), {
+      data: { title: 'Plan', tags: ['a'] },
+      body: 'body',
+      hasFrontMatter: true,
+    });
+    ['---\nSome intro\n---\nbody text\n', '---\n\nText after rule\n\n---\n\nmore', '---\n---\nbody', '---\n# heading\n---\n'].forEach(
+      (text) => assert.deepEqual(parseFrontMatter(text), { data: {}, body: text, hasFrontMatter: false })
+    );
+  });
+});
+
+describe('notes whose content opens with a horizontal rule', () => {
+  it('keep the whole text on create', async () => {
+    const store = createNotepadStore({ dataDir: path.join(tmpRoot, 'create') });
+    const created = await store.createNote({ title: 'Rule', content: '---\nSome intro\n---\nbody text\n' });
+    assert.equal(created.ok, true, created.message);
+    assert.equal((await store.getNote({ id: created.note.id })).content, '---\nSome intro\n---\nbody text');
+  });
+
+  it('keep the whole text and the note properties on update', async () => {
+    const store = createNotepadStore({ dataDir: path.join(tmpRoot, 'update') });
+    const created = await store.createNote({ title: 'Rule', content: 'first' });
+    const id = created.note.id;
+    assert.equal((await store.setNoteProperties({ id, properties: { status: 'open' } })).ok, true);
+
+    const content = '---\n\nText after rule\n\n---\n\nmore';
+    const updated = await store.updateNote({ id, content });
+    assert.equal(updated.ok, true, updated.message);
+    assert.equal((await store.getNote({ id })).content, content);
+    assert.deepEqual((await store.getNoteProperties({ id })).properties, [{ key: 'status', type: 'string', value: 'open' }]);
+
+    // a fresh store reads the same body back from the file
+    assert.equal((await createNotepadStore({ dataDir: path.join(tmpRoot, 'update') }).getNote({ id })).content, content);
+  });
+});
@@ -0,0 +1,17 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after } from 'node:test';
+
+// one temp root per test file, removed when the file's tests are done; `tmpDir(name)` hands out a fresh
+// data dir under it for each store
+export function createTmpRoot(name) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), `notepad-${name}-`));
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+  let dirCount = 0;
+  const tmpDir = (prefix) => {
+    dirCount += 1;
+    return path.join(root, `${prefix}-${dirCount}`);
+  };
+  return { root, tmpDir };
+}
@@ -0,0 +1,133 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import { parseFrontMatter } from '../plugin/shared/notepad-frontmatter.mjs';
+import { INDEX_MIGRATIONS, LATEST_INDEX_VERSION, migrateIndex, readIndexVersion } from '../plugin/shared/notepad-index-migrations.mjs';
+import { createNotepadStore } from '../plugin/shared/notepad-store.mjs';
+import { createTmpRoot } from './helpers.mjs';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'indexes');
+const FIXTURE_VERSIONS = [1, 2, 3, 4, 5, 6];
+
+const { root: tmpRoot } = createTmpRoot('migrations');
+
+function readFixtureIndex(version) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, `v${version}`, 'notes-index.json'), 'utf8'));
+}
+
+function copyFixture(version) {
+  const dataDir = path.join(tmpRoot, `v${version}-${Date.now().toString(36)}`);
+  fs.cpSync(path.join(FIXTURES, `v${version}`), dataDir, { recursive: true });
+  return dataDir;
+}
+
+describe('index migrations', () => {
+  it('are ordered and end at LATEST_INDEX_VERSION', () => {
+    assert.equal(INDEX_MIGRATIONS.at(-1).version, LATEST_INDEX_VERSION);
+    INDEX_MIGRATIONS.forEach((step, i) => assert.equal(step.version, i + 2));
+  });
+
+  for (const version of FIXTURE_VERSIONS) {
+    it(`migrate the v${version} fixture index to the latest version`, async () => {
+      const fixture = readFixtureIndex(version);
+      assert.equal(readIndexVersion(fixture), version);
+      const calls = [];
+      const context = {
+        ensureFrontMatter: async (notes) => calls.push(['ensureFrontMatter', notes.length]),
+        renameNoteFiles: async (notes) => {
+          calls.push(['renameNoteFiles', notes.length]);
+          return notes.map((n) => ({ ...n, fileName: n.fileName || `${n.title.toLowerCase()}.md` }));
+        },
+        readProperties: async (notes) => {
+          calls.push(['readProperties', notes.length]);
+          return notes.map((n) => ({ ...n, properties: {} }));
+        },
+      };
+      const result = await migrateIndex(fixture, { context });
+
+      assert.equal(result.fromVersion, version);
+      assert.equal(result.toVersion, LATEST_INDEX_VERSION);
+      assert.equal(result.index.version, LATEST_INDEX_VERSION);
+      assert.deepEqual(
+        result.applied,
+        INDEX_MIGRATIONS.map((step) => step.version).filter((v) => v > version)
+      );
+      assert.deepEqual(
+        calls.map(([name]) => name),
+        [version < 2 && 'ensureFrontMatter', version < 6 && 'renameNoteFiles', 'readProperties'].filter(Boolean)
+      );
+      assert.equal(result.index.notes.length, fixture.notes.length);
+      result.index.notes.forEach((note, i) => {
+        const before = fixture.notes[i];
+        assert.equal(note.id, before.id);
+        assert.equal(note.title, before.title);
+        assert.deepEqual(note.tags, before.tags);
+        assert.ok(Number.isInteger(note.revision) && note.revision >= 1);
+        assert.equal(typeof note.pinned, 'boolean');
+        assert.equal(note.encrypted, false);
+        assert.ok(note.fileName.endsWith('.md'));
+        assert.deepEqual(note.properties, {});
+      });
+      // the fixture itself is left alone
+      assert.deepEqual(fixture, readFixtureIndex(version));
+    });
+
+    it(`open a v${version} data dir and upgrade its files`, async () => {
+      const dataDir = copyFixture(version);
+      const store = createNotepadStore({ dataDir });
+      const listed = await store.listNotes({});
+      assert.equal(listed.ok, true, listed.message);
+
+      const onDisk = JSON.parse(fs.readFileSync(path.join(dataDir, 'notes-index.json'), 'utf8'));
+      assert.equal(onDisk.version, LATEST_INDEX_VERSION);
+      const backups = fs.readdirSync(dataDir).filter((name) => name.startsWith(`notes-index.v${version}.`));
+      assert.equal(backups.length, 1, 'the old index is kept next to the new one');
+
+      const byId = new Map(listed.notes.map((n) => [n.id, n]));
+      assert.deepEqual([...byId.keys()].sort(), ['n1a2b3', 'n4d5e6', 'n7g8h9']);
+      assert.equal(byId.get('n1a2b3').title, 'Weekly report');
+      assert.deepEqual(byId.get('n1a2b3').tags, ['work', 'report']);
+      assert.equal(byId.get('n4d5e6').pinned, version >= 4);
+
+      const expectedFiles = { n1a2b3: 'work/weekly-report.md', n4d5e6: 'ideas.md', n7g8h9: 'work/meeting.md' };
+      for (const [id, rel] of Object.entries(expectedFiles)) {
+        const raw = fs.readFileSync(path.join(dataDir, 'notes', rel), 'utf8');
+        const parsed = parseFrontMatter(raw);
+        assert.equal(parsed.data.id, id, `${rel} carries its id in the front matter`);
+      }
+      assert.equal(fs.existsSync(path.join(dataDir, 'notes', 'work', 'n1a2b3.md')), false);
+
+      const report = await store.getNote({ id: 'n1a2b3' });
+      assert.equal(report.ok, true, report.message);
+      assert.match(report.content, /Shipped the importer\. See \[\[Ideas\]\]\./);
+
+      // a pre-front-matter note that happened to start with a `---` block keeps that block as text
+      const meeting = await store.getNote({ id: 'n7g8h9' });
+      assert.equal(meeting.note.title, 'Meeting');
+      assert.equal(meeting.content, '---\ntitle: agenda\ntags: [draft]\n---\nDiscuss the roadmap.\n');
+
+      if (version >= 2) {
+        const ideas = byId.get('n4d5e6');
+        assert.deepEqual(ideas.properties, { status: 'open', priority: 2 });
+      }
+    });
+  }
+
+  it('refuse an index written by a newer version', async () => {
+    const newer = { ...readFixtureIndex(6), version: LATEST_INDEX_VERSION + 1 };
+    await assert.rejects(migrateIndex(newer), (err) => err.code === 'INDEX_VERSION_TOO_NEW');
+
+    const dataDir = copyFixture(6);
+    const indexPath = path.join(dataDir, 'notes-index.json');
+    const raw = JSON.stringify(newer, null, 2);
+    fs.writeFileSync(indexPath, raw);
+    const store = createNotepadStore({ dataDir });
+    const listed = await store.listNotes({});
+    assert.equal(listed.ok, false);
+    assert.match(listed.message, /newer than the supported version/);
+    assert.equal(fs.readFileSync(indexPath, 'utf8'), raw, 'the newer index is not rewritten');
+  });
+});
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+import { createNotebookRegistry } from '../plugin/shared/notepad-store.mjs';
+import { createTmpRoot } from './helpers.mjs';
+
+const { root: tmpRoot } = createTmpRoot('integrity');
+
+describe('checkIntegrity', () => {
+  it('only sweeps temp files that belong to the checked notebook', async () => {
+    const dataDir = path.join(tmpRoot, 'data');
+    const registry = createNotebookRegistry({ dataDir });
+    const created = await registry.createNotebook({ name: 'Work stuff' });
+    assert.equal(created.ok, true, created.message);
+    const main = (await registry.openNotebook('default')).store;
+    const work = (await registry.openNotebook(created.notebook.id)).store;
+    const note = await main.createNote({ title: 'Main' });
+    await work.createNote({ title: 'Work' });
+
+    const workRoot = path.join(dataDir, 'notebooks', created.notebook.id);
+    const ownTemp = [
+      path.join(dataDir, 'notes', '.main.md.1.abc.tmp'),
+      path.join(dataDir, '.notes-index.json.1.abc.tmp'),
+      path.join(dataDir, 'attachments', note.note.id, '.a.png.1.abc.tmp'),
+    ];
+    // in-flight writes of another notebook, the notebook registry and a backup being taken
+    const foreignTemp = [
+      path.join(workRoot, 'notes', '.work.md.1.abc.tmp'),
+      path.join(workRoot, '.notes-index.json.1.abc.tmp'),
+      path.join(dataDir, '.notebooks.json.1.abc.tmp'),
+      path.join(dataDir, 'backups', '.2026-10-19T08-30-00-000Z.partial', '.x.md.1.abc.tmp'),
+    ];
+    [...ownTemp, ...foreignTemp].forEach((abs) => {
+      fs.mkdirSync(path.dirname(abs), { recursive: true });
+      fs.writeFileSync(abs, 'partial');
+    });
+
+    const report = await main.checkIntegrity();
+    assert.equal(report.ok, true, report.message);
+    const reported = report.issues.filter((i) => i.kind === 'tempFile').map((i) => i.file);
+    assert.deepEqual(reported.sort(), ownTemp.map((abs) => path.relative(dataDir, abs).split(path.sep).join('/')).sort());
+
+    const repaired = await main.checkIntegrity({ repair: true });
+    assert.equal(repaired.ok, true, repaired.message);
+    ownTemp.forEach((abs) => assert.equal(fs.existsSync(abs), false, abs));
+    foreignTemp.forEach((abs) => assert.equal(fs.existsSync(abs), true, abs));
+  });
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+import { parseFrontMatter } from '../plugin/shared/notepad-frontmatter.mjs';
+import { coercePropertyValue, compileWhere, propertyType } from '../plugin/shared/notepad-properties.mjs';
+import { createNotepadStore } from '../plugin/shared/notepad-store.mjs';
+import { createTmpRoot } from './helpers.mjs';
+
+const { tmpDir } = createTmpRoot('properties');
+
+describe('property values', () => {
+  it('take their type from the value', () => {
+    assert.equal(propertyType('open'), 'string');
+    assert.equal(propertyType('2026-10-19'), 'date');
+    assert.equal(propertyType(2), 'number');
+    assert.equal(propertyType(false), 'boolean');
+    assert.equal(propertyType(['a', 1]), 'list');
+    assert.equal(propertyType({ nested: true }), '');
+    assert.equal(coercePropertyValue('2', 'number'), 2);
+    assert.deepEqual(coercePropertyValue('a, b,', 'list'), ['a', 'b']);
+    assert.throws(() => coercePropertyValue('soon', 'date'));
+  });
+
+  it('filter notes with where conditions', () => {
+    const match = compileWhere({ status: 'OPEN', priority: { gte: 2 }, due: { lt: '2026-11-01' }, owner: { in: ['ann', 'bo'] } });
+    const props = { status: 'open', priority: 3, due: '2026-10-20', owner: 'bo' };
+    assert.equal(match({ properties: props }), true);
+    assert.equal(match({ properties: { ...props, priority: 1 } }), false);
+    assert.equal(match({ properties: { ...props, due: undefined } }), false);
+    assert.equal(compileWhere({ tags: { contains: 'x' } })({ properties: { tags: ['x', 'y'] } }), true);
+    assert.throws(() => compileWhere({ status: { like: 'o%' } }), /Unknown operator/);
+  });
+});
+
+describe('batch setProperties', () => {
+  it('validates and converts values like setNoteProperties', async () => {
+    const dataDir = tmpDir('batch');
+    const store = createNotepadStore({ dataDir });
+    const note = await store.createNote({ title: 'Task' });
+    const id = note.note.id;
+
+    const res = await store.batch({
+      operations: [
+        { op: 'setProperties', id, properties: { 'bad:key': 1 } },
+        { op: 'setProperties', id, properties: { nested: { a: 1 } } },
+        { op: 'setProperties', id, properties: { title: 'x' } },
+        { op: 'setProperties', id, properties: { priority: 'high' }, types: { priority: 'number' } },
+        { op: 'setProperties', id, properties: { priority: '2', due: '2026-11-01' }, types: { priority: 'number' } },
+      ],
+    });
+    assert.equal(res.ok, true, res.message);
+    assert.deepEqual(
+      res.results.map((r) => [r.ok, r.message || '']),
+      [
+        [false, 'Invalid property name: bad:key'],
+        [false, 'Unsupported value for property nested'],
+        [false, 'Reserved property: title'],
+        [false, 'priority: Not a number: high'],
+        [true, ''],
+      ]
+    );
+
+    const listed = (await store.listNotes({ where: { priority: 2 } })).notes;
+    assert.deepEqual(listed.map((n) => n.id), [id]);
+    assert.deepEqual(listed[0].properties, { priority: 2, due: '2026-11-01' });
+    const raw = fs.readFileSync(path.join(dataDir, 'notes', note.note.fileName), 'utf8');
+    assert.deepEqual(parseFrontMatter(raw).data.priority, 2);
+
+    const cleared = await store.batch({ operations: [{ op: 'setProperties', id, properties: { due: null } }] });
+    assert.equal(cleared.results[0].ok, true);
+    assert.deepEqual((await store.getNoteProperties({ id })).properties, [{ key: 'priority', type: 'number', value: 2 }]);
+  });
+});
@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+import { createNotepadStore } from '../plugin/shared/notepad-store.mjs';
+import { createTmpRoot } from './helpers.mjs';
+
+const { root: tmpRoot } = createTmpRoot('revisions');
+
+describe('restoreRevision', () => {
+  it('restore the old title and rename the file after it', async () => {
+    const dataDir = path.join(tmpRoot, 'rename');
+    const store = createNotepadStore({ dataDir });
+    const created = await store.createNote({ title: 'Draft plan', folder: 'work', content: 'first version' });
+    assert.equal(created.note.fileName, 'draft-plan.md');
+    const updated = await store.updateNote({ id: created.note.id, title: 'Final plan', content: 'second version' });
+    assert.equal(updated.note.fileName, 'final-plan.md');
+
+    const revisions = (await store.listRevisions({ id: created.note.id })).revisions;
+    const first = revisions.find((r) => r.title === 'Draft plan');
+    assert.ok(first, 'the edit left a revision with the old title');
+    const restored = await store.restoreRevision({ id: created.note.id, revisionId: first.id });
+    assert.equal(restored.ok, true, restored.message);
+    assert.equal(restored.note.title, 'Draft plan');
+    assert.equal(restored.note.fileName, 'draft-plan.md');
+    assert.equal(restored.note.file, 'notes/work/draft-plan.md');
+    assert.deepEqual(fs.readdirSync(path.join(dataDir, 'notes', 'work')), ['draft-plan.md']);
+    assert.equal((await store.getNote({ id: created.note.id })).content, 'first version');
+
+    // a fresh store (e.g. after a restart) finds the note under the new name
+    const reopened = createNotepadStore({ dataDir });
+    const check = await reopened.checkIntegrity();
+    assert.equal(check.healthy, true, JSON.stringify(check.issues));
+  });
+
+  it('restore the tags saved with the revision', async () => {
+    const store = createNotepadStore({ dataDir: path.join(tmpRoot, 'tags') });
+    const created = await store.createNote({ title: 'Tagged', tags: ['work', 'draft'], content: 'v1' });
+    await store.updateNote({ id: created.note.id, tags: ['personal'], content: 'v2' });
+
+    const revision = (await store.listRevisions({ id: created.note.id })).revisions.find((r) => r.tags.includes('draft'));
+    const restored = await store.restoreRevision({ id: created.note.id, revisionId: revision.id });
+    assert.equal(restored.ok, true, restored.message);
+    assert.deepEqual(restored.note.tags, ['work', 'draft']);
+    assert.deepEqual((await store.getNote({ id: created.note.id })).note.tags, ['work', 'draft']);
+    assert.deepEqual((await store.listTags()).tags.map((t) => t.tag).sort(), ['draft', 'work']);
+    assert.deepEqual((await store.searchNotes({ query: 'tag:draft' })).notes.map((n) => n.id), [created.note.id]);
+  });
+
+  it('pick a free name when another note already uses the restored title', async () => {
+    const dataDir = path.join(tmpRoot, 'clash');
+    const store = createNotepadStore({ dataDir });
+    const note = await store.createNote({ title: 'Ideas', content: 'mine' });
+    await store.updateNote({ id: note.note.id, title: 'Ideas v2' });
+    await store.createNote({ title: 'Ideas', content: 'someone else' });
+
+    const revision = (await store.listRevisions({ id: note.note.id })).revisions.find((r) => r.title === 'Ideas');
+    const restored = await store.restoreRevision({ id: note.note.id, revisionId: revision.id });
+    assert.equal(restored.ok, true, restored.message);
+    assert.equal(restored.note.fileName, 'ideas-2.md');
+    assert.deepEqual(fs.readdirSync(path.join(dataDir, 'notes')).sort(), ['ideas-2.md', 'ideas.md']);
+  });
+});
+
+describe('expectedRevision', () => {
+  it('only accept a positive integer', async () => {
+    const store = createNotepadStore({ dataDir: path.join(tmpRoot, 'expected') });
+    const id = (await store.createNote({ title: 'Counter', content: 'v1' })).note.id;
+    const message = 'expectedRevision must be a positive integer';
+
+    for (const expectedRevision of ['1', '1e0', true, 1.5, 0]) {
+      assert.deepEqual(await store.updateNote({ id, content: 'v2', expectedRevision }), { ok: false, message });
+      assert.deepEqual(await store.setNoteProperties({ id, properties: { a: 1 }, expectedRevision }), { ok: false, message });
+      const batch = await store.batch({ operations: [{ op: 'addTags', id, tags: ['x'], expectedRevision }] });
+      assert.equal(batch.results[0].message, message);
+    }
+    assert.equal((await store.getNote({ id })).note.revision, 1);
+
+    assert.equal((await store.updateNote({ id, content: 'v2', expectedRevision: 2 })).conflict, true);
+    assert.equal((await store.updateNote({ id, content: 'v2', expectedRevision: 1 })).ok, true);
+  });
+});
@@ -0,0 +1,167 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+
+import { matchSearchQuery, parseSearchQuery, searchHasValues, searchTextTerms } from '../plugin/shared/notepad-search-query.mjs';
+import { createNotepadStore } from '../plugin/shared/notepad-store.mjs';
+import { createTmpRoot } from './helpers.mjs';
+
+const { root: tmpRoot } = createTmpRoot('search');
+
+const text = (value, phrase = false) => ({ type: 'text', value, phrase });
+
+function syntaxErrorAt(query, position, message) {
+  assert.throws(
+    () => parseSearchQuery(query),
+    (err) => {
+      assert.equal(err.code, 'SEARCH_QUERY_SYNTAX');
+      assert.equal(err.position, position, `position for ${JSON.stringify(query)}`);
+      if (message) assert.match(err.message, message);
+      return true;
+    }
+  );
+}
+
+describe('parseSearchQuery', () => {
+  it('joins plain words with AND and keeps phrases together', () => {
+    assert.deepEqual(parseSearchQuery('meeting'), text('meeting'));
+    assert.deepEqual(parseSearchQuery('meeting  notes'), { type: 'and', items: [text('meeting'), text('notes')] });
+    assert.deepEqual(parseSearchQuery('"weekly report" AND draft'), {
+      type: 'and',
+      items: [text('weekly report', true), text('draft')],
+    });
+    assert.deepEqual(parseSearchQuery('"say \\"hi\\""'), text('say "hi"', true));
+  });
+
+  it('binds OR looser than AND and groups with parentheses', () => {
+    assert.deepEqual(parseSearchQuery('a b OR c'), {
+      type: 'or',
+      items: [{ type: 'and', items: [text('a'), text('b')] }, text('c')],
+    });
+    assert.deepEqual(parseSearchQuery('a (b OR c)'), {
+      type: 'and',
+      items: [text('a'), { type: 'or', items: [text('b'), text('c')] }],
+    });
+    assert.deepEqual(parseSearchQuery('-(a OR b)'), { type: 'not', item: { type: 'or', items: [text('a'), text('b')] } });
+    // lower-case "or" is an ordinary word
+    assert.deepEqual(parseSearchQuery('this or that'), { type: 'and', items: [text('this'), text('or'), text('that')] });
+  });
+
+  it('parses field filters', () => {
+    assert.deepEqual(parseSearchQuery('tag:project/alpha'), { type: 'tag', value: 'project/alpha', phrase: false });
+    assert.deepEqual(parseSearchQuery('-tag:done'), { type: 'not', item: { type: 'tag', value: 'done', phrase: false } });
+    assert.deepEqual(parseSearchQuery('folder:/work/ideas/'), { type: 'folder', value: 'work/ideas', phrase: false });
+    assert.deepEqual(parseSearchQuery('title:"weekly report"'), { type: 'title', value: 'weekly report', phrase: true });
+    assert.deepEqual(parseSearchQuery('updated:>=2026-09-01'), { type: 'date', field: 'updated', op: '>=', day: '2026-09-01' });
+    assert.deepEqual(parseSearchQuery('created:2026-09-01'), { type: 'date', field: 'created', op: '=', day: '2026-09-01' });
+    assert.deepEqual(parseSearchQuery('HAS:Task is:pinned'), {
+      type: 'and',
+      items: [
+        { type: 'has', value: 'task' },
+        { type: 'is', value: 'pinned' },
+      ],
+    });
+    // unknown fields are plain text (a URL, a time)
+    assert.deepEqual(parseSearchQuery('http://example.com'), text('http://example.com'));
+  });
+
+  it('reports syntax errors with their column', () => {
+    syntaxErrorAt('', 0, /query is empty/);
+    syntaxErrorAt('   ', 0, /query is empty/);
+    syntaxErrorAt('"open phrase', 0, /missing closing quote/);
+    syntaxErrorAt('a OR', 2, /OR needs a term on both sides/);
+    syntaxErrorAt('OR a', 0, /OR needs a term on both sides/);
+    syntaxErrorAt('(a b', 0, /missing closing "\)"/);
+    syntaxErrorAt('a b)', 3, /unexpected "\)"/);
+    syntaxErrorAt('a ()', 2, /empty group/);
+    syntaxErrorAt('a - b', 2, /"-" must be followed/);
+    syntaxErrorAt('tag:', 0, /tag: needs a value/);
+    syntaxErrorAt('x updated:>yesterday', 2, /expects a date/);
+    syntaxErrorAt('updated:2026-13-01', 0, /expects a date/);
+    syntaxErrorAt('has:everything', 0, /has: must be one of/);
+    assert.match(
+      (() => {
+        try {
+          parseSearchQuery('a OR');
+        } catch (err) {
+          return err.message;
+        }
+        return '';
+      })(),
+      /column 3/
+    );
+  });
+
+  it('lists the free-text terms and has: values', () => {
+    const ast = parseSearchQuery('alpha "beta gamma" -tag:x (has:task OR has:link) -delta');
+    assert.deepEqual(
+      searchTextTerms(ast).map((n) => n.value),
+      ['alpha', 'beta gamma', 'delta']
+    );
+    assert.deepEqual([...searchHasValues(ast)].sort(), ['link', 'task']);
+  });
+});
+
+describe('matchSearchQuery', () => {
+  const note = {
+    title: 'Weekly report',
+    folder: 'work/reports',
+    tags: ['project/alpha', 'Done'],
+    createdAt: '2026-09-01T10:00:00.000Z',
+    updatedAt: '2026-09-15T10:00:00.000Z',
+    pinned: true,
+    properties: {},
+  };
+  const context = {
+    matchText: (node, n) => (n.title.toLowerCase().includes(node.value.toLowerCase()) ? 2 : null),
+    has: (value) => value === 'task',
+  };
+  const matches = (query) => matchSearchQuery(parseSearchQuery(query), note, context);
+
+  it('evaluates filters, negation and OR', () => {
+    assert.equal(matches('tag:project').matched, true, 'a parent tag matches its children');
+    assert.equal(matches('tag:proj').matched, false);
+    assert.equal(matches('tag:done').matched, true, 'tags compare case-insensitively');
+    assert.equal(matches('-tag:done').matched, false);
+    assert.equal(matches('folder:work').matched, true);
+    assert.equal(matches('folder:wor').matched, false);
+    assert.equal(matches('title:report is:pinned has:task').matched, true);
+    assert.equal(matches('is:encrypted').matched, false);
+    assert.equal(matches('has:link OR has:task').matched, true);
+    assert.equal(matches('has:property').matched, false);
+    assert.equal(matches('updated:>2026-09-14 created:<=2026-09-01').matched, true);
+    assert.equal(matches('updated:<2026-09-15').matched, false);
+  });
+
+  it('adds up the scores of matched free-text terms', () => {
+    assert.deepEqual(matches('weekly report'), { matched: true, score: 4 });
+    assert.deepEqual(matches('weekly OR missing'), { matched: true, score: 2 });
+    assert.deepEqual(matches('weekly missing'), { matched: false, score: 0 });
+    assert.deepEqual(matches('tag:done'), { matched: true, score: 0 });
+  });
+});
+
+describe('searchNotes with the query language', () => {
+  it('combines full-text terms with filters', async () => {
+    const store = createNotepadStore({ dataDir: path.join(tmpRoot, 'store') });
+    const plan = await store.createNote({ title: 'Launch plan', folder: 'work', tags: ['project/alpha'], content: '- [ ] book the venue' });
+    const notes = await store.createNote({ title: 'Launch notes', folder: 'personal', tags: ['done'], content: 'the venue was great' });
+    await store.pinNote({ id: notes.note.id });
+
+    const ids = async (query) => {
+      const res = await store.searchNotes({ query });
+      assert.equal(res.ok, true, res.message);
+      return res.notes.map((n) => n.id).sort();
+    };
+    assert.deepEqual(await ids('venue'), [plan.note.id, notes.note.id].sort());
+    assert.deepEqual(await ids('venue tag:project'), [plan.note.id]);
+    assert.deepEqual(await ids('launch -folder:work'), [notes.note.id]);
+    assert.deepEqual(await ids('has:open-task'), [plan.note.id]);
+    assert.deepEqual(await ids('is:pinned OR tag:project/alpha'), [plan.note.id, notes.note.id].sort());
+    assert.deepEqual(await ids('"the venue was"'), [notes.note.id]);
+
+    const bad = await store.searchNotes({ query: 'venue (tag:x' });
+    assert.equal(bad.ok, false);
+    assert.match(bad.message, /missing closing/);
+  });
+});